@@ -10,7 +10,7 @@ let gameState = {
   playerId: null,
   username: null,
   team: null,
-  isRoomCreator: false,
+  isHost: false,
 };
 
 function initApp() {
@@ -19,6 +19,7 @@ function initApp() {
   GameMap.init();
   setupSocketConnection();
   checkForExistingSession();
+  openInviteLink();
 }
 
 function setupAllEventListeners() {
@@ -31,6 +32,8 @@ function setupAllEventListeners() {
     UI.showScreen("join-room-screen");
   });
 
+  document.getElementById("profile-btn").addEventListener("click", showProfileScreen);
+
   document.getElementById("help-btn").addEventListener("click", () => {
     window.location.href = "help.html";
   });
@@ -48,11 +51,29 @@ function setupAllEventListeners() {
     createRoom();
   });
 
+  // Profile screen
+  document.getElementById("create-profile-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    createProfile();
+  });
+  document.getElementById("forget-profile-btn").addEventListener("click", () => {
+    forgetProfile();
+    showProfileScreen();
+  });
+  document.getElementById("leaderboard-scope").addEventListener("change", (e) => {
+    loadLeaderboard(e.target.value);
+  });
+  document.getElementById("create-group-btn").addEventListener("click", createGroup);
+  document.getElementById("join-group-btn").addEventListener("click", joinGroup);
+
   // Join room form
   document.getElementById("join-room-form").addEventListener("submit", (e) => {
     e.preventDefault();
     joinRoom();
   });
+  document.getElementById("join-room-code").addEventListener("change", (e) => {
+    previewJoinCode(e.target.value);
+  });
 
   // Team selection buttons
   document.querySelectorAll(".team-btn").forEach((btn) => {
@@ -71,7 +92,37 @@ function setupAllEventListeners() {
   });
   document.getElementById("leave-lobby-btn").addEventListener("click", leaveLobby);
   document.getElementById("delete-lobby-btn").addEventListener("click", deleteLobby);
+  document.getElementById("copy-invite-btn").addEventListener("click", copyInviteLink);
+  document.getElementById("lobby-settings-form").addEventListener("submit", (e) => {
+    e.preventDefault();
+    saveRoomSettings();
+  });
+  document.getElementById("radius-ladder").addEventListener("change", () => toggleCustomRadiusLadder("radius-ladder", "radius-ladder-custom"));
+  document.getElementById("lobby-radius-ladder-input").addEventListener("change", () => toggleCustomRadiusLadder("lobby-radius-ladder-input", "lobby-radius-ladder-custom-input"));
+  document.getElementById("placement-strategy").addEventListener("change", () => togglePlacementDistances("placement-strategy", "placement-distances"));
+  document.getElementById("draw-play-area-btn").addEventListener("click", () => startDrawingArea("play_area"));
+  document.getElementById("draw-exclusion-btn").addEventListener("click", () => startDrawingArea("exclusion"));
+  document.getElementById("draw-allowed-btn").addEventListener("click", () => startDrawingArea("allowed"));
+  document.getElementById("finish-shape-btn").addEventListener("click", finishDrawingArea);
+  document.getElementById("clear-shapes-btn").addEventListener("click", clearDrawnAreas);
+  document.getElementById("lobby-placement-strategy-input").addEventListener("change", () => togglePlacementDistances("lobby-placement-strategy-input", "lobby-placement-distances"));
+  document.getElementById("shrink-stages").addEventListener("input", () => toggleShrinkSettings("shrink-stages", "shrink-settings", "shrink-center"));
+  document.getElementById("lobby-shrink-stages-input").addEventListener("input", () => toggleShrinkSettings("lobby-shrink-stages-input", "lobby-shrink-settings", "lobby-shrink-center-input"));
+  document.getElementById("capture-dwell-mode").addEventListener("change", () => toggleCaptureDwellAmount("capture-dwell-mode", "capture-dwell-amount"));
+  document.getElementById("lobby-capture-dwell-mode-input").addEventListener("change", () => toggleCaptureDwellAmount("lobby-capture-dwell-mode-input", "lobby-capture-dwell-amount-input"));
+  document.getElementById("checkpoint-count").addEventListener("input", () => toggleCheckpointOrder("checkpoint-count", "checkpoint-order"));
+  document.getElementById("lobby-checkpoint-count-input").addEventListener("input", () => toggleCheckpointOrder("lobby-checkpoint-count-input", "lobby-checkpoint-order-input"));
+  document.getElementById("objective-interval").addEventListener("input", () => toggleObjectivePoints("objective-interval", "objective-points"));
+  document.getElementById("lobby-objective-interval-input").addEventListener("input", () => toggleObjectivePoints("lobby-objective-interval-input", "lobby-objective-points-input"));
+  ["hunter-list", "runner-list"].forEach((listId) => {
+    document.getElementById(listId).addEventListener("click", handleLobbyPlayerAction);
+  });
   document.getElementById("return-game-btn").addEventListener("click", returnToActiveGame);
+  document.getElementById("ready-btn").addEventListener("click", toggleReady);
+  document.getElementById("switch-team-btn").addEventListener("click", switchTeam);
+  document.getElementById("recheck-devices-btn").addEventListener("click", runDeviceChecks);
+  document.getElementById("random-teams-btn").addEventListener("click", () => assignTeams("random"));
+  document.getElementById("balance-teams-btn").addEventListener("click", () => assignTeams("balanced"));
 
   // Game controls
   document.getElementById("menu-btn").addEventListener("click", () => {
@@ -114,6 +165,16 @@ function setupAllEventListeners() {
 
   document.getElementById("caught-btn").addEventListener("click", reportSelfCaught);
 
+  // Hunters claim catches from the runner list in the game menu
+  document.getElementById("game-runner-list").addEventListener("click", (e) => {
+    const claimBtn = e.target.closest(".claim-catch-btn");
+    if (claimBtn) {
+      claimCatch(claimBtn.dataset.playerId, claimBtn);
+    }
+  });
+
+  document.getElementById("catch-photo-input").addEventListener("change", handleCatchPhotoCaptured);
+
   document.getElementById("leave-game-btn").addEventListener("click", leaveGame);
 
   // Game over screen
@@ -134,7 +195,8 @@ function setupAllEventListeners() {
 
 // Setup Socket.IO connection
 function setupSocketConnection() {
-  socket = io();
+  // Send the saved session token so the server knows which player is reconnecting
+  socket = io({ auth: { token: getSavedSessionToken() } });
 
   // Connection events
   socket.on("connect", () => {
@@ -159,6 +221,16 @@ function setupSocketConnection() {
 
   socket.on("connect_error", (error) => {
     console.error("Connection error:", error);
+
+    // The saved session is no longer accepted, drop it and connect as a new player
+    if (error.message === "Invalid session") {
+      resetGameState();
+      UI.hideLoading();
+      UI.showNotification("Your previous session has expired. Please join again.", "warning");
+      socket.connect();
+      return;
+    }
+
     UI.hideLoading();
     UI.showNotification("Connection error. Please check your internet connection.", "error");
   });
@@ -167,6 +239,11 @@ function setupSocketConnection() {
     console.error("Socket error:", data);
     UI.hideLoading();
     UI.showNotification(data.message || "An error occurred", "error");
+
+    // The saved profile is gone, join without one next time
+    if (data.profileInvalid) {
+      forgetProfile();
+    }
   });
 
   // Game events
@@ -184,7 +261,31 @@ function setupSocketConnection() {
   socket.on("new_target", handleNewTarget);
   socket.on("target_radius_update", handleTargetRadiusUpdate);
   socket.on("zone_activated", handleZoneActivated);
+  socket.on("capture_progress", handleCaptureProgress);
+  socket.on("capture_rejected", handleCaptureRejected);
+  socket.on("checkpoint_reached", handleCheckpointReached);
+  socket.on("objective_spawned", handleObjectiveSpawned);
+  socket.on("objective_claimed", handleObjectiveClaimed);
   socket.on("runner_won", handleRunnerWon);
+  socket.on("runner_out_of_bounds", handleRunnerOutOfBounds);
+  socket.on("runner_back_in_bounds", handleRunnerBackInBounds);
+  socket.on("out_of_bounds_penalty", handleOutOfBoundsPenalty);
+  socket.on("boundary_announced", handleBoundaryAnnounced);
+  socket.on("boundary_shrunk", handleBoundaryShrunk);
+  socket.on("catch_claimed", handleCatchClaimed);
+  socket.on("catch_claim_sent", handleCatchClaimSent);
+  socket.on("catch_disputed", handleCatchDisputed);
+  socket.on("catch_ruling_requested", handleCatchRulingRequested);
+  socket.on("catch_resolved", handleCatchResolved);
+  socket.on("catch_photo_submitted", handleCatchPhotoSubmitted);
+  socket.on("runner_restored", handleRunnerRestored);
+  socket.on("time_remaining", handleTimeRemaining);
+  socket.on("phase_changed", handlePhaseChanged);
+  socket.on("host_changed", handleHostChanged);
+  socket.on("kicked", handleKicked);
+  socket.on("player_kicked", handlePlayerKicked);
+  socket.on("room_settings_updated", handleRoomSettingsUpdated);
+  socket.on("teams_assigned", handleTeamsAssigned);
 
   // Voice chat events
   socket.on("voice_transmission_started", handleVoiceTransmissionStarted);
@@ -199,7 +300,7 @@ function checkForExistingSession() {
   if (savedSession) {
     try {
       const session = JSON.parse(savedSession);
-      if (session.roomId && session.playerId && session.username) {
+      if (session.roomId && session.playerId && session.sessionToken) {
         gameState = {
           ...gameState,
           ...session,
@@ -208,19 +309,19 @@ function checkForExistingSession() {
         // Attempt to rejoin the game
         UI.showLoading("Rejoining game...");
 
-        // Emit join event with saved data
-        socket.emit("join_room", {
-          roomName: session.roomName,
-          username: session.username,
-          team: session.team,
-        });
+        // Rejoin once the handshake carrying our session token has been accepted.
+        // The server identifies us from the token, and join_success brings the
+        // current game state, including whether the game is already running.
+        socket.once("connect", () => {
+          if (!gameState.sessionToken) return;
 
-        // If the game was active before reload, request the game state
-        // The handleGameState function will redirect to the game screen if needed
-        if (session.gameStatus === "active") {
-          console.log("Game was active, requesting current state");
-          socket.emit("resync_game_state", { roomId: session.roomId });
-        }
+          socket.emit("join_room", {
+            username: gameState.username,
+            team: gameState.team,
+          });
+        });
+      } else {
+        localStorage.removeItem("huntedGameSession");
       }
     } catch (error) {
       console.error("Error parsing saved session:", error);
@@ -229,12 +330,89 @@ function checkForExistingSession() {
   }
 }
 
+// Open the join screen for a /join/:code invite link
+function openInviteLink() {
+  const match = window.location.pathname.match(/^\/join\/([^/]+)/);
+  if (!match) return;
+
+  // Tidy the address bar so a reload doesn't open the invite again
+  window.history.replaceState(null, "", "/");
+
+  const joinCode = decodeURIComponent(match[1]).toUpperCase();
+
+  // Already in this room, the saved session takes us back in
+  if (gameState.sessionToken && gameState.joinCode === joinCode) return;
+
+  // Following an invite to another room replaces the saved session
+  if (gameState.sessionToken) {
+    UI.hideLoading();
+    resetGameState();
+  }
+
+  document.getElementById("join-room-code").value = joinCode;
+  previewJoinCode(joinCode);
+  UI.showScreen("join-room-screen");
+}
+
+// Show the room behind a join code and whether it needs a password
+async function previewJoinCode(joinCode) {
+  const preview = document.getElementById("join-room-preview");
+  const passwordGroup = document.getElementById("join-password-group");
+  const code = joinCode.trim();
+
+  preview.textContent = "";
+  passwordGroup.style.display = "none";
+  if (!code) return;
+
+  try {
+    const response = await fetch(`/api/join/${encodeURIComponent(code)}`);
+
+    if (!response.ok) {
+      preview.textContent = "No room found with this code";
+      return;
+    }
+
+    const room = await response.json();
+    preview.textContent = `Room: ${room.roomName}${room.status !== "lobby" ? ` (${room.status})` : ""}`;
+    passwordGroup.style.display = room.passwordRequired ? "block" : "none";
+  } catch (error) {
+    console.error("Error looking up join code:", error);
+  }
+}
+
+function getInviteLink() {
+  return `${window.location.origin}/join/${encodeURIComponent(gameState.joinCode)}`;
+}
+
+async function copyInviteLink() {
+  if (!gameState.joinCode) return;
+
+  const inviteLink = getInviteLink();
+
+  try {
+    if (navigator.share) {
+      await navigator.share({ title: "Join my HUNTED game", url: inviteLink });
+    } else {
+      await navigator.clipboard.writeText(inviteLink);
+      UI.showNotification("Invite link copied", "success");
+    }
+  } catch (error) {
+    console.error("Error sharing invite link:", error);
+  }
+}
+
 // Create a new room
 function createRoom() {
   const roomName = document.getElementById("room-name").value.trim();
   const username = document.getElementById("creator-username").value.trim();
+  const password = document.getElementById("room-password").value;
+  const gameDuration = parseInt(document.getElementById("game-duration").value);
+  const headStartDuration = parseInt(document.getElementById("head-start-duration").value);
   const zoneActivationDelay = parseInt(document.getElementById("zone-activation-delay").value);
   const playRadius = parseInt(document.getElementById("play-radius").value);
+  const radiusLevels = readRadiusLadder("radius-ladder", "radius-ladder-custom");
+  const placementStrategy = document.getElementById("placement-strategy").value;
+  const placementSeed = document.getElementById("placement-seed").value.trim();
   const teamBtn = document.querySelector("#create-room-form .team-btn.selected");
 
   if (!roomName || !username) {
@@ -261,7 +439,6 @@ function createRoom() {
   gameState.roomName = roomName;
   gameState.username = username;
   gameState.team = team;
-  gameState.isRoomCreator = true;
 
   // Show loading
   UI.showLoading("Creating room...");
@@ -271,31 +448,52 @@ function createRoom() {
     roomName,
     username,
     team,
+    gameDuration,
+    headStartDuration,
     zoneActivationDelay,
     playRadius,
+    radiusLevels,
+    placementStrategy,
+    placementMinDistance: readDistance("placement-min-distance"),
+    placementMaxDistance: readDistance("placement-max-distance"),
+    placementSeed: placementSeed || undefined,
+    outOfBoundsPenalty: document.getElementById("out-of-bounds-penalty").value,
+    outOfBoundsGrace: parseInt(document.getElementById("out-of-bounds-grace").value),
+    ...readShrinkSettings("shrink-stages", "shrink-interval", "shrink-final-radius", "shrink-center"),
+    ...readCaptureDwell("capture-dwell-mode", "capture-dwell-amount"),
+    checkpointCount: parseInt(document.getElementById("checkpoint-count").value) || 0,
+    checkpointOrder: document.getElementById("checkpoint-order").value,
+    ...readObjectiveSettings("objective-interval", "objective-points"),
+    rated: document.getElementById("rated-game").value === "rated",
+    ...GameMap.getPlacementAreas(),
+    playArea: GameMap.getPlayArea(),
     centralLat: location.lat,
     centralLng: location.lng,
+    password,
   });
 
-  socket.on("room_created", (data) => {
+  socket.once("room_created", (data) => {
     console.log("Room created:", data);
 
     socket.emit("join_room", {
-      roomName: data.roomName,
+      joinCode: data.joinCode,
       username,
       team,
+      password,
+      profileToken: getSavedProfileToken(),
     });
   });
 }
 
 // Join an existing room
 function joinRoom() {
-  const roomName = document.getElementById("join-room-name").value.trim();
+  const joinCode = document.getElementById("join-room-code").value.trim();
   const username = document.getElementById("join-username").value.trim();
+  const password = document.getElementById("join-room-password").value;
   const teamBtn = document.querySelector("#join-room-form .team-btn.selected");
 
-  if (!roomName || !username) {
-    return UI.showNotification("Room name and username are required", "error");
+  if (!joinCode || !username) {
+    return UI.showNotification("Join code and username are required", "error");
   }
 
   if (!teamBtn) {
@@ -305,19 +503,19 @@ function joinRoom() {
   const team = teamBtn.dataset.team;
 
   // Update game state
-  gameState.roomName = roomName;
   gameState.username = username;
   gameState.team = team;
-  gameState.isRoomCreator = false;
 
   // Show loading
   UI.showLoading("Joining room...");
 
   // Emit socket event to join room
   socket.emit("join_room", {
-    roomName,
+    joinCode,
     username,
     team,
+    password,
+    profileToken: getSavedProfileToken(),
   });
 }
 
@@ -331,12 +529,23 @@ function handleJoinSuccess(data) {
   // Update game state
   gameState.roomId = data.roomId;
   gameState.playerId = data.playerId;
+  gameState.username = data.username;
+  gameState.team = data.team;
+  gameState.sessionToken = data.token;
+  if (data.gameState) {
+    gameState.roomName = data.gameState.roomName;
+    gameState.joinCode = data.gameState.joinCode;
+  }
+  updateHostStatus(data.gameState);
+
+  // Reconnects after a dropped connection present the new token in the handshake
+  socket.auth = { token: data.token };
 
   // Save session to localStorage
   saveGameSession();
 
-  // If game is active, go directly to game screen
-  if (data.gameState && data.gameState.status === "active") {
+  // If game is under way, go directly to game screen
+  if (data.gameState && isGameInProgress(data.gameState.status)) {
     startGameUI(data.gameState);
     return;
   }
@@ -344,6 +553,9 @@ function handleJoinSuccess(data) {
   // Show lobby screen
   UI.showScreen("lobby-screen");
   currentScreen = "lobby-screen";
+  if (gameState.team !== "spectator") {
+    runDeviceChecks();
+  }
 
   // Update lobby UI with the provided game state
   if (data.gameState && data.gameState.centralLocation) {
@@ -353,10 +565,26 @@ function handleJoinSuccess(data) {
   }
 
   updateLobbyUI(data.gameState);
+}
 
-  // Show/hide host-only controls based on whether user is room creator
-  document.getElementById("start-game-btn").style.display = gameState.isRoomCreator ? "block" : "none";
-  document.getElementById("delete-lobby-btn").style.display = gameState.isRoomCreator ? "block" : "none";
+// Check if a room status means the game has started and not yet ended
+function isGameInProgress(status) {
+  return status === "head_start" || status === "active";
+}
+
+// Track whether we currently hold the host role
+function updateHostStatus(state) {
+  if (!state || !state.hostPlayerId) return;
+  gameState.isHost = state.hostPlayerId === gameState.playerId;
+}
+
+// Keep our team in step with the server, the host or a team switch may have changed it
+function updateOwnTeam(state) {
+  const me = state && state.players ? state.players.find((p) => p.playerId === gameState.playerId) : null;
+  if (me && me.team !== gameState.team) {
+    gameState.team = me.team;
+    saveGameSession();
+  }
 }
 
 // Update lobby UI with current game state
@@ -369,12 +597,66 @@ function updateLobbyUI(state) {
   const roomNameElement = document.getElementById("lobby-room-name");
   roomNameElement.textContent = `Room: ${state.roomName}`;
 
+  // Show how to invite others
+  if (state.joinCode) {
+    document.getElementById("lobby-join-code").textContent = state.joinCode;
+    const qrCode = document.getElementById("lobby-qr-code");
+    const qrCodeUrl = `/api/join/${encodeURIComponent(state.joinCode)}/qr.svg`;
+    if (qrCode.getAttribute("src") !== qrCodeUrl) {
+      qrCode.src = qrCodeUrl;
+    }
+  }
+
   // Update player lists
   if (state.players) {
-    updatePlayerLists(state.players);
+    updatePlayerLists(state.players, state.hostPlayerId);
   }
 
   // Update game settings
+  const settingsForm = document.getElementById("lobby-settings-form");
+  const canEditSettings = gameState.isHost && state.status === "lobby";
+  settingsForm.style.display = canEditSettings ? "block" : "none";
+  if (canEditSettings && !settingsForm.contains(document.activeElement)) {
+    document.getElementById("lobby-game-duration-input").value = state.gameDuration;
+    document.getElementById("lobby-head-start-input").value = state.headStartDuration;
+    document.getElementById("lobby-zone-delay-input").value = state.zoneActivationDelay;
+    document.getElementById("lobby-play-radius-input").value = state.playRadius;
+    // A drawn play area sets its own radius
+    document.getElementById("lobby-play-radius-input").closest(".form-group").style.display = state.playArea ? "none" : "";
+    showRadiusLadder("lobby-radius-ladder-input", "lobby-radius-ladder-custom-input", state.radiusLevels);
+    document.getElementById("lobby-placement-strategy-input").value = state.placementStrategy;
+    document.getElementById("lobby-placement-min-distance-input").value = state.placementMinDistance === null ? "" : state.placementMinDistance;
+    document.getElementById("lobby-placement-max-distance-input").value = state.placementMaxDistance === null ? "" : state.placementMaxDistance;
+    togglePlacementDistances("lobby-placement-strategy-input", "lobby-placement-distances");
+    document.getElementById("lobby-out-of-bounds-penalty-input").value = state.outOfBoundsPenalty;
+    document.getElementById("lobby-out-of-bounds-grace-input").value = state.outOfBoundsGrace;
+    document.getElementById("lobby-shrink-stages-input").value = state.shrinkStages;
+    document.getElementById("lobby-shrink-interval-input").value = state.shrinkInterval === null ? "" : state.shrinkInterval;
+    document.getElementById("lobby-shrink-final-radius-input").value = state.shrinkFinalRadius === null ? "" : state.shrinkFinalRadius;
+    document.getElementById("lobby-shrink-center-input").value = state.shrinkCenter;
+    toggleShrinkSettings("lobby-shrink-stages-input", "lobby-shrink-settings", "lobby-shrink-center-input");
+    document.getElementById("lobby-capture-dwell-mode-input").value = state.captureDwellMode;
+    document.getElementById("lobby-capture-dwell-amount-input").value = state.captureDwellAmount || "";
+    toggleCaptureDwellAmount("lobby-capture-dwell-mode-input", "lobby-capture-dwell-amount-input");
+    document.getElementById("lobby-checkpoint-count-input").value = state.checkpointCount;
+    document.getElementById("lobby-checkpoint-order-input").value = state.checkpointOrder;
+    toggleCheckpointOrder("lobby-checkpoint-count-input", "lobby-checkpoint-order-input");
+    document.getElementById("lobby-objective-interval-input").value = state.objectiveInterval;
+    document.getElementById("lobby-objective-points-input").value = state.objectivePoints;
+    toggleObjectivePoints("lobby-objective-interval-input", "lobby-objective-points-input");
+    document.getElementById("lobby-rated-input").value = state.rated ? "rated" : "casual";
+  }
+
+  const gameDurationElement = document.getElementById("game-duration-display");
+  if (gameDurationElement && state.gameDuration) {
+    gameDurationElement.textContent = `${state.gameDuration} min`;
+  }
+
+  const headStartElement = document.getElementById("head-start-display");
+  if (headStartElement) {
+    headStartElement.textContent = `${state.headStartDuration} sec`;
+  }
+
   const zoneDelayElement = document.getElementById("zone-activation-delay-display");
   if (zoneDelayElement) {
     zoneDelayElement.textContent = `${state.zoneActivationDelay} sec`;
@@ -385,12 +667,53 @@ function updateLobbyUI(state) {
   if (playRadiusElement && state.playRadius) {
     // Convert meters to kilometers for display
     const radiusInKm = (state.playRadius / 1000).toFixed(1);
-    playRadiusElement.textContent = `${radiusInKm}km radius`;
+    playRadiusElement.textContent = state.playArea ? `Drawn area, up to ${((state.playRadius * 2) / 1000).toFixed(1)}km across` : `${radiusInKm}km radius`;
+  }
+
+  const radiusLadderElement = document.getElementById("radius-ladder-display");
+  if (radiusLadderElement && state.radiusLevels) {
+    radiusLadderElement.textContent = `${state.radiusLevels.join(", ")} m`;
+  }
+
+  const placementElement = document.getElementById("placement-display");
+  if (placementElement) {
+    placementElement.textContent = describePlacement(state);
+  }
+
+  const checkpointElement = document.getElementById("checkpoint-display");
+  if (checkpointElement) {
+    checkpointElement.textContent = describeCheckpoints(state);
+  }
+
+  const objectiveElement = document.getElementById("objective-display");
+  if (objectiveElement) {
+    objectiveElement.textContent = describeObjectives(state);
+  }
+
+  const ratedElement = document.getElementById("rated-display");
+  if (ratedElement) {
+    ratedElement.textContent = state.rated ? "Rated" : "Casual";
+  }
+
+  const captureDwellElement = document.getElementById("capture-dwell-display");
+  if (captureDwellElement) {
+    captureDwellElement.textContent = describeCaptureDwell(state);
+  }
+
+  const shrinkElement = document.getElementById("shrink-display");
+  if (shrinkElement) {
+    shrinkElement.textContent = describeShrink(state);
+  }
+
+  const outOfBoundsElement = document.getElementById("out-of-bounds-display");
+  if (outOfBoundsElement) {
+    outOfBoundsElement.textContent = describeOutOfBounds(state);
   }
 
-  // Update lobby map only if the player is a hunter
-  if (state.centralLocation && gameState.team === "hunter") {
-    GameMap.initLobbyMap(state.centralLocation.lat, state.centralLocation.lng, state.playRadius);
+  // Update lobby map only if the player is a hunter or spectator
+  if (state.centralLocation && gameState.team !== "runner") {
+    document.getElementById("lobby-map").style.display = "";
+    GameMap.initLobbyMap(state.centralLocation.lat, state.centralLocation.lng, state.playRadius, state);
     // Hide runner message
     const runnerMessage = document.getElementById("runner-map-message");
     if (runnerMessage) {
@@ -413,17 +736,21 @@ function updateLobbyUI(state) {
   const startGameBtn = document.getElementById("start-game-btn");
   const returnGameBtn = document.getElementById("return-game-btn");
 
-  if (state.status === "active") {
+  if (isGameInProgress(state.status)) {
     startGameBtn.style.display = "none";
     returnGameBtn.style.display = "block";
   } else {
-    startGameBtn.style.display = gameState.isRoomCreator ? "block" : "none";
+    startGameBtn.style.display = gameState.isHost ? "block" : "none";
     returnGameBtn.style.display = "none";
   }
+
+  updateReadyControls(state);
+
+  document.getElementById("delete-lobby-btn").style.display = gameState.isHost ? "block" : "none";
 }
 
 // Update player lists in lobby
-function updatePlayerLists(players) {
+function updatePlayerLists(players, hostPlayerId) {
   if (!players) return;
 
   const hunterList = document.getElementById("hunter-list");
@@ -445,6 +772,8 @@ function updatePlayerLists(players) {
             <img src="assets/icons/hunter.svg" alt="Hunter" class="player-avatar">
             <span class="player-name">${hunter.username}</span>
         `;
+    addReadyState(listItem, hunter);
+    addLobbyPlayerControls(listItem, hunter, hostPlayerId);
     hunterList.appendChild(listItem);
   });
 
@@ -456,8 +785,437 @@ function updatePlayerLists(players) {
             <img src="assets/icons/runner.svg" alt="Runner" class="player-avatar">
             <span class="player-name">${runner.username}</span>
         `;
+    addReadyState(listItem, runner);
+    addLobbyPlayerControls(listItem, runner, hostPlayerId);
     runnerList.appendChild(listItem);
   });
+
+  // Spectators stay out of the team lists
+  const spectators = players.filter((p) => p.team === "spectator");
+  document.getElementById("spectator-info").style.display = spectators.length > 0 ? "block" : "none";
+  document.getElementById("spectator-names").textContent = spectators.map((p) => p.username).join(", ");
+}
+
+// Show whether a player is ready, with the device checks that are still failing
+function addReadyState(listItem, player) {
+  const readyState = document.createElement("span");
+  const failedChecks = [];
+  if (player.deviceChecks && !player.deviceChecks.gps) failedChecks.push("no location");
+  if (player.deviceChecks && !player.deviceChecks.mic) failedChecks.push("no mic");
+
+  readyState.className = `ready-state${player.ready ? " ready" : ""}`;
+  if (!player.connected) {
+    readyState.textContent = "Offline";
+  } else {
+    readyState.textContent = [player.ready ? "Ready" : "Not ready", ...failedChecks].join(" · ");
+  }
+
+  listItem.appendChild(readyState);
+}
+
+// Mark the host, and give the host buttons to manage everyone else
+function addLobbyPlayerControls(listItem, player, hostPlayerId) {
+  if (player.playerId === hostPlayerId) {
+    const badge = document.createElement("span");
+    badge.className = "host-badge";
+    badge.textContent = "Host";
+    listItem.appendChild(badge);
+    return;
+  }
+
+  if (!gameState.isHost) return;
+
+  const actions = document.createElement("span");
+  actions.className = "player-actions";
+
+  const makeHostBtn = document.createElement("button");
+  makeHostBtn.className = "player-action-btn";
+  makeHostBtn.dataset.action = "make-host";
+  makeHostBtn.dataset.playerId = player.playerId;
+  makeHostBtn.dataset.username = player.username;
+  makeHostBtn.textContent = "Make Host";
+
+  const kickBtn = document.createElement("button");
+  kickBtn.className = "player-action-btn danger";
+  kickBtn.dataset.action = "kick";
+  kickBtn.dataset.playerId = player.playerId;
+  kickBtn.dataset.username = player.username;
+  kickBtn.textContent = "Remove";
+
+  actions.appendChild(makeHostBtn);
+  actions.appendChild(kickBtn);
+  listItem.appendChild(actions);
+}
+
+function handleLobbyPlayerAction(e) {
+  const actionBtn = e.target.closest(".player-action-btn");
+  if (!actionBtn) return;
+
+  const { action, playerId, username } = actionBtn.dataset;
+
+  if (action === "kick" && confirm(`Remove ${username} from the room?`)) {
+    socket.emit("kick_player", { playerId });
+  } else if (action === "make-host" && confirm(`Make ${username} the host? You will lose host controls.`)) {
+    socket.emit("transfer_host", { playerId });
+  }
+}
+
+function saveRoomSettings() {
+  if (!gameState.isHost) {
+    return UI.showNotification("Only the host can change room settings", "error");
+  }
+
+  socket.emit("update_room_settings", {
+    gameDuration: parseInt(document.getElementById("lobby-game-duration-input").value),
+    headStartDuration: parseInt(document.getElementById("lobby-head-start-input").value),
+    zoneActivationDelay: parseInt(document.getElementById("lobby-zone-delay-input").value),
+    playRadius: parseInt(document.getElementById("lobby-play-radius-input").value),
+    radiusLevels: readRadiusLadder("lobby-radius-ladder-input", "lobby-radius-ladder-custom-input"),
+    placementStrategy: document.getElementById("lobby-placement-strategy-input").value,
+    placementMinDistance: readDistance("lobby-placement-min-distance-input"),
+    placementMaxDistance: readDistance("lobby-placement-max-distance-input"),
+    placementSeed: document.getElementById("lobby-placement-seed-input").value.trim() || undefined,
+    outOfBoundsPenalty: document.getElementById("lobby-out-of-bounds-penalty-input").value,
+    outOfBoundsGrace: parseInt(document.getElementById("lobby-out-of-bounds-grace-input").value),
+    ...readShrinkSettings("lobby-shrink-stages-input", "lobby-shrink-interval-input", "lobby-shrink-final-radius-input", "lobby-shrink-center-input"),
+    ...readCaptureDwell("lobby-capture-dwell-mode-input", "lobby-capture-dwell-amount-input"),
+    checkpointCount: parseInt(document.getElementById("lobby-checkpoint-count-input").value) || 0,
+    checkpointOrder: document.getElementById("lobby-checkpoint-order-input").value,
+    ...readObjectiveSettings("lobby-objective-interval-input", "lobby-objective-points-input"),
+    rated: document.getElementById("lobby-rated-input").value === "rated",
+  });
+}
+
+// Start drawing a shape on the setup map
+function startDrawingArea(mode) {
+  GameMap.startDrawing(mode);
+  document.getElementById("finish-shape-btn").style.display = "";
+  const hints = {
+    play_area: "Tap the map to outline the play area, then tap Finish Shape",
+    allowed: "Tap the map to outline the allowed area, then tap Finish Shape",
+    exclusion: "Tap the map around the place to keep targets out of, then tap Finish Shape",
+  };
+  document.getElementById("drawing-hint").textContent = hints[mode];
+}
+
+// Close the shape being drawn
+function finishDrawingArea() {
+  if (!GameMap.finishDrawing()) {
+    return UI.showNotification("A shape needs at least 3 points", "error");
+  }
+  document.getElementById("finish-shape-btn").style.display = "none";
+  updateDrawnAreasHint();
+}
+
+// Remove every shape from the setup map
+function clearDrawnAreas() {
+  GameMap.clearPlacementAreas();
+  document.getElementById("finish-shape-btn").style.display = "none";
+  updateDrawnAreasHint();
+}
+
+function updateDrawnAreasHint() {
+  const { exclusionZones, allowedArea } = GameMap.getPlacementAreas();
+  const count = exclusionZones.length;
+  const playArea = GameMap.getPlayArea() ? "Play area drawn" : "Circular play area";
+  document.getElementById("drawing-hint").textContent = `${playArea}, ${count} exclusion zone${count === 1 ? "" : "s"}, ${allowedArea ? "allowed area set" : "no allowed area"}`;
+}
+
+// Read an optional distance input, an empty input means no limit
+function readDistance(inputId) {
+  const value = document.getElementById(inputId).value;
+  return value === "" ? null : parseInt(value);
+}
+
+// Distances only apply to the strategies that measure from the runner
+function togglePlacementDistances(selectId, distancesId) {
+  const usesDistances = document.getElementById(selectId).value !== "uniform";
+  document.getElementById(distancesId).style.display = usesDistances ? "flex" : "none";
+}
+
+// Describe a room's target placement for the lobby settings
+function describePlacement(state) {
+  const min = state.placementMinDistance || 0;
+  const max = state.placementMaxDistance ? `${state.placementMaxDistance}m` : "anywhere";
+
+  if (state.placementStrategy === "distance_band") {
+    return `${min}m to ${max} from each Runner`;
+  }
+  if (state.placementStrategy === "equal_distance") {
+    return `Same distance from every Runner (${min}m to ${max})`;
+  }
+  return "Anywhere in the play area";
+}
+
+// The shrink timing and centre only matter once the boundary shrinks at all
+function toggleShrinkSettings(stagesId, settingsId, centerId) {
+  const shrinks = parseInt(document.getElementById(stagesId).value) > 0;
+  document.getElementById(settingsId).style.display = shrinks ? "flex" : "none";
+  document.getElementById(centerId).style.display = shrinks ? "block" : "none";
+}
+
+// Read the shrinking boundary inputs, leaving the rest out when the boundary never shrinks
+function readShrinkSettings(stagesId, intervalId, finalRadiusId, centerId) {
+  const shrinkStages = parseInt(document.getElementById(stagesId).value) || 0;
+  if (shrinkStages === 0) {
+    return { shrinkStages };
+  }
+
+  return {
+    shrinkStages,
+    shrinkInterval: parseInt(document.getElementById(intervalId).value),
+    shrinkFinalRadius: parseInt(document.getElementById(finalRadiusId).value),
+    shrinkCenter: document.getElementById(centerId).value,
+  };
+}
+
+// The order only matters once there are checkpoints to visit
+function toggleCheckpointOrder(countId, orderId) {
+  document.getElementById(orderId).style.display = parseInt(document.getElementById(countId).value) > 0 ? "block" : "none";
+}
+
+// Describe a room's checkpoint route for the lobby settings
+function describeCheckpoints(state) {
+  if (!state.checkpointCount) {
+    return "Straight to the target";
+  }
+
+  const plural = state.checkpointCount === 1 ? "checkpoint" : "checkpoints";
+  return `${state.checkpointCount} ${plural} ${state.checkpointOrder === "unordered" ? "in any order" : "in order"}, then the target`;
+}
+
+// Points only matter once objectives spawn
+function toggleObjectivePoints(intervalId, pointsId) {
+  document.getElementById(pointsId).style.display = parseInt(document.getElementById(intervalId).value) > 0 ? "block" : "none";
+}
+
+// Read bonus objective settings from a form, leaving the points out when there are no objectives
+function readObjectiveSettings(intervalId, pointsId) {
+  const objectiveInterval = parseInt(document.getElementById(intervalId).value) || 0;
+  if (objectiveInterval === 0) {
+    return { objectiveInterval };
+  }
+
+  return {
+    objectiveInterval,
+    objectivePoints: parseInt(document.getElementById(pointsId).value),
+  };
+}
+
+// Describe a room's bonus objectives for the lobby settings
+function describeObjectives(state) {
+  if (!state.objectiveInterval) {
+    return "None";
+  }
+
+  const minutes = state.objectiveInterval === 1 ? "minute" : "minutes";
+  return `${state.objectivePoints} points every ${state.objectiveInterval} ${minutes}`;
+}
+
+// Instant captures need no amount
+function toggleCaptureDwellAmount(modeId, amountId) {
+  document.getElementById(amountId).style.display = document.getElementById(modeId).value === "none" ? "none" : "block";
+}
+
+// Read the zone capture inputs, leaving the amount out for instant captures
+function readCaptureDwell(modeId, amountId) {
+  const captureDwellMode = document.getElementById(modeId).value;
+  if (captureDwellMode === "none") {
+    return { captureDwellMode };
+  }
+
+  return { captureDwellMode, captureDwellAmount: parseInt(document.getElementById(amountId).value) };
+}
+
+// Describe how long runners must stay in a zone to capture it, for the lobby settings
+function describeCaptureDwell(state) {
+  if (state.captureDwellMode === "seconds") {
+    return `After ${state.captureDwellAmount} sec in the zone`;
+  }
+  if (state.captureDwellMode === "pings") {
+    return `After ${state.captureDwellAmount} updates in a row in the zone`;
+  }
+  return "On entry";
+}
+
+// Describe a room's shrinking boundary for the lobby settings
+function describeShrink(state) {
+  if (!state.shrinkStages) {
+    return "Off";
+  }
+
+  const towards = state.shrinkCenter === "random" ? "a random point" : "the centre";
+  return `${state.shrinkStages} times, every ${state.shrinkInterval} min, down to ${state.shrinkFinalRadius}m towards ${towards}`;
+}
+
+// Describe what happens to runners who leave the play area, for the lobby settings
+function describeOutOfBounds(state) {
+  const penalties = {
+    reveal: "Live location shown",
+    reset_zones: "Target back to first zone",
+    disqualify: "Disqualified",
+  };
+  return `${penalties[state.outOfBoundsPenalty]} after ${state.outOfBoundsGrace} sec`;
+}
+
+// Show the custom zone sizes input only when the custom option is picked
+function toggleCustomRadiusLadder(selectId, customId) {
+  const isCustom = document.getElementById(selectId).value === "custom";
+  document.getElementById(customId).style.display = isCustom ? "block" : "none";
+}
+
+// Read a zone radius ladder picker, giving either a preset name or a list of radii for the server to check
+function readRadiusLadder(selectId, customId) {
+  const preset = document.getElementById(selectId).value;
+  if (preset !== "custom") {
+    return preset;
+  }
+
+  return document
+    .getElementById(customId)
+    .value.split(",")
+    .map((radius) => radius.trim())
+    .filter((radius) => radius !== "")
+    .map(Number);
+}
+
+// Point a zone radius ladder picker at a room's ladder, falling back to custom if it isn't a preset
+function showRadiusLadder(selectId, customId, radiusLevels) {
+  if (!radiusLevels) return;
+
+  const select = document.getElementById(selectId);
+  const ladder = radiusLevels.join(",");
+  const preset = Array.from(select.options).find((option) => option.dataset.levels === ladder);
+
+  select.value = preset ? preset.value : "custom";
+  document.getElementById(customId).value = radiusLevels.join(", ");
+  toggleCustomRadiusLadder(selectId, customId);
+}
+
+// Results of the pre-game device checks, null until a check has finished
+let deviceChecks = { gps: null, mic: null };
+
+// Check that we have a location fix and microphone access, then tell the room
+function runDeviceChecks() {
+  deviceChecks = { gps: null, mic: null };
+  updateDeviceCheckDisplay();
+
+  const checkGps = new Promise((resolve) => {
+    GameMap.getCurrentLocation(
+      () => resolve(true),
+      () => resolve(false),
+    );
+  });
+
+  const checkMic = navigator.mediaDevices && navigator.mediaDevices.getUserMedia
+    ? navigator.mediaDevices
+        .getUserMedia({ audio: true })
+        .then((stream) => {
+          stream.getTracks().forEach((track) => track.stop());
+          return true;
+        })
+        .catch(() => false)
+    : Promise.resolve(false);
+
+  Promise.all([checkGps, checkMic]).then(([gps, mic]) => {
+    deviceChecks = { gps, mic };
+    updateDeviceCheckDisplay();
+
+    // Report the results without changing whether we're ready
+    if (gameState.roomId) {
+      socket.emit("set_ready", { ready: Boolean(gameState.isReady) && gps, deviceChecks });
+    }
+  });
+}
+
+function updateDeviceCheckDisplay() {
+  [
+    ["device-check-gps", deviceChecks.gps],
+    ["device-check-mic", deviceChecks.mic],
+  ].forEach(([elementId, passed]) => {
+    const element = document.getElementById(elementId);
+    element.classList.toggle("passed", passed === true);
+    element.classList.toggle("failed", passed === false);
+  });
+}
+
+function toggleReady() {
+  if (!deviceChecks.gps) {
+    return UI.showNotification("Your location is needed before you can be ready", "error");
+  }
+
+  socket.emit("set_ready", { ready: !gameState.isReady, deviceChecks });
+}
+
+function switchTeam() {
+  socket.emit("switch_team", { team: gameState.team === "hunter" ? "runner" : "hunter" });
+}
+
+function assignTeams(mode) {
+  if (!gameState.isHost) {
+    return UI.showNotification("Only the host can assign teams", "error");
+  }
+
+  socket.emit("assign_teams", { mode });
+}
+
+// Reflect our own ready flag, and lock the start button until everyone connected is ready
+function updateReadyControls(state) {
+  const me = state.players ? state.players.find((p) => p.playerId === gameState.playerId) : null;
+  gameState.isReady = Boolean(me && me.ready);
+
+  const readyBtn = document.getElementById("ready-btn");
+  readyBtn.textContent = gameState.isReady ? "Not Ready" : "I'm Ready";
+
+  // Spectators don't play, so they have nothing to check or ready up for
+  const isSpectator = gameState.team === "spectator";
+  ["ready-btn", "switch-team-btn", "recheck-devices-btn"].forEach((buttonId) => {
+    document.getElementById(buttonId).style.display = isSpectator ? "none" : "";
+  });
+  document.querySelector(".device-checks").style.display = isSpectator ? "none" : "";
+  document.getElementById("team-tools").style.display = gameState.isHost && state.status === "lobby" ? "flex" : "none";
+
+  const waitingFor = (state.players || []).filter((p) => p.connected && !p.ready && p.team !== "spectator");
+  const startGameBtn = document.getElementById("start-game-btn");
+  startGameBtn.disabled = waitingFor.length > 0;
+  startGameBtn.textContent = waitingFor.length > 0 ? `Waiting for ${waitingFor.length} player${waitingFor.length === 1 ? "" : "s"}` : "Start Game";
+}
+
+function handleTeamsAssigned(data) {
+  console.log("Teams assigned:", data);
+  const how = data.mode === "random" ? "shuffled" : "balanced";
+  UI.showNotification(data.changed > 0 ? `The host ${how} the teams, check your team and ready up again` : "Teams are already balanced", "info");
+}
+
+function handleHostChanged(data) {
+  console.log("Host changed:", data);
+
+  if (data.hostPlayerId === gameState.playerId) {
+    UI.showNotification("You are now the host", "success");
+  } else if (data.username) {
+    UI.showNotification(`${data.username} is now the host`, "info");
+  }
+}
+
+function handleKicked(data) {
+  console.log("Kicked:", data);
+  UI.hideLoading();
+  UI.showNotification(data.message || "You have been removed from the room", "warning");
+  resetGameState();
+  UI.showScreen("splash-screen");
+  currentScreen = "splash-screen";
+}
+
+function handlePlayerKicked(data) {
+  console.log("Player kicked:", data);
+  UI.showNotification(`${data.username} was removed by the host`, "info");
+}
+
+function handleRoomSettingsUpdated(data) {
+  console.log("Room settings updated:", data);
+  if (!gameState.isHost) {
+    UI.showNotification("The host changed the game settings", "info");
+  }
 }
 
 // Handle new game state
@@ -466,6 +1224,8 @@ function handleGameState(state) {
 
   // Update game status in our local state
   gameState.gameStatus = state.status;
+  updateHostStatus(state);
+  updateOwnTeam(state);
   saveGameSession();
 
   // Update UI based on current screen
@@ -496,14 +1256,14 @@ function handlePlayerJoined(data) {
 
   if (gameState.roomId) {
     // Request updated game state
-    socket.emit("resync_game_state", { roomId: gameState.roomId });
+    requestGameState();
   }
 }
 
 function handlePlayerDisconnected(data) {
   console.log("Player disconnected:", data);
   UI.showNotification(`${data.username} disconnected`, "info");
-  socket.emit("resync_game_state", { roomId: gameState.roomId });
+  requestGameState();
 }
 
 function handleRunnerLocation(data) {
@@ -534,8 +1294,8 @@ function handleTargetRadiusUpdate(data) {
   console.log("Target radius updated:", data);
 
   // Display the points earned notification if points were earned
-  if (data.pointsValue && data.earnedPoints) {
-    UI.showNotification(`You earned ${data.earnedPoints} points! Target is getting smaller!`, "success");
+  if (data.pointsEarned) {
+    UI.showNotification(`You earned ${data.pointsEarned} points! Target is getting smaller!`, "success");
   } else {
     UI.showNotification("Zone captured! New zone has been revealed...", "info");
   }
@@ -556,11 +1316,17 @@ function handleRunnerCaught(data) {
     Game.updateTeamUI("hunter");
   }
 
-  socket.emit("resync_game_state", { roomId: gameState.roomId });
+  requestGameState();
 }
 
 function handleGameOver(data) {
   console.log("Game over:", data);
+
+  // Stop the game timers if the game screen was running
+  if (Game.gameState) {
+    Game.endGame(data.endReason);
+  }
+
   UI.showScreen("game-over-screen");
   updateGameOverUI(data);
 }
@@ -568,8 +1334,12 @@ function handleGameOver(data) {
 function updateGameOverUI(data) {
   const state = data.gameState;
 
-  // Set game stats
-  document.getElementById("final-duration").textContent = `${state.gameDuration} min`;
+  // Say how the game ended, if we were there to hear it
+  document.getElementById("game-over-reason").textContent = data.reason ? `${data.reason}. ${data.winningTeam === "runner" ? "Runners win!" : "Hunters win!"}` : "";
+
+  // Set game stats, showing how long the game actually ran
+  const playedMinutes = state.startTime && state.endTime ? Math.max(1, Math.round((state.endTime - state.startTime) / 60000)) : state.gameDuration;
+  document.getElementById("final-duration").textContent = `${playedMinutes} min`;
 
   // Count reached targets
   const targetsReached = state.targets.filter((t) => t.reachedBy).length;
@@ -580,57 +1350,116 @@ function updateGameOverUI(data) {
   document.getElementById("runners-caught").textContent = runnersCaught;
 
   // Populate all player scores
-  const allPlayerScoresList = document.getElementById("all-player-scores-list");
-  if (allPlayerScoresList) {
-    allPlayerScoresList.innerHTML = "";
-
-    // Sort all players by score (highest first)
-    const allPlayers = [...state.players].sort((a, b) => (b.score || 0) - (a.score || 0));
-
-    if (allPlayers.length === 0) {
-      // No players in the game (shouldn't happen)
-      const noPlayers = document.createElement("div");
-      noPlayers.textContent = "No players in this game";
-      allPlayerScoresList.appendChild(noPlayers);
-    } else {
-      // Add each player's score
-      allPlayers.forEach((player) => {
-        const scoreItem = document.createElement("div");
-        scoreItem.className = `player-score-item ${player.team}`;
+  UI.renderPlayerScores(document.getElementById("all-player-scores-list"), state.players);
+  renderHunterBreakdown(state.hunterStats);
 
-        // Left side: player name and team
-        const playerInfo = document.createElement("div");
-        playerInfo.className = "player-info";
+  loadCatchPhotoGallery();
+}
 
-        const playerName = document.createElement("span");
-        playerName.className = "player-name";
-        playerName.textContent = player.username;
+// Show what each hunter did: catches, assists and how far they went
+function renderHunterBreakdown(hunterStats) {
+  const container = document.getElementById("hunter-breakdown");
+  const list = document.getElementById("hunter-breakdown-list");
+  if (!container || !list) return;
+
+  list.innerHTML = "";
+  container.style.display = hunterStats && hunterStats.length > 0 ? "block" : "none";
+  if (!hunterStats) return;
+
+  hunterStats.forEach((hunter) => {
+    const item = document.createElement("div");
+    item.className = "player-score-item hunter";
+
+    const name = document.createElement("span");
+    name.className = "player-name";
+    name.textContent = hunter.username;
+
+    const details = document.createElement("span");
+    details.className = "player-team";
+    const catches = `${hunter.catches} ${hunter.catches === 1 ? "catch" : "catches"}`;
+    const assists = `${hunter.assists} ${hunter.assists === 1 ? "assist" : "assists"}`;
+    details.textContent = `${catches}, ${assists}, ${(hunter.distance / 1000).toFixed(1)} km`;
+
+    const points = document.createElement("span");
+    points.className = "player-score";
+    points.textContent = hunter.points;
+
+    const info = document.createElement("div");
+    info.className = "player-info";
+    info.appendChild(name);
+    info.appendChild(details);
+
+    item.appendChild(info);
+    item.appendChild(points);
+    list.appendChild(item);
+  });
+}
 
-        const playerTeam = document.createElement("span");
-        playerTeam.className = "player-team";
-        playerTeam.textContent = `(${player.team})`;
+// Catch photos are only served to players in the room, so fetch them with our session and show them from a local URL
+async function loadCatchPhoto(url) {
+  try {
+    const response = await fetch(url, {
+      headers: { Authorization: `Bearer ${gameState.sessionToken}` },
+    });
+    if (!response.ok) return null;
 
-        playerInfo.appendChild(playerName);
-        playerInfo.appendChild(playerTeam);
+    return URL.createObjectURL(await response.blob());
+  } catch (error) {
+    console.error("Error loading catch photo:", error);
+    return null;
+  }
+}
 
-        // Right side: player score
-        const playerScore = document.createElement("span");
-        playerScore.className = "player-score";
-        playerScore.textContent = player.score || 0;
+// Fetch and show every catch photo taken during the game
+async function loadCatchPhotoGallery() {
+  const container = document.getElementById("catch-photos");
+  const gallery = document.getElementById("catch-photo-gallery");
+  if (!container || !gallery || !gameState.roomId) return;
 
-        scoreItem.appendChild(playerInfo);
-        scoreItem.appendChild(playerScore);
-        allPlayerScoresList.appendChild(scoreItem);
-      });
-    }
+  gallery.innerHTML = "";
+  container.style.display = "none";
+
+  try {
+    const response = await fetch(`/api/rooms/${gameState.roomId}/photos`, {
+      headers: { Authorization: `Bearer ${gameState.sessionToken}` },
+    });
+    if (!response.ok) return;
+
+    const { photos } = await response.json();
+    if (!photos || photos.length === 0) return;
+
+    const imageUrls = await Promise.all(photos.map((photo) => loadCatchPhoto(photo.url)));
+
+    photos.forEach((photo, index) => {
+      if (!imageUrls[index]) return;
+
+      const item = document.createElement("div");
+      item.className = `catch-photo-item ${photo.status}`;
+
+      const image = document.createElement("img");
+      image.src = imageUrls[index];
+      image.alt = `${photo.hunterUsername} catching ${photo.runnerUsername}`;
+
+      const caption = document.createElement("div");
+      caption.className = "catch-photo-caption";
+      caption.textContent = `${photo.hunterUsername} caught ${photo.runnerUsername}${photo.status === "overturned" ? " (overturned)" : ""}`;
+
+      item.appendChild(image);
+      item.appendChild(caption);
+      gallery.appendChild(item);
+    });
+
+    container.style.display = "block";
+  } catch (error) {
+    console.error("Error loading catch photos:", error);
   }
 }
 
 function startGame() {
   console.log("Starting game...", gameState);
 
-  if (!gameState.isRoomCreator) {
-    return UI.showNotification("Only the room creator can start the game", "error");
+  if (!gameState.isHost) {
+    return UI.showNotification("Only the host can start the game", "error");
   }
 
   UI.showLoading("Starting game...");
@@ -649,6 +1478,11 @@ function handleGameStarted(data) {
     UI.showNotification("Error starting game: No game state received", "error");
     return;
   }
+
+  if (data.gameState.status === "head_start") {
+    UI.showNotification(gameState.team === "runner" ? "Head start! Get away before the hunt begins" : "Runners have a head start, the hunt begins soon", "info");
+  }
+
   startGameUI(data.gameState);
 }
 
@@ -677,8 +1511,8 @@ function startGameUI(state) {
 }
 
 function deleteLobby() {
-  if (!gameState.isRoomCreator) {
-    return UI.showNotification("Only the room creator can delete the lobby", "error");
+  if (!gameState.isHost) {
+    return UI.showNotification("Only the host can delete the lobby", "error");
   }
 
   if (confirm("Are you sure you want to delete this lobby? All players will be disconnected.")) {
@@ -688,6 +1522,7 @@ function deleteLobby() {
 }
 
 function leaveLobby() {
+  socket.emit("leave_room");
   resetGameState();
   socket.disconnect();
 
@@ -704,8 +1539,202 @@ function reportSelfCaught() {
   }
 }
 
+// Runner the hunter is currently taking a catch photo of
+let pendingCatchRunnerId = null;
+
+function claimCatch(runnerId, claimBtn) {
+  const runner = Game.gameState && Game.gameState.players ? Game.gameState.players.find((p) => p.playerId === runnerId) : null;
+  const runnerName = runner ? runner.username : "this runner";
+
+  if (confirm(`Claim that you have caught ${runnerName}? Take a photo of them as proof. They will be asked to confirm.`)) {
+    claimBtn.disabled = true;
+    pendingCatchRunnerId = runnerId;
+
+    // Open the camera, the claim is sent once the photo is uploaded
+    const photoInput = document.getElementById("catch-photo-input");
+    photoInput.value = "";
+    photoInput.click();
+  }
+}
+
+async function handleCatchPhotoCaptured(e) {
+  const file = e.target.files[0];
+  const runnerId = pendingCatchRunnerId;
+  pendingCatchRunnerId = null;
+
+  if (!file || !runnerId) return;
+
+  UI.showLoading("Uploading catch photo...");
+
+  try {
+    const image = await resizeCatchPhoto(file);
+
+    const response = await fetch(`/api/rooms/${gameState.roomId}/players/${gameState.playerId}/photos`, {
+      method: "POST",
+      headers: { "Content-Type": image.type, Authorization: `Bearer ${gameState.sessionToken}` },
+      body: image,
+    });
+
+    const result = await response.json();
+
+    if (!response.ok) {
+      throw new Error(result.error || "Upload failed");
+    }
+
+    socket.emit("claim_catch", {
+      runnerId,
+      photoId: result.photoId,
+    });
+  } catch (error) {
+    console.error("Error uploading catch photo:", error);
+    UI.showNotification(`Could not upload catch photo: ${error.message}`, "error");
+    UI.updateGamePlayerLists(Game.gameState.players);
+  } finally {
+    UI.hideLoading();
+  }
+}
+
+// Shrink camera photos before upload, phone cameras produce far more pixels than we need
+function resizeCatchPhoto(file, maxDimension = 1280) {
+  return new Promise((resolve) => {
+    const image = new Image();
+    const objectUrl = URL.createObjectURL(file);
+
+    image.onload = () => {
+      URL.revokeObjectURL(objectUrl);
+
+      const scale = Math.min(1, maxDimension / Math.max(image.width, image.height));
+      const canvas = document.createElement("canvas");
+      canvas.width = Math.round(image.width * scale);
+      canvas.height = Math.round(image.height * scale);
+      canvas.getContext("2d").drawImage(image, 0, 0, canvas.width, canvas.height);
+
+      canvas.toBlob((blob) => resolve(blob || file), "image/jpeg", 0.8);
+    };
+
+    // Fall back to the original file if the browser cannot decode it
+    image.onerror = () => {
+      URL.revokeObjectURL(objectUrl);
+      resolve(file);
+    };
+
+    image.src = objectUrl;
+  });
+}
+
+// A hunter says they caught us, confirm or dispute it
+async function handleCatchClaimed(data) {
+  console.log("Catch claimed:", data);
+
+  const respond = (confirmed) => {
+    socket.emit("respond_catch", {
+      catchId: data.catchId,
+      confirmed,
+    });
+  };
+
+  const photoUrl = data.photoUrl ? await loadCatchPhoto(data.photoUrl) : null;
+  if (photoUrl) {
+    UI.showPhotoPrompt({
+      title: "Caught?",
+      message: `${data.hunterUsername} says they caught you.`,
+      photoUrl,
+      confirmLabel: "Confirm Catch",
+      cancelLabel: "Dispute",
+      onConfirm: () => respond(true),
+      onCancel: () => respond(false),
+    });
+    return;
+  }
+
+  respond(confirm(`${data.hunterUsername} says they caught you.\n\nPress OK to confirm, or Cancel to dispute it and let the host decide.`));
+}
+
+// We are the host, check the photo shows the runner
+async function handleCatchPhotoSubmitted(data) {
+  console.log("Catch photo submitted:", data);
+
+  const photoUrl = await loadCatchPhoto(data.photoUrl);
+  if (!photoUrl) return;
+
+  UI.showPhotoPrompt({
+    title: "Check Catch Photo",
+    message: `${data.hunterUsername} claims to have caught ${data.runnerUsername}. Does this photo show ${data.runnerUsername}?`,
+    photoUrl,
+    confirmLabel: "Looks Good",
+    cancelLabel: "Reject Catch",
+    onCancel: () => {
+      socket.emit("reject_catch_photo", { catchId: data.catchId });
+    },
+  });
+}
+
+function handleRunnerRestored(data) {
+  console.log("Runner restored:", data);
+  UI.showNotification(`${data.username}'s catch was rejected, they are back in the game!`, "info");
+
+  // Check if we're the restored player
+  if (data.playerId === gameState.playerId) {
+    gameState.team = "runner";
+    saveGameSession();
+    Game.updateTeamUI("runner");
+  }
+}
+
+function handleCatchClaimSent(data) {
+  console.log("Catch claim sent:", data);
+  UI.showNotification(`Waiting for ${data.runnerUsername} to confirm the catch...`, "info");
+}
+
+function handleCatchDisputed(data) {
+  console.log("Catch disputed:", data);
+  UI.showNotification(`${data.runnerUsername} disputed ${data.hunterUsername}'s catch. Waiting for the host to decide.`, "warning");
+}
+
+// We are the host and a runner has disputed a catch
+async function handleCatchRulingRequested(data) {
+  console.log("Catch ruling requested:", data);
+
+  const distanceText = data.distance != null ? ` They were last seen ${Math.round(data.distance)}m apart.` : "";
+  const rule = (upheld) => {
+    socket.emit("rule_catch", {
+      catchId: data.catchId,
+      upheld,
+    });
+  };
+
+  const photoUrl = data.photoUrl ? await loadCatchPhoto(data.photoUrl) : null;
+  if (photoUrl) {
+    UI.showPhotoPrompt({
+      title: "Disputed Catch",
+      message: `${data.runnerUsername} disputes being caught by ${data.hunterUsername}.${distanceText}`,
+      photoUrl,
+      confirmLabel: "Uphold Catch",
+      cancelLabel: "Overturn Catch",
+      onConfirm: () => rule(true),
+      onCancel: () => rule(false),
+    });
+    return;
+  }
+
+  rule(confirm(`${data.runnerUsername} disputes being caught by ${data.hunterUsername}.${distanceText}\n\nPress OK to uphold the catch, or Cancel to overturn it.`));
+}
+
+function handleCatchResolved(data) {
+  console.log("Catch resolved:", data);
+
+  if (data.resolution === "no_referee") {
+    UI.showNotification("Nobody else could rule on a disputed catch, so it was overturned", "info");
+  } else if (data.status === "overturned") {
+    UI.showNotification("The host overturned a disputed catch", "info");
+  }
+
+  requestGameState();
+}
+
 function leaveGame() {
   if (confirm("Are you sure you want to leave the game? Your progress will be lost.")) {
+    socket.emit("leave_room");
     resetGameState();
     socket.disconnect();
 
@@ -760,11 +1789,14 @@ function resetGameState() {
     playerId: null,
     username,
     team: null,
-    isRoomCreator: false,
+    isHost: false,
   };
 
   // Clear session storage
   localStorage.removeItem("huntedGameSession");
+  if (socket) {
+    socket.auth = {};
+  }
 }
 
 // Save game session to localStorage
@@ -772,6 +1804,280 @@ function saveGameSession() {
   localStorage.setItem("huntedGameSession", JSON.stringify(gameState));
 }
 
+// Read the session token saved by a previous page load
+function getSavedSessionToken() {
+  try {
+    const session = JSON.parse(localStorage.getItem("huntedGameSession"));
+    return (session && session.sessionToken) || null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Read the player profile this device uses, if any
+function getSavedProfile() {
+  try {
+    const profile = JSON.parse(localStorage.getItem("huntedProfile"));
+    return profile && profile.profileId && profile.token ? profile : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+// Token sent with every join so the game is added to the profile's history
+function getSavedProfileToken() {
+  const profile = getSavedProfile();
+  return profile ? profile.token : null;
+}
+
+function forgetProfile() {
+  localStorage.removeItem("huntedProfile");
+}
+
+async function createProfile() {
+  const displayName = document.getElementById("profile-display-name").value.trim();
+
+  if (!displayName) {
+    return UI.showNotification("Profile name is required", "error");
+  }
+
+  UI.showLoading("Creating profile...");
+
+  try {
+    const response = await fetch("/api/profiles", {
+      method: "POST",
+      headers: { "Content-Type": "application/json" },
+      body: JSON.stringify({ displayName }),
+    });
+    const result = await response.json();
+    UI.hideLoading();
+
+    if (!response.ok) {
+      return UI.showNotification(result.error || "Failed to create profile", "error");
+    }
+
+    localStorage.setItem("huntedProfile", JSON.stringify({ profileId: result.profileId, displayName: result.displayName, token: result.token }));
+    UI.showNotification("Profile created", "success");
+    showProfileScreen();
+  } catch (error) {
+    UI.hideLoading();
+    console.error("Error creating profile:", error);
+    UI.showNotification("Failed to create profile", "error");
+  }
+}
+
+// Show the profile screen, with lifetime stats if this device has a profile
+async function showProfileScreen() {
+  const profile = getSavedProfile();
+  const form = document.getElementById("create-profile-form");
+  const details = document.getElementById("profile-details");
+
+  UI.showScreen("profile-screen");
+  form.style.display = profile ? "none" : "block";
+  details.style.display = "none";
+  if (!profile) return;
+
+  try {
+    const response = await fetch(`/api/profiles/${encodeURIComponent(profile.profileId)}`);
+
+    if (response.status === 404) {
+      forgetProfile();
+      form.style.display = "block";
+      return UI.showNotification("Your profile could not be found", "error");
+    }
+    if (!response.ok) return UI.showNotification("Failed to load profile", "error");
+
+    renderProfile(await response.json());
+    details.style.display = "block";
+    loadLeaderboard(document.getElementById("leaderboard-scope").value);
+  } catch (error) {
+    console.error("Error loading profile:", error);
+    UI.showNotification("Failed to load profile", "error");
+  }
+}
+
+function renderProfile(profile) {
+  const { stats } = profile;
+
+  document.getElementById("profile-name").textContent = profile.displayName;
+  document.getElementById("profile-games-played").textContent = stats.gamesPlayed;
+  document.getElementById("profile-runner-wins").textContent = `${stats.winsAsRunner} of ${stats.gamesAsRunner}`;
+  document.getElementById("profile-catches").textContent = stats.catchesAsHunter;
+  document.getElementById("profile-assists").textContent = stats.assistsAsHunter;
+  document.getElementById("profile-survival-time").textContent = stats.averageSurvivalTime === null ? "-" : `${Math.round(stats.averageSurvivalTime / 60)} min`;
+  document.getElementById("profile-distance").textContent = `${(stats.distance / 1000).toFixed(1)} km`;
+  document.getElementById("profile-points").textContent = stats.points;
+  document.getElementById("profile-season").textContent = profile.rating.season;
+  document.getElementById("profile-rating").textContent = profile.rating.rating === null ? "Unrated" : `${profile.rating.rating} (${profile.rating.games} ${profile.rating.games === 1 ? "game" : "games"})`;
+
+  renderProfileGroups(profile.groups);
+
+  const list = document.getElementById("profile-games-list");
+  list.innerHTML = "";
+
+  if (profile.recentGames.length === 0) {
+    list.textContent = "No finished games yet";
+    return;
+  }
+
+  profile.recentGames.forEach((game) => {
+    const item = document.createElement("div");
+    item.className = `player-score-item ${game.team}`;
+
+    const name = document.createElement("span");
+    name.className = "player-name";
+    name.textContent = game.roomName;
+
+    const details = document.createElement("span");
+    details.className = "player-team";
+    // Hunters have no outcome of their own, runners won, survived, were caught or were disqualified
+    const role = game.team === "runner" ? `Runner, ${game.status}` : "Hunter";
+    details.textContent = `${role}${game.endedAt ? `, ${new Date(game.endedAt).toLocaleDateString()}` : ""}`;
+
+    const points = document.createElement("span");
+    points.className = "player-score";
+    points.textContent = game.points;
+
+    const info = document.createElement("div");
+    info.className = "player-info";
+    info.appendChild(name);
+    info.appendChild(details);
+
+    item.appendChild(info);
+    item.appendChild(points);
+    list.appendChild(item);
+  });
+}
+
+// List the profile's friend groups with the IDs friends need to join them, and offer them as leaderboard scopes
+function renderProfileGroups(groups) {
+  const list = document.getElementById("profile-groups-list");
+  const scope = document.getElementById("leaderboard-scope");
+  const selected = scope.value;
+
+  list.innerHTML = "";
+  scope.innerHTML = "";
+
+  const everyone = document.createElement("option");
+  everyone.value = "";
+  everyone.textContent = "Everyone";
+  scope.appendChild(everyone);
+
+  if (groups.length === 0) {
+    list.textContent = "Not in any groups yet";
+  }
+
+  groups.forEach((group) => {
+    const item = document.createElement("div");
+    item.className = "player-score-item";
+
+    const name = document.createElement("span");
+    name.className = "player-name";
+    name.textContent = group.name;
+
+    const groupId = document.createElement("span");
+    groupId.className = "player-team";
+    groupId.textContent = group.groupId;
+
+    item.appendChild(name);
+    item.appendChild(groupId);
+    list.appendChild(item);
+
+    const option = document.createElement("option");
+    option.value = group.groupId;
+    option.textContent = group.name;
+    scope.appendChild(option);
+  });
+
+  // Keep showing the group that was picked, if the profile is still in it
+  scope.value = groups.some((group) => group.groupId === selected) ? selected : "";
+}
+
+// Show the current season's leaderboard, of everyone or of one friend group
+async function loadLeaderboard(groupId) {
+  const list = document.getElementById("leaderboard-list");
+  const profile = getSavedProfile();
+
+  try {
+    const response = await fetch(`/api/leaderboard${groupId ? `?groupId=${encodeURIComponent(groupId)}` : ""}`);
+    if (!response.ok) return;
+
+    const { entries } = await response.json();
+    list.innerHTML = "";
+
+    if (entries.length === 0) {
+      list.textContent = "No rated games this season yet";
+      return;
+    }
+
+    entries.forEach((entry) => {
+      const item = document.createElement("div");
+      item.className = `player-score-item${profile && entry.profileId === profile.profileId ? " current-player" : ""}`;
+
+      const name = document.createElement("span");
+      name.className = "player-name";
+      name.textContent = `${entry.rank}. ${entry.displayName}`;
+
+      const rating = document.createElement("span");
+      rating.className = "player-score";
+      rating.textContent = entry.rating;
+
+      item.appendChild(name);
+      item.appendChild(rating);
+      list.appendChild(item);
+    });
+  } catch (error) {
+    console.error("Error loading leaderboard:", error);
+  }
+}
+
+async function createGroup() {
+  const name = document.getElementById("group-name-input").value.trim();
+  if (!name) {
+    return UI.showNotification("Group name is required", "error");
+  }
+
+  await sendGroupRequest("/api/groups", { name }, "Group created");
+  document.getElementById("group-name-input").value = "";
+}
+
+async function joinGroup() {
+  const groupId = document.getElementById("group-id-input").value.trim();
+  if (!groupId) {
+    return UI.showNotification("Group ID is required", "error");
+  }
+
+  await sendGroupRequest(`/api/groups/${encodeURIComponent(groupId)}/members`, {}, "Joined group");
+  document.getElementById("group-id-input").value = "";
+}
+
+// Create or join a friend group as this device's profile, then refresh the profile screen
+async function sendGroupRequest(url, body, successMessage) {
+  try {
+    const response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", Authorization: `Bearer ${getSavedProfileToken()}` },
+      body: JSON.stringify(body),
+    });
+    const result = await response.json();
+
+    if (!response.ok) {
+      return UI.showNotification(result.error || "Something went wrong", "error");
+    }
+
+    UI.showNotification(successMessage, "success");
+    showProfileScreen();
+  } catch (error) {
+    console.error("Error updating friend groups:", error);
+    UI.showNotification("Something went wrong", "error");
+  }
+}
+
+// Ask the server for our projection of the current game state
+function requestGameState() {
+  socket.emit("resync_game_state", { roomId: gameState.roomId, token: gameState.sessionToken });
+}
+
 // Get current game state - utility function accessible to other modules
 window.Game = window.Game || {};
 window.Game.getGameState = function () {
@@ -783,7 +2089,28 @@ function returnToActiveGame() {
   UI.showScreen("game-screen");
   currentScreen = "game-screen";
   // Request the latest game state
-  socket.emit("resync_game_state", { roomId: gameState.roomId });
+  requestGameState();
+}
+
+function handleTimeRemaining(data) {
+  if (currentScreen === "game-screen" && Game.gameState) {
+    Game.syncGameClock(data);
+  }
+}
+
+// The head start is over and the hunt has begun
+function handlePhaseChanged(data) {
+  console.log("Phase changed:", data);
+  gameState.gameStatus = data.phase;
+  saveGameSession();
+
+  if (data.phase === "active") {
+    UI.showNotification("The hunt has begun!", "warning");
+  }
+
+  if (currentScreen === "game-screen" && Game.gameState && data.gameState) {
+    Game.updateGameState(data.gameState);
+  }
 }
 
 // Handle zone activated event
@@ -795,13 +2122,124 @@ function handleZoneActivated(data) {
   Game.updateGameState(data.gameState);
 }
 
+// A ping counted towards capturing our zone, or we left it and the capture starts over
+function handleCaptureProgress(data) {
+  console.log("Capture progress:", data);
+
+  if (!data.startedAt) {
+    UI.showNotification("You left the zone, stay inside it to capture it", "warning");
+  }
+
+  Game.updateGameState(data.gameState);
+}
+
+// We reached a checkpoint, the next one (or our final target) may already be open
+function handleCheckpointReached(data) {
+  console.log("Checkpoint reached:", data);
+
+  const next = data.nextTargetId ? data.gameState.targets.find((target) => target.targetId === data.nextTargetId) : null;
+  const message = next && next.kind === "final" ? "Every checkpoint reached! Your final target has been revealed..." : "Checkpoint reached!";
+  UI.showNotification(`${message} (+${data.pointsEarned} points)`, "success");
+
+  Game.updateGameState(data.gameState);
+}
+
+// A bonus objective has appeared, runners race for it and hunters know roughly where they'll be
+function handleObjectiveSpawned(data) {
+  console.log("Bonus objective spawned:", data);
+
+  const message = gameState.team === "hunter" ? "A bonus objective has appeared, Runners will be heading for the marked area" : `A bonus objective worth ${data.pointsValue} points has appeared! First Runner there takes it`;
+  UI.showNotification(message, "info");
+
+  Game.updateGameState(data.gameState);
+}
+
+// Someone got to a bonus objective first
+function handleObjectiveClaimed(data) {
+  console.log("Bonus objective claimed:", data);
+
+  const isMe = data.playerId === gameState.playerId;
+  UI.showNotification(isMe ? `Bonus objective claimed! (+${data.pointsValue} points)` : `${data.username} claimed a bonus objective`, isMe ? "success" : "info");
+
+  Game.updateGameState(data.gameState);
+}
+
+// We are in our zone but the fix was too vague to count
+function handleCaptureRejected(data) {
+  console.log("Capture rejected:", data);
+  UI.showNotification(`${data.message}. Try moving somewhere with a clearer view of the sky`, "warning");
+}
+
 // Handle runner won event
 function handleRunnerWon(data) {
   console.log("Runner won:", data);
   UI.showNotification(`${data.username} has reached their target and won!`, "success");
 
   // Request updated game state
-  socket.emit("resync_game_state", { roomId: gameState.roomId });
+  requestGameState();
+}
+
+// A runner left the play area, the runner themselves gets the warning with their grace period
+function handleRunnerOutOfBounds(data) {
+  console.log("Runner out of bounds:", data);
+
+  if (data.playerId === gameState.playerId) {
+    UI.showNotification(data.warning, "error");
+  } else {
+    UI.showNotification(`${data.username} has left the play area!`, "warning");
+  }
+
+  Game.updateGameState(data.gameState);
+}
+
+function handleRunnerBackInBounds(data) {
+  console.log("Runner back in bounds:", data);
+
+  if (data.playerId === gameState.playerId) {
+    UI.showNotification("You are back inside the play area", "success");
+  } else {
+    UI.showNotification(`${data.username} is back inside the play area`, "info");
+  }
+
+  Game.updateGameState(data.gameState);
+}
+
+// A runner stayed out of bounds for too long
+function handleOutOfBoundsPenalty(data) {
+  console.log("Out of bounds penalty:", data);
+
+  const isMe = data.playerId === gameState.playerId;
+  const messages = {
+    missed_pings: isMe ? "Your location stopped updating while revealed, you have been disqualified!" : `${data.username} stopped sharing their location while revealed and has been disqualified`,
+    reveal: isMe ? "You stayed out of bounds, Hunters can now see your live location!" : `${data.username} stayed out of bounds, their live location is now shown`,
+    reset_zones: isMe ? "You stayed out of bounds, your target is back to its first zone!" : `${data.username} stayed out of bounds and lost their zone progress`,
+    disqualify: isMe ? "You stayed out of bounds and have been disqualified!" : `${data.username} stayed out of bounds and has been disqualified`,
+  };
+  UI.showNotification(messages[data.missedPings ? "missed_pings" : data.penalty], isMe ? "error" : "warning");
+
+  // A disqualified runner can't be caught any more
+  if (isMe && data.penalty === "disqualify") {
+    document.getElementById("caught-btn").style.display = "none";
+  }
+
+  Game.updateGameState(data.gameState);
+}
+
+// The next boundary is known, everyone gets to see it before it takes effect
+function handleBoundaryAnnounced(data) {
+  console.log("Boundary announced:", data);
+
+  const minutes = Math.max(1, Math.round((data.shrinksAt - Date.now()) / 60000));
+  UI.showNotification(`The play area shrinks in ${minutes} min, get inside the dashed circle!`, "warning");
+
+  Game.updateGameState(data.gameState);
+}
+
+function handleBoundaryShrunk(data) {
+  console.log("Boundary shrunk:", data);
+  UI.showNotification(`The play area has shrunk to ${data.boundary.radius}m (${data.stage}/${data.gameState.shrinkStages})`, "warning");
+
+  Game.updateGameState(data.gameState);
 }
 
 // Handle voice transmission started event
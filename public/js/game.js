@@ -15,6 +15,7 @@ const Game = {
   // Game settings
   settings: {
     locationUpdateInterval: 30000, // 30 seconds
+    revealedLocationUpdateInterval: 5000, // While out of bounds with the reveal penalty
   },
 
   // Timer intervals
@@ -24,6 +25,18 @@ const Game = {
     zoneTimer: null,
   },
 
+  // How often the running location timer pings, in milliseconds
+  locationTimerInterval: null,
+
+  // When the server will end the game, and how far our clock is behind the server's
+  gameEndsAt: null,
+  clockOffset: 0,
+
+  // Current room phase, when it ends, and how many seconds before the hunt the countdown starts
+  phase: null,
+  phaseEndsAt: null,
+  startCountdown: 0,
+
   // Initialize the game
   init: function (gameState, socket, initialState) {
     console.log("Initializing game with state:", initialState);
@@ -36,10 +49,13 @@ const Game = {
       playerId: gameState.playerId,
       username: gameState.username,
       team: gameState.team,
+      sessionToken: gameState.sessionToken,
     };
 
     // Set up map
-    GameMap.initGameMap(initialState.centralLocation.lat, initialState.centralLocation.lng, initialState.playRadius);
+    GameMap.initGameMap(initialState.centralLocation.lat, initialState.centralLocation.lng, initialState.playRadius, initialState);
+    GameMap.updateShrinkingBoundary(initialState.boundary);
+    GameMap.updateObjectives(initialState.objectives);
 
     // Initialize UI
     this.initGameUI();
@@ -47,8 +63,14 @@ const Game = {
     // Initialize voice chat system
     this.initVoiceChat();
 
-    // Start location timer
-    this.startLocationTimer();
+    // Spectators only watch, they never send their location
+    if (this.playerInfo.team !== "spectator") {
+      this.startLocationTimer();
+    }
+
+    // Count down the time left, the server ends the game when it runs out
+    this.syncGameClock(initialState);
+    this.startGameTimer();
 
     if (initialState.players) {
       initialState.players.forEach((player) => {
@@ -85,6 +107,7 @@ const Game = {
     // Update player lists in menu
     if (this.gameState.players) {
       UI.updateGamePlayerLists(this.gameState.players);
+      UI.updateScoreboard(this.gameState);
     }
   },
 
@@ -132,8 +155,14 @@ const Game = {
         return;
       }
 
+      // Spectators listen to everyone but can't talk
+      const isSpectator = this.playerInfo.team === "spectator";
+      document.getElementById("ptt-btn").style.display = isSpectator ? "none" : "";
+
       // Initialize PTT button
-      PTTButton.init();
+      if (!isSpectator) {
+        PTTButton.init();
+      }
 
       // Initialize speaker indicator
       SpeakerIndicator.init();
@@ -165,25 +194,135 @@ const Game = {
       clearInterval(this.timers.locationTimer);
     }
 
+    this.locationTimerInterval = this.getLocationUpdateInterval();
+
     // Start interval
     this.timers.locationTimer = setInterval(() => {
       // Get current location
       if (GameMap.currentLocation) {
         // Emit location update
-        this.emitLocationUpdate(GameMap.currentLocation.lat, GameMap.currentLocation.lng);
+        this.emitLocationUpdate(GameMap.currentLocation);
+      }
+    }, this.locationTimerInterval);
+  },
+
+  // Runners whose location is revealed for staying out of bounds ping far more often
+  getLocationUpdateInterval: function () {
+    const me = this.getOwnPlayer();
+    return me && me.locationRevealed ? this.settings.revealedLocationUpdateInterval : this.settings.locationUpdateInterval;
+  },
+
+  // Our own entry in the latest game state
+  getOwnPlayer: function () {
+    if (!this.gameState || !this.gameState.players || !this.playerInfo) return null;
+    return this.gameState.players.find((player) => player.playerId === this.playerInfo.playerId) || null;
+  },
+
+  // Show how long we have to get back into the play area, or hide the warning once we are back
+  updateOutOfBoundsBanner: function () {
+    const banner = document.getElementById("out-of-bounds-banner");
+    if (!banner) return;
+
+    const me = this.getOwnPlayer();
+    if (!me || !me.outOfBoundsGraceEndsAt) {
+      banner.style.display = "none";
+      return;
+    }
+
+    banner.style.display = "block";
+    const text = document.getElementById("out-of-bounds-text");
+    if (me.outOfBoundsPenalized) {
+      text.textContent = this.gameState.outOfBoundsPenalty === "reveal" ? "Out of bounds! Hunters can see your live location" : "Out of bounds! Get back into the play area";
+      return;
+    }
+
+    const secondsLeft = Math.max(0, Math.ceil((me.outOfBoundsGraceEndsAt - (Date.now() + this.clockOffset)) / 1000));
+    text.textContent = `Out of bounds! Get back into the play area within ${secondsLeft}s`;
+  },
+
+  // Take the phase and game end times from the server, along with the offset between our clocks
+  syncGameClock: function (data) {
+    if (!data || !data.endsAt) return;
+
+    this.gameEndsAt = data.endsAt;
+    this.phase = data.phase || data.status || this.phase;
+    this.phaseEndsAt = data.phaseEndsAt || null;
+    if (data.startCountdown !== undefined) {
+      this.startCountdown = data.startCountdown;
+    }
+    if (data.serverTime) {
+      this.clockOffset = data.serverTime - Date.now();
+    }
+
+    this.updateGameTimeDisplay();
+  },
+
+  // Start game countdown timer
+  startGameTimer: function () {
+    if (this.timers.gameTimer) {
+      clearInterval(this.timers.gameTimer);
+    }
+
+    this.updateGameTimeDisplay();
+    this.timers.gameTimer = setInterval(() => {
+      this.updateGameTimeDisplay();
+      this.updateOutOfBoundsBanner();
+
+      // A timed capture counts up between pings
+      if (this.gameState && this.gameState.captureDwellMode === "seconds" && this.playerInfo && this.playerInfo.team === "runner" && this.gameState.targets) {
+        this.updateZoneStatusDisplay(this.gameState.targets);
       }
-    }, this.settings.locationUpdateInterval);
+    }, 1000);
+  },
+
+  // Update the time remaining in the game header, counting down the head start first
+  updateGameTimeDisplay: function () {
+    const container = document.getElementById("game-time-container");
+    const valueElement = document.getElementById("game-time-value");
+    if (!container || !valueElement || !this.gameEndsAt) return;
+
+    container.style.display = "block";
+
+    const isHeadStart = this.phase === "head_start" && this.phaseEndsAt;
+    const endsAt = isHeadStart ? this.phaseEndsAt : this.gameEndsAt;
+    const timeRemaining = Math.max(0, Math.ceil((endsAt - (Date.now() + this.clockOffset)) / 1000));
+
+    document.getElementById("game-time-label").style.display = isHeadStart ? "inline" : "none";
+    this.updateStartCountdown(isHeadStart && timeRemaining <= this.startCountdown ? timeRemaining : null);
+
+    const hours = Math.floor(timeRemaining / 3600);
+    const minutes = Math.floor((timeRemaining % 3600) / 60);
+    const seconds = timeRemaining % 60;
+
+    const paddedSeconds = seconds.toString().padStart(2, "0");
+    valueElement.textContent = hours > 0 ? `${hours}:${minutes.toString().padStart(2, "0")}:${paddedSeconds}` : `${minutes}:${paddedSeconds}`;
+  },
+
+  // Show the final seconds of the head start over the map, or hide them with null
+  updateStartCountdown: function (secondsLeft) {
+    const overlay = document.getElementById("start-countdown");
+    if (!overlay) return;
+
+    overlay.style.display = secondsLeft === null ? "none" : "flex";
+    if (secondsLeft !== null) {
+      document.getElementById("start-countdown-value").textContent = secondsLeft > 0 ? secondsLeft : "Go!";
+    }
   },
 
   // Emit location update to server
-  emitLocationUpdate: function (lat, lng) {
+  emitLocationUpdate: function (location) {
     // Only send if we're in an active game
     if (!this.socket || !this.gameState) return;
 
-    // Emit location update
+    // Emit location update with the whole fix, the server rejects captures from vague fixes
     this.socket.emit("location_update", {
-      lat,
-      lng,
+      lat: location.lat,
+      lng: location.lng,
+      accuracy: location.accuracy,
+      altitude: location.altitude,
+      speed: location.speed,
+      heading: location.heading,
+      deviceTime: location.deviceTime,
     });
   },
 
@@ -193,12 +332,23 @@ const Game = {
 
     // Store new state
     this.gameState = { ...state };
+    this.syncGameClock(state);
 
     // Update player lists in menu
     if (state.players) {
       UI.updateGamePlayerLists(state.players);
+      UI.updateScoreboard(state);
+    }
+
+    // Keep the out of bounds warning and our ping rate in step with any penalty
+    this.updateOutOfBoundsBanner();
+    if (this.timers.locationTimer && this.locationTimerInterval !== this.getLocationUpdateInterval()) {
+      this.startLocationTimer();
     }
 
+    GameMap.updateShrinkingBoundary(state.boundary);
+    GameMap.updateObjectives(state.objectives);
+
     // Update targets on map (always call this to ensure targets are properly updated)
     if (this.playerInfo) {
       GameMap.updateTargets(state.targets, this.playerInfo.team);
@@ -246,14 +396,13 @@ const Game = {
       return;
     }
 
-    // Even if somehow there are multiple targets, just use the first one
-    const target = myTargets[0];
+    // With several checkpoints open, follow the one being captured, otherwise the next one on the route
+    const target = myTargets.find((t) => t.captureStartedAt) || myTargets.sort((a, b) => a.sequence - b.sequence)[0];
 
     // Update zones remaining display
     this.updateZonesRemainingDisplay(target);
 
-    // Target radius levels: [2000, 1000, 500, 250, 125]
-    const radiusLevels = [2000, 1000, 500, 250, 125];
+    const radiusLevels = this.getRadiusLevels();
     const currentRadiusIndex = radiusLevels.indexOf(target.radiusLevel);
     const nextZoneNumber = currentRadiusIndex + 2; // Next zone (current is index, so +1 for next, +1 for 1-based)
 
@@ -284,7 +433,8 @@ const Game = {
     // If zone is active or should be active now
     if (target.zoneStatus === "active" || (target.activationTime && Date.now() > target.activationTime)) {
       const nextZoneNumber = currentRadiusIndex + 2;  // Next zone (current is index, so +1 for next, +1 for 1-based)
-      zoneStatusElement.textContent = `Zone ${nextZoneNumber}: Unlocked`;
+      const capture = this.getCaptureProgress(target);
+      zoneStatusElement.textContent = capture ? `Zone ${nextZoneNumber}: Capturing ${capture}` : `Zone ${nextZoneNumber}: Unlocked`;
       zoneStatusElement.classList.remove("zone-inactive", "zone-countdown");
       zoneStatusElement.classList.add("zone-active");
     } else {
@@ -294,6 +444,26 @@ const Game = {
     }
   },
 
+  // Describe a zone capture in progress, like "12/30s" or "3/5 updates", or null if there is none
+  getCaptureProgress: function (target) {
+    const mode = this.gameState && this.gameState.captureDwellMode;
+    if (!target.captureStartedAt || (mode !== "seconds" && mode !== "pings")) return null;
+
+    const required = this.gameState.captureDwellAmount;
+    if (mode === "pings") {
+      return `${Math.min(target.capturePings, required)}/${required} updates`;
+    }
+
+    // The capture completes with the first update after the time is up
+    const elapsed = Math.floor((Date.now() + this.clockOffset - target.captureStartedAt) / 1000);
+    return `${Math.max(0, Math.min(elapsed, required))}/${required}s`;
+  },
+
+  // Get the room's zone radius ladder, from the largest zone to the smallest. The server sends it with the game state
+  getRadiusLevels: function () {
+    return (this.gameState && this.gameState.radiusLevels) || [];
+  },
+
   // Update zones remaining display for runners
   updateZonesRemainingDisplay: function (target) {
     const zonesRemainingElement = document.getElementById("zones-remaining-value");
@@ -309,8 +479,7 @@ const Game = {
     // Show the container
     zonesRemainingContainer.style.display = "block";
 
-    // Target radius levels: [2000, 1000, 500, 250, 125]
-    const radiusLevels = [2000, 1000, 500, 250, 125];
+    const radiusLevels = this.getRadiusLevels();
     const currentRadiusIndex = radiusLevels.indexOf(target.radiusLevel);
     
     if (currentRadiusIndex === -1) {
@@ -322,8 +491,20 @@ const Game = {
     const currentZoneNumber = currentRadiusIndex + 1;
     const totalZones = radiusLevels.length + 1;
 
-    // Show current zone progress
-    zonesRemainingElement.textContent = `Zone ${currentZoneNumber} of ${totalZones}`;
+    // Show current zone progress, after the progress along the route if there is one
+    const zoneProgress = `Zone ${currentZoneNumber} of ${totalZones}`;
+    const routeProgress = this.getRouteProgress(target);
+    zonesRemainingElement.textContent = routeProgress ? `${routeProgress} · ${zoneProgress}` : zoneProgress;
+  },
+
+  // Describe how far along their checkpoint route we are, or null if the room has no checkpoints
+  getRouteProgress: function (target) {
+    const checkpointCount = this.gameState && this.gameState.checkpointCount;
+    if (!checkpointCount) return null;
+    if (target.kind === "final") return "Final target";
+
+    const reached = this.gameState.targets.filter((t) => t.playerId === this.playerInfo.playerId && t.kind === "checkpoint" && t.status === "reached").length;
+    return `${reached}/${checkpointCount} checkpoints`;
   },
 
   // Start zone countdown timer
@@ -334,7 +515,7 @@ const Game = {
     }
 
     // Calculate next zone number
-    const radiusLevels = [2000, 1000, 500, 250, 125];
+    const radiusLevels = this.getRadiusLevels();
     const currentRadiusIndex = radiusLevels.indexOf(target.radiusLevel);
     const nextZoneNumber = currentRadiusIndex + 2; // Next zone (current is index, so +1 for next, +1 for 1-based)
 
@@ -391,11 +572,24 @@ const Game = {
         delete GameMap.targetCircles[targetId];
       });
     }
+
+    // If a catch was overturned and we are a runner again
+    if (team === "runner" && this.playerInfo.team === "hunter") {
+      this.playerInfo.team = "runner";
+
+      // Fetch our target zones again
+      this.socket.emit("resync_game_state", { roomId: this.gameState.roomId, token: this.playerInfo.sessionToken });
+    }
   },
 
   // End the game
   endGame: function (reason) {
     // Clear timers
+    if (this.timers.gameTimer) {
+      clearInterval(this.timers.gameTimer);
+      this.timers.gameTimer = null;
+    }
+
     if (this.timers.zoneTimer) {
       clearInterval(this.timers.zoneTimer);
       this.timers.zoneTimer = null;
@@ -406,6 +600,9 @@ const Game = {
       this.timers.locationTimer = null;
     }
 
+    this.updateStartCountdown(null);
+    document.getElementById("out-of-bounds-banner").style.display = "none";
+
     // Stop location tracking
     GameMap.stopLocationTracking();
 
@@ -418,6 +615,8 @@ const Game = {
       gameOverMessage = "Game Over! All Runners have been caught.";
     } else if (reason === "runners_won") {
       gameOverMessage = "Game Over! Runners have reached their targets.";
+    } else if (reason === "time_expired") {
+      gameOverMessage = "Game Over! Time has run out.";
     } else {
       gameOverMessage = "Game Over!";
     }
@@ -17,14 +17,26 @@ const GameMap = {
   runnerLabels: {},
   runnerHistoryMarkers: {},
   runnerHistoryLines: {},
+  runnerAccuracyCircles: {},
   targetMarkers: {},
   targetCircles: {},
   boundaryCircle: null,
+  shrinkingBoundaryLayers: [],
+  objectiveLayers: [],
 
   // Store current location
   currentLocation: null,
   selectedLocation: null,
 
+  // Play area, exclusion zones and allowed area drawn on the setup map
+  playArea: null,
+  exclusionZones: [],
+  allowedArea: null,
+  areaLayers: [],
+  drawingMode: null, // "play_area", "exclusion" or "allowed" while a shape is being drawn
+  drawingPoints: [],
+  drawingLine: null,
+
   // Watch position ID
   watchPositionId: null,
 
@@ -170,10 +182,22 @@ const GameMap = {
       },
     );
 
+    // Shapes from an earlier visit to the setup screen are redrawn on the new map
+    this.drawingMode = null;
+    this.drawingPoints = [];
+    this.drawingLine = null;
+    this.redrawPlacementAreas();
+
     // Handle map clicks for selecting location
     this.setupMap.on("click", (e) => {
       const { lat, lng } = e.latlng;
 
+      // While drawing a shape, taps add corners instead of moving the center
+      if (this.drawingMode) {
+        this.addDrawingPoint(lat, lng);
+        return;
+      }
+
       // Update marker position
       if (this.selectedLocationMarker) {
         this.selectedLocationMarker.setLatLng([lat, lng]);
@@ -211,8 +235,165 @@ const GameMap = {
     return this.selectedLocation;
   },
 
+  // Start drawing an exclusion zone or the allowed area on the setup map
+  startDrawing: function (mode) {
+    this.cancelDrawing();
+    this.drawingMode = mode;
+    this.drawingLine = L.polyline([], this.getAreaStyle(mode)).addTo(this.setupMap);
+  },
+
+  // Add a corner to the shape being drawn
+  addDrawingPoint: function (lat, lng) {
+    this.drawingPoints.push({ lat, lng });
+    this.drawingLine.setLatLngs(this.drawingPoints.map((point) => [point.lat, point.lng]));
+  },
+
+  // Close the shape being drawn, returns false if it doesn't have enough corners yet
+  finishDrawing: function () {
+    if (!this.drawingMode || this.drawingPoints.length < 3) {
+      return false;
+    }
+
+    if (this.drawingMode === "play_area") {
+      this.playArea = this.drawingPoints;
+    } else if (this.drawingMode === "allowed") {
+      this.allowedArea = this.drawingPoints;
+    } else {
+      this.exclusionZones.push(this.drawingPoints);
+    }
+
+    this.cancelDrawing();
+    this.redrawPlacementAreas();
+    return true;
+  },
+
+  // Throw away the shape being drawn
+  cancelDrawing: function () {
+    if (this.drawingLine) {
+      this.setupMap.removeLayer(this.drawingLine);
+    }
+    this.drawingMode = null;
+    this.drawingPoints = [];
+    this.drawingLine = null;
+  },
+
+  // Remove every shape drawn on the setup map
+  clearPlacementAreas: function () {
+    this.cancelDrawing();
+    this.playArea = null;
+    this.exclusionZones = [];
+    this.allowedArea = null;
+    this.redrawPlacementAreas();
+  },
+
+  // Get the shapes drawn on the setup map
+  getPlacementAreas: function () {
+    return {
+      exclusionZones: this.exclusionZones,
+      allowedArea: this.allowedArea,
+    };
+  },
+
+  // Get the play area drawn on the setup map as a GeoJSON polygon, or null to play in a circle
+  getPlayArea: function () {
+    if (!this.playArea) return null;
+
+    const ring = this.playArea.map((point) => [point.lng, point.lat]);
+    ring.push(ring[0]);
+    return { type: "Polygon", coordinates: [ring] };
+  },
+
+  // Show the finished shapes on the setup map
+  redrawPlacementAreas: function () {
+    this.areaLayers.forEach((layer) => layer.remove());
+    this.areaLayers = this.drawPlacementAreas(this.setupMap, this.getPlacementAreas());
+
+    if (this.playArea) {
+      this.areaLayers.push(L.geoJSON(this.getPlayArea(), { style: this.getAreaStyle("play_area") }).addTo(this.setupMap));
+    }
+  },
+
+  // Draw a room's play area, its polygon if the host drew one or its circle otherwise
+  drawPlayArea: function (map, centerLat, centerLng, playAreaRadius, playArea, style) {
+    if (playArea) {
+      return L.geoJSON(playArea, { style: { ...style, interactive: false } }).addTo(map);
+    }
+
+    return L.circle([centerLat, centerLng], {
+      radius: playAreaRadius,
+      ...style,
+    }).addTo(map);
+  },
+
+  // Draw exclusion zones and an allowed area on a map, returns the layers added
+  drawPlacementAreas: function (map, areas) {
+    if (!map || !areas) return [];
+
+    const layers = (areas.exclusionZones || []).map((zone) => L.polygon(zone.map((point) => [point.lat, point.lng]), this.getAreaStyle("exclusion")).addTo(map));
+
+    if (areas.allowedArea) {
+      layers.push(L.polygon(areas.allowedArea.map((point) => [point.lat, point.lng]), this.getAreaStyle("allowed")).addTo(map));
+    }
+
+    return layers;
+  },
+
+  // Exclusion zones are red, the allowed area is a dashed green outline and the play area matches the game boundary
+  getAreaStyle: function (mode) {
+    if (mode === "play_area") {
+      return { color: "#2a3990", fillColor: "#2a3990", fillOpacity: 0.1, weight: 2, dashArray: "5, 10", interactive: false };
+    }
+    if (mode === "allowed") {
+      return { color: "#2e7d32", fillOpacity: 0, weight: 2, dashArray: "8, 6", interactive: false };
+    }
+    return { color: "#c0392b", fillColor: "#c0392b", fillOpacity: 0.25, weight: 2, interactive: false };
+  },
+
+  // Draw a shrinking boundary on a map, the current circle solid and the announced one dashed, returns the layers added
+  drawShrinkingBoundary: function (map, boundary) {
+    if (!map || !boundary) return [];
+
+    const layers = [];
+    if (boundary.current) {
+      layers.push(L.circle([boundary.current.lat, boundary.current.lng], { radius: boundary.current.radius, color: "#e67e22", fillOpacity: 0, weight: 3, interactive: false }).addTo(map));
+    }
+    if (boundary.next) {
+      layers.push(L.circle([boundary.next.lat, boundary.next.lng], { radius: boundary.next.radius, color: "#e67e22", fillOpacity: 0, weight: 2, dashArray: "6, 8", interactive: false }).addTo(map));
+    }
+    return layers;
+  },
+
+  // Redraw the shrinking boundary on the game map, everyone sees it so runners know where to be
+  updateShrinkingBoundary: function (boundary) {
+    this.shrinkingBoundaryLayers.forEach((layer) => layer.remove());
+    this.shrinkingBoundaryLayers = this.drawShrinkingBoundary(this.gameMap, boundary);
+  },
+
+  // Redraw the open bonus objectives, the exact spot where we are allowed to see it and otherwise the area around it
+  updateObjectives: function (objectives) {
+    this.objectiveLayers.forEach((layer) => layer.remove());
+    this.objectiveLayers = [];
+    if (!this.gameMap || !objectives) return;
+
+    objectives
+      .filter((objective) => objective.status === "active")
+      .forEach((objective) => {
+        const label = `Bonus objective: ${objective.pointsValue} points`;
+
+        if (objective.location) {
+          const spot = L.circle([objective.location.lat, objective.location.lng], { radius: objective.claimRadius, color: "#d4ac0d", fillColor: "#f1c40f", fillOpacity: 0.5, weight: 2 }).addTo(this.gameMap);
+          spot.bindTooltip(label);
+          this.objectiveLayers.push(spot);
+        } else {
+          const area = L.circle([objective.area.lat, objective.area.lng], { radius: objective.area.radius, color: "#d4ac0d", fillColor: "#f1c40f", fillOpacity: 0.1, weight: 2, dashArray: "4, 8" }).addTo(this.gameMap);
+          area.bindTooltip(`${label}, somewhere in this area`);
+          this.objectiveLayers.push(area);
+        }
+      });
+  },
+
   // Initialize the game map
-  initGameMap: function (centerLat, centerLng, playAreaRadius = 5000) {
+  initGameMap: function (centerLat, centerLng, playAreaRadius = 5000, areas = null) {
     // Get map container
     const mapContainer = document.getElementById("game-map");
     if (!mapContainer) return;
@@ -231,9 +412,12 @@ const GameMap = {
     this.runnerLabels = {};
     this.runnerHistoryMarkers = {};
     this.runnerHistoryLines = {};
+    this.runnerAccuracyCircles = {};
     this.targetMarkers = {};
     this.targetCircles = {};
     this.boundaryCircle = null;
+    this.shrinkingBoundaryLayers = [];
+    this.objectiveLayers = [];
     this.runnerDataCache = {};
 
     // Clear any existing timer
@@ -264,15 +448,16 @@ const GameMap = {
     this.gameMap.setView([centerLat, centerLng], 14);
 
     // Add game boundary circle
-    if (gameState.team === "hunter") {
-      this.boundaryCircle = L.circle([centerLat, centerLng], {
-        radius: playAreaRadius,
+    if (gameState.team !== "runner") {
+      this.boundaryCircle = this.drawPlayArea(this.gameMap, centerLat, centerLng, playAreaRadius, areas && areas.playArea, {
         color: "#2a3990",
         fillColor: "#ffffff",
         fillOpacity: 0.1,
         weight: 2,
         dashArray: "5, 10",
-      }).addTo(this.gameMap);
+      });
+
+      this.drawPlacementAreas(this.gameMap, areas);
     }
 
     // Start tracking player location
@@ -341,7 +526,7 @@ const GameMap = {
   },
 
   // Initialize the lobby map
-  initLobbyMap: function (centerLat, centerLng, playAreaRadius = 5000) {
+  initLobbyMap: function (centerLat, centerLng, playAreaRadius = 5000, areas = null) {
     console.log("Initializing lobby map with coordinates:", centerLat, centerLng);
 
     // Get map container
@@ -384,14 +569,12 @@ const GameMap = {
     L.marker([centerLat, centerLng]).addTo(this.lobbyMap);
 
     // Add game boundary circle
-    L.circle([centerLat, centerLng], {
-      radius: playAreaRadius,
-      color: "#2a3990",
-      fillColor: "#2a3990",
-      fillOpacity: 0.1,
-      weight: 2,
-      dashArray: "5, 10",
-    }).addTo(this.lobbyMap);
+    const boundary = this.drawPlayArea(this.lobbyMap, centerLat, centerLng, playAreaRadius, areas && areas.playArea, this.getAreaStyle("play_area"));
+    if (areas && areas.playArea) {
+      this.lobbyMap.fitBounds(boundary.getBounds());
+    }
+
+    this.drawPlacementAreas(this.lobbyMap, areas);
 
     // Disable interactions for simplicity
     this.lobbyMap.dragging.disable();
@@ -409,13 +592,17 @@ const GameMap = {
   updatePlayerLocation: function (position) {
     if (!this.gameMap) return;
 
-    const { latitude, longitude, accuracy } = position.coords;
+    const { latitude, longitude, accuracy, altitude, speed, heading } = position.coords;
 
-    // Store current location
+    // Store current location with the rest of the fix, the server uses it to judge how far to trust the ping
     this.currentLocation = {
       lat: latitude,
       lng: longitude,
       accuracy: accuracy,
+      altitude: altitude,
+      speed: speed,
+      heading: heading,
+      deviceTime: position.timestamp,
     };
 
     // Check if player marker exists
@@ -456,7 +643,7 @@ const GameMap = {
     }*/
 
     // Emit location update to server
-    Game.emitLocationUpdate(latitude, longitude);
+    Game.emitLocationUpdate(this.currentLocation);
   },
 
   // Handle location errors
@@ -587,6 +774,10 @@ const GameMap = {
     if (locationHistory && locationHistory.length > 0) {
       this.updateRunnerHistoryTrail(playerId, locationHistory, lat, lng, lastPingTime, username);
     }
+
+    if (team === "runner") {
+      this.updateAccuracyCircles(playerId, [...(locationHistory || []), location]);
+    }
   },
 
   // Update runner location on map (for hunters)
@@ -697,6 +888,27 @@ const GameMap = {
     if (locationHistory && locationHistory.length > 0/* && gameState.team !== "hunter"*/) {
       this.updateRunnerHistoryTrail(playerId, locationHistory, lat, lng, timestamp, username);
     }
+
+    this.updateAccuracyCircles(playerId, [...(locationHistory || []), { lat, lng, accuracy: data.location && data.location.accuracy }]);
+  },
+
+  // Show how far off each of a runner's pings could be, the latest one strongest
+  updateAccuracyCircles: function (playerId, points) {
+    (this.runnerAccuracyCircles[playerId] || []).forEach((circle) => this.gameMap.removeLayer(circle));
+
+    this.runnerAccuracyCircles[playerId] = points
+      .filter((point) => point && point.accuracy)
+      .map((point, index, withAccuracy) => {
+        const isLatest = index === withAccuracy.length - 1;
+        return L.circle([point.lat, point.lng], {
+          radius: point.accuracy,
+          color: "#d35400",
+          fillColor: "#d35400",
+          fillOpacity: isLatest ? 0.15 : 0.05,
+          weight: isLatest ? 1 : 0.5,
+          interactive: false,
+        }).addTo(this.gameMap);
+      });
   },
 
   // Update the runner's historical location trail
@@ -877,58 +1089,53 @@ const GameMap = {
       }
     });
 
-    // Only process targets for current player and with active status
-    const myActiveTargets = targets.filter((target) => target.playerId === gameState.playerId && target.status !== "reached");
+    // Only process targets for current player and with active status, checkpoints further along the route stay pending
+    const myActiveTargets = targets.filter((target) => target.playerId === gameState.playerId && target.status === "active");
 
     console.log(`Found ${myActiveTargets.length} active targets for current player`);
 
-    // For runners, we should only have at most one active target
-    if (myActiveTargets.length > 0) {
-      // If somehow there are multiple targets, just use the first one
-      const target = myActiveTargets[0];
+    // Runners draw their active targets, one unless checkpoints can be visited in any order, spectators draw every runner's current zones
+    const targetsToDraw = playerTeam === "spectator" ? targets.filter((target) => target.status === "active") : myActiveTargets;
+
+    targetsToDraw.forEach((target) => {
       console.log("Processing target:", target);
 
-      // Only create circles for runner
-      if (playerTeam === "runner") {
+      // Only create circles once the server has sent the current zone
+      if ((playerTeam === "runner" || playerTeam === "spectator") && target.zone) {
         // Create a feature group to hold all circles
         this.targetCircles[target.targetId] = L.featureGroup().addTo(this.gameMap);
 
-        // Get radius levels from the game config
-        const radiusLevels = [2000, 1000, 500, 250, 125]; // Should really be getting this from config.game.targetRadiusLevels
-
-        // Generate positions for nested circles
-        const circlePositions = geoUtils.generateNestedCirclePositions(target.location.lat, target.location.lng, radiusLevels);
+        // The server only sends the zone we are currently working on
+        const zone = target.zone;
 
         // Determine if the zone is active
         const isActive = target.zoneStatus === "active" || (target.activationTime && Date.now() > target.activationTime);
 
-        // Create each circle at its calculated position
-        circlePositions.forEach((position, index) => {
-          if (position.radius !== target.radiusLevel) {
-            return;
-          }
-
-          // Use different colors for active vs inactive zones
-          const circleColor = isActive ? "#4caf50" : "#ef7d54";
-          const fillOpacity = 0.3;
-          const dashArray = isActive ? null : "5, 5";
-
-          // Create circle with the specified radius at the calculated position
-          const circle = L.circle([position.lat, position.lng], {
-            radius: position.radius,
-            color: circleColor,
-            fillColor: circleColor,
-            fillOpacity: fillOpacity,
-            weight: 2,
-            dashArray: dashArray,
-            className: `map-circle-target map-circle-target-level-${position.radius} ${isActive ? "active-zone" : "inactive-zone"}`,
-          });
-
-          // Add the circle to the feature group
-          this.targetCircles[target.targetId].addLayer(circle);
+        // Use different colors for active vs inactive zones
+        const circleColor = isActive ? "#4caf50" : "#ef7d54";
+        const fillOpacity = 0.3;
+        const dashArray = isActive ? null : "5, 5";
+
+        // Create circle with the zone's radius at its position
+        const circle = L.circle([zone.lat, zone.lng], {
+          radius: zone.radius,
+          color: circleColor,
+          fillColor: circleColor,
+          fillOpacity: fillOpacity,
+          weight: 2,
+          dashArray: dashArray,
+          className: `map-circle-target map-circle-target-level-${zone.radius} ${isActive ? "active-zone" : "inactive-zone"}`,
         });
+
+        // Tell checkpoints apart from the final target
+        if (target.kind === "checkpoint") {
+          circle.bindTooltip(`Checkpoint ${target.sequence + 1}`);
+        }
+
+        // Add the circle to the feature group
+        this.targetCircles[target.targetId].addLayer(circle);
       }
-    }
+    });
   },
 
   // Remove a runner marker
@@ -937,6 +1144,11 @@ const GameMap = {
       this.gameMap.removeLayer(this.runnerMarkers[playerId]);
       delete this.runnerMarkers[playerId];
     }
+
+    if (this.runnerAccuracyCircles[playerId]) {
+      this.runnerAccuracyCircles[playerId].forEach((circle) => this.gameMap.removeLayer(circle));
+      delete this.runnerAccuracyCircles[playerId];
+    }
   },
 
   // Calculate distance between two points
@@ -962,8 +1174,8 @@ const GameMap = {
   updateAllRunnerLabels: function () {
     const currentTime = Date.now();
 
-    // Only do this for hunters
-    if (gameState.team !== "hunter") return;
+    // Only do this for hunters and spectators
+    if (gameState.team === "runner") return;
 
     // Update main runner markers
     Object.keys(this.runnerDataCache).forEach((playerId) => {
@@ -144,6 +144,37 @@ const UI = {
     loadingOverlay.classList.remove("show");
   },
 
+  // Show a catch photo with a yes/no choice, like confirm() but with the photo visible
+  showPhotoPrompt: function ({ title, message, photoUrl, confirmLabel, cancelLabel, onConfirm, onCancel }) {
+    const prompt = document.getElementById("photo-prompt");
+    const image = document.getElementById("photo-prompt-image");
+    const confirmBtn = document.getElementById("photo-prompt-confirm-btn");
+    const cancelBtn = document.getElementById("photo-prompt-cancel-btn");
+
+    document.getElementById("photo-prompt-title").textContent = title;
+    document.getElementById("photo-prompt-message").textContent = message;
+    confirmBtn.textContent = confirmLabel;
+    cancelBtn.textContent = cancelLabel;
+
+    if (photoUrl) {
+      image.src = photoUrl;
+      image.style.display = "block";
+    } else {
+      image.removeAttribute("src");
+      image.style.display = "none";
+    }
+
+    // Replace handlers from any previous prompt
+    const close = (callback) => {
+      prompt.classList.remove("show");
+      if (callback) callback();
+    };
+    confirmBtn.onclick = () => close(onConfirm);
+    cancelBtn.onclick = () => close(onCancel);
+
+    prompt.classList.add("show");
+  },
+
   // Update time display in game
   updateTimeDisplay: function (seconds) {
     const timeElement = document.getElementById("time-value");
@@ -191,14 +222,20 @@ const UI = {
       hunterList.appendChild(listItem);
     });
 
+    // Hunters can claim a catch on any runner who is still free
+    const canClaimCatch = gameState.team === "hunter";
+
     // Add runners to list
     runners.forEach((runner) => {
+      const isFree = runner.status !== "caught" && runner.status !== "won" && runner.status !== "survived" && runner.status !== "disqualified";
       const listItem = document.createElement("li");
       listItem.className = "player-item team-runner";
       listItem.setAttribute("data-player-id", runner.playerId);
       listItem.innerHTML = `
                 <span class="player-name">${runner.username}</span>
-                ${runner.status === "caught" ? '<span class="player-status caught">Caught</span>' : runner.status === "won" ? '<span class="player-status won">Won</span>' : ""}
+                ${runner.status === "caught" ? '<span class="player-status caught">Caught</span>' : runner.status === "won" ? '<span class="player-status won">Won</span>' : runner.status === "survived" ? '<span class="player-status won">Survived</span>' : runner.status === "disqualified" ? '<span class="player-status caught">Disqualified</span>' : ""}
+                ${runner.outOfBoundsGraceEndsAt ? '<span class="player-status out-of-bounds">Out of bounds</span>' : ""}
+                ${canClaimCatch && isFree ? `<button class="claim-catch-btn" data-player-id="${runner.playerId}">Caught</button>` : ""}
             `;
       runnerList.appendChild(listItem);
     });
@@ -209,6 +246,66 @@ const UI = {
     }
   },
 
+  // Fill a list with every player and their score, highest first
+  renderPlayerScores: function (list, players) {
+    if (!list || !players) return;
+
+    list.innerHTML = "";
+
+    const allPlayers = [...players].sort((a, b) => (b.score || 0) - (a.score || 0));
+
+    if (allPlayers.length === 0) {
+      // No players in the game (shouldn't happen)
+      const noPlayers = document.createElement("div");
+      noPlayers.textContent = "No players in this game";
+      list.appendChild(noPlayers);
+      return;
+    }
+
+    allPlayers.forEach((player) => {
+      const scoreItem = document.createElement("div");
+      scoreItem.className = `player-score-item ${player.team}`;
+
+      // Left side: player name and team
+      const playerInfo = document.createElement("div");
+      playerInfo.className = "player-info";
+
+      const playerName = document.createElement("span");
+      playerName.className = "player-name";
+      playerName.textContent = player.username;
+
+      const playerTeam = document.createElement("span");
+      playerTeam.className = "player-team";
+      playerTeam.textContent = `(${player.team})`;
+
+      playerInfo.appendChild(playerName);
+      playerInfo.appendChild(playerTeam);
+
+      // Right side: player score
+      const playerScore = document.createElement("span");
+      playerScore.className = "player-score";
+      playerScore.textContent = player.score || 0;
+
+      scoreItem.appendChild(playerInfo);
+      scoreItem.appendChild(playerScore);
+      list.appendChild(scoreItem);
+    });
+  },
+
+  // Update the live scoreboard in the game menu
+  updateScoreboard: function (state) {
+    if (!state || !state.players) return;
+
+    const teamScores = state.teamScores || { runner: 0, hunter: 0 };
+    document.getElementById("scoreboard-runner-total").textContent = teamScores.runner;
+    document.getElementById("scoreboard-hunter-total").textContent = teamScores.hunter;
+
+    this.renderPlayerScores(
+      document.getElementById("scoreboard-list"),
+      state.players.filter((player) => player.team !== "spectator"),
+    );
+  },
+
   // Show team controls based on player's team
   showTeamControls: function (team) {
     const hunterControls = document.getElementById("hunter-controls");
@@ -217,6 +314,9 @@ const UI = {
     if (team === "hunter") {
       hunterControls.style.display = "flex";
       runnerControls.style.display = "none";
+    } else if (team === "spectator") {
+      hunterControls.style.display = "none";
+      runnerControls.style.display = "none";
     } else {
       hunterControls.style.display = "none";
       runnerControls.style.display = "flex";
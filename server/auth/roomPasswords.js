@@ -0,0 +1,42 @@
+/**
+ * Optional room passwords
+ *
+ * Passwords are stored as <salt>:<scrypt hash>, both hex encoded.
+ */
+
+const crypto = require("crypto");
+
+const KEY_LENGTH = 32;
+
+/**
+ * Hash a room password for storage
+ * @param {string} password - Plain text password
+ * @returns {string} Salted hash
+ */
+function hashPassword(password) {
+  const salt = crypto.randomBytes(16).toString("hex");
+  const hash = crypto.scryptSync(password, salt, KEY_LENGTH).toString("hex");
+  return `${salt}:${hash}`;
+}
+
+/**
+ * Check a password against a stored hash
+ * @param {string} password - Plain text password
+ * @param {string} storedHash - Salted hash from the rooms table
+ * @returns {boolean} True if the password matches
+ */
+function verifyPassword(password, storedHash) {
+  if (typeof password !== "string" || !storedHash) return false;
+
+  const [salt, hash] = storedHash.split(":");
+  if (!salt || !hash) return false;
+
+  const expected = Buffer.from(hash, "hex");
+  const actual = crypto.scryptSync(password, salt, KEY_LENGTH);
+  return expected.length === actual.length && crypto.timingSafeEqual(expected, actual);
+}
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+};
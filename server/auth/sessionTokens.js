@@ -0,0 +1,128 @@
+/**
+ * Signed player session tokens
+ *
+ * A token is issued the first time a player joins a room and proves the
+ * holder is that player when they reconnect. Profile tokens work the same
+ * way for a player profile that outlives any one room. Tokens have the form
+ * <payload>.<signature>, where the payload is base64url encoded JSON and the
+ * signature is an HMAC-SHA256 of the payload.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/default");
+
+let secret = null;
+
+/**
+ * Get the signing secret, creating and saving one on first use if none is configured
+ * @returns {string} Signing secret
+ */
+function getSecret() {
+  if (secret) return secret;
+
+  if (config.security.sessionSecret) {
+    secret = config.security.sessionSecret;
+    return secret;
+  }
+
+  // Keep a generated secret on disk so tokens survive a server restart
+  const secretPath = path.resolve(__dirname, "../..", config.security.sessionSecretFile);
+
+  try {
+    secret = fs.readFileSync(secretPath, "utf8").trim();
+  } catch (err) {
+    if (err.code !== "ENOENT") throw err;
+  }
+
+  if (!secret) {
+    secret = crypto.randomBytes(32).toString("hex");
+    fs.mkdirSync(path.dirname(secretPath), { recursive: true });
+    fs.writeFileSync(secretPath, secret, { mode: 0o600 });
+  }
+
+  return secret;
+}
+
+/**
+ * Sign an encoded payload
+ * @param {string} encodedPayload - base64url encoded payload
+ * @returns {string} base64url encoded signature
+ */
+function sign(encodedPayload) {
+  return crypto.createHmac("sha256", getSecret()).update(encodedPayload).digest("base64url");
+}
+
+/**
+ * Issue a session token for a player in a room
+ * @param {string} playerId - Player ID
+ * @param {string} roomId - Room ID
+ * @returns {string} Signed token
+ */
+function issueToken(playerId, roomId) {
+  const encodedPayload = Buffer.from(JSON.stringify({ playerId, roomId, issuedAt: Date.now() })).toString("base64url");
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Read the payload of a token whose signature checks out
+ * @param {string} token - Token presented by a client
+ * @returns {Object|null} Decoded payload, or null if the token is invalid
+ */
+function readPayload(token) {
+  if (typeof token !== "string") return null;
+
+  const [encodedPayload, signature, ...rest] = token.split(".");
+  if (!encodedPayload || !signature || rest.length > 0) return null;
+
+  const expected = Buffer.from(sign(encodedPayload));
+  const actual = Buffer.from(signature);
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(Buffer.from(encodedPayload, "base64url").toString("utf8"));
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Verify a session token
+ * @param {string} token - Token presented by a client
+ * @returns {Object|null} Object with playerId and roomId properties, or null if the token is invalid
+ */
+function verifyToken(token) {
+  const payload = readPayload(token);
+  if (!payload || typeof payload.playerId !== "string" || typeof payload.roomId !== "string") return null;
+  return { playerId: payload.playerId, roomId: payload.roomId };
+}
+
+/**
+ * Issue a token for a player profile
+ * @param {string} profileId - Profile ID
+ * @returns {string} Signed token
+ */
+function issueProfileToken(profileId) {
+  const encodedPayload = Buffer.from(JSON.stringify({ profileId, issuedAt: Date.now() })).toString("base64url");
+  return `${encodedPayload}.${sign(encodedPayload)}`;
+}
+
+/**
+ * Verify a profile token
+ * @param {string} token - Token presented by a client
+ * @returns {string|null} Profile ID, or null if the token is invalid
+ */
+function verifyProfileToken(token) {
+  const payload = readPayload(token);
+  return payload && typeof payload.profileId === "string" ? payload.profileId : null;
+}
+
+module.exports = {
+  issueToken,
+  verifyToken,
+  issueProfileToken,
+  verifyProfileToken,
+};
@@ -14,6 +14,15 @@ module.exports = {
     path: process.env.DB_PATH || "../database/hunted.db",
   },
 
+  // Upload config
+  uploads: {
+    // Directory for catch photos, relative to the project root
+    catchPhotoDir: process.env.CATCH_PHOTO_DIR || "uploads/catch-photos",
+
+    // Maximum size of a single catch photo upload
+    maxCatchPhotoSize: "5mb",
+  },
+
   // Game config
   game: {
     // Default play area radius in meters
@@ -22,8 +31,72 @@ module.exports = {
     // Default game duration in minutes
     defaultGameDuration: 60,
 
-    // Target radius levels in meters
-    targetRadiusLevels: [2000, 1000, 500, 250, 125], // If modifying this, also modify the radiusLevels in map.js
+    // Longest game duration a host can set, in minutes
+    maxGameDuration: 24 * 60,
+
+    // Default runner head start in seconds, hunters see nothing until it ends
+    defaultHeadStart: 300,
+
+    // Longest head start a host can set, in seconds
+    maxHeadStart: 60 * 60,
+
+    // Seconds at the end of the head start shown as a countdown on every device
+    startCountdown: 10,
+
+    // How often the time remaining is broadcast to a running game, in milliseconds
+    timeRemainingBroadcastInterval: 60000,
+
+    // Default zone radius ladder in meters, from the first zone to the last. Rooms can set their own
+    targetRadiusLevels: [2000, 1000, 500, 250, 125],
+
+    // Ladders a host can pick by name when creating a room
+    radiusLadderPresets: {
+      standard: [2000, 1000, 500, 250, 125],
+      short_urban: [800, 400, 200, 100, 50],
+      large_rural: [5000, 2500, 1200, 600, 300],
+    },
+
+    // Most zones a ladder can have, and the smallest zone radius in meters
+    maxRadiusLevels: 8,
+    minZoneRadius: 25,
+
+    // How runner targets are placed, see server/game/targetPlacement.js. Distances are in meters from the runner
+    targetPlacement: {
+      defaultStrategy: "uniform",
+      defaultMinDistance: 200,
+      maxAttempts: 500,
+    },
+
+    // Shrinking boundary, see server/game/boundary.js. Each next boundary is announced announceLead seconds before it applies
+    shrinkingBoundary: {
+      maxStages: 10,
+      announceLead: 120,
+    },
+
+    // Checkpoints runners visit before their final target, see server/game/checkpoints.js
+    checkpoints: {
+      maxCount: 10,
+      defaultOrder: "ordered",
+    },
+
+    // Bonus objectives any runner can claim, see server/game/objectives.js. Runners claim within claimRadius meters, hunters see an area hintRadius meters across
+    objectives: {
+      defaultPoints: 5,
+      maxPoints: 100,
+      claimRadius: 30,
+      hintRadius: 250,
+    },
+
+    // How long runners must stay in an active zone to capture it, see server/game/captureDwell.js
+    captureDwell: {
+      defaultMode: "none",
+      maxSeconds: 300,
+      maxPings: 20,
+    },
+
+    // Limits on the exclusion zones and allowed area a host can draw
+    maxExclusionZones: 20,
+    maxPolygonPoints: 50,
 
     // Base points per target
     baseTargetPoints: 2,
@@ -31,11 +104,71 @@ module.exports = {
     // Additional points per each inner circle
     additionalPointsPerCircle: 1,
 
+    // Points a hunter earns for each catch, see server/game/scoring.js
+    catchPoints: 5,
+
+    // Other hunters within radius meters of the runner in the window minutes before a catch earn an assist, see server/game/hunterStats.js
+    catchAssists: {
+      radius: 200,
+      window: 5,
+      points: 2,
+    },
+
     // Location update interval in milliseconds
     locationUpdateInterval: 30000,
 
+    // Location update interval in milliseconds for a runner whose position is revealed for being out of bounds
+    revealedLocationUpdateInterval: 5000,
+
+    // Longest a revealed runner may go without a ping before they are disqualified, several revealed intervals so a weak signal is not punished
+    revealedMissedPingTimeout: 30000,
+
+    // Widest accuracy radius in meters a ping may report and still capture a zone, see server/game/locationFix.js
+    maxCaptureAccuracy: 50,
+
+    // What happens to a runner who stays outside the play area, see server/game/outOfBounds.js. The grace period is in seconds
+    defaultOutOfBoundsPenalty: "reveal",
+    defaultOutOfBoundsGrace: 60,
+    maxOutOfBoundsGrace: 30 * 60,
+
     // Location update throttle in milliseconds (prevent abuse)
     locationUpdateThrottle: 10000,
+
+    // Maximum distance in meters between a hunter and runner's last known positions for a catch claim
+    catchMaxDistance: 150,
+
+    // Oldest a last known position may be in milliseconds for a catch claim, a little over one location update interval
+    catchMaxLocationAge: 45000,
+
+    // Time in milliseconds a runner has to confirm or dispute a catch before it is confirmed automatically
+    catchConfirmTimeout: 60000,
+
+    // Time in milliseconds the host can stay disconnected before the host role passes to another player
+    hostDisconnectTimeout: 120000,
+  },
+
+  // Player profile config, see server/game/profiles.js
+  profiles: {
+    // Number of games listed on a profile
+    recentGames: 10,
+  },
+
+  // Skill rating config, see server/game/ratings.js
+  ratings: {
+    // Rating every profile starts each season on
+    initialRating: 1500,
+
+    // Most a rating can move in one game
+    kFactor: 32,
+
+    // Share of a game's result that comes from the player's points rather than their team's outcome
+    contributionWeight: 0.3,
+
+    // Length of a season in calendar months, 12 should divide by it
+    seasonMonths: 3,
+
+    // Number of entries on a leaderboard
+    leaderboardSize: 50,
   },
 
   // Security config
@@ -45,5 +178,17 @@ module.exports = {
 
     // Maximum room name length
     maxRoomNameLength: 30,
+
+    // Number of characters in a room join code
+    joinCodeLength: 6,
+
+    // Maximum room password length
+    maxRoomPasswordLength: 64,
+
+    // Secret used to sign player session tokens
+    sessionSecret: process.env.SESSION_SECRET || null,
+
+    // File a generated secret is kept in when SESSION_SECRET is not set, relative to the project root
+    sessionSecretFile: process.env.SESSION_SECRET_FILE || "database/session.secret",
   },
 };
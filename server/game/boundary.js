@@ -0,0 +1,237 @@
+/**
+ * Shrinking boundary
+ *
+ * A room can close its boundary in on the runners during the hunt. Every
+ * rooms.shrink_interval minutes the boundary shrinks to the next of
+ * rooms.shrink_stages circles, ending at rooms.shrink_final_radius meters.
+ * Each circle is centred on the room centre, or with rooms.shrink_center
+ * set to "random" on a random point chosen so it stays inside the circle
+ * before it. The circles come from the room's placement seed, so they can
+ * be worked out again at any time, and the next one is announced a little
+ * before it takes effect. Stages that would only shrink the boundary once
+ * the game is over never happen.
+ *
+ * Runners must stay inside both the play area and the current boundary
+ * (see outOfBounds.js), and targets are placed inside the boundary in
+ * effect when they can first be reached (see targetPlacement.js).
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+const phases = require("./phases");
+const playArea = require("./playArea");
+const { createSeededRandom } = require("./seededRandom");
+
+const SHRINK_CENTER = {
+  ROOM_CENTER: "center",
+  RANDOM: "random",
+};
+
+/**
+ * Read the shrinking boundary settings chosen by a host
+ * @param {Object} value - Object with stages, interval (minutes), finalRadius (meters) and center, any of which may be left out
+ * @param {number} playRadius - Radius of the room's play area in meters
+ * @returns {Object} Object with stages, interval, finalRadius and center, or with an error message
+ */
+function parseShrinkSettings(value, playRadius) {
+  const { maxStages } = config.game.shrinkingBoundary;
+
+  const stages = value.stages === undefined || value.stages === null ? 0 : Number(value.stages);
+  if (!Number.isInteger(stages) || stages < 0 || stages > maxStages) {
+    return { error: `The boundary can shrink between 0 and ${maxStages} times` };
+  }
+
+  // A boundary that never shrinks needs none of the other settings
+  if (stages === 0) {
+    return { stages: 0, interval: null, finalRadius: null, center: SHRINK_CENTER.ROOM_CENTER };
+  }
+
+  const interval = Number(value.interval);
+  if (!Number.isInteger(interval) || interval < 1 || interval > config.game.maxGameDuration) {
+    return { error: `Time between shrinks must be between 1 and ${config.game.maxGameDuration} minutes` };
+  }
+
+  const finalRadius = Number(value.finalRadius);
+  if (!Number.isInteger(finalRadius) || finalRadius < config.game.minZoneRadius || finalRadius >= playRadius) {
+    return { error: `The final boundary must be whole meters between ${config.game.minZoneRadius}m and the play radius of ${playRadius}m` };
+  }
+
+  const center = value.center === undefined ? SHRINK_CENTER.ROOM_CENTER : value.center;
+  if (!Object.values(SHRINK_CENTER).includes(center)) {
+    return { error: "The boundary must shrink towards the room centre or a random point" };
+  }
+
+  return { stages, interval, finalRadius, center };
+}
+
+/**
+ * Get the shrinking boundary settings a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with stages (0 if the boundary never shrinks), interval, finalRadius and center
+ */
+function getRoomShrinkSettings(room) {
+  return {
+    stages: room.shrink_stages || 0,
+    interval: room.shrink_interval || null,
+    finalRadius: room.shrink_final_radius || null,
+    center: room.shrink_center || SHRINK_CENTER.ROOM_CENTER,
+  };
+}
+
+/**
+ * Get how many times a room's boundary shrinks before the game ends
+ * @param {Object} room - Room row from the database, or one with unsaved changes applied
+ * @returns {number} Number of stages that take effect, 0 if the boundary never shrinks
+ */
+function getStageCount(room) {
+  const { stages, interval } = getRoomShrinkSettings(room);
+  if (!stages || !room.game_duration) return stages;
+
+  // A stage due the moment the hunt ends, or after, would shrink nothing anyone plays in
+  return Math.min(stages, Math.ceil(room.game_duration / interval) - 1);
+}
+
+/**
+ * Work out every circle a room's boundary shrinks to
+ * @param {Object} room - Room row from the database
+ * @returns {Array} Objects with lat, lng and radius properties, one per stage from the first shrink to the last before the game ends
+ */
+function getBoundaryCircles(room) {
+  const settings = getRoomShrinkSettings(room);
+  const stageCount = getStageCount(room);
+  if (!stageCount) return [];
+
+  const polygon = playArea.getRoomPolygon(room);
+  const startRadius = room.play_radius || config.game.defaultPlayAreaRadius;
+  const random = createSeededRandom(`${room.placement_seed || room.room_id}:boundary`);
+
+  const circles = [];
+  let previous = { lat: room.central_lat, lng: room.central_lng, radius: startRadius };
+
+  // Radii step evenly towards the final radius the host chose, even when the game ends before the boundary gets there
+  for (let stage = 1; stage <= stageCount; stage++) {
+    const radius = Math.round(startRadius - ((startRadius - settings.finalRadius) * stage) / settings.stages);
+    let center = { lat: previous.lat, lng: previous.lng };
+
+    // Keep the new circle inside the last one, and its centre inside a drawn play area
+    if (settings.center === SHRINK_CENTER.RANDOM) {
+      for (let attempt = 0; attempt < config.game.targetPlacement.maxAttempts; attempt++) {
+        const point = geoUtils.calculateDestination(previous.lat, previous.lng, random() * 360, (previous.radius - radius) * Math.sqrt(random()));
+        if (!polygon || geoUtils.isPointInPolygon(point.lat, point.lng, polygon)) {
+          center = point;
+          break;
+        }
+      }
+    }
+
+    previous = { lat: center.lat, lng: center.lng, radius };
+    circles.push(previous);
+  }
+
+  return circles;
+}
+
+/**
+ * Get when a room's boundary shrinks to a stage
+ * @param {Object} room - Room row from the database
+ * @param {number} stage - Stage, counting the first shrink as 1
+ * @returns {number|null} Timestamp in milliseconds, or null if the game hasn't started
+ */
+function getShrinkTime(room, stage) {
+  const huntStartTime = phases.getHuntStartTime(room);
+  const { interval } = getRoomShrinkSettings(room);
+  if (huntStartTime === null || !interval) return null;
+  return huntStartTime + stage * interval * 60 * 1000;
+}
+
+/**
+ * Get when the boundary for a stage is announced, never before the shrink before it
+ * @param {Object} room - Room row from the database
+ * @param {number} stage - Stage, counting the first shrink as 1
+ * @returns {number|null} Timestamp in milliseconds, or null if the game hasn't started
+ */
+function getAnnounceTime(room, stage) {
+  const shrinkTime = getShrinkTime(room, stage);
+  if (shrinkTime === null) return null;
+
+  const lead = Math.min(config.game.shrinkingBoundary.announceLead, getRoomShrinkSettings(room).interval * 60);
+  return shrinkTime - lead * 1000;
+}
+
+/**
+ * Get how many times a room's boundary has shrunk
+ * @param {Object} room - Room row from the database
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number} Current stage, 0 before the first shrink or if the boundary never shrinks
+ */
+function getBoundaryStage(room, now = Date.now()) {
+  const { interval } = getRoomShrinkSettings(room);
+  const stages = getStageCount(room);
+  const huntStartTime = phases.getHuntStartTime(room);
+  if (!stages || room.status !== phases.PHASE.ACTIVE || huntStartTime === null) return 0;
+
+  return Math.min(stages, Math.max(0, Math.floor((now - huntStartTime) / (interval * 60 * 1000))));
+}
+
+/**
+ * Get a room's boundary as it stands and the one coming next, for the game state
+ * @param {Object} room - Room row from the database
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {Object|null} Object with stage, stages, current, next and nextShrinksAt, or null if the boundary never shrinks. Circles are null until they apply or are announced
+ */
+function getBoundaryState(room, now = Date.now()) {
+  const stages = getStageCount(room);
+  if (!stages) return null;
+
+  const circles = getBoundaryCircles(room);
+  const stage = getBoundaryStage(room, now);
+  const nextStage = room.status === phases.PHASE.ACTIVE && stage < stages ? stage + 1 : null;
+
+  return {
+    stage,
+    stages,
+    current: stage > 0 ? circles[stage - 1] : null,
+    next: nextStage && now >= getAnnounceTime(room, nextStage) ? circles[nextStage - 1] : null,
+    nextShrinksAt: nextStage ? getShrinkTime(room, nextStage) : null,
+  };
+}
+
+/**
+ * Check if a point is inside a room's play area and its current boundary
+ * @param {Object} room - Room row from the database
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {boolean} True if a runner at the point is in bounds
+ */
+function isInBounds(room, lat, lng, now = Date.now()) {
+  if (!playArea.isInPlayArea(room, lat, lng)) return false;
+
+  const current = getBoundaryAt(room, now);
+  return !current || geoUtils.isPointInCircle(lat, lng, current.lat, current.lng, current.radius);
+}
+
+/**
+ * Get the circle a room's boundary has shrunk to at a moment
+ * @param {Object} room - Room row from the database, or one with unsaved changes applied
+ * @param {number} time - Timestamp in milliseconds
+ * @returns {Object|null} Object with lat, lng and radius properties, or null if the boundary hasn't shrunk by then
+ */
+function getBoundaryAt(room, time) {
+  const stage = getBoundaryStage(room, time);
+  return stage > 0 ? getBoundaryCircles(room)[stage - 1] : null;
+}
+
+module.exports = {
+  SHRINK_CENTER,
+  parseShrinkSettings,
+  getRoomShrinkSettings,
+  getStageCount,
+  getBoundaryCircles,
+  getShrinkTime,
+  getAnnounceTime,
+  getBoundaryStage,
+  getBoundaryState,
+  isInBounds,
+  getBoundaryAt,
+};
@@ -0,0 +1,75 @@
+/**
+ * Zone capture dwell requirement
+ *
+ * By default a zone is captured by the first ping inside it. A room can
+ * instead ask runners to stay inside an active zone for a number of seconds
+ * (rooms.capture_dwell_mode "seconds") or a number of pings in a row
+ * ("pings"), with the amount in rooms.capture_dwell_amount. A capture in
+ * progress is kept on the target in targets.capture_started_at and
+ * targets.capture_pings, and a ping outside the zone starts it over.
+ */
+
+const config = require("../config/default");
+
+const CAPTURE_DWELL_MODE = {
+  NONE: "none",
+  SECONDS: "seconds",
+  PINGS: "pings",
+};
+
+/**
+ * Read the capture dwell requirement chosen by a host
+ * @param {Object} value - Object with mode and amount, either of which may be left out
+ * @returns {Object} Object with mode and amount, or with an error message
+ */
+function parseCaptureDwell(value) {
+  const mode = value.mode === undefined || value.mode === null ? config.game.captureDwell.defaultMode : value.mode;
+  if (!Object.values(CAPTURE_DWELL_MODE).includes(mode)) {
+    return { error: "Zone captures need no wait, a number of seconds or a number of pings" };
+  }
+
+  if (mode === CAPTURE_DWELL_MODE.NONE) {
+    return { mode, amount: 0 };
+  }
+
+  const max = mode === CAPTURE_DWELL_MODE.SECONDS ? config.game.captureDwell.maxSeconds : config.game.captureDwell.maxPings;
+  const amount = Number(value.amount);
+  if (!Number.isInteger(amount) || amount < 1 || amount > max) {
+    return { error: `Zone captures need between 1 and ${max} ${mode}` };
+  }
+
+  return { mode, amount };
+}
+
+/**
+ * Get the capture dwell requirement a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with mode and amount (0 when captures are instant)
+ */
+function getRoomCaptureDwell(room) {
+  const mode = room.capture_dwell_mode || CAPTURE_DWELL_MODE.NONE;
+  return { mode, amount: mode === CAPTURE_DWELL_MODE.NONE ? 0 : room.capture_dwell_amount };
+}
+
+/**
+ * Count a ping inside an active zone towards its capture
+ * @param {Object} room - Room row from the database
+ * @param {Object} target - Target row from the database
+ * @param {number} now - Time of the ping in milliseconds
+ * @returns {Object} Object with startedAt, pings, progress (seconds or pings so far) and complete
+ */
+function addCapturePing(room, target, now = Date.now()) {
+  const dwell = getRoomCaptureDwell(room);
+  const startedAt = target.capture_started_at || now;
+  const pings = (target.capture_pings || 0) + 1;
+
+  const progress = dwell.mode === CAPTURE_DWELL_MODE.SECONDS ? Math.floor((now - startedAt) / 1000) : pings;
+  return { startedAt, pings, progress, complete: progress >= dwell.amount };
+}
+
+module.exports = {
+  CAPTURE_DWELL_MODE,
+  parseCaptureDwell,
+  getRoomCaptureDwell,
+  addCapturePing,
+};
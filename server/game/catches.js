@@ -0,0 +1,97 @@
+/**
+ * Catch claim rules
+ *
+ * A hunter claims a catch, the runner confirms or disputes it, and disputed
+ * claims go to the host, or any spectator acting as referee, for a ruling.
+ * Nobody rules on a catch they are part of, and a dispute nobody else can
+ * rule on is overturned. Claims that are never answered are confirmed
+ * automatically.
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+
+// Catch statuses stored in the catches table
+const CATCH_STATUS = {
+  PENDING: "pending",
+  CONFIRMED: "confirmed",
+  DISPUTED: "disputed",
+  UPHELD: "upheld",
+  OVERTURNED: "overturned",
+};
+
+// How a catch reached its final status
+const CATCH_RESOLUTION = {
+  RUNNER_CONFIRMED: "runner_confirmed",
+  SELF_REPORTED: "self_reported",
+  TIMED_OUT: "timed_out",
+  HOST_RULING: "host_ruling",
+  REFEREE_RULING: "referee_ruling",
+  PHOTO_REJECTED: "photo_rejected",
+  NO_REFEREE: "no_referee",
+};
+
+/**
+ * Check whether a hunter could plausibly have caught a runner
+ * @param {Object} hunter - Hunter player row from the database
+ * @param {Object} runner - Runner player row from the database
+ * @param {number} now - Current time in milliseconds
+ * @returns {Object} Object with plausible, distance and reason properties
+ */
+function checkCatchPlausibility(hunter, runner, now = Date.now()) {
+  if (hunter.last_lat == null || hunter.last_lng == null) {
+    return { plausible: false, distance: null, reason: "Your location is unknown" };
+  }
+
+  if (runner.last_lat == null || runner.last_lng == null) {
+    return { plausible: false, distance: null, reason: `${runner.username}'s location is unknown` };
+  }
+
+  // Positions from minutes ago say nothing about where either player is now
+  if (!hunter.last_ping_time || now - hunter.last_ping_time > config.game.catchMaxLocationAge) {
+    return { plausible: false, distance: null, reason: "Your location is out of date, wait for your next location update" };
+  }
+
+  if (!runner.last_ping_time || now - runner.last_ping_time > config.game.catchMaxLocationAge) {
+    return { plausible: false, distance: null, reason: `${runner.username}'s location is out of date` };
+  }
+
+  const distance = geoUtils.calculateDistance(hunter.last_lat, hunter.last_lng, runner.last_lat, runner.last_lng);
+
+  if (distance > config.game.catchMaxDistance) {
+    return {
+      plausible: false,
+      distance,
+      reason: `${runner.username} was last seen ${Math.round(distance)}m away`,
+    };
+  }
+
+  return { plausible: true, distance, reason: null };
+}
+
+/**
+ * Check whether a catch status means the runner was caught
+ * @param {string} status - Catch status
+ * @returns {boolean} True if the runner should become a hunter
+ */
+function isCatchApplied(status) {
+  return status === CATCH_STATUS.CONFIRMED || status === CATCH_STATUS.UPHELD;
+}
+
+/**
+ * Check whether a player is the hunter or the runner in a catch
+ * @param {Object} catchRecord - Catch row from the database
+ * @param {string} playerId - Player ID
+ * @returns {boolean} True if the player may not rule on the catch
+ */
+function isCatchParty(catchRecord, playerId) {
+  return playerId === catchRecord.hunter_id || playerId === catchRecord.runner_id;
+}
+
+module.exports = {
+  CATCH_STATUS,
+  CATCH_RESOLUTION,
+  checkCatchPlausibility,
+  isCatchApplied,
+  isCatchParty,
+};
@@ -0,0 +1,97 @@
+/**
+ * Checkpoint routes
+ *
+ * A room can send each runner through rooms.checkpoint_count checkpoints
+ * before their final target. Checkpoints are rows in targets with kind
+ * "checkpoint" and their place on the route in targets.sequence, and each
+ * narrows through the room's zone ladder like a final target does.
+ *
+ * With rooms.checkpoint_order "ordered" only the next checkpoint is active
+ * and the rest wait as "pending". With "unordered" every checkpoint is active
+ * at once. Either way the final target stays pending until every checkpoint
+ * has been reached.
+ */
+
+const config = require("../config/default");
+
+const CHECKPOINT_ORDER = {
+  ORDERED: "ordered",
+  UNORDERED: "unordered",
+};
+
+const TARGET_KIND = {
+  CHECKPOINT: "checkpoint",
+  FINAL: "final",
+};
+
+/**
+ * Read the checkpoint route settings chosen by a host
+ * @param {Object} value - Object with count and order, either of which may be left out
+ * @returns {Object} Object with count and order, or with an error message
+ */
+function parseCheckpointSettings(value) {
+  const { maxCount, defaultOrder } = config.game.checkpoints;
+
+  const count = value.count === undefined || value.count === null ? 0 : Number(value.count);
+  if (!Number.isInteger(count) || count < 0 || count > maxCount) {
+    return { error: `Runners can have between 0 and ${maxCount} checkpoints` };
+  }
+
+  const order = value.order === undefined || value.order === null ? defaultOrder : value.order;
+  if (!Object.values(CHECKPOINT_ORDER).includes(order)) {
+    return { error: "Checkpoints must be visited in order or in any order" };
+  }
+
+  return { count, order };
+}
+
+/**
+ * Get the checkpoint route settings a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with count (0 for no checkpoints) and order
+ */
+function getRoomCheckpoints(room) {
+  return {
+    count: room.checkpoint_count || 0,
+    order: room.checkpoint_order || config.game.checkpoints.defaultOrder,
+  };
+}
+
+/**
+ * Plan the targets of a new runner's route
+ * @param {Object} room - Room row from the database
+ * @returns {Array} Objects with kind, sequence and status, in route order with the final target last
+ */
+function planRoute(room) {
+  const { count, order } = getRoomCheckpoints(room);
+  const route = [];
+
+  for (let sequence = 0; sequence < count; sequence++) {
+    const active = order === CHECKPOINT_ORDER.UNORDERED || sequence === 0;
+    route.push({ kind: TARGET_KIND.CHECKPOINT, sequence, status: active ? "active" : "pending" });
+  }
+  route.push({ kind: TARGET_KIND.FINAL, sequence: count, status: count === 0 ? "active" : "pending" });
+
+  return route;
+}
+
+/**
+ * Find the target a runner moves on to after reaching a checkpoint
+ * @param {Array} targets - All of the runner's target rows, with the checkpoint already marked reached
+ * @returns {Object|null} Target row to activate, or null while other checkpoints are still active
+ */
+function getNextRouteTarget(targets) {
+  if (targets.some((target) => target.status === "active")) return null;
+
+  const pending = targets.filter((target) => target.status === "pending").sort((a, b) => a.sequence - b.sequence);
+  return pending.length > 0 ? pending[0] : null;
+}
+
+module.exports = {
+  CHECKPOINT_ORDER,
+  TARGET_KIND,
+  parseCheckpointSettings,
+  getRoomCheckpoints,
+  planRoute,
+  getNextRouteTarget,
+};
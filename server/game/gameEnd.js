@@ -0,0 +1,112 @@
+/**
+ * Game duration and end of game rules
+ *
+ * A game ends when no runner is left free, or when its duration runs out.
+ * Runners who reached their final target have won. Runners still free when
+ * time expires have survived, which also counts as a win for them. Hunters
+ * win as a team only if every runner was caught.
+ */
+
+const config = require("../config/default");
+const phases = require("./phases");
+
+// Why a game ended, sent to clients as endReason
+const END_REASON = {
+  ALL_CAUGHT: "caught",
+  RUNNERS_FINISHED: "runners_won",
+  TIME_EXPIRED: "time_expired",
+};
+
+const END_MESSAGES = {
+  [END_REASON.ALL_CAUGHT]: "All runners have been caught",
+  [END_REASON.RUNNERS_FINISHED]: "All runners have been caught or reached their targets",
+  [END_REASON.TIME_EXPIRED]: "Time expired",
+};
+
+// Player statuses that count as a runner win
+const WINNING_RUNNER_STATUSES = ["won", "survived"];
+
+// Player statuses of runners who are out without winning
+const OUT_OF_GAME_RUNNER_STATUSES = ["caught", "disqualified"];
+
+/**
+ * Parse a game duration chosen by a host
+ * @param {*} value - Duration in minutes as sent by the client
+ * @returns {number|null} Whole minutes, or null if the value is not a valid duration
+ */
+function parseGameDuration(value) {
+  const minutes = parseInt(value);
+  if (!Number.isFinite(minutes) || minutes < 1 || minutes > config.game.maxGameDuration) return null;
+  return minutes;
+}
+
+/**
+ * Get when a running game is due to end, the duration counts from the end of the head start
+ * @param {Object} room - Room row from the database
+ * @returns {number|null} End timestamp in milliseconds, or null if the game has no end time
+ */
+function getGameEndTime(room) {
+  const huntStartTime = phases.getHuntStartTime(room);
+  if (huntStartTime === null || !room.game_duration) return null;
+  return huntStartTime + room.game_duration * 60 * 1000;
+}
+
+/**
+ * Get how long a running game has left
+ * @param {Object} room - Room row from the database
+ * @param {number} now - Current timestamp in milliseconds
+ * @returns {number|null} Milliseconds remaining, or null if the game is not running
+ */
+function getTimeRemaining(room, now = Date.now()) {
+  const endTime = getGameEndTime(room);
+  if (!phases.isGameInProgress(room.status) || endTime === null) return null;
+  return Math.max(0, endTime - now);
+}
+
+/**
+ * Check if a player is a runner who is still in the game
+ * @param {Object} player - Player row from the database
+ * @returns {boolean} True if the runner has not been caught, disqualified or won yet
+ */
+function isFreeRunner(player) {
+  return player.team === "runner" && !OUT_OF_GAME_RUNNER_STATUSES.includes(player.status) && !WINNING_RUNNER_STATUSES.includes(player.status);
+}
+
+/**
+ * Check if a runner won, by reaching their final target or surviving until the time ran out
+ * @param {Object} player - Player row from the database
+ * @returns {boolean} True if the player is a runner who won
+ */
+function hasRunnerWon(player) {
+  return player.team === "runner" && WINNING_RUNNER_STATUSES.includes(player.status);
+}
+
+/**
+ * Decide how a game ended
+ * @param {Array} players - Player rows from the database, after survivors have been marked
+ * @param {string} endReason - One of END_REASON
+ * @returns {Object} Object with endReason, reason, winningTeam and winnerIds properties
+ */
+function getOutcome(players, endReason) {
+  const winnerIds = players.filter(hasRunnerWon).map((player) => player.player_id);
+
+  // A game that ran out of free runners without any winners was won by the hunters
+  const reason = endReason === END_REASON.TIME_EXPIRED ? endReason : winnerIds.length > 0 ? END_REASON.RUNNERS_FINISHED : END_REASON.ALL_CAUGHT;
+
+  return {
+    endReason: reason,
+    reason: END_MESSAGES[reason],
+    winningTeam: winnerIds.length > 0 ? "runner" : "hunter",
+    winnerIds,
+  };
+}
+
+module.exports = {
+  END_REASON,
+  parseGameDuration,
+  getGameEndTime,
+  getTimeRemaining,
+  isFreeRunner,
+  hasRunnerWon,
+  getOutcome,
+};
@@ -0,0 +1,105 @@
+/**
+ * Hunter catches, assists and distance covered
+ *
+ * The hunter whose catch is confirmed earns the catch, and every other
+ * hunter who was within config.game.catchAssists.radius meters of the
+ * runner in the config.game.catchAssists.window minutes before the claim
+ * earns an assist. Closeness is worked out from location_history, pairing
+ * each hunter ping with the runner ping nearest to it in time, as long as
+ * the two are no more than one location update interval apart.
+ *
+ * Hunter pings are kept in location_history with team "hunter", which also
+ * gives the distance each hunter covered during the game.
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+const scoring = require("./scoring");
+
+/**
+ * Find the history point nearest in time to a timestamp
+ * @param {Array} history - Points with lat, lng and timestamp, in time order
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {Object|null} Nearest point, or null if none is within one location update interval
+ */
+function findNearestInTime(history, timestamp) {
+  let nearest = null;
+
+  history.forEach((point) => {
+    if (!nearest || Math.abs(point.timestamp - timestamp) < Math.abs(nearest.timestamp - timestamp)) {
+      nearest = point;
+    }
+  });
+
+  return nearest && Math.abs(nearest.timestamp - timestamp) <= config.game.locationUpdateInterval ? nearest : null;
+}
+
+/**
+ * Check if a hunter helped with a catch
+ * @param {Array} runnerHistory - Runner's points with lat, lng and timestamp, in time order
+ * @param {Array} hunterHistory - Hunter's points with lat, lng and timestamp, in time order
+ * @param {number} catchTime - When the catch was claimed, in milliseconds
+ * @returns {boolean} True if the hunter was close to the runner at some point in the minutes before the catch
+ */
+function isAssist(runnerHistory, hunterHistory, catchTime) {
+  const { radius, window } = config.game.catchAssists;
+  const windowStart = catchTime - window * 60 * 1000;
+
+  const runnerPoints = runnerHistory.filter((point) => point.timestamp >= windowStart && point.timestamp <= catchTime);
+
+  return hunterHistory.some((point) => {
+    if (point.timestamp < windowStart || point.timestamp > catchTime) return false;
+
+    const runnerPoint = findNearestInTime(runnerPoints, point.timestamp);
+    return runnerPoint !== null && geoUtils.calculateDistance(point.lat, point.lng, runnerPoint.lat, runnerPoint.lng) <= radius;
+  });
+}
+
+/**
+ * Add up how far a player moved
+ * @param {Array} history - Points with lat and lng, in time order
+ * @returns {number} Distance in meters, rounded to the meter
+ */
+function getDistanceCovered(history) {
+  let distance = 0;
+
+  for (let i = 1; i < history.length; i++) {
+    distance += geoUtils.calculateDistance(history[i - 1].lat, history[i - 1].lng, history[i].lat, history[i].lng);
+  }
+
+  return Math.round(distance);
+}
+
+/**
+ * Build the per hunter breakdown shown when a game is over
+ * @param {Array} players - Player rows of the room
+ * @param {Array} ledger - Ledger rows of the room from target_discoveries
+ * @param {Array} hunterHistory - location_history rows recorded while players were hunting, in time order
+ * @returns {Array} Objects with playerId, username, catches, assists, distance (meters) and points, most points first
+ */
+function summarizeHunters(players, ledger, hunterHistory) {
+  const hunterEntries = ledger.filter((entry) => entry.team === "hunter");
+
+  // Caught runners join the hunters, so they get a breakdown too
+  return players
+    .filter((player) => player.team === "hunter")
+    .map((player) => {
+      const entries = hunterEntries.filter((entry) => entry.player_id === player.player_id);
+
+      return {
+        playerId: player.player_id,
+        username: player.username,
+        catches: entries.filter((entry) => entry.reason === scoring.SCORE_REASON.CATCH).length,
+        assists: entries.filter((entry) => entry.reason === scoring.SCORE_REASON.ASSIST).length,
+        distance: getDistanceCovered(hunterHistory.filter((point) => point.player_id === player.player_id)),
+        points: entries.reduce((total, entry) => total + entry.points_earned, 0),
+      };
+    })
+    .sort((a, b) => b.points - a.points);
+}
+
+module.exports = {
+  isAssist,
+  getDistanceCovered,
+  summarizeHunters,
+};
@@ -0,0 +1,44 @@
+/**
+ * Short join codes for rooms
+ *
+ * Codes leave out characters that are easy to confuse when read aloud or
+ * off a screen (0/O, 1/I/L), so they can be typed in by someone standing
+ * next to the host.
+ */
+
+const crypto = require("crypto");
+const config = require("../config/default");
+
+const JOIN_CODE_ALPHABET = "ABCDEFGHJKMNPQRSTUVWXYZ23456789";
+
+/**
+ * Generate a random join code
+ * @param {number} length - Number of characters in the code
+ * @returns {string} Join code
+ */
+function generateJoinCode(length = config.security.joinCodeLength) {
+  let code = "";
+  for (let i = 0; i < length; i++) {
+    code += JOIN_CODE_ALPHABET[crypto.randomInt(JOIN_CODE_ALPHABET.length)];
+  }
+  return code;
+}
+
+/**
+ * Normalize a join code typed or scanned by a player
+ * @param {string} input - Join code as entered
+ * @returns {string|null} Upper case code without separators, or null if it can't be a join code
+ */
+function normalizeJoinCode(input) {
+  if (typeof input !== "string") return null;
+
+  const code = input.toUpperCase().replace(/[\s-]/g, "");
+  if (code.length === 0 || code.length > 16) return null;
+
+  return code;
+}
+
+module.exports = {
+  generateJoinCode,
+  normalizeJoinCode,
+};
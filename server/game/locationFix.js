@@ -0,0 +1,66 @@
+/**
+ * Location fixes sent by devices
+ *
+ * Every location_update carries the position and whatever else the
+ * device's geolocation reported with it: the accuracy radius, altitude,
+ * speed, heading and the time the fix was taken on the device. Anything
+ * missing or nonsensical is stored as null rather than refusing the ping,
+ * since many devices leave some of them out.
+ */
+
+const config = require("../config/default");
+
+/**
+ * Read an optional number from a ping
+ * @param {*} value - Value as sent by the client
+ * @param {number} min - Smallest value that makes sense
+ * @param {number} max - Largest value that makes sense
+ * @returns {number|null} The number, or null if it is missing or out of range
+ */
+function parseOptionalNumber(value, min, max) {
+  if (value === undefined || value === null || value === "") return null;
+
+  const number = Number(value);
+  return Number.isFinite(number) && number >= min && number <= max ? number : null;
+}
+
+/**
+ * Read a location fix sent by a device
+ * @param {Object} data - Ping with lat and lng, and optionally accuracy (meters), altitude (meters), speed (m/s), heading (degrees) and deviceTime (milliseconds)
+ * @returns {Object|null} Object with lat, lng, accuracy, altitude, speed, heading and deviceTime, or null if the position itself is invalid
+ */
+function parseLocationFix(data) {
+  const lat = parseOptionalNumber(data && data.lat, -90, 90);
+  const lng = parseOptionalNumber(data && data.lng, -180, 180);
+  if (lat === null || lng === null) {
+    return null;
+  }
+
+  const deviceTime = parseOptionalNumber(data.deviceTime, 0, Number.MAX_SAFE_INTEGER);
+
+  return {
+    lat,
+    lng,
+    accuracy: parseOptionalNumber(data.accuracy, 0, Infinity),
+    altitude: parseOptionalNumber(data.altitude, -Infinity, Infinity),
+    speed: parseOptionalNumber(data.speed, 0, Infinity),
+    // Heading is only meaningful while moving, devices report it as NaN or null otherwise
+    heading: parseOptionalNumber(data.heading, 0, 360),
+    deviceTime: deviceTime === null ? null : Math.round(deviceTime),
+  };
+}
+
+/**
+ * Check if a fix is accurate enough to capture a zone with
+ * @param {Object} fix - Location fix from parseLocationFix
+ * @returns {boolean} True unless the device reported an accuracy radius wider than config.game.maxCaptureAccuracy
+ */
+function isAccurateEnoughToCapture(fix) {
+  // Devices that don't report accuracy are given the benefit of the doubt
+  return fix.accuracy === null || fix.accuracy <= config.game.maxCaptureAccuracy;
+}
+
+module.exports = {
+  parseLocationFix,
+  isAccurateEnoughToCapture,
+};
@@ -0,0 +1,122 @@
+/**
+ * Bonus objectives
+ *
+ * Unlike targets, which belong to one runner, objectives are shared by the
+ * whole room. With rooms.objective_interval set the server drops a new one
+ * every that many minutes of the hunt, worth rooms.objective_points to the
+ * first runner who gets within its claim radius. Objectives are numbered in
+ * the order they spawn and placed from the room's placement seed, so the
+ * same seed puts them in the same places again.
+ *
+ * Runners see exactly where an objective is. Hunters only see a wider area
+ * around it, enough to know where runners will be heading.
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+const phases = require("./phases");
+
+const OBJECTIVE_STATUS = {
+  ACTIVE: "active",
+  CLAIMED: "claimed",
+};
+
+/**
+ * Read the bonus objective settings chosen by a host
+ * @param {Object} value - Object with interval (minutes) and points, either of which may be left out
+ * @returns {Object} Object with interval (0 for no objectives) and points, or with an error message
+ */
+function parseObjectiveSettings(value) {
+  const { defaultPoints, maxPoints } = config.game.objectives;
+
+  const interval = value.interval === undefined || value.interval === null ? 0 : Number(value.interval);
+  if (!Number.isInteger(interval) || interval < 0 || interval > config.game.maxGameDuration) {
+    return { error: `Time between bonus objectives must be between 0 and ${config.game.maxGameDuration} minutes` };
+  }
+
+  const points = value.points === undefined || value.points === null ? defaultPoints : Number(value.points);
+  if (!Number.isInteger(points) || points < 1 || points > maxPoints) {
+    return { error: `Bonus objectives must be worth between 1 and ${maxPoints} points` };
+  }
+
+  return { interval, points };
+}
+
+/**
+ * Get the bonus objective settings a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with interval (0 if the room has no objectives) and points
+ */
+function getRoomObjectives(room) {
+  return {
+    interval: room.objective_interval || 0,
+    points: room.objective_points || config.game.objectives.defaultPoints,
+  };
+}
+
+/**
+ * Get when an objective spawns
+ * @param {Object} room - Room row from the database
+ * @param {number} number - Objective number, counting the first as 1
+ * @returns {number|null} Timestamp in milliseconds, or null if the hunt hasn't started or the room has no objectives
+ */
+function getSpawnTime(room, number) {
+  const huntStartTime = phases.getHuntStartTime(room);
+  const { interval } = getRoomObjectives(room);
+  if (huntStartTime === null || !interval) return null;
+  return huntStartTime + number * interval * 60 * 1000;
+}
+
+/**
+ * Get the area hunters are shown around an objective
+ * @param {Object} objective - Objective row from the database
+ * @returns {Object} Object with lat, lng and radius properties, a circle with the objective somewhere inside it
+ */
+function getHintArea(objective) {
+  const { claimRadius, hintRadius } = config.game.objectives;
+
+  // The same nested circles zones use, so the objective isn't simply at the centre
+  const circles = geoUtils.generateNestedCirclePositions(objective.lat, objective.lng, [claimRadius, hintRadius]);
+  return circles[circles.length - 1];
+}
+
+/**
+ * Check if a runner is close enough to claim an objective
+ * @param {Object} objective - Objective row from the database
+ * @param {number} lat - Runner's latitude in degrees
+ * @param {number} lng - Runner's longitude in degrees
+ * @returns {boolean} True if the runner is within the claim radius
+ */
+function isWithinClaimRadius(objective, lat, lng) {
+  return geoUtils.isPointInCircle(lat, lng, objective.lat, objective.lng, config.game.objectives.claimRadius);
+}
+
+/**
+ * Format an objective row for the game state. The exact location is left to visibility.js to hide from hunters
+ * @param {Object} objective - Objective row from the database
+ * @returns {Object} Formatted objective
+ */
+function formatObjective(objective) {
+  return {
+    objectiveId: objective.objective_id,
+    number: objective.number,
+    status: objective.status,
+    pointsValue: objective.points_value,
+    location: { lat: objective.lat, lng: objective.lng },
+    claimRadius: config.game.objectives.claimRadius,
+    area: getHintArea(objective),
+    spawnedAt: objective.spawned_at,
+    claimedBy: objective.claimed_by,
+    claimedAt: objective.claimed_at,
+  };
+}
+
+module.exports = {
+  OBJECTIVE_STATUS,
+  parseObjectiveSettings,
+  getRoomObjectives,
+  getSpawnTime,
+  getHintArea,
+  isWithinClaimRadius,
+  formatObjective,
+};
@@ -0,0 +1,102 @@
+/**
+ * Out of bounds rules
+ *
+ * Once the hunt is on, a runner whose ping lands outside the play area is
+ * warned and gets a grace period to come back. A runner still outside when
+ * it runs out gets the room's penalty:
+ * - reveal: their device pings live until they are back inside, and hunters
+ *   always see where they are. A revealed runner who stops pinging for
+ *   config.game.revealedMissedPingTimeout is disqualified
+ * - reset_zones: their current target goes back to its first zone
+ * - disqualify: they are out of the game
+ *
+ * The time a runner left is stored in players.out_of_bounds_since, and
+ * players.out_of_bounds_penalized records that the penalty for that exit
+ * has been applied.
+ */
+
+const config = require("../config/default");
+
+const OUT_OF_BOUNDS_PENALTY = {
+  REVEAL: "reveal",
+  RESET_ZONES: "reset_zones",
+  DISQUALIFY: "disqualify",
+};
+
+const PENALTY_MESSAGES = {
+  [OUT_OF_BOUNDS_PENALTY.REVEAL]: "your live location will be shown to the hunters",
+  [OUT_OF_BOUNDS_PENALTY.RESET_ZONES]: "your target will go back to its first zone",
+  [OUT_OF_BOUNDS_PENALTY.DISQUALIFY]: "you will be disqualified",
+};
+
+/**
+ * Read an out of bounds penalty chosen by a host
+ * @param {string} value - One of OUT_OF_BOUNDS_PENALTY
+ * @returns {string|null} Penalty, or null if it isn't one
+ */
+function parseOutOfBoundsPenalty(value) {
+  return Object.values(OUT_OF_BOUNDS_PENALTY).includes(value) ? value : null;
+}
+
+/**
+ * Read an out of bounds grace period chosen by a host
+ * @param {*} value - Grace period in seconds as sent by the client
+ * @returns {number|null} Whole seconds, or null if the value is not a valid grace period
+ */
+function parseOutOfBoundsGrace(value) {
+  const seconds = parseInt(value);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > config.game.maxOutOfBoundsGrace) return null;
+  return seconds;
+}
+
+/**
+ * Get the out of bounds rules a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with penalty and grace (seconds) properties
+ */
+function getRoomOutOfBoundsRules(room) {
+  return {
+    penalty: room.out_of_bounds_penalty || config.game.defaultOutOfBoundsPenalty,
+    grace: room.out_of_bounds_grace === null || room.out_of_bounds_grace === undefined ? config.game.defaultOutOfBoundsGrace : room.out_of_bounds_grace,
+  };
+}
+
+/**
+ * Get when a runner's grace period runs out
+ * @param {Object} room - Room row from the database
+ * @param {Object} player - Player row from the database
+ * @returns {number|null} Timestamp in milliseconds, or null if the runner is in bounds
+ */
+function getGraceEndTime(room, player) {
+  if (player.out_of_bounds_since === null || player.out_of_bounds_since === undefined) return null;
+  return player.out_of_bounds_since + getRoomOutOfBoundsRules(room).grace * 1000;
+}
+
+/**
+ * Check if a runner's location is revealed for staying out of bounds
+ * @param {Object} room - Room row from the database
+ * @param {Object} player - Player row from the database
+ * @returns {boolean} True if the runner has the reveal penalty for their current exit
+ */
+function isLocationRevealed(room, player) {
+  return Boolean(player.out_of_bounds_penalized) && getRoomOutOfBoundsRules(room).penalty === OUT_OF_BOUNDS_PENALTY.REVEAL;
+}
+
+/**
+ * Describe what happens to a runner who stays out of bounds
+ * @param {string} penalty - One of OUT_OF_BOUNDS_PENALTY
+ * @returns {string} Description to finish a warning sentence with
+ */
+function describePenalty(penalty) {
+  return PENALTY_MESSAGES[penalty];
+}
+
+module.exports = {
+  OUT_OF_BOUNDS_PENALTY,
+  parseOutOfBoundsPenalty,
+  parseOutOfBoundsGrace,
+  getRoomOutOfBoundsRules,
+  getGraceEndTime,
+  isLocationRevealed,
+  describePenalty,
+};
@@ -0,0 +1,68 @@
+/**
+ * Room phases
+ *
+ * A room moves from the lobby, through the runners' head start, into the
+ * active hunt and finally ends. The phase is stored as the room status.
+ * During the head start runners disperse while hunters see nothing. The
+ * last few seconds of the head start are shown as a countdown on every
+ * device.
+ */
+
+const config = require("../config/default");
+
+const PHASE = {
+  LOBBY: "lobby",
+  HEAD_START: "head_start",
+  ACTIVE: "active",
+  ENDED: "completed",
+};
+
+/**
+ * Parse a head start chosen by a host
+ * @param {*} value - Head start in seconds as sent by the client
+ * @returns {number|null} Whole seconds, or null if the value is not a valid head start
+ */
+function parseHeadStartDuration(value) {
+  const seconds = parseInt(value);
+  if (!Number.isFinite(seconds) || seconds < 0 || seconds > config.game.maxHeadStart) return null;
+  return seconds;
+}
+
+/**
+ * Check if a room's game has started and not yet ended
+ * @param {string} status - Room status
+ * @returns {boolean} True during the head start and the active hunt
+ */
+function isGameInProgress(status) {
+  return status === PHASE.HEAD_START || status === PHASE.ACTIVE;
+}
+
+/**
+ * Get when the hunt starts, once the head start is over
+ * @param {Object} room - Room row from the database
+ * @returns {number|null} Timestamp in milliseconds, or null if the game hasn't started
+ */
+function getHuntStartTime(room) {
+  if (!room || !room.start_time) return null;
+  return room.start_time + (room.head_start_duration || 0) * 1000;
+}
+
+/**
+ * Get when the room's current phase is due to end
+ * @param {Object} room - Room row from the database
+ * @param {number} gameEndTime - When the active hunt ends, in milliseconds
+ * @returns {number|null} Timestamp in milliseconds, or null if the phase has no set end
+ */
+function getPhaseEndTime(room, gameEndTime) {
+  if (room.status === PHASE.HEAD_START) return getHuntStartTime(room);
+  if (room.status === PHASE.ACTIVE) return gameEndTime;
+  return null;
+}
+
+module.exports = {
+  PHASE,
+  parseHeadStartDuration,
+  isGameInProgress,
+  getHuntStartTime,
+  getPhaseEndTime,
+};
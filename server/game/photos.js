@@ -0,0 +1,87 @@
+/**
+ * Local disk storage for catch photos
+ *
+ * Photos are stored under <catchPhotoDir>/<roomId>/<playerId>/<photoId>.<ext>
+ */
+
+const fs = require("fs");
+const path = require("path");
+const config = require("../config/default");
+
+// Supported image types and the file extension they are stored with
+const PHOTO_EXTENSIONS = {
+  "image/jpeg": "jpg",
+  "image/png": "png",
+  "image/webp": "webp",
+};
+
+// Photo directory, relative to the project root unless an absolute path is configured
+const photoRoot = path.resolve(__dirname, "../..", config.uploads.catchPhotoDir);
+
+/**
+ * Get the directory holding all photos for a room
+ * @param {string} roomId - Room ID
+ * @returns {string} Absolute directory path
+ */
+function getRoomPhotoDir(roomId) {
+  return path.join(photoRoot, path.basename(roomId));
+}
+
+/**
+ * Get the file path a photo is stored at
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - ID of the player who took the photo
+ * @param {string} photoId - Photo ID
+ * @param {string} mimeType - Image MIME type
+ * @returns {string} Absolute file path
+ */
+function getPhotoPath(roomId, playerId, photoId, mimeType) {
+  return path.join(getRoomPhotoDir(roomId), path.basename(playerId), `${path.basename(photoId)}.${PHOTO_EXTENSIONS[mimeType]}`);
+}
+
+/**
+ * Write a photo to disk
+ * @param {string} roomId - Room ID
+ * @param {string} playerId - ID of the player who took the photo
+ * @param {string} photoId - Photo ID
+ * @param {string} mimeType - Image MIME type
+ * @param {Buffer} data - Image data
+ * @param {Function} callback - Called with (err, filePath)
+ */
+function savePhoto(roomId, playerId, photoId, mimeType, data, callback) {
+  const filePath = getPhotoPath(roomId, playerId, photoId, mimeType);
+
+  fs.mkdir(path.dirname(filePath), { recursive: true }, (err) => {
+    if (err) return callback(err);
+
+    fs.writeFile(filePath, data, (err) => {
+      if (err) return callback(err);
+      callback(null, filePath);
+    });
+  });
+}
+
+/**
+ * Delete every photo stored for a room
+ * @param {string} roomId - Room ID
+ * @param {Function} callback - Called with (err)
+ */
+function removeRoomPhotos(roomId, callback) {
+  fs.rm(getRoomPhotoDir(roomId), { recursive: true, force: true }, callback);
+}
+
+/**
+ * Check if an image type can be stored
+ * @param {string} mimeType - Image MIME type
+ * @returns {boolean} True if the type is supported
+ */
+function isSupportedPhotoType(mimeType) {
+  return Object.prototype.hasOwnProperty.call(PHOTO_EXTENSIONS, mimeType);
+}
+
+module.exports = {
+  getPhotoPath,
+  savePhoto,
+  removeRoomPhotos,
+  isSupportedPhotoType,
+};
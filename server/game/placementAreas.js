@@ -0,0 +1,96 @@
+/**
+ * Areas that limit where targets may be placed
+ *
+ * Hosts draw exclusion zones over places a runner can't or shouldn't go,
+ * like lakes, motorways or private land, and can draw an allowed area to
+ * keep the game to a part of the map. Polygons are arrays of { lat, lng }
+ * points stored as JSON in rooms.exclusion_zones and rooms.allowed_area.
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+
+/**
+ * Read a polygon drawn by a host
+ * @param {Array} value - Array of objects with lat and lng properties
+ * @returns {Array|null} Polygon with numeric points, or null if it isn't a usable polygon
+ */
+function parsePolygon(value) {
+  if (!Array.isArray(value) || value.length < 3 || value.length > config.game.maxPolygonPoints) {
+    return null;
+  }
+
+  const polygon = value.map((point) => ({ lat: Number(point && point.lat), lng: Number(point && point.lng) }));
+  const valid = polygon.every((point) => Number.isFinite(point.lat) && Number.isFinite(point.lng) && Math.abs(point.lat) <= 90 && Math.abs(point.lng) <= 180);
+
+  return valid ? polygon : null;
+}
+
+/**
+ * Read the exclusion zones and allowed area chosen by a host
+ * @param {Object} value - Object with exclusionZones (array of polygons) and allowedArea (polygon or null)
+ * @param {Object} playArea - Object with lat, lng and radius of the play area circle
+ * @returns {Object} Object with exclusionZones and allowedArea, or with an error message
+ */
+function parsePlacementAreas(value, playArea) {
+  const zones = value.exclusionZones || [];
+  if (!Array.isArray(zones) || zones.length > config.game.maxExclusionZones) {
+    return { error: `A room can have at most ${config.game.maxExclusionZones} exclusion zones` };
+  }
+
+  const exclusionZones = zones.map(parsePolygon);
+  if (exclusionZones.includes(null)) {
+    return { error: `Exclusion zones need between 3 and ${config.game.maxPolygonPoints} points` };
+  }
+
+  let allowedArea = null;
+  if (value.allowedArea) {
+    allowedArea = parsePolygon(value.allowedArea);
+    if (!allowedArea) {
+      return { error: `The allowed area needs between 3 and ${config.game.maxPolygonPoints} points` };
+    }
+
+    if (!geoUtils.doesCircleIntersectPolygon(playArea.lat, playArea.lng, playArea.radius, allowedArea)) {
+      return { error: "The allowed area must overlap the play area" };
+    }
+  }
+
+  return { exclusionZones, allowedArea };
+}
+
+/**
+ * Get the exclusion zones and allowed area of a room
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with exclusionZones (array of polygons) and allowedArea (polygon or null)
+ */
+function getRoomPlacementAreas(room) {
+  return {
+    exclusionZones: room.exclusion_zones ? JSON.parse(room.exclusion_zones) : [],
+    allowedArea: room.allowed_area ? JSON.parse(room.allowed_area) : null,
+  };
+}
+
+/**
+ * Check if a target can be placed at a point
+ * @param {Object} areas - Object with exclusionZones and allowedArea
+ * @param {Object} point - Target location as an object with lat and lng properties
+ * @param {Array} radiusLevels - Array of radius levels in meters, from largest to smallest
+ * @returns {boolean} True if every zone stays in the allowed area and the last zone is clear of exclusion zones
+ */
+function isValidTargetLocation(areas, point, radiusLevels) {
+  const circles = geoUtils.generateNestedCirclePositions(point.lat, point.lng, radiusLevels);
+
+  if (areas.allowedArea && !circles.every((circle) => geoUtils.isCircleInPolygon(circle.lat, circle.lng, circle.radius, areas.allowedArea))) {
+    return false;
+  }
+
+  // Runners have to get into the last zone, so none of it may be somewhere they can't go
+  const lastZone = circles[0];
+  return !areas.exclusionZones.some((zone) => geoUtils.doesCircleIntersectPolygon(lastZone.lat, lastZone.lng, lastZone.radius, zone));
+}
+
+module.exports = {
+  parsePlacementAreas,
+  getRoomPlacementAreas,
+  isValidTargetLocation,
+};
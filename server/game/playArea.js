@@ -0,0 +1,133 @@
+/**
+ * Play area boundaries
+ *
+ * A room plays either in a circle (central_lat, central_lng and
+ * play_radius) or inside a polygon drawn by the host, stored as a GeoJSON
+ * Polygon geometry in rooms.play_area. Polygon rooms still keep a centre
+ * and radius, the smallest circle around the polygon's bounding box, so
+ * map views and radius based settings keep working.
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+
+/**
+ * Read a play area polygon drawn by a host
+ * @param {Object} value - GeoJSON Polygon geometry, or a Feature holding one
+ * @returns {Object} Object with the GeoJSON geometry, or with an error message
+ */
+function parsePlayArea(value) {
+  const geometry = value && value.type === "Feature" ? value.geometry : value;
+
+  if (!geometry || geometry.type !== "Polygon" || !Array.isArray(geometry.coordinates) || !Array.isArray(geometry.coordinates[0])) {
+    return { error: "The play area must be a GeoJSON polygon" };
+  }
+
+  if (geometry.coordinates.length > 1) {
+    return { error: "Play areas can't have holes, use exclusion zones instead" };
+  }
+
+  const ring = geometry.coordinates[0].map((position) => (Array.isArray(position) ? [Number(position[0]), Number(position[1])] : [NaN, NaN]));
+  if (!ring.every(([lng, lat]) => Number.isFinite(lat) && Number.isFinite(lng) && Math.abs(lat) <= 90 && Math.abs(lng) <= 180)) {
+    return { error: "The play area has an invalid point" };
+  }
+
+  // GeoJSON rings end where they start, close it if the client didn't
+  const [firstLng, firstLat] = ring[0] || [];
+  const [lastLng, lastLat] = ring[ring.length - 1] || [];
+  if (ring.length > 0 && (firstLng !== lastLng || firstLat !== lastLat)) {
+    ring.push([firstLng, firstLat]);
+  }
+
+  if (ring.length < 4 || ring.length > config.game.maxPolygonPoints + 1) {
+    return { error: `The play area needs between 3 and ${config.game.maxPolygonPoints} points` };
+  }
+
+  return { geometry: { type: "Polygon", coordinates: [ring] } };
+}
+
+/**
+ * Get the points of a play area polygon
+ * @param {Object} geometry - GeoJSON Polygon geometry
+ * @returns {Array} Array of objects with lat and lng properties, without the closing point
+ */
+function getPolygon(geometry) {
+  return geometry.coordinates[0].slice(0, -1).map(([lng, lat]) => ({ lat, lng }));
+}
+
+/**
+ * Get a circle around a polygon, used as the centre and radius of polygon rooms
+ * @param {Array} polygon - Array of objects with lat and lng properties
+ * @returns {Object} Object with lat, lng and radius (whole meters) properties
+ */
+function getBoundingCircle(polygon) {
+  const lats = polygon.map((point) => point.lat);
+  const lngs = polygon.map((point) => point.lng);
+  const lat = (Math.min(...lats) + Math.max(...lats)) / 2;
+  const lng = (Math.min(...lngs) + Math.max(...lngs)) / 2;
+  const radius = Math.max(...polygon.map((point) => geoUtils.calculateDistance(lat, lng, point.lat, point.lng)));
+
+  return { lat, lng, radius: Math.ceil(radius) };
+}
+
+/**
+ * Get a room's play area polygon
+ * @param {Object} room - Room row from the database
+ * @returns {Array|null} Array of objects with lat and lng properties, or null for a circular play area
+ */
+function getRoomPolygon(room) {
+  return room.play_area ? getPolygon(JSON.parse(room.play_area)) : null;
+}
+
+/**
+ * Check if a point is inside a room's play area
+ * @param {Object} room - Room row from the database
+ * @param {number} lat - Latitude in degrees
+ * @param {number} lng - Longitude in degrees
+ * @returns {boolean} True if the point is in the play area
+ */
+function isInPlayArea(room, lat, lng) {
+  const polygon = getRoomPolygon(room);
+  if (polygon) {
+    return geoUtils.isPointInPolygon(lat, lng, polygon);
+  }
+
+  const playRadius = room.play_radius || config.game.defaultPlayAreaRadius;
+  return geoUtils.isPointInCircle(lat, lng, room.central_lat, room.central_lng, playRadius);
+}
+
+/**
+ * Pick a random point in or around a room's play area, every square meter equally likely
+ *
+ * Polygon rooms are sampled over the polygon's bounding box, so callers must
+ * still check the point with isInPlayArea.
+ * @param {Object} room - Room row from the database
+ * @param {Function} random - Random number source
+ * @returns {Object} Object with lat and lng properties
+ */
+function samplePlayArea(room, random) {
+  const polygon = getRoomPolygon(room);
+  if (polygon) {
+    const lats = polygon.map((point) => point.lat);
+    const lngs = polygon.map((point) => point.lng);
+    const minLat = Math.min(...lats);
+    const minLng = Math.min(...lngs);
+    return {
+      lat: minLat + random() * (Math.max(...lats) - minLat),
+      lng: minLng + random() * (Math.max(...lngs) - minLng),
+    };
+  }
+
+  const playRadius = room.play_radius || config.game.defaultPlayAreaRadius;
+  const distance = playRadius * Math.sqrt(random());
+  return geoUtils.calculateDestination(room.central_lat, room.central_lng, random() * 360, distance);
+}
+
+module.exports = {
+  parsePlayArea,
+  getPolygon,
+  getBoundingCircle,
+  getRoomPolygon,
+  isInPlayArea,
+  samplePlayArea,
+};
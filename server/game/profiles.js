@@ -0,0 +1,140 @@
+/**
+ * Persistent player profiles
+ *
+ * A player_id only lives as long as its room. Players who want a history
+ * across games can create a profile, which their device keeps a signed token
+ * for and sends along whenever it joins a room. The new player row is then
+ * linked to the profile through players.profile_id.
+ *
+ * Lifetime stats are never stored, they are worked out from the completed
+ * rooms the profile played in, the same ledger, catches and location history
+ * each of those games kept.
+ */
+
+const config = require("../config/default");
+const phases = require("./phases");
+const gameEnd = require("./gameEnd");
+const scoring = require("./scoring");
+const hunterStats = require("./hunterStats");
+
+/**
+ * Read a profile display name
+ * @param {*} value - Name as sent by the client
+ * @returns {Object} Object with displayName, or with an error message
+ */
+function parseDisplayName(value) {
+  const displayName = typeof value === "string" ? value.trim() : "";
+  const { maxUsernameLength } = config.security;
+
+  if (!displayName || displayName.length > maxUsernameLength) {
+    return { error: `Profile names must be between 1 and ${maxUsernameLength} characters` };
+  }
+
+  return { displayName };
+}
+
+/**
+ * Check if a player started their game as a runner. Caught runners have moved to the hunters by the end
+ * @param {Object} player - Player row from the database
+ * @returns {boolean} True if the player set out as a runner
+ */
+function startedAsRunner(player) {
+  return player.team === "runner" || player.status === "caught";
+}
+
+/**
+ * Work out how long a runner stayed free once the hunt began
+ * @param {Object} game - Player row joined with its room's start_time, head_start_duration and end_time
+ * @param {Object|null} catchRecord - Confirmed or upheld catch of this runner, if they were caught
+ * @returns {number|null} Seconds, or null if the runner was disqualified or the hunt never started
+ */
+function getSurvivalTime(game, catchRecord) {
+  const huntStartTime = phases.getHuntStartTime(game);
+  if (huntStartTime === null || game.status === "disqualified") return null;
+
+  const freeUntil = catchRecord ? catchRecord.resolved_at || catchRecord.claimed_at : game.end_time;
+  if (!freeUntil) return null;
+
+  return Math.max(0, Math.round((freeUntil - huntStartTime) / 1000));
+}
+
+/**
+ * Add up a profile's lifetime stats
+ * @param {Array} games - The profile's player rows in completed rooms, joined with room_name, start_time, head_start_duration and end_time
+ * @param {Array} ledger - Ledger rows from target_discoveries for those players
+ * @param {Array} runnerCatches - Confirmed or upheld catches of those players
+ * @param {Array} history - location_history rows for those players, in time order
+ * @returns {Object} Object with stats and recentGames, the latest config.profiles.recentGames games first
+ */
+function summarizeProfile(games, ledger, runnerCatches, history) {
+  const stats = {
+    gamesPlayed: 0,
+    gamesAsRunner: 0,
+    gamesAsHunter: 0,
+    winsAsRunner: 0,
+    timesCaught: 0,
+    catchesAsHunter: 0,
+    assistsAsHunter: 0,
+    averageSurvivalTime: null,
+    distance: 0,
+    points: 0,
+  };
+  const survivalTimes = [];
+
+  // Spectators watched rather than played
+  const played = games.filter((game) => game.team !== "spectator");
+
+  played.forEach((game) => {
+    stats.gamesPlayed++;
+
+    if (startedAsRunner(game)) {
+      stats.gamesAsRunner++;
+      if (gameEnd.hasRunnerWon(game)) stats.winsAsRunner++;
+      if (game.status === "caught") stats.timesCaught++;
+
+      const survivalTime = getSurvivalTime(
+        game,
+        runnerCatches.find((record) => record.runner_id === game.player_id),
+      );
+      if (survivalTime !== null) survivalTimes.push(survivalTime);
+    } else {
+      stats.gamesAsHunter++;
+    }
+
+    stats.distance += hunterStats.getDistanceCovered(history.filter((point) => point.player_id === game.player_id));
+  });
+
+  const playerIds = played.map((game) => game.player_id);
+  ledger
+    .filter((entry) => playerIds.includes(entry.player_id))
+    .forEach((entry) => {
+      stats.points += entry.points_earned;
+      if (entry.reason === scoring.SCORE_REASON.CATCH) stats.catchesAsHunter++;
+      if (entry.reason === scoring.SCORE_REASON.ASSIST) stats.assistsAsHunter++;
+    });
+
+  if (survivalTimes.length > 0) {
+    stats.averageSurvivalTime = Math.round(survivalTimes.reduce((total, time) => total + time, 0) / survivalTimes.length);
+  }
+
+  const recentGames = played
+    .slice()
+    .sort((a, b) => (b.end_time || 0) - (a.end_time || 0))
+    .slice(0, config.profiles.recentGames)
+    .map((game) => ({
+      roomId: game.room_id,
+      roomName: game.room_name,
+      endedAt: game.end_time,
+      team: startedAsRunner(game) ? "runner" : "hunter",
+      status: game.status,
+      points: ledger.filter((entry) => entry.player_id === game.player_id).reduce((total, entry) => total + entry.points_earned, 0),
+    }));
+
+  return { stats, recentGames };
+}
+
+module.exports = {
+  parseDisplayName,
+  startedAsRunner,
+  summarizeProfile,
+};
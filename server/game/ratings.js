@@ -0,0 +1,199 @@
+/**
+ * Skill ratings and seasonal leaderboards
+ *
+ * Players with a profile carry an Elo style rating for each season. A season
+ * is config.ratings.seasonMonths calendar months, named like "2026-S4", and
+ * every season starts everyone back at config.ratings.initialRating.
+ *
+ * Each rated game moves a player's rating by how their result compares with
+ * what their rating predicted against the other side's average. The result
+ * is mostly the team outcome, a runner who won or survived or a hunter on a
+ * winning hunter side scores 1, with config.ratings.contributionWeight of it
+ * coming from the player's points against the best on their side. Players
+ * without a profile still count towards the side averages at the initial
+ * rating.
+ *
+ * Ratings are never adjusted in place. Whenever a game ends the whole season
+ * is replayed from its rated games in the order they ended, so a room the
+ * host marked casual, or one that is deleted, simply drops out of it.
+ * Friend group leaderboards are the season's ratings of the group's members.
+ */
+
+const config = require("../config/default");
+const profiles = require("./profiles");
+const gameEnd = require("./gameEnd");
+
+/**
+ * Read whether a host wants a game to count towards ratings
+ * @param {*} value - Value as sent by the client, left out for a rated game
+ * @returns {Object} Object with rated, or with an error message
+ */
+function parseRatedSetting(value) {
+  if (value === undefined || value === null) return { rated: true };
+  if (typeof value !== "boolean") {
+    return { error: "Games must be either rated or casual" };
+  }
+  return { rated: value };
+}
+
+/**
+ * Check if a room counts towards ratings
+ * @param {Object} room - Room row from the database
+ * @returns {boolean} True unless the host marked the game casual
+ */
+function isRatedRoom(room) {
+  return room.rated === null || room.rated === undefined || Boolean(room.rated);
+}
+
+/**
+ * Read a friend group name
+ * @param {*} value - Name as sent by the client
+ * @returns {Object} Object with name, or with an error message
+ */
+function parseGroupName(value) {
+  const name = typeof value === "string" ? value.trim() : "";
+  const { maxRoomNameLength } = config.security;
+
+  if (!name || name.length > maxRoomNameLength) {
+    return { error: `Group names must be between 1 and ${maxRoomNameLength} characters` };
+  }
+
+  return { name };
+}
+
+/**
+ * Get the season a moment falls in
+ * @param {number} timestamp - Time in milliseconds
+ * @returns {string} Season name, like "2026-S4"
+ */
+function getSeason(timestamp) {
+  const date = new Date(timestamp);
+  return `${date.getUTCFullYear()}-S${Math.floor(date.getUTCMonth() / config.ratings.seasonMonths) + 1}`;
+}
+
+/**
+ * Get when a season starts and ends
+ * @param {string} season - Season name, like "2026-S4"
+ * @returns {Object|null} Object with start and end timestamps in milliseconds, end excluded, or null if the name is not a season
+ */
+function getSeasonRange(season) {
+  const match = /^(\d{4})-S(\d+)$/.exec(typeof season === "string" ? season : "");
+  if (!match) return null;
+
+  const year = Number(match[1]);
+  const number = Number(match[2]);
+  const { seasonMonths } = config.ratings;
+  if (number < 1 || number > Math.ceil(12 / seasonMonths)) return null;
+
+  return {
+    start: Date.UTC(year, (number - 1) * seasonMonths, 1),
+    end: Date.UTC(year, number * seasonMonths, 1),
+  };
+}
+
+/**
+ * Get the chance a player beats the other side, as the Elo formula puts it
+ * @param {number} rating - Player's rating
+ * @param {number} opponentRating - Average rating of the other side
+ * @returns {number} Expected result between 0 and 1
+ */
+function getExpectedResult(rating, opponentRating) {
+  return 1 / (1 + Math.pow(10, (opponentRating - rating) / 400));
+}
+
+/**
+ * Apply one game to the season's ratings
+ * @param {Map} ratings - Current ratings, objects with rating and games keyed by profile ID. Updated in place
+ * @param {Array} players - Player rows of the game's room
+ * @param {Array} ledger - Ledger rows of the game's room from target_discoveries
+ */
+function rateGame(ratings, players, ledger) {
+  const { initialRating, kFactor, contributionWeight } = config.ratings;
+
+  const participants = players
+    .filter((player) => player.team !== "spectator")
+    .map((player) => {
+      const side = profiles.startedAsRunner(player) ? "runner" : "hunter";
+      const current = player.profile_id ? ratings.get(player.profile_id) : null;
+
+      return {
+        profileId: player.profile_id,
+        side,
+        rating: current ? current.rating : initialRating,
+        points: ledger.filter((entry) => entry.player_id === player.player_id).reduce((total, entry) => total + entry.points_earned, 0),
+        won: gameEnd.hasRunnerWon(player),
+      };
+    });
+
+  // Hunters win together when no runner won or survived
+  const huntersWon = !participants.some((participant) => participant.won);
+  participants.forEach((participant) => {
+    if (participant.side === "hunter") participant.won = huntersWon;
+  });
+
+  const sides = {
+    runner: participants.filter((participant) => participant.side === "runner"),
+    hunter: participants.filter((participant) => participant.side === "hunter"),
+  };
+
+  // A game with nobody to play against says nothing about anyone's skill
+  if (sides.runner.length === 0 || sides.hunter.length === 0) return;
+
+  const averageRating = (side) => side.reduce((total, participant) => total + participant.rating, 0) / side.length;
+  const bestPoints = (side) => Math.max(...side.map((participant) => participant.points));
+
+  // Work out every change from the ratings before the game, then apply them
+  const updates = participants
+    .filter((participant) => participant.profileId)
+    .map((participant) => {
+      const outcome = participant.won ? 1 : 0;
+      const best = bestPoints(sides[participant.side]);
+      const contribution = best > 0 ? participant.points / best : outcome;
+      const result = (1 - contributionWeight) * outcome + contributionWeight * contribution;
+      const opponentRating = averageRating(sides[participant.side === "runner" ? "hunter" : "runner"]);
+
+      return {
+        profileId: participant.profileId,
+        rating: participant.rating + kFactor * (result - getExpectedResult(participant.rating, opponentRating)),
+      };
+    });
+
+  updates.forEach(({ profileId, rating }) => {
+    const current = ratings.get(profileId);
+    ratings.set(profileId, { rating, games: (current ? current.games : 0) + 1 });
+  });
+}
+
+/**
+ * Replay a season's rated games
+ * @param {Array} rooms - Rated room rows of the season, in the order they ended
+ * @param {Array} players - Player rows of those rooms
+ * @param {Array} ledger - Ledger rows of those rooms from target_discoveries
+ * @returns {Map} Objects with rating (rounded) and games, keyed by profile ID
+ */
+function rateSeason(rooms, players, ledger) {
+  const ratings = new Map();
+
+  rooms.forEach((room) => {
+    rateGame(
+      ratings,
+      players.filter((player) => player.room_id === room.room_id),
+      ledger.filter((entry) => entry.room_id === room.room_id),
+    );
+  });
+
+  ratings.forEach((value, profileId) => {
+    ratings.set(profileId, { rating: Math.round(value.rating), games: value.games });
+  });
+
+  return ratings;
+}
+
+module.exports = {
+  parseRatedSetting,
+  isRatedRoom,
+  parseGroupName,
+  getSeason,
+  getSeasonRange,
+  rateSeason,
+};
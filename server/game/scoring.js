@@ -0,0 +1,91 @@
+/**
+ * Points ledger
+ *
+ * Every point a player earns is a row in target_discoveries, with the
+ * reason it was earned, the team the player was on at the time and the
+ * target, catch or objective it came from. Scores are never stored, they
+ * are always added up from the ledger. Hunter catches and assists are
+ * worked out in hunterStats.js.
+ *
+ * A target is worth config.game.baseTargetPoints plus
+ * config.game.additionalPointsPerCircle for every zone after the first
+ * (see zones.getTargetPoints). Runners earn the per zone points each time
+ * they capture a zone that narrows down to the next one, and the base points
+ * when they reach the target itself, so working through every zone adds up
+ * to the target's points_value.
+ */
+
+const config = require("../config/default");
+
+const SCORE_REASON = {
+  ZONE: "zone",
+  TARGET: "target",
+  CHECKPOINT: "checkpoint",
+  CATCH: "catch",
+  ASSIST: "assist",
+  OBJECTIVE: "objective",
+};
+
+/**
+ * Get the points for capturing a zone that narrows to the next one
+ * @returns {number} Points earned
+ */
+function getZonePoints() {
+  return config.game.additionalPointsPerCircle;
+}
+
+/**
+ * Get the points for reaching a target or checkpoint in its last zone
+ * @returns {number} Points earned
+ */
+function getReachPoints() {
+  return config.game.baseTargetPoints;
+}
+
+/**
+ * Get the points a hunter earns for a catch
+ * @returns {number} Points earned
+ */
+function getCatchPoints() {
+  return config.game.catchPoints;
+}
+
+/**
+ * Get the points a hunter earns for helping with another hunter's catch
+ * @returns {number} Points earned
+ */
+function getAssistPoints() {
+  return config.game.catchAssists.points;
+}
+
+/**
+ * Add up a room's ledger into player and team scores
+ * @param {Array} entries - Ledger rows from target_discoveries
+ * @returns {Object} Object with players (points keyed by player ID) and teams (points for runner and hunter)
+ */
+function summarizeScores(entries) {
+  const scores = {
+    players: {},
+    teams: { runner: 0, hunter: 0 },
+  };
+
+  entries.forEach((entry) => {
+    scores.players[entry.player_id] = (scores.players[entry.player_id] || 0) + entry.points_earned;
+
+    // Points count for the team that earned them, a runner caught later keeps their points with the runners
+    if (scores.teams[entry.team] !== undefined) {
+      scores.teams[entry.team] += entry.points_earned;
+    }
+  });
+
+  return scores;
+}
+
+module.exports = {
+  SCORE_REASON,
+  getZonePoints,
+  getReachPoints,
+  getCatchPoints,
+  getAssistPoints,
+  summarizeScores,
+};
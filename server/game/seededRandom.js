@@ -0,0 +1,31 @@
+/**
+ * Repeatable random numbers
+ *
+ * Anything a room decides at random that has to come out the same again,
+ * like target placement or where its boundary shrinks to, draws from a
+ * source seeded from the room's placement seed.
+ */
+
+const crypto = require("crypto");
+
+/**
+ * Create a repeatable random number source
+ * @param {string} seed - Any string
+ * @returns {Function} Function returning numbers in [0, 1), the same sequence for the same seed
+ */
+function createSeededRandom(seed) {
+  // mulberry32, started from the first four bytes of the seed's hash
+  let state = crypto.createHash("sha256").update(String(seed)).digest().readUInt32LE(0);
+
+  return () => {
+    state = (state + 0x6d2b79f5) | 0;
+    let t = state;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+module.exports = {
+  createSeededRandom,
+};
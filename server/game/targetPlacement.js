@@ -0,0 +1,268 @@
+/**
+ * Where runner targets are placed
+ *
+ * Every room picks a placement strategy:
+ * - uniform: anywhere in the play area, with every square meter equally likely
+ * - distance_band: between a minimum and maximum distance from the runner
+ * - equal_distance: the same distance from every runner, so all trips are as long
+ *
+ * Placement is driven by a random source seeded from the room's placement
+ * seed and the number of targets already placed in the room. The same seed,
+ * runner positions and order of play place the same targets again.
+ *
+ * Whatever the strategy, targets stay in the play area (see playArea.js)
+ * and, in a shrinking room, inside the boundary in effect when their first
+ * zone activates (see boundary.js), and respect the room's exclusion zones
+ * and allowed area (see placementAreas.js). Bonus objectives (see
+ * objectives.js) follow the same rules, placed anywhere in the play area.
+ */
+
+const crypto = require("crypto");
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+const zones = require("./zones");
+const placementAreas = require("./placementAreas");
+const playArea = require("./playArea");
+const boundary = require("./boundary");
+const { createSeededRandom } = require("./seededRandom");
+
+const PLACEMENT_STRATEGY = {
+  UNIFORM: "uniform",
+  DISTANCE_BAND: "distance_band",
+  EQUAL_DISTANCE: "equal_distance",
+};
+
+const SEED_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Generate a new placement seed for a room
+ * @returns {string} Random seed
+ */
+function generatePlacementSeed() {
+  return crypto.randomBytes(8).toString("hex");
+}
+
+/**
+ * Read a placement seed chosen by a host
+ * @param {string} value - Seed as entered
+ * @returns {string|null} Seed, or null if it can't be used
+ */
+function parsePlacementSeed(value) {
+  if (typeof value !== "string") return null;
+
+  const seed = value.trim();
+  return SEED_PATTERN.test(seed) ? seed : null;
+}
+
+/**
+ * Pick the placement seed for a room. Placement is deterministic, so a host who chose the
+ * seed could work out every target before the game, only casual games may pick one
+ * @param {string} value - Seed the host entered, left out to generate one
+ * @param {boolean} rated - Whether the room counts towards ratings
+ * @returns {Object} Object with seed, or with an error message
+ */
+function choosePlacementSeed(value, rated) {
+  if (!value) return { seed: generatePlacementSeed() };
+  if (rated) {
+    return { error: "Only casual games can use a chosen placement seed" };
+  }
+
+  const seed = parsePlacementSeed(value);
+  return seed ? { seed } : { error: "Placement seeds can only use letters, numbers, - and _" };
+}
+
+/**
+ * Read the placement settings chosen by a host
+ * @param {Object} value - Object with strategy, minDistance and maxDistance, any of which may be left out
+ * @param {number} playRadius - Radius of the room's play area in meters
+ * @returns {Object} Object with strategy, minDistance and maxDistance, or with an error message
+ */
+function parsePlacementSettings(value, playRadius) {
+  const strategy = value.strategy === undefined ? config.game.targetPlacement.defaultStrategy : value.strategy;
+  if (!Object.values(PLACEMENT_STRATEGY).includes(strategy)) {
+    return { error: "Unknown target placement strategy" };
+  }
+
+  const minDistance = value.minDistance === undefined || value.minDistance === null ? Math.min(config.game.targetPlacement.defaultMinDistance, playRadius) : Number(value.minDistance);
+  const maxDistance = value.maxDistance === undefined || value.maxDistance === null ? null : Number(value.maxDistance);
+
+  if (!Number.isInteger(minDistance) || minDistance < 0) {
+    return { error: "Minimum target distance must be zero or more whole meters" };
+  }
+
+  if (maxDistance !== null && (!Number.isInteger(maxDistance) || maxDistance <= minDistance)) {
+    return { error: "Maximum target distance must be more than the minimum" };
+  }
+
+  // Nothing in the play area is further than its diameter from a runner inside it
+  if (minDistance >= playRadius * 2) {
+    return { error: `Minimum target distance must be less than the play area (${playRadius * 2}m across)` };
+  }
+
+  return { strategy, minDistance, maxDistance };
+}
+
+/**
+ * Get the placement settings a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Object} Object with strategy, minDistance, maxDistance and seed
+ */
+function getRoomPlacement(room) {
+  const playRadius = room.play_radius || config.game.defaultPlayAreaRadius;
+
+  return {
+    strategy: room.placement_strategy || PLACEMENT_STRATEGY.UNIFORM,
+    minDistance: room.placement_min_distance || 0,
+    maxDistance: room.placement_max_distance || playRadius * 2,
+    seed: room.placement_seed || room.room_id,
+  };
+}
+
+/**
+ * Get the trip length every runner gets with the equal distance strategy
+ * @param {Object} room - Room row from the database
+ * @returns {number} Distance in meters
+ */
+function getEqualTripDistance(room) {
+  const placement = getRoomPlacement(room);
+  const playRadius = room.play_radius || config.game.defaultPlayAreaRadius;
+
+  // Keep the trip short enough that a runner anywhere near the centre can make it
+  const longest = Math.max(placement.minDistance, Math.min(placement.maxDistance, playRadius));
+  const random = createSeededRandom(`${placement.seed}:trip`);
+
+  return Math.round(placement.minDistance + random() * (longest - placement.minDistance));
+}
+
+/**
+ * Create a check for the points a room's targets may be placed at
+ * @param {Object} room - Room row from the database
+ * @param {number} reachableAt - When the runner can first go for the target, in milliseconds
+ * @returns {Function} Function taking an object with lat and lng, true if a target may be placed there
+ */
+function createLocationCheck(room, reachableAt = Date.now()) {
+  const areas = placementAreas.getRoomPlacementAreas(room);
+  const radiusLevels = zones.getRoomRadiusLevels(room);
+
+  // Targets outside the boundary of the moment would be out of bounds before anyone could reach them
+  const current = boundary.getBoundaryAt(room, reachableAt);
+  const isInBoundary = (point) => !current || geoUtils.isPointInCircle(point.lat, point.lng, current.lat, current.lng, current.radius);
+
+  return (point) => playArea.isInPlayArea(room, point.lat, point.lng) && isInBoundary(point) && placementAreas.isValidTargetLocation(areas, point, radiusLevels);
+}
+
+/**
+ * Pick a valid point anywhere in the play area
+ * @param {Object} room - Room row from the database
+ * @param {Function} isValid - Location check from createLocationCheck
+ * @param {Function} random - Random number source
+ * @returns {Object|null} Object with lat and lng properties, or null if no valid point was found
+ */
+function sampleUniform(room, isValid, random) {
+  for (let i = 0; i < config.game.targetPlacement.maxAttempts; i++) {
+    const point = playArea.samplePlayArea(room, random);
+    if (isValid(point)) {
+      return point;
+    }
+  }
+  return null;
+}
+
+/**
+ * Pick a valid point in the play area between two distances from a runner
+ * @param {Object} room - Room row from the database
+ * @param {Object} runner - Object with lat and lng properties
+ * @param {number} minDistance - Closest the point may be, in meters
+ * @param {number} maxDistance - Furthest the point may be, in meters
+ * @param {Function} isValid - Location check from createLocationCheck
+ * @param {Function} random - Random number source
+ * @returns {Object|null} Object with lat and lng properties, or null if no valid point was found
+ */
+function sampleDistanceBand(room, runner, minDistance, maxDistance, isValid, random) {
+  const attempts = config.game.targetPlacement.maxAttempts;
+
+  // Sample the ring around the runner evenly by area, keeping the first valid point
+  for (let i = 0; i < attempts; i++) {
+    const distance = Math.sqrt(minDistance * minDistance + random() * (maxDistance * maxDistance - minDistance * minDistance));
+    const point = geoUtils.calculateDestination(runner.lat, runner.lng, random() * 360, distance);
+    if (isValid(point)) {
+      return point;
+    }
+  }
+
+  // The ring misses everywhere valid, for example when the runner is far outside the play area, so take the closest valid point we can find
+  let best = null;
+  let bestMiss = Infinity;
+  for (let i = 0; i < attempts; i++) {
+    const point = playArea.samplePlayArea(room, random);
+    if (!isValid(point)) continue;
+
+    const distance = geoUtils.calculateDistance(runner.lat, runner.lng, point.lat, point.lng);
+    const miss = Math.max(minDistance - distance, distance - maxDistance, 0);
+    if (miss < bestMiss) {
+      best = point;
+      bestMiss = miss;
+    }
+  }
+  return best;
+}
+
+/**
+ * Place a new target for a runner
+ * @param {Object} room - Room row from the database
+ * @param {Object|null} runner - Runner's position as an object with lat and lng, or null if it isn't known
+ * @param {number} targetNumber - Number of targets already placed in the room
+ * @param {number} reachableAt - When the target's first zone activates, in milliseconds
+ * @returns {Object|null} Object with lat and lng properties, or null if the room leaves nowhere to place it
+ */
+function placeTarget(room, runner, targetNumber, reachableAt = Date.now()) {
+  const placement = getRoomPlacement(room);
+  const random = createSeededRandom(`${placement.seed}:${targetNumber}`);
+  const isValid = createLocationCheck(room, reachableAt);
+
+  // Without a position there is nothing to measure a trip from
+  if (!runner || placement.strategy === PLACEMENT_STRATEGY.UNIFORM) {
+    return sampleUniform(room, isValid, random);
+  }
+
+  if (placement.strategy === PLACEMENT_STRATEGY.EQUAL_DISTANCE) {
+    const distance = getEqualTripDistance(room);
+    return sampleDistanceBand(room, runner, distance, distance, isValid, random);
+  }
+
+  return sampleDistanceBand(room, runner, placement.minDistance, placement.maxDistance, isValid, random);
+}
+
+/**
+ * Place a bonus objective anywhere targets may go
+ * @param {Object} room - Room row from the database
+ * @param {number} objectiveNumber - Objective number, counting the first as 1
+ * @returns {Object|null} Object with lat and lng properties, or null if the room leaves nowhere to place it
+ */
+function placeObjective(room, objectiveNumber) {
+  // Objectives are shared by every runner, so they are spread over the whole play area rather than measured from anyone
+  return sampleUniform(room, createLocationCheck(room), createSeededRandom(`${getRoomPlacement(room).seed}:objective:${objectiveNumber}`));
+}
+
+/**
+ * Check that a room's settings leave somewhere to place targets
+ * @param {Object} room - Room row from the database, or one with unsaved changes applied
+ * @returns {boolean} True if a valid target location was found
+ */
+function canPlaceTargets(room) {
+  return sampleUniform(room, createLocationCheck(room), createSeededRandom(`${getRoomPlacement(room).seed}:check`)) !== null;
+}
+
+module.exports = {
+  PLACEMENT_STRATEGY,
+  generatePlacementSeed,
+  parsePlacementSeed,
+  choosePlacementSeed,
+  createSeededRandom,
+  parsePlacementSettings,
+  getRoomPlacement,
+  getEqualTripDistance,
+  placeTarget,
+  placeObjective,
+  canPlaceTargets,
+};
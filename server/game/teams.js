@@ -0,0 +1,128 @@
+/**
+ * Lobby team management and ready checks
+ *
+ * Players can switch teams and mark themselves ready while the room is in
+ * the lobby. Any team change clears the player's ready flag, so the host
+ * only starts once everyone has seen the final teams.
+ *
+ * Spectators join outside the teams. They follow the whole game, never
+ * ping their location and are left out of team changes and ready checks.
+ */
+
+const TEAMS = ["hunter", "runner"];
+
+const SPECTATOR = "spectator";
+
+// How the host can reassign teams
+const TEAM_ASSIGNMENT = {
+  RANDOM: "random",
+  BALANCED: "balanced",
+};
+
+/**
+ * Check if a team name is valid
+ * @param {string} team - Team name
+ * @returns {boolean} True for hunter or runner
+ */
+function isValidTeam(team) {
+  return TEAMS.includes(team);
+}
+
+/**
+ * Check if a role can be picked when joining a room
+ * @param {string} team - Team name, or spectator
+ * @returns {boolean} True for hunter, runner or spectator
+ */
+function isValidJoinTeam(team) {
+  return isValidTeam(team) || team === SPECTATOR;
+}
+
+/**
+ * Check if a player is watching rather than playing
+ * @param {Object} player - Player row or formatted player
+ * @returns {boolean} True for spectators
+ */
+function isSpectator(player) {
+  return Boolean(player) && player.team === SPECTATOR;
+}
+
+/**
+ * Read the pre-game device checks a client reports
+ * @param {Object} value - Checks as sent by the client
+ * @returns {Object} Object with gps and mic booleans
+ */
+function parseDeviceChecks(value) {
+  const checks = value || {};
+  return {
+    gps: checks.gps === true,
+    mic: checks.mic === true,
+  };
+}
+
+/**
+ * Get why a player can't be marked ready yet
+ * @param {Object} deviceChecks - Parsed device checks
+ * @returns {string|null} Reason, or null if the player may be ready
+ */
+function getReadyBlocker(deviceChecks) {
+  // The game can't be played without a location, voice chat is optional
+  if (!deviceChecks.gps) return "Your location is needed before you can be ready";
+  return null;
+}
+
+/**
+ * Work out new teams for the players in a lobby
+ * @param {Array} allPlayers - Player rows from the database, spectators are left where they are
+ * @param {string} mode - One of TEAM_ASSIGNMENT
+ * @param {Function} random - Random number source
+ * @returns {Array} Array of { playerId, team } for the players whose team changes
+ */
+function assignTeams(allPlayers, mode, random = Math.random) {
+  const players = allPlayers.filter((player) => !isSpectator(player));
+  const teams = new Map(players.map((player) => [player.player_id, player.team]));
+
+  if (mode === TEAM_ASSIGNMENT.RANDOM) {
+    // Shuffle everyone, then split down the middle with any odd player running
+    const shuffled = shuffle(players, random);
+    const hunterCount = Math.floor(shuffled.length / 2);
+    shuffled.forEach((player, index) => teams.set(player.player_id, index < hunterCount ? "hunter" : "runner"));
+  } else if (mode === TEAM_ASSIGNMENT.BALANCED) {
+    // Move as few players as possible, picked at random from the bigger team
+    const hunters = players.filter((player) => player.team === "hunter");
+    const runners = players.filter((player) => player.team !== "hunter");
+    const [bigger, targetTeam] = hunters.length > runners.length ? [hunters, "runner"] : [runners, "hunter"];
+    const moves = Math.floor(Math.abs(hunters.length - runners.length) / 2);
+
+    shuffle(bigger, random)
+      .slice(0, moves)
+      .forEach((player) => teams.set(player.player_id, targetTeam));
+  }
+
+  return players.filter((player) => teams.get(player.player_id) !== player.team).map((player) => ({ playerId: player.player_id, team: teams.get(player.player_id) }));
+}
+
+/**
+ * Get a shuffled copy of an array
+ * @param {Array} items - Items to shuffle
+ * @param {Function} random - Random number source
+ * @returns {Array} New array in random order
+ */
+function shuffle(items, random) {
+  const shuffled = [...items];
+  for (let i = shuffled.length - 1; i > 0; i--) {
+    const j = Math.floor(random() * (i + 1));
+    [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
+  }
+  return shuffled;
+}
+
+module.exports = {
+  SPECTATOR,
+  TEAM_ASSIGNMENT,
+  isValidTeam,
+  isValidJoinTeam,
+  isSpectator,
+  parseDeviceChecks,
+  getReadyBlocker,
+  assignTeams,
+};
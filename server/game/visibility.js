@@ -0,0 +1,146 @@
+/**
+ * Visibility policy for game state
+ *
+ * Every game state or location payload that leaves the server is projected
+ * for the player receiving it. A viewer is a formatted player
+ * ({ playerId, team, status }) or null for an unidentified client.
+ */
+
+/**
+ * Check if a viewer may see a player's last known location
+ * @param {Object|null} viewer - Player receiving the data
+ * @param {Object} player - Player whose location is being sent
+ * @param {string} roomStatus - Current room status
+ * @returns {boolean} True if the location may be sent
+ */
+function canSeePlayerLocation(viewer, player, roomStatus) {
+  if (!viewer) return false;
+  if (viewer.playerId === player.playerId) return true;
+  if (roomStatus === "completed") return true;
+
+  // Runners revealed for staying out of bounds can't hide from the hunters
+  if (player.locationRevealed && viewer.team === "hunter") return true;
+
+  // Spectators follow everyone from the moment the game starts
+  if (viewer.team === "spectator") return roomStatus !== "lobby";
+
+  // Pings are only shared once the hunt is on, never during the head start
+  return roomStatus === "active";
+}
+
+/**
+ * Check if a viewer may see a runner's location history trail
+ * @param {Object|null} viewer - Player receiving the data
+ * @param {Object} runner - Runner whose history is being sent
+ * @param {string} roomStatus - Current room status
+ * @returns {boolean} True if the history may be sent
+ */
+function canSeeLocationHistory(viewer, runner, roomStatus) {
+  if (!canSeePlayerLocation(viewer, runner, roomStatus)) return false;
+  if (roomStatus === "completed") return true;
+  if (runner.locationRevealed && viewer.team === "hunter") return true;
+
+  // Only hunters and spectators get the full trail, runners just see the latest ping
+  return viewer.team === "hunter" || viewer.team === "spectator";
+}
+
+/**
+ * Check if a viewer may see a target
+ * @param {Object|null} viewer - Player receiving the data
+ * @param {Object} target - Formatted target
+ * @param {string} roomStatus - Current room status
+ * @returns {boolean} True if the target may be sent
+ */
+function canSeeTarget(viewer, target, roomStatus) {
+  if (!viewer) return false;
+  if (roomStatus === "completed") return true;
+
+  // Spectators see every runner's current zone
+  if (viewer.team === "spectator") return true;
+
+  // Targets are private to the runner working on them
+  return viewer.playerId === target.playerId && viewer.team === "runner";
+}
+
+/**
+ * Check if a viewer may see exactly where a bonus objective is
+ * @param {Object|null} viewer - Player receiving the data
+ * @param {string} roomStatus - Current room status
+ * @returns {boolean} True if the objective's location may be sent, otherwise only the area around it is
+ */
+function canSeeObjectiveLocation(viewer, roomStatus) {
+  if (!viewer) return false;
+  if (roomStatus === "completed") return true;
+
+  // Hunters only get the rough area, that is where they go to wait for runners
+  return viewer.team === "runner" || viewer.team === "spectator";
+}
+
+/**
+ * Build a viewer's own projection of the full game state
+ * @param {Object} gameState - Full, unfiltered game state
+ * @param {Object|null} viewer - Player receiving the state
+ * @returns {Object} Game state containing only what the viewer may see
+ */
+function projectGameState(gameState, viewer) {
+  if (!gameState) return gameState;
+
+  const { status } = gameState;
+
+  const players = gameState.players.map((player) => ({
+    ...player,
+    location: canSeePlayerLocation(viewer, player, status) ? player.location : null,
+  }));
+
+  const targets = gameState.targets.filter((target) => canSeeTarget(viewer, target, status));
+
+  const objectives = (gameState.objectives || []).map((objective) => ({
+    ...objective,
+    location: canSeeObjectiveLocation(viewer, status) ? objective.location : null,
+  }));
+
+  const runnerLocationHistory = {};
+  Object.values(gameState.runnerLocationHistory || {}).forEach((runnerData) => {
+    if (canSeeLocationHistory(viewer, runnerData, status)) {
+      runnerLocationHistory[runnerData.playerId] = runnerData;
+    } else if (canSeePlayerLocation(viewer, runnerData, status)) {
+      runnerLocationHistory[runnerData.playerId] = { ...runnerData, locationHistory: [] };
+    }
+  });
+
+  return {
+    ...gameState,
+    players,
+    targets,
+    objectives,
+    runnerLocationHistory,
+  };
+}
+
+/**
+ * Build a viewer's projection of a single location ping
+ * @param {Object} locationData - Location payload for the pinging player
+ * @param {Object|null} viewer - Player receiving the ping
+ * @param {string} roomStatus - Current room status
+ * @returns {Object|null} Payload to send, or null if the viewer may not see it
+ */
+function projectLocationUpdate(locationData, viewer, roomStatus) {
+  if (!canSeePlayerLocation(viewer, locationData, roomStatus)) {
+    return null;
+  }
+
+  if (locationData.locationHistory && !canSeeLocationHistory(viewer, locationData, roomStatus)) {
+    return { ...locationData, locationHistory: [] };
+  }
+
+  return locationData;
+}
+
+module.exports = {
+  canSeePlayerLocation,
+  canSeeLocationHistory,
+  canSeeTarget,
+  canSeeObjectiveLocation,
+  projectGameState,
+  projectLocationUpdate,
+};
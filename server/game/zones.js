@@ -0,0 +1,126 @@
+/**
+ * Zone geometry for runner targets
+ *
+ * The exact target location never leaves the server. Runners only ever
+ * receive the centre and radius of the zone they are currently working on.
+ *
+ * Each room has its own radius ladder, the zone radii from the first zone
+ * to the last, stored as JSON in rooms.radius_levels.
+ */
+
+const geoUtils = require("../../shared/utils/geoUtils");
+const config = require("../config/default");
+
+/**
+ * Read a radius ladder chosen by a host
+ * @param {Array|string} value - Radii in meters from largest to smallest, or the name of a preset
+ * @param {number} playRadius - Radius of the room's play area in meters
+ * @returns {Object} Object with levels, or with an error message if the ladder can't be used
+ */
+function parseRadiusLevels(value, playRadius) {
+  const presets = config.game.radiusLadderPresets;
+  const levels = typeof value === "string" ? presets[value] : value;
+
+  if (!Array.isArray(levels)) {
+    return { error: "Unknown zone radius preset" };
+  }
+
+  if (levels.length === 0 || levels.length > config.game.maxRadiusLevels) {
+    return { error: `A game needs between 1 and ${config.game.maxRadiusLevels} zones` };
+  }
+
+  if (!levels.every((radius) => Number.isInteger(radius) && radius >= config.game.minZoneRadius)) {
+    return { error: `Zone radii must be whole meters of at least ${config.game.minZoneRadius}m` };
+  }
+
+  if (!levels.every((radius, index) => index === 0 || radius < levels[index - 1])) {
+    return { error: "Each zone must be smaller than the one before it" };
+  }
+
+  // A first zone wider than the whole play area tells runners nothing, a last zone as big as it gives nothing away
+  if (levels[0] > playRadius * 2) {
+    return { error: `The first zone can't be wider than the play area (${playRadius * 2}m across)` };
+  }
+
+  if (levels[levels.length - 1] >= playRadius) {
+    return { error: `The last zone must be smaller than the play radius of ${playRadius}m` };
+  }
+
+  return { levels: [...levels] };
+}
+
+/**
+ * Get the radius ladder a room plays with
+ * @param {Object} room - Room row from the database
+ * @returns {Array} Radii in meters from largest to smallest
+ */
+function getRoomRadiusLevels(room) {
+  if (room && room.radius_levels) {
+    return JSON.parse(room.radius_levels);
+  }
+  return config.game.targetRadiusLevels;
+}
+
+/**
+ * Get the points a target is worth, one base amount plus a bonus for every zone after the first
+ * @param {Array} radiusLevels - Array of radius levels in meters, from largest to smallest
+ * @returns {number} Points for reaching the target
+ */
+function getTargetPoints(radiusLevels) {
+  return config.game.baseTargetPoints + config.game.additionalPointsPerCircle * (radiusLevels.length - 1);
+}
+
+/**
+ * Get the zone circle a target is currently showing
+ * @param {Object} target - Target row from the database
+ * @param {Array} radiusLevels - Array of radius levels in meters, from largest to smallest
+ * @returns {Object|null} Object with lat, lng and radius properties
+ */
+function getCurrentZone(target, radiusLevels = config.game.targetRadiusLevels) {
+  const circlePositions = geoUtils.generateNestedCirclePositions(target.lat, target.lng, radiusLevels);
+  const zone = circlePositions.find((position) => position.radius === target.radius_level);
+
+  if (!zone) {
+    return null;
+  }
+
+  return {
+    lat: zone.lat,
+    lng: zone.lng,
+    radius: zone.radius,
+  };
+}
+
+/**
+ * Format a target row for sending to a client, without its exact location
+ * @param {Object} target - Target row from the database
+ * @param {Array} radiusLevels - Array of radius levels in meters, from largest to smallest
+ * @returns {Object} Client-safe target
+ */
+function formatTarget(target, radiusLevels = config.game.targetRadiusLevels) {
+  return {
+    targetId: target.target_id,
+    playerId: target.player_id,
+    // Checkpoints further along the route stay hidden until the runner gets to them
+    zone: target.status === "pending" ? null : getCurrentZone(target, radiusLevels),
+    radiusLevel: target.radius_level,
+    status: target.status,
+    zoneStatus: target.zone_status || "inactive",
+    activationTime: target.activation_time,
+    reachedBy: target.status === "reached" ? target.player_id : null,
+    reachedAt: target.reached_at,
+    captureStartedAt: target.capture_started_at || null,
+    capturePings: target.capture_pings || 0,
+    kind: target.kind || "final",
+    sequence: target.sequence || 0,
+    pointsValue: target.points_value,
+  };
+}
+
+module.exports = {
+  parseRadiusLevels,
+  getRoomRadiusLevels,
+  getTargetPoints,
+  getCurrentZone,
+  formatTarget,
+};
@@ -1,12 +1,57 @@
 const express = require("express");
 const router = express.Router();
 const { v4: uuidv4 } = require("uuid");
+const QRCode = require("qrcode");
 const geoUtils = require("../../shared/utils/geoUtils");
 const config = require("../config/default");
+const zones = require("../game/zones");
+const photos = require("../game/photos");
+const sessionTokens = require("../auth/sessionTokens");
+const roomPasswords = require("../auth/roomPasswords");
+const joinCodes = require("../game/joinCodes");
+const gameEnd = require("../game/gameEnd");
+const phases = require("../game/phases");
+const targetPlacement = require("../game/targetPlacement");
+const placementAreas = require("../game/placementAreas");
+const playArea = require("../game/playArea");
+const outOfBounds = require("../game/outOfBounds");
+const boundary = require("../game/boundary");
+const captureDwell = require("../game/captureDwell");
+const checkpoints = require("../game/checkpoints");
+const objectives = require("../game/objectives");
+const catches = require("../game/catches");
+const profiles = require("../game/profiles");
+const ratings = require("../game/ratings");
 
 // Get database from server.js
 const db = require("../server").db;
 
+/**
+ * Read the player session from a request's bearer token
+ * @param {Object} req - Express request
+ * @param {string} roomId - Room the session must belong to
+ * @returns {Object|null} Object with playerId and roomId properties, or null if missing or invalid
+ */
+function getRequestSession(req, roomId) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer") return null;
+
+  const session = sessionTokens.verifyToken(token);
+  return session && session.roomId === roomId ? session : null;
+}
+
+/**
+ * Read the player profile from a request's bearer token
+ * @param {Object} req - Express request
+ * @returns {string|null} Profile ID, or null if missing or invalid
+ */
+function getRequestProfileId(req) {
+  const [scheme, token] = (req.get("Authorization") || "").split(" ");
+  if (scheme !== "Bearer") return null;
+
+  return sessionTokens.verifyProfileToken(token);
+}
+
 // Get room details
 router.get("/rooms/:roomId", (req, res) => {
   const { roomId } = req.params;
@@ -23,7 +68,28 @@ router.get("/rooms/:roomId", (req, res) => {
     res.json({
       roomId: room.room_id,
       roomName: room.room_name,
+      joinCode: room.join_code,
+      hasPassword: Boolean(room.password_hash),
       gameDuration: room.game_duration,
+      headStartDuration: room.head_start_duration || 0,
+      radiusLevels: zones.getRoomRadiusLevels(room),
+      placementStrategy: targetPlacement.getRoomPlacement(room).strategy,
+      playArea: room.play_area ? JSON.parse(room.play_area) : null,
+      outOfBoundsPenalty: outOfBounds.getRoomOutOfBoundsRules(room).penalty,
+      outOfBoundsGrace: outOfBounds.getRoomOutOfBoundsRules(room).grace,
+      shrinkStages: boundary.getRoomShrinkSettings(room).stages,
+      shrinkInterval: boundary.getRoomShrinkSettings(room).interval,
+      shrinkFinalRadius: boundary.getRoomShrinkSettings(room).finalRadius,
+      shrinkCenter: boundary.getRoomShrinkSettings(room).center,
+      boundary: boundary.getBoundaryState(room),
+      captureDwellMode: captureDwell.getRoomCaptureDwell(room).mode,
+      captureDwellAmount: captureDwell.getRoomCaptureDwell(room).amount,
+      checkpointCount: checkpoints.getRoomCheckpoints(room).count,
+      checkpointOrder: checkpoints.getRoomCheckpoints(room).order,
+      objectiveInterval: objectives.getRoomObjectives(room).interval,
+      objectivePoints: objectives.getRoomObjectives(room).points,
+      rated: ratings.isRatedRoom(room),
+      ...placementAreas.getRoomPlacementAreas(room),
       centralLocation: {
         lat: room.central_lat,
         lng: room.central_lng,
@@ -37,31 +103,162 @@ router.get("/rooms/:roomId", (req, res) => {
 
 // Create new room
 router.post("/rooms", (req, res) => {
-  const { roomName, gameDuration, centralLat, centralLng, playRadius } = req.body;
+  const { roomName, centralLat, centralLng, playRadius, password } = req.body;
 
-  if (!roomName || !gameDuration || !centralLat || !centralLng) {
+  // A drawn play area stands in for the centre and radius
+  if (!roomName || (!req.body.playArea && (!centralLat || !centralLng))) {
     return res.status(400).json({ error: "Missing required fields" });
   }
 
-  // Check if room name already exists
-  db.get("SELECT * FROM rooms WHERE room_name = ?", [roomName], (err, existingRoom) => {
-    if (err) {
-      return res.status(500).json({ error: "Database error" });
-    }
+  const gameDuration = req.body.gameDuration === undefined ? config.game.defaultGameDuration : gameEnd.parseGameDuration(req.body.gameDuration);
+  if (!gameDuration) {
+    return res.status(400).json({ error: `Game duration must be between 1 and ${config.game.maxGameDuration} minutes` });
+  }
+
+  const headStartDuration = req.body.headStartDuration === undefined ? config.game.defaultHeadStart : phases.parseHeadStartDuration(req.body.headStartDuration);
+  if (headStartDuration === null) {
+    return res.status(400).json({ error: `Head start must be between 0 and ${config.game.maxHeadStart} seconds` });
+  }
 
-    if (existingRoom) {
-      return res.status(409).json({ error: "Room name already exists" });
+  let bounds = { lat: centralLat, lng: centralLng, radius: playRadius || config.game.defaultPlayAreaRadius };
+  let playAreaGeometry = null;
+  if (req.body.playArea) {
+    const parsedPlayArea = playArea.parsePlayArea(req.body.playArea);
+    if (parsedPlayArea.error) {
+      return res.status(400).json({ error: parsedPlayArea.error });
     }
+    playAreaGeometry = parsedPlayArea.geometry;
+    bounds = playArea.getBoundingCircle(playArea.getPolygon(playAreaGeometry));
+  }
+
+  const radius = bounds.radius;
+  const radiusLadder = zones.parseRadiusLevels(req.body.radiusLevels === undefined ? config.game.targetRadiusLevels : req.body.radiusLevels, radius);
+  if (radiusLadder.error) {
+    return res.status(400).json({ error: radiusLadder.error });
+  }
+
+  const placement = targetPlacement.parsePlacementSettings({ strategy: req.body.placementStrategy, minDistance: req.body.placementMinDistance, maxDistance: req.body.placementMaxDistance }, radius);
+  if (placement.error) {
+    return res.status(400).json({ error: placement.error });
+  }
+
+  const { rated, error: ratedError } = ratings.parseRatedSetting(req.body.rated);
+  if (ratedError) {
+    return res.status(400).json({ error: ratedError });
+  }
 
-    const roomId = uuidv4();
-    const startTime = Date.now();
-    const radius = playRadius || config.game.defaultPlayAreaRadius;
+  const { seed: placementSeed, error: placementSeedError } = targetPlacement.choosePlacementSeed(req.body.placementSeed, rated);
+  if (placementSeedError) {
+    return res.status(400).json({ error: placementSeedError });
+  }
+
+  const areas = placementAreas.parsePlacementAreas({ exclusionZones: req.body.exclusionZones, allowedArea: req.body.allowedArea }, bounds);
+  if (areas.error) {
+    return res.status(400).json({ error: areas.error });
+  }
+
+  const shrink = boundary.parseShrinkSettings({ stages: req.body.shrinkStages, interval: req.body.shrinkInterval, finalRadius: req.body.shrinkFinalRadius, center: req.body.shrinkCenter }, radius);
+  if (shrink.error) {
+    return res.status(400).json({ error: shrink.error });
+  }
+
+  const plannedRoom = {
+    central_lat: bounds.lat,
+    central_lng: bounds.lng,
+    play_radius: radius,
+    play_area: playAreaGeometry ? JSON.stringify(playAreaGeometry) : null,
+    radius_levels: JSON.stringify(radiusLadder.levels),
+    placement_seed: placementSeed,
+    exclusion_zones: JSON.stringify(areas.exclusionZones),
+    allowed_area: areas.allowedArea ? JSON.stringify(areas.allowedArea) : null,
+    shrink_stages: shrink.stages,
+    shrink_interval: shrink.interval,
+    shrink_final_radius: shrink.finalRadius,
+    shrink_center: shrink.center,
+  };
+  if (!targetPlacement.canPlaceTargets(plannedRoom)) {
+    return res.status(400).json({ error: "There is nowhere left to place targets, make the allowed area bigger or remove some exclusion zones" });
+  }
+
+  const outOfBoundsPenalty = req.body.outOfBoundsPenalty === undefined ? config.game.defaultOutOfBoundsPenalty : outOfBounds.parseOutOfBoundsPenalty(req.body.outOfBoundsPenalty);
+  if (!outOfBoundsPenalty) {
+    return res.status(400).json({ error: "Unknown out of bounds penalty" });
+  }
+
+  const outOfBoundsGrace = req.body.outOfBoundsGrace === undefined ? config.game.defaultOutOfBoundsGrace : outOfBounds.parseOutOfBoundsGrace(req.body.outOfBoundsGrace);
+  if (outOfBoundsGrace === null) {
+    return res.status(400).json({ error: `Out of bounds grace period must be between 0 and ${config.game.maxOutOfBoundsGrace} seconds` });
+  }
+
+  const dwell = captureDwell.parseCaptureDwell({ mode: req.body.captureDwellMode, amount: req.body.captureDwellAmount });
+  if (dwell.error) {
+    return res.status(400).json({ error: dwell.error });
+  }
+
+  const route = checkpoints.parseCheckpointSettings({ count: req.body.checkpointCount, order: req.body.checkpointOrder });
+  if (route.error) {
+    return res.status(400).json({ error: route.error });
+  }
+
+  const bonus = objectives.parseObjectiveSettings({ interval: req.body.objectiveInterval, points: req.body.objectivePoints });
+  if (bonus.error) {
+    return res.status(400).json({ error: bonus.error });
+  }
+
+  if (password && (typeof password !== "string" || password.length > config.security.maxRoomPasswordLength)) {
+    return res.status(400).json({ error: "Invalid room password" });
+  }
+
+  // Room names are only for display, players find the room by its join code
+  const roomId = uuidv4();
+  const startTime = Date.now();
+  const passwordHash = password ? roomPasswords.hashPassword(password) : null;
+
+  const insertRoom = (attempt) => {
+    const joinCode = joinCodes.generateJoinCode();
 
-    // Create new room
     db.run(
-      "INSERT INTO rooms (room_id, room_name, game_duration, central_lat, central_lng, play_radius, start_time, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-      [roomId, roomName, gameDuration, centralLat, centralLng, radius, startTime, "lobby"],
+      "INSERT INTO rooms (room_id, room_name, game_duration, head_start_duration, central_lat, central_lng, play_radius, radius_levels, placement_strategy, placement_min_distance, placement_max_distance, placement_seed, exclusion_zones, allowed_area, play_area, out_of_bounds_penalty, out_of_bounds_grace, shrink_stages, shrink_interval, shrink_final_radius, shrink_center, capture_dwell_mode, capture_dwell_amount, checkpoint_count, checkpoint_order, objective_interval, objective_points, rated, start_time, status, join_code, password_hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+      [
+        roomId,
+        roomName,
+        gameDuration,
+        headStartDuration,
+        bounds.lat,
+        bounds.lng,
+        radius,
+        JSON.stringify(radiusLadder.levels),
+        placement.strategy,
+        placement.minDistance,
+        placement.maxDistance,
+        placementSeed,
+        plannedRoom.exclusion_zones,
+        plannedRoom.allowed_area,
+        plannedRoom.play_area,
+        outOfBoundsPenalty,
+        outOfBoundsGrace,
+        shrink.stages,
+        shrink.interval,
+        shrink.finalRadius,
+        shrink.center,
+        dwell.mode,
+        dwell.amount,
+        route.count,
+        route.order,
+        bonus.interval,
+        bonus.points,
+        rated ? 1 : 0,
+        startTime,
+        "lobby",
+        joinCode,
+        passwordHash,
+      ],
       function (err) {
+        // Try another code if this one is already taken
+        if (err && err.code === "SQLITE_CONSTRAINT" && attempt < 4) {
+          return insertRoom(attempt + 1);
+        }
+
         if (err) {
           return res.status(500).json({ error: "Failed to create room" });
         }
@@ -70,7 +267,7 @@ router.post("/rooms", (req, res) => {
         const targetCount = Math.floor(Math.random() * 6) + 5;
         const playAreaRadius = radius; // Use provided radius instead of config value
 
-        const targets = geoUtils.generateTargets(centralLat, centralLng, playAreaRadius, targetCount);
+        const targets = geoUtils.generateTargets(bounds.lat, bounds.lng, playAreaRadius, targetCount);
 
         // No need to create targets here - we'll generate them on-demand for each player
         // Just return success to the client
@@ -78,22 +275,61 @@ router.post("/rooms", (req, res) => {
           message: "Room created successfully",
           roomId,
           roomName,
+          joinCode,
         });
       },
     );
+  };
+
+  insertRoom(0);
+});
+
+// Look up a room by its join code, for the join screen and invite links
+router.get("/join/:code", (req, res) => {
+  const joinCode = joinCodes.normalizeJoinCode(req.params.code);
+
+  db.get("SELECT * FROM rooms WHERE join_code = ?", [joinCode], (err, room) => {
+    if (err) {
+      return res.status(500).json({ error: "Database error" });
+    }
+
+    if (!room) {
+      return res.status(404).json({ error: "Room not found" });
+    }
+
+    res.json({
+      joinCode: room.join_code,
+      roomName: room.room_name,
+      status: room.status,
+      passwordRequired: Boolean(room.password_hash),
+    });
   });
 });
 
-// Join existing room
-router.post("/rooms/:roomId/join", (req, res) => {
-  const { roomId } = req.params;
-  const { username, team } = req.body;
+// QR code of a room's invite link
+router.get("/join/:code/qr.svg", (req, res) => {
+  const joinCode = joinCodes.normalizeJoinCode(req.params.code);
 
-  if (!username || !team) {
-    return res.status(400).json({ error: "Missing required fields" });
+  if (!joinCode) {
+    return res.status(400).json({ error: "Invalid join code" });
   }
 
-  // Check if room exists
+  const inviteUrl = `${req.protocol}://${req.get("host")}/join/${encodeURIComponent(joinCode)}`;
+
+  QRCode.toString(inviteUrl, { type: "svg", margin: 1 }, (err, svg) => {
+    if (err) {
+      return res.status(500).json({ error: "Failed to create QR code" });
+    }
+
+    res.type("image/svg+xml").send(svg);
+  });
+});
+
+// Join existing room, by the same rules as join_room. New players send the room's joinCode, returning players their session token
+router.post("/rooms/:roomId/join", (req, res) => {
+  const { roomId } = req.params;
+  const game = req.app.locals.game;
+
   db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, room) => {
     if (err) {
       return res.status(500).json({ error: "Database error" });
@@ -103,183 +339,446 @@ router.post("/rooms/:roomId/join", (req, res) => {
       return res.status(404).json({ error: "Room not found" });
     }
 
-    // Check if username is already taken in this room
-    db.get("SELECT * FROM players WHERE room_id = ? AND username = ?", [roomId, username], (err, existingPlayer) => {
-      if (err) {
-        return res.status(500).json({ error: "Database error" });
-      }
+    game
+      .admitPlayer(room, getRequestSession(req, roomId), req.body)
+      .then(async (admission) => {
+        if (admission.error) {
+          const { message, ...flags } = admission.error;
+          return res.status(admission.status).json({ error: message, ...flags });
+        }
+
+        await game.welcomePlayer(roomId, admission);
 
-      if (existingPlayer) {
-        // Player exists, check if it's the same person rejoining
-        return res.json({
-          playerId: existingPlayer.player_id,
-          username: existingPlayer.username,
-          team: existingPlayer.team,
-          message: "Rejoined room",
+        res.status(admission.rejoined ? 200 : 201).json({
+          playerId: admission.playerId,
+          roomId,
+          username: admission.username,
+          team: admission.team,
+          token: sessionTokens.issueToken(admission.playerId, roomId),
+          message: admission.rejoined ? "Rejoined room" : "Joined room",
         });
+      })
+      .catch((error) => {
+        console.error("Error joining room:", error);
+        res.status(500).json({ error: "Failed to join room" });
+      });
+  });
+});
+
+// Get current game state, as seen by the requesting player. It comes from the same projection as the socket game state
+router.get("/rooms/:roomId/state", (req, res) => {
+  const { roomId } = req.params;
+  const session = getRequestSession(req, roomId);
+
+  req.app.locals.game
+    .getPlayerGameState(roomId, session ? session.playerId : null)
+    .then((gameState) => {
+      if (!gameState) {
+        return res.status(404).json({ error: "Room not found" });
       }
 
-      const playerId = uuidv4();
+      res.json(gameState);
+    })
+    .catch((error) => {
+      console.error("Error getting game state:", error);
+      res.status(500).json({ error: "Database error" });
+    });
+});
+
+// Upload a catch photo, sent as the raw image body
+router.post("/rooms/:roomId/players/:playerId/photos", express.raw({ type: "image/*", limit: config.uploads.maxCatchPhotoSize }), (req, res) => {
+  const { roomId, playerId } = req.params;
+  const mimeType = req.get("Content-Type");
+  const session = getRequestSession(req, roomId);
+
+  if (!session || session.playerId !== playerId) {
+    return res.status(401).json({ error: "Invalid session" });
+  }
+
+  if (!photos.isSupportedPhotoType(mimeType)) {
+    return res.status(415).json({ error: "Unsupported image type" });
+  }
+
+  if (!Buffer.isBuffer(req.body) || req.body.length === 0) {
+    return res.status(400).json({ error: "Missing image data" });
+  }
+
+  // Only hunters in an active game take catch photos
+  db.get("SELECT p.*, r.status AS room_status FROM players p JOIN rooms r ON r.room_id = p.room_id WHERE p.player_id = ? AND p.room_id = ?", [playerId, roomId], (err, player) => {
+    if (err) {
+      return res.status(500).json({ error: "Database error" });
+    }
+
+    if (!player) {
+      return res.status(404).json({ error: "Player not found in room" });
+    }
+
+    if (player.team !== "hunter" || player.room_status !== phases.PHASE.ACTIVE) {
+      return res.status(403).json({ error: "Only hunters can upload catch photos during the hunt" });
+    }
+
+    const photoId = uuidv4();
+
+    photos.savePhoto(roomId, playerId, photoId, mimeType, req.body, (err, filePath) => {
+      if (err) {
+        console.error("Error saving catch photo:", err);
+        return res.status(500).json({ error: "Failed to save photo" });
+      }
 
-      // Create new player
-      db.run("INSERT INTO players (player_id, room_id, username, team, status, last_ping_time) VALUES (?, ?, ?, ?, ?, ?)", [playerId, roomId, username, team, "active", Date.now()], function (err) {
+      db.run("INSERT INTO photos (photo_id, room_id, player_id, mime_type, file_path, created_at) VALUES (?, ?, ?, ?, ?, ?)", [photoId, roomId, playerId, mimeType, filePath, Date.now()], function (err) {
         if (err) {
-          return res.status(500).json({ error: "Failed to join room" });
+          return res.status(500).json({ error: "Failed to save photo" });
         }
 
         res.status(201).json({
-          playerId,
-          roomId,
-          username,
-          team,
-          message: "Joined room",
+          photoId,
+          url: `/api/photos/${photoId}`,
         });
       });
     });
   });
 });
 
-// Get current game state
-router.get("/rooms/:roomId/state", (req, res) => {
+// Get the catch photo gallery for a room
+router.get("/rooms/:roomId/photos", (req, res) => {
   const { roomId } = req.params;
+  const session = getRequestSession(req, roomId);
 
-  // Get room info
-  db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, room) => {
+  if (!session) {
+    return res.status(401).json({ error: "Invalid session" });
+  }
+
+  db.get("SELECT * FROM players WHERE player_id = ? AND room_id = ?", [session.playerId, roomId], (err, player) => {
     if (err) {
       return res.status(500).json({ error: "Database error" });
     }
 
-    if (!room) {
-      return res.status(404).json({ error: "Room not found" });
+    // Photos are only shared with players in the room
+    if (!player) {
+      return res.status(403).json({ error: "Not a player in this room" });
     }
 
-    // Get all players
-    db.all("SELECT * FROM players WHERE room_id = ?", [roomId], (err, players) => {
+    db.all(
+      `SELECT ph.photo_id, ph.catch_id, ph.created_at, c.status, c.resolution, c.hunter_id, c.runner_id, h.username AS hunter_username, r.username AS runner_username
+       FROM photos ph
+       JOIN catches c ON c.catch_id = ph.catch_id
+       LEFT JOIN players h ON h.player_id = c.hunter_id
+       LEFT JOIN players r ON r.player_id = c.runner_id
+       WHERE ph.room_id = ?
+       ORDER BY ph.created_at`,
+      [roomId],
+      (err, rows) => {
+        if (err) {
+          return res.status(500).json({ error: "Database error" });
+        }
+
+        res.json({
+          photos: rows.map((row) => ({
+            photoId: row.photo_id,
+            url: `/api/photos/${row.photo_id}`,
+            catchId: row.catch_id,
+            status: row.status,
+            resolution: row.resolution,
+            hunterId: row.hunter_id,
+            hunterUsername: row.hunter_username,
+            runnerId: row.runner_id,
+            runnerUsername: row.runner_username,
+            takenAt: row.created_at,
+          })),
+        });
+      },
+    );
+  });
+});
+
+// Get a catch photo image
+router.get("/photos/:photoId", (req, res) => {
+  const { photoId } = req.params;
+
+  db.get("SELECT * FROM photos WHERE photo_id = ?", [photoId], (err, photo) => {
+    if (err) {
+      return res.status(500).json({ error: "Database error" });
+    }
+
+    if (!photo) {
+      return res.status(404).json({ error: "Photo not found" });
+    }
+
+    const session = getRequestSession(req, photo.room_id);
+
+    if (!session) {
+      return res.status(401).json({ error: "Invalid session" });
+    }
+
+    db.get("SELECT * FROM players WHERE player_id = ? AND room_id = ?", [session.playerId, photo.room_id], (err, player) => {
       if (err) {
         return res.status(500).json({ error: "Database error" });
       }
 
-      // Get all targets
-      db.all("SELECT * FROM targets WHERE room_id = ?", [roomId], (err, targets) => {
+      // Photos are only shared with players in the room
+      if (!player) {
+        return res.status(403).json({ error: "Not a player in this room" });
+      }
+
+      res.type(photo.mime_type);
+      res.sendFile(photo.file_path, (err) => {
+        if (err && !res.headersSent) {
+          res.status(404).json({ error: "Photo not found" });
+        }
+      });
+    });
+  });
+});
+
+// Create a player profile. The returned token is what links the games a device joins to the profile
+router.post("/profiles", (req, res) => {
+  const { displayName, error } = profiles.parseDisplayName(req.body.displayName);
+
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const profileId = uuidv4();
+  const createdAt = Date.now();
+
+  db.run("INSERT INTO profiles (profile_id, display_name, created_at) VALUES (?, ?, ?)", [profileId, displayName, createdAt], function (err) {
+    if (err) {
+      return res.status(500).json({ error: "Failed to create profile" });
+    }
+
+    res.status(201).json({
+      profileId,
+      displayName,
+      createdAt,
+      token: sessionTokens.issueProfileToken(profileId),
+    });
+  });
+});
+
+// Get a player profile with its lifetime stats, worked out from the completed games it played
+router.get("/profiles/:profileId", (req, res) => {
+  const { profileId } = req.params;
+
+  db.get("SELECT * FROM profiles WHERE profile_id = ?", [profileId], (err, profile) => {
+    if (err) {
+      return res.status(500).json({ error: "Database error" });
+    }
+
+    if (!profile) {
+      return res.status(404).json({ error: "Profile not found" });
+    }
+
+    // Every game the profile played to the end, with the room details stats need
+    db.all(
+      `SELECT players.*, rooms.room_name, rooms.start_time, rooms.head_start_duration, rooms.end_time
+       FROM players JOIN rooms ON rooms.room_id = players.room_id
+       WHERE players.profile_id = ? AND rooms.status = ?`,
+      [profileId, phases.PHASE.ENDED],
+      (err, games) => {
         if (err) {
           return res.status(500).json({ error: "Database error" });
         }
 
-        // Calculate team scores
-        const teamScores = {
-          runners: 0,
-          hunters: 0,
-        };
-
-        targets.forEach((target) => {
-          if (target.reached_by) {
-            // Find player who reached target
-            const player = players.find((p) => p.player_id === target.reached_by);
-            if (player && player.team === "runner") {
-              teamScores.runners += target.points_value;
-            }
+        const playerIds = games.map((game) => game.player_id);
+        const placeholders = playerIds.map(() => "?").join(", ");
+
+        db.all(`SELECT * FROM target_discoveries WHERE player_id IN (${placeholders})`, playerIds, (err, ledger) => {
+          if (err) {
+            return res.status(500).json({ error: "Database error" });
           }
-        });
 
-        // Check if game time has expired
-        const now = Date.now();
-        const gameTimeExpired = room.start_time + room.game_duration * 60 * 1000 < now;
+          db.all(`SELECT * FROM catches WHERE runner_id IN (${placeholders}) AND status IN (?, ?)`, [...playerIds, catches.CATCH_STATUS.CONFIRMED, catches.CATCH_STATUS.UPHELD], (err, runnerCatches) => {
+            if (err) {
+              return res.status(500).json({ error: "Database error" });
+            }
 
-        res.json({
-          roomId: room.room_id,
-          roomName: room.room_name,
-          startTime: room.start_time,
-          endTime: room.end_time,
-          gameDuration: room.game_duration,
-          centralLocation: {
-            lat: room.central_lat,
-            lng: room.central_lng,
-          },
-          status: room.status,
-          players: players.map((p) => ({
-            playerId: p.player_id,
-            username: p.username,
-            team: p.team,
-            status: p.status,
-            lastLocation:
-              p.last_lat && p.last_lng
-                ? {
-                    lat: p.last_lat,
-                    lng: p.last_lng,
-                  }
-                : null,
-            lastPing: p.last_ping_time,
-          })),
-          targets: targets.map((t) => ({
-            targetId: t.target_id,
-            location: {
-              lat: t.lat,
-              lng: t.lng,
-            },
-            radiusLevel: t.radius_level,
-            reachedBy: t.reached_by,
-            pointsValue: t.points_value,
-          })),
-          scores: teamScores,
-          timeRemaining: gameTimeExpired ? 0 : (room.start_time + room.game_duration * 60 * 1000 - now) / 1000,
+            db.all(`SELECT player_id, lat, lng, timestamp FROM location_history WHERE player_id IN (${placeholders}) ORDER BY timestamp`, playerIds, (err, history) => {
+              if (err) {
+                return res.status(500).json({ error: "Database error" });
+              }
+
+              const { stats, recentGames } = profiles.summarizeProfile(games, ledger, runnerCatches, history);
+              const season = ratings.getSeason(Date.now());
+
+              db.get("SELECT * FROM ratings WHERE profile_id = ? AND season = ?", [profileId, season], (err, rating) => {
+                if (err) {
+                  return res.status(500).json({ error: "Database error" });
+                }
+
+                db.all(
+                  `SELECT g.group_id, g.name FROM friend_groups g
+                   JOIN friend_group_members m ON m.group_id = g.group_id
+                   WHERE m.profile_id = ?
+                   ORDER BY g.name`,
+                  [profileId],
+                  (err, groups) => {
+                    if (err) {
+                      return res.status(500).json({ error: "Database error" });
+                    }
+
+                    res.json({
+                      profileId: profile.profile_id,
+                      displayName: profile.display_name,
+                      createdAt: profile.created_at,
+                      stats,
+                      rating: {
+                        season,
+                        rating: rating ? rating.rating : null,
+                        games: rating ? rating.games : 0,
+                      },
+                      groups: groups.map((group) => ({ groupId: group.group_id, name: group.name })),
+                      recentGames,
+                    });
+                  },
+                );
+              });
+            });
+          });
         });
-      });
+      },
+    );
+  });
+});
+
+// Create a friend group, with the profile creating it as its first member
+router.post("/groups", (req, res) => {
+  const profileId = getRequestProfileId(req);
+  if (!profileId) {
+    return res.status(401).json({ error: "A profile is needed to create a group" });
+  }
+
+  const { name, error } = ratings.parseGroupName(req.body.name);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  const groupId = uuidv4();
+  const createdAt = Date.now();
+
+  db.run("INSERT INTO friend_groups (group_id, name, created_by, created_at) VALUES (?, ?, ?, ?)", [groupId, name, profileId, createdAt], function (err) {
+    if (err) {
+      return res.status(500).json({ error: "Failed to create group" });
+    }
+
+    db.run("INSERT INTO friend_group_members (group_id, profile_id, joined_at) VALUES (?, ?, ?)", [groupId, profileId, createdAt], function (err) {
+      if (err) {
+        return res.status(500).json({ error: "Failed to create group" });
+      }
+
+      res.status(201).json({ groupId, name });
     });
   });
 });
 
-// Report player caught
-router.post("/players/:playerId/caught", (req, res) => {
-  const { playerId } = req.params;
-  const { reportingPlayerId } = req.body;
+// Get a friend group and its members
+router.get("/groups/:groupId", (req, res) => {
+  const { groupId } = req.params;
 
-  if (!reportingPlayerId) {
-    return res.status(400).json({ error: "Missing reporting player ID" });
+  db.get("SELECT * FROM friend_groups WHERE group_id = ?", [groupId], (err, group) => {
+    if (err) {
+      return res.status(500).json({ error: "Database error" });
+    }
+
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
+    }
+
+    db.all(
+      `SELECT p.profile_id, p.display_name FROM profiles p
+       JOIN friend_group_members m ON m.profile_id = p.profile_id
+       WHERE m.group_id = ?
+       ORDER BY m.joined_at`,
+      [groupId],
+      (err, members) => {
+        if (err) {
+          return res.status(500).json({ error: "Database error" });
+        }
+
+        res.json({
+          groupId: group.group_id,
+          name: group.name,
+          members: members.map((member) => ({ profileId: member.profile_id, displayName: member.display_name })),
+        });
+      },
+    );
+  });
+});
+
+// Join a friend group, anyone with the group ID can
+router.post("/groups/:groupId/members", (req, res) => {
+  const { groupId } = req.params;
+  const profileId = getRequestProfileId(req);
+  if (!profileId) {
+    return res.status(401).json({ error: "A profile is needed to join a group" });
   }
 
-  // Verify reporting player is a hunter
-  db.get("SELECT * FROM players WHERE player_id = ?", [reportingPlayerId], (err, hunter) => {
+  db.get("SELECT * FROM friend_groups WHERE group_id = ?", [groupId], (err, group) => {
     if (err) {
       return res.status(500).json({ error: "Database error" });
     }
 
-    if (!hunter || hunter.team !== "hunter") {
-      return res.status(403).json({ error: "Only hunters can report catches" });
+    if (!group) {
+      return res.status(404).json({ error: "Group not found" });
     }
 
-    // Verify caught player is a runner
-    db.get("SELECT * FROM players WHERE player_id = ?", [playerId], (err, runner) => {
+    db.get("SELECT profile_id FROM profiles WHERE profile_id = ?", [profileId], (err, profile) => {
       if (err) {
         return res.status(500).json({ error: "Database error" });
       }
 
-      if (!runner) {
-        return res.status(404).json({ error: "Player not found: " + playerId });
-      }
-
-      if (runner.team !== "runner") {
-        return res.status(400).json({ error: "Player is not a runner: " + playerId });
-      }
-
-      if (runner.status === "caught") {
-        return res.status(400).json({ error: "Player already caught: " + playerId });
+      if (!profile) {
+        return res.status(404).json({ error: "Profile not found" });
       }
 
-      // Update player status
-      db.run("UPDATE players SET status = ?, team = ? WHERE player_id = ?", ["caught", "hunter", playerId], function (err) {
+      // Joining twice leaves the membership as it was
+      db.run("INSERT OR IGNORE INTO friend_group_members (group_id, profile_id, joined_at) VALUES (?, ?, ?)", [groupId, profileId, Date.now()], function (err) {
         if (err) {
-          return res.status(500).json({ error: "Failed to update player status" });
+          return res.status(500).json({ error: "Failed to join group" });
         }
 
-        res.json({
-          message: "Player caught successfully",
-          playerId,
-          newStatus: "caught",
-          newTeam: "hunter",
-        });
+        res.status(this.changes > 0 ? 201 : 200).json({ groupId, name: group.name });
       });
     });
   });
 });
 
+// Get a season's leaderboard, of everyone or of one friend group. Defaults to the current season
+router.get("/leaderboard", (req, res) => {
+  const season = req.query.season || ratings.getSeason(Date.now());
+  const { groupId } = req.query;
+
+  if (!ratings.getSeasonRange(season)) {
+    return res.status(400).json({ error: "Unknown season" });
+  }
+
+  const groupFilter = groupId ? "AND r.profile_id IN (SELECT profile_id FROM friend_group_members WHERE group_id = ?)" : "";
+  const params = groupId ? [season, groupId, config.ratings.leaderboardSize] : [season, config.ratings.leaderboardSize];
+
+  db.all(
+    `SELECT r.profile_id, r.rating, r.games, p.display_name FROM ratings r
+     JOIN profiles p ON p.profile_id = r.profile_id
+     WHERE r.season = ? ${groupFilter}
+     ORDER BY r.rating DESC, r.games DESC
+     LIMIT ?`,
+    params,
+    (err, rows) => {
+      if (err) {
+        return res.status(500).json({ error: "Database error" });
+      }
+
+      res.json({
+        season,
+        groupId: groupId || null,
+        entries: rows.map((row, index) => ({
+          rank: index + 1,
+          profileId: row.profile_id,
+          displayName: row.display_name,
+          rating: row.rating,
+          games: row.games,
+        })),
+      });
+    },
+  );
+});
+
 module.exports = router;
@@ -4,6 +4,7 @@ const path = require("path");
 const socketIO = require("socket.io");
 const sqlite3 = require("sqlite3").verbose();
 const fs = require("fs");
+const joinCodes = require("./game/joinCodes");
 
 // Initialize express app
 const app = express();
@@ -15,8 +16,8 @@ app.use(express.json());
 app.use(express.static(path.join(__dirname, "../public")));
 app.use("/shared", express.static(path.join(__dirname, "../shared")));
 
-// Database setup
-const dbPath = path.join(__dirname, "../database/hunted.db");
+// Database setup, DATABASE_PATH lets tests run against a throwaway database
+const dbPath = process.env.DATABASE_PATH ? path.resolve(process.env.DATABASE_PATH) : path.join(__dirname, "../database/hunted.db");
 const dbDir = path.dirname(dbPath);
 
 // Create database directory if it doesn't exist
@@ -24,6 +25,12 @@ if (!fs.existsSync(dbDir)) {
   fs.mkdirSync(dbDir, { recursive: true });
 }
 
+// Resolves once all tables exist, for anything that has to read the database at startup
+let resolveDbReady;
+const dbReady = new Promise((resolve) => {
+  resolveDbReady = resolve;
+});
+
 const db = new sqlite3.Database(dbPath, (err) => {
   if (err) {
     console.error("Error opening database", err);
@@ -33,21 +40,100 @@ const db = new sqlite3.Database(dbPath, (err) => {
   }
 });
 
-// Initialize database tables
-function initDatabase() {
-  db.serialize(() => {
-    // Rooms table
-    db.run(`CREATE TABLE IF NOT EXISTS rooms (
+// Rooms table columns, shared with the rebuild of older rooms tables
+const ROOMS_TABLE_COLUMNS = `
             room_id TEXT PRIMARY KEY,
-            room_name TEXT UNIQUE,
+            room_name TEXT,
             zone_activation_delay INTEGER,
             central_lat REAL,
             central_lng REAL,
             play_radius INTEGER DEFAULT 5000,
             start_time INTEGER,
             end_time INTEGER,
-            status TEXT
-        )`);
+            status TEXT,
+            host_player_id TEXT,
+            join_code TEXT,
+            password_hash TEXT,
+            game_duration INTEGER,
+            head_start_duration INTEGER,
+            radius_levels TEXT,
+            placement_strategy TEXT,
+            placement_min_distance INTEGER,
+            placement_max_distance INTEGER,
+            placement_seed TEXT,
+            exclusion_zones TEXT,
+            allowed_area TEXT,
+            play_area TEXT,
+            out_of_bounds_penalty TEXT,
+            out_of_bounds_grace INTEGER,
+            shrink_stages INTEGER DEFAULT 0,
+            shrink_interval INTEGER,
+            shrink_final_radius INTEGER,
+            shrink_center TEXT,
+            capture_dwell_mode TEXT,
+            capture_dwell_amount INTEGER DEFAULT 0,
+            checkpoint_count INTEGER DEFAULT 0,
+            checkpoint_order TEXT,
+            objective_interval INTEGER DEFAULT 0,
+            objective_points INTEGER,
+            rated INTEGER DEFAULT 1,
+            targets_placed INTEGER DEFAULT 0
+        `;
+
+// Points ledger columns, shared with the rebuild of older target discoveries tables
+const TARGET_DISCOVERIES_TABLE_COLUMNS = `
+            discovery_id INTEGER PRIMARY KEY AUTOINCREMENT,
+            room_id TEXT,
+            player_id TEXT NOT NULL,
+            team TEXT,
+            reason TEXT NOT NULL DEFAULT 'zone',
+            target_id TEXT,
+            radius_level INTEGER,
+            catch_id TEXT,
+            objective_id TEXT,
+            points_earned INTEGER NOT NULL,
+            discovery_time INTEGER NOT NULL,
+            FOREIGN KEY(room_id) REFERENCES rooms(room_id) ON DELETE CASCADE,
+            FOREIGN KEY(player_id) REFERENCES players(player_id) ON DELETE CASCADE,
+            FOREIGN KEY(target_id) REFERENCES targets(target_id) ON DELETE CASCADE,
+            FOREIGN KEY(catch_id) REFERENCES catches(catch_id),
+            FOREIGN KEY(objective_id) REFERENCES objectives(objective_id)
+        `;
+
+// Initialize database tables
+function initDatabase() {
+  db.serialize(() => {
+    // Rooms table
+    db.run(`CREATE TABLE IF NOT EXISTS rooms (${ROOMS_TABLE_COLUMNS})`);
+
+    // Columns added after the first release, for databases created before them
+    addColumnIfMissing("rooms", "host_player_id", "TEXT");
+    addColumnIfMissing("rooms", "join_code", "TEXT");
+    addColumnIfMissing("rooms", "password_hash", "TEXT");
+    addColumnIfMissing("rooms", "game_duration", "INTEGER");
+    addColumnIfMissing("rooms", "head_start_duration", "INTEGER");
+    addColumnIfMissing("rooms", "radius_levels", "TEXT");
+    addColumnIfMissing("rooms", "placement_strategy", "TEXT");
+    addColumnIfMissing("rooms", "placement_min_distance", "INTEGER");
+    addColumnIfMissing("rooms", "placement_max_distance", "INTEGER");
+    addColumnIfMissing("rooms", "placement_seed", "TEXT");
+    addColumnIfMissing("rooms", "exclusion_zones", "TEXT");
+    addColumnIfMissing("rooms", "allowed_area", "TEXT");
+    addColumnIfMissing("rooms", "play_area", "TEXT");
+    addColumnIfMissing("rooms", "out_of_bounds_penalty", "TEXT");
+    addColumnIfMissing("rooms", "out_of_bounds_grace", "INTEGER");
+    addColumnIfMissing("rooms", "shrink_stages", "INTEGER DEFAULT 0");
+    addColumnIfMissing("rooms", "shrink_interval", "INTEGER");
+    addColumnIfMissing("rooms", "shrink_final_radius", "INTEGER");
+    addColumnIfMissing("rooms", "shrink_center", "TEXT");
+    addColumnIfMissing("rooms", "capture_dwell_mode", "TEXT");
+    addColumnIfMissing("rooms", "capture_dwell_amount", "INTEGER DEFAULT 0");
+    addColumnIfMissing("rooms", "checkpoint_count", "INTEGER DEFAULT 0");
+    addColumnIfMissing("rooms", "checkpoint_order", "TEXT");
+    addColumnIfMissing("rooms", "objective_interval", "INTEGER DEFAULT 0");
+    addColumnIfMissing("rooms", "objective_points", "INTEGER");
+    addColumnIfMissing("rooms", "rated", "INTEGER DEFAULT 1");
+    addColumnIfMissing("rooms", "targets_placed", "INTEGER");
 
     // Players table
     db.run(`CREATE TABLE IF NOT EXISTS players (
@@ -58,8 +144,58 @@ function initDatabase() {
             status TEXT,
             last_lat REAL,
             last_lng REAL,
+            last_accuracy REAL,
             last_ping_time INTEGER,
-            FOREIGN KEY (room_id) REFERENCES rooms (room_id)
+            ready INTEGER DEFAULT 0,
+            device_checks TEXT,
+            out_of_bounds_since INTEGER,
+            out_of_bounds_penalized INTEGER DEFAULT 0,
+            profile_id TEXT,
+            FOREIGN KEY (room_id) REFERENCES rooms (room_id),
+            FOREIGN KEY (profile_id) REFERENCES profiles (profile_id)
+        )`);
+
+    addColumnIfMissing("players", "ready", "INTEGER DEFAULT 0");
+    addColumnIfMissing("players", "device_checks", "TEXT");
+    addColumnIfMissing("players", "out_of_bounds_since", "INTEGER");
+    addColumnIfMissing("players", "out_of_bounds_penalized", "INTEGER DEFAULT 0");
+    addColumnIfMissing("players", "last_accuracy", "REAL");
+    addColumnIfMissing("players", "profile_id", "TEXT");
+
+    // Player profiles that link a player's games across rooms
+    db.run(`CREATE TABLE IF NOT EXISTS profiles (
+            profile_id TEXT PRIMARY KEY,
+            display_name TEXT NOT NULL,
+            created_at INTEGER NOT NULL
+        )`);
+
+    // Season ratings, replayed from the season's rated games whenever one ends
+    db.run(`CREATE TABLE IF NOT EXISTS ratings (
+            profile_id TEXT NOT NULL,
+            season TEXT NOT NULL,
+            rating INTEGER NOT NULL,
+            games INTEGER NOT NULL,
+            updated_at INTEGER NOT NULL,
+            PRIMARY KEY(profile_id, season),
+            FOREIGN KEY(profile_id) REFERENCES profiles(profile_id) ON DELETE CASCADE
+        )`);
+
+    // Friend groups with their own leaderboards
+    db.run(`CREATE TABLE IF NOT EXISTS friend_groups (
+            group_id TEXT PRIMARY KEY,
+            name TEXT NOT NULL,
+            created_by TEXT,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY(created_by) REFERENCES profiles(profile_id)
+        )`);
+
+    db.run(`CREATE TABLE IF NOT EXISTS friend_group_members (
+            group_id TEXT NOT NULL,
+            profile_id TEXT NOT NULL,
+            joined_at INTEGER NOT NULL,
+            PRIMARY KEY(group_id, profile_id),
+            FOREIGN KEY(group_id) REFERENCES friend_groups(group_id) ON DELETE CASCADE,
+            FOREIGN KEY(profile_id) REFERENCES profiles(profile_id) ON DELETE CASCADE
         )`);
 
     // Targets table
@@ -76,22 +212,42 @@ function initDatabase() {
             activation_time INTEGER,
             created_at INTEGER DEFAULT (strftime('%s','now') * 1000),
             reached_at INTEGER,
+            capture_started_at INTEGER,
+            capture_pings INTEGER DEFAULT 0,
+            kind TEXT DEFAULT 'final',
+            sequence INTEGER DEFAULT 0,
             FOREIGN KEY(room_id) REFERENCES rooms(room_id) ON DELETE CASCADE,
             FOREIGN KEY(player_id) REFERENCES players(player_id)
         )`);
 
-    // Target discoveries table to track points earned
-    db.run(`CREATE TABLE IF NOT EXISTS target_discoveries (
-            discovery_id INTEGER PRIMARY KEY AUTOINCREMENT,
-            player_id TEXT NOT NULL,
-            target_id TEXT NOT NULL,
-            radius_level INTEGER NOT NULL,
-            points_earned INTEGER NOT NULL,
-            discovery_time INTEGER NOT NULL,
-            FOREIGN KEY(player_id) REFERENCES players(player_id) ON DELETE CASCADE,
-            FOREIGN KEY(target_id) REFERENCES targets(target_id) ON DELETE CASCADE
+    addColumnIfMissing("targets", "capture_started_at", "INTEGER");
+    addColumnIfMissing("targets", "capture_pings", "INTEGER DEFAULT 0");
+    addColumnIfMissing("targets", "kind", "TEXT DEFAULT 'final'");
+    addColumnIfMissing("targets", "sequence", "INTEGER DEFAULT 0");
+
+    // Rooms from before the placement counter carry on numbering from the targets they already have
+    db.run("UPDATE rooms SET targets_placed = (SELECT COUNT(*) FROM targets WHERE targets.room_id = rooms.room_id) WHERE targets_placed IS NULL");
+
+    // Objectives table for the bonus objectives shared by every runner in a room, numbered in the order they spawn
+    db.run(`CREATE TABLE IF NOT EXISTS objectives (
+            objective_id TEXT PRIMARY KEY,
+            room_id TEXT NOT NULL,
+            number INTEGER NOT NULL,
+            lat REAL NOT NULL,
+            lng REAL NOT NULL,
+            points_value INTEGER NOT NULL,
+            status TEXT DEFAULT 'active',
+            spawned_at INTEGER NOT NULL,
+            claimed_by TEXT,
+            claimed_at INTEGER,
+            UNIQUE(room_id, number),
+            FOREIGN KEY(room_id) REFERENCES rooms(room_id) ON DELETE CASCADE,
+            FOREIGN KEY(claimed_by) REFERENCES players(player_id)
         )`);
 
+    // Target discoveries table, the ledger of every point earned (see server/game/scoring.js)
+    db.run(`CREATE TABLE IF NOT EXISTS target_discoveries (${TARGET_DISCOVERIES_TABLE_COLUMNS})`);
+
     // Location history table to track player movement
     db.run(`CREATE TABLE IF NOT EXISTS location_history (
             history_id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -100,26 +256,163 @@ function initDatabase() {
             lat REAL NOT NULL,
             lng REAL NOT NULL,
             timestamp INTEGER NOT NULL,
+            accuracy REAL,
+            altitude REAL,
+            speed REAL,
+            heading REAL,
+            device_time INTEGER,
+            team TEXT,
             FOREIGN KEY(player_id) REFERENCES players(player_id) ON DELETE CASCADE,
             FOREIGN KEY(room_id) REFERENCES rooms(room_id) ON DELETE CASCADE
         )`);
+
+    // Device reported details of each fix, null when the device left them out
+    addColumnIfMissing("location_history", "accuracy", "REAL");
+    addColumnIfMissing("location_history", "altitude", "REAL");
+    addColumnIfMissing("location_history", "speed", "REAL");
+    addColumnIfMissing("location_history", "heading", "REAL");
+    addColumnIfMissing("location_history", "device_time", "INTEGER");
+
+    // Team the player was on when the fix was recorded, hunters' pings are only kept for assists and distance covered
+    addColumnIfMissing("location_history", "team", "TEXT");
+
+    // Catches table to record every catch claim and its resolution
+    db.run(`CREATE TABLE IF NOT EXISTS catches (
+            catch_id TEXT PRIMARY KEY,
+            room_id TEXT NOT NULL,
+            hunter_id TEXT,
+            runner_id TEXT NOT NULL,
+            status TEXT NOT NULL,
+            distance REAL,
+            claimed_at INTEGER NOT NULL,
+            responded_at INTEGER,
+            resolved_at INTEGER,
+            resolution TEXT,
+            ruled_by TEXT,
+            FOREIGN KEY(room_id) REFERENCES rooms(room_id) ON DELETE CASCADE,
+            FOREIGN KEY(hunter_id) REFERENCES players(player_id),
+            FOREIGN KEY(runner_id) REFERENCES players(player_id)
+        )`);
+
+    // Photos table for catch evidence stored on local disk
+    db.run(`CREATE TABLE IF NOT EXISTS photos (
+            photo_id TEXT PRIMARY KEY,
+            room_id TEXT NOT NULL,
+            player_id TEXT NOT NULL,
+            catch_id TEXT,
+            mime_type TEXT NOT NULL,
+            file_path TEXT NOT NULL,
+            created_at INTEGER NOT NULL,
+            FOREIGN KEY(room_id) REFERENCES rooms(room_id) ON DELETE CASCADE,
+            FOREIGN KEY(player_id) REFERENCES players(player_id),
+            FOREIGN KEY(catch_id) REFERENCES catches(catch_id)
+        )`);
+
+    // Tables whose constraints have changed since the first release are rebuilt
+    db.all("SELECT name, sql FROM sqlite_master WHERE type = 'table' AND name IN ('rooms', 'target_discoveries')", (err, rows) => {
+      const tableSql = (name) => {
+        const row = (rows || []).find((table) => table.name === name);
+        return row ? row.sql : "";
+      };
+
+      db.serialize(() => {
+        // Room names used to be unique
+        if (/room_name TEXT UNIQUE/.test(tableSql("rooms"))) {
+          rebuildRoomsTable();
+        }
+
+        // The ledger used to only hold target discoveries, catches and objectives have no target
+        if (/target_id TEXT NOT NULL/.test(tableSql("target_discoveries"))) {
+          rebuildTargetDiscoveriesTable();
+        }
+
+        db.run("CREATE UNIQUE INDEX IF NOT EXISTS idx_rooms_join_code ON rooms (join_code)");
+
+        // Rooms created before join codes existed can only be joined once they have one
+        db.all("SELECT room_id, join_code FROM rooms", (err, rooms) => {
+          db.serialize(() => {
+            if (!err) backfillJoinCodes(rooms);
+
+            // Statements run in order, so once this completes every table exists
+            db.run("SELECT 1", () => resolveDbReady());
+          });
+        });
+      });
+    });
+  });
+}
+
+// Give every room without a join code a new one that no other room uses
+function backfillJoinCodes(rooms) {
+  const usedCodes = new Set(rooms.filter((room) => room.join_code).map((room) => room.join_code));
+  const roomsWithoutCode = rooms.filter((room) => !room.join_code);
+  if (roomsWithoutCode.length === 0) return;
+
+  console.log(`Generating join codes for ${roomsWithoutCode.length} rooms`);
+  roomsWithoutCode.forEach((room) => {
+    let joinCode;
+    do {
+      joinCode = joinCodes.generateJoinCode();
+    } while (usedCodes.has(joinCode));
+    usedCodes.add(joinCode);
+
+    db.run("UPDATE rooms SET join_code = ? WHERE room_id = ?", [joinCode, room.room_id], (err) => {
+      if (err) {
+        console.error("Error generating join code for room", room.room_id, err);
+      }
+    });
+  });
+}
+
+// Copy the rooms table into one with the current columns and constraints
+function rebuildRoomsTable() {
+  const columns =
+    "room_id, room_name, zone_activation_delay, central_lat, central_lng, play_radius, start_time, end_time, status, host_player_id, join_code, password_hash, game_duration, head_start_duration, radius_levels, placement_strategy, placement_min_distance, placement_max_distance, placement_seed, exclusion_zones, allowed_area, play_area, out_of_bounds_penalty, out_of_bounds_grace, shrink_stages, shrink_interval, shrink_final_radius, shrink_center, capture_dwell_mode, capture_dwell_amount, checkpoint_count, checkpoint_order, objective_interval, objective_points, rated, targets_placed";
+
+  console.log("Rebuilding rooms table to allow duplicate room names");
+  db.run(`CREATE TABLE rooms_rebuilt (${ROOMS_TABLE_COLUMNS})`);
+  db.run(`INSERT INTO rooms_rebuilt (${columns}) SELECT ${columns} FROM rooms`);
+  db.run("DROP TABLE rooms");
+  db.run("ALTER TABLE rooms_rebuilt RENAME TO rooms");
+}
+
+// Copy the target discoveries table into one with the points ledger columns
+function rebuildTargetDiscoveriesTable() {
+  const columns = "discovery_id, player_id, target_id, radius_level, points_earned, discovery_time";
+
+  console.log("Rebuilding target discoveries table to hold the points ledger");
+  db.run(`CREATE TABLE target_discoveries_rebuilt (${TARGET_DISCOVERIES_TABLE_COLUMNS})`);
+  db.run(`INSERT INTO target_discoveries_rebuilt (${columns}) SELECT ${columns} FROM target_discoveries`);
+  db.run("DROP TABLE target_discoveries");
+  db.run("ALTER TABLE target_discoveries_rebuilt RENAME TO target_discoveries");
+}
+
+// Add a column to an existing table, ignoring the error if it is already there
+function addColumnIfMissing(table, column, definition) {
+  db.run(`ALTER TABLE ${table} ADD COLUMN ${column} ${definition}`, (err) => {
+    if (err && !/duplicate column name/.test(err.message)) {
+      console.error(`Error adding ${table}.${column} column`, err);
+    }
   });
 }
 
+// Export before loading routes, which read the database handle from this module
+module.exports = { app, server, db };
+
 // API Routes
 const apiRouter = require("./routes/api");
 app.use("/api", apiRouter);
 
-// Socket.IO Connection
+// Socket.IO Connection, routes reach the game through app.locals.game
 const socketManager = require("./socket/socketManager");
-socketManager(io, db);
+app.locals.game = socketManager(io, db, dbReady);
 
 // Serve help page
 app.get("/help.html", (req, res) => {
   res.sendFile(path.join(__dirname, "../public/help.html"));
 });
 
-// Catch-all route to serve the main application
+// Catch-all route to serve the main application, including /join/:code invite links
 app.get("*", (req, res) => {
   res.sendFile(path.join(__dirname, "../public/index.html"));
 });
@@ -137,5 +430,3 @@ process.on("SIGINT", () => {
   db.close();
   process.exit(0);
 });
-
-module.exports = { app, server, db };
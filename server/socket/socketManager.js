@@ -1,12 +1,78 @@
 const { v4: uuidv4 } = require("uuid");
 const geoUtils = require("../../shared/utils/geoUtils");
 const config = require("../config/default");
+const zones = require("../game/zones");
+const visibility = require("../game/visibility");
+const catches = require("../game/catches");
+const photos = require("../game/photos");
+const sessionTokens = require("../auth/sessionTokens");
+const roomPasswords = require("../auth/roomPasswords");
+const joinCodes = require("../game/joinCodes");
+const gameEnd = require("../game/gameEnd");
+const phases = require("../game/phases");
+const teams = require("../game/teams");
+const targetPlacement = require("../game/targetPlacement");
+const placementAreas = require("../game/placementAreas");
+const playArea = require("../game/playArea");
+const outOfBounds = require("../game/outOfBounds");
+const boundary = require("../game/boundary");
+const captureDwell = require("../game/captureDwell");
+const locationFix = require("../game/locationFix");
+const checkpoints = require("../game/checkpoints");
+const objectives = require("../game/objectives");
+const ratings = require("../game/ratings");
+const scoring = require("../game/scoring");
+const hunterStats = require("../game/hunterStats");
 const voiceChatHandler = require("./voiceChatHandler");
 
-module.exports = function (io, db) {
+module.exports = function (io, db, dbReady) {
   // Track connected users
   const connectedPlayers = new Map();
 
+  // Timers that auto-confirm unanswered catch claims, keyed by catch ID
+  const catchTimers = new Map();
+
+  // Timers that hand the host role on when a host stays disconnected, keyed by room ID
+  const hostTimers = new Map();
+
+  // End-of-game timeouts, time remaining broadcasts and boundary shrinks for running games, keyed by room ID
+  const gameTimers = new Map();
+
+  // Timers that penalise runners still out of bounds when their grace period ends, keyed by player ID
+  const outOfBoundsTimers = new Map();
+
+  // Season ratings are rebuilt one at a time, so a replay that started earlier never overwrites a later one
+  let ratingsRecompute = Promise.resolve();
+
+  // Pick up any catch claims that were still waiting when the server last stopped
+  dbReady.then(resumePendingCatches).catch((error) => {
+    console.error("Error resuming pending catches:", error);
+  });
+
+  // Restart the clock of every game that was running when the server last stopped
+  dbReady.then(resumeGameTimers).catch((error) => {
+    console.error("Error resuming game timers:", error);
+  });
+
+  // Pick up any grace periods that were running when the server last stopped
+  dbReady.then(resumeOutOfBoundsTimers).catch((error) => {
+    console.error("Error resuming out of bounds timers:", error);
+  });
+
+  // Identify reconnecting players from the session token sent in the handshake
+  io.use((socket, next) => {
+    const token = socket.handshake.auth && socket.handshake.auth.token;
+    if (!token) return next();
+
+    const session = sessionTokens.verifyToken(token);
+    if (!session) {
+      return next(new Error("Invalid session"));
+    }
+
+    socket.data.session = session;
+    next();
+  });
+
   io.on("connection", (socket) => {
     console.log(`Socket connected: ${socket.id}`);
 
@@ -16,20 +82,139 @@ module.exports = function (io, db) {
     // Create a room
     socket.on("create_room", async (data) => {
       try {
-        const { roomName, username, team, zoneActivationDelay, playRadius, centralLat, centralLng } = data;
+        const { roomName, username, team, zoneActivationDelay, playRadius, centralLat, centralLng, password } = data;
         let roomId;
 
+        const gameDuration = data.gameDuration === undefined ? config.game.defaultGameDuration : gameEnd.parseGameDuration(data.gameDuration);
+        if (!gameDuration) {
+          return socket.emit("error", { message: `Game duration must be between 1 and ${config.game.maxGameDuration} minutes` });
+        }
+
+        const headStartDuration = data.headStartDuration === undefined ? config.game.defaultHeadStart : phases.parseHeadStartDuration(data.headStartDuration);
+        if (headStartDuration === null) {
+          return socket.emit("error", { message: `Head start must be between 0 and ${config.game.maxHeadStart} seconds` });
+        }
+
+        // A drawn play area replaces the centre and radius with the circle around it
+        let bounds = { lat: centralLat, lng: centralLng, radius: parseInt(playRadius) || config.game.defaultPlayAreaRadius };
+        let playAreaGeometry = null;
+        if (data.playArea) {
+          const parsedPlayArea = playArea.parsePlayArea(data.playArea);
+          if (parsedPlayArea.error) {
+            return socket.emit("error", { message: parsedPlayArea.error });
+          }
+          playAreaGeometry = parsedPlayArea.geometry;
+          bounds = playArea.getBoundingCircle(playArea.getPolygon(playAreaGeometry));
+        }
+
+        const radiusLadder = zones.parseRadiusLevels(data.radiusLevels === undefined ? config.game.targetRadiusLevels : data.radiusLevels, bounds.radius);
+        if (radiusLadder.error) {
+          return socket.emit("error", { message: radiusLadder.error });
+        }
+
+        const placement = targetPlacement.parsePlacementSettings({ strategy: data.placementStrategy, minDistance: data.placementMinDistance, maxDistance: data.placementMaxDistance }, bounds.radius);
+        if (placement.error) {
+          return socket.emit("error", { message: placement.error });
+        }
+
+        const { rated, error: ratedError } = ratings.parseRatedSetting(data.rated);
+        if (ratedError) {
+          return socket.emit("error", { message: ratedError });
+        }
+
+        const placementSeed = targetPlacement.choosePlacementSeed(data.placementSeed, rated);
+        if (placementSeed.error) {
+          return socket.emit("error", { message: placementSeed.error });
+        }
+        placement.seed = placementSeed.seed;
+
+        const areas = placementAreas.parsePlacementAreas({ exclusionZones: data.exclusionZones, allowedArea: data.allowedArea }, bounds);
+        if (areas.error) {
+          return socket.emit("error", { message: areas.error });
+        }
+        areas.playArea = playAreaGeometry;
+
+        const shrink = boundary.parseShrinkSettings({ stages: data.shrinkStages, interval: data.shrinkInterval, finalRadius: data.shrinkFinalRadius, center: data.shrinkCenter }, bounds.radius);
+        if (shrink.error) {
+          return socket.emit("error", { message: shrink.error });
+        }
+
+        const plannedRoom = {
+          central_lat: bounds.lat,
+          central_lng: bounds.lng,
+          play_radius: bounds.radius,
+          play_area: playAreaGeometry ? JSON.stringify(playAreaGeometry) : null,
+          radius_levels: JSON.stringify(radiusLadder.levels),
+          placement_seed: placement.seed,
+          exclusion_zones: JSON.stringify(areas.exclusionZones),
+          allowed_area: areas.allowedArea ? JSON.stringify(areas.allowedArea) : null,
+          shrink_stages: shrink.stages,
+          shrink_interval: shrink.interval,
+          shrink_final_radius: shrink.finalRadius,
+          shrink_center: shrink.center,
+        };
+        if (!targetPlacement.canPlaceTargets(plannedRoom)) {
+          return socket.emit("error", { message: "There is nowhere left to place targets, make the allowed area bigger or remove some exclusion zones" });
+        }
+
+        const outOfBoundsRules = {
+          penalty: data.outOfBoundsPenalty === undefined ? config.game.defaultOutOfBoundsPenalty : outOfBounds.parseOutOfBoundsPenalty(data.outOfBoundsPenalty),
+          grace: data.outOfBoundsGrace === undefined ? config.game.defaultOutOfBoundsGrace : outOfBounds.parseOutOfBoundsGrace(data.outOfBoundsGrace),
+        };
+        if (!outOfBoundsRules.penalty) {
+          return socket.emit("error", { message: "Unknown out of bounds penalty" });
+        }
+        if (outOfBoundsRules.grace === null) {
+          return socket.emit("error", { message: `Out of bounds grace period must be between 0 and ${config.game.maxOutOfBoundsGrace} seconds` });
+        }
+
+        const dwell = captureDwell.parseCaptureDwell({ mode: data.captureDwellMode, amount: data.captureDwellAmount });
+        if (dwell.error) {
+          return socket.emit("error", { message: dwell.error });
+        }
+
+        const route = checkpoints.parseCheckpointSettings({ count: data.checkpointCount, order: data.checkpointOrder });
+        if (route.error) {
+          return socket.emit("error", { message: route.error });
+        }
+
+        const bonus = objectives.parseObjectiveSettings({ interval: data.objectiveInterval, points: data.objectivePoints });
+        if (bonus.error) {
+          return socket.emit("error", { message: bonus.error });
+        }
+
+        if (password && (typeof password !== "string" || password.length > config.security.maxRoomPasswordLength)) {
+          return socket.emit("error", { message: "Invalid room password" });
+        }
+
         // Create new room
         roomId = uuidv4();
-        await createRoom(roomId, roomName, data.zoneActivationDelay, data.centralLat, data.centralLng, data.playRadius);
+        const passwordHash = password ? roomPasswords.hashPassword(password) : null;
+        const joinCode = await createRoom(roomId, roomName, zoneActivationDelay, bounds.lat, bounds.lng, bounds.radius, gameDuration, headStartDuration, radiusLadder.levels, placement, areas, outOfBoundsRules, shrink, dwell, route, bonus, rated, passwordHash);
 
         return socket.emit("room_created", {
           roomId,
           roomName,
+          joinCode,
+          gameDuration,
+          headStartDuration,
+          radiusLevels: radiusLadder.levels,
+          placementStrategy: placement.strategy,
+          outOfBoundsPenalty: outOfBoundsRules.penalty,
+          outOfBoundsGrace: outOfBoundsRules.grace,
+          shrinkStages: shrink.stages,
+          captureDwellMode: dwell.mode,
+          captureDwellAmount: dwell.amount,
+          checkpointCount: route.count,
+          checkpointOrder: route.order,
+          objectiveInterval: bonus.interval,
+          objectivePoints: bonus.points,
+          rated,
           zoneActivationDelay,
-          playRadius,
-          centralLat,
-          centralLng,
+          playRadius: bounds.radius,
+          playArea: playAreaGeometry,
+          centralLat: bounds.lat,
+          centralLng: bounds.lng,
         });
       } catch (error) {
         console.error("Error creating room:", error);
@@ -40,61 +225,43 @@ module.exports = function (io, db) {
     // Join a room
     socket.on("join_room", async (data) => {
       try {
-        const { roomName, username, team } = data;
-        let roomId, playerId;
-
-        // Check if room exists
-        const room = await getRoom(roomName);
-
-        if (room) {
-          roomId = room.room_id;
+        const { session } = socket.data;
 
-          // Check if player exists in this room
-          const player = await getPlayer(roomId, username);
+        // New players find the room by its join code, reconnecting players by their session
+        const joinCode = joinCodes.normalizeJoinCode(data.joinCode);
+        const room = joinCode ? await getRoomByJoinCode(joinCode) : session ? await getRoomById(session.roomId) : null;
 
-          if (player) {
-            // Player exists, reconnect
-            playerId = player.player_id;
-
-            // Update player status only if they haven't won or been caught
-            if (player.status !== "won" && player.status !== "caught") {
-              await updatePlayerStatus(playerId, "lobby");
-            }
-          } else {
-            // New player joining existing room
-            playerId = uuidv4();
-            await createPlayer(playerId, roomId, username, team);
-          }
-        } else {
+        if (!room) {
           return socket.emit("error", { message: "Room not found" });
         }
 
+        const admission = await admitPlayer(room, session, data);
+        if (admission.error) {
+          return socket.emit("error", admission.error);
+        }
+
+        const roomId = room.room_id;
+        const { playerId, username, team } = admission;
+
         // Join socket room
         socket.join(roomId);
 
+        // Later requests on this socket act as the joined player
+        socket.data.session = { playerId, roomId };
+
         // Track player in connected players
         connectedPlayers.set(socket.id, { roomId, playerId, username, team });
 
-        // Send initial game state
-        const gameState = await getGameState(roomId, playerId);
-        socket.emit("game_state", gameState);
-
-        // Notify room about new player
-        io.to(roomId).emit("player_joined", {
-          playerId: playerId,
-          username,
-          team,
-          timestamp: Date.now(),
-        });
-
-        // Broadcast updated game state to all clients in the room
-        io.to(roomId).emit("game_state", gameState);
+        await welcomePlayer(roomId, admission);
 
         // Return player and room info
         socket.emit("join_success", {
           roomId,
           playerId,
-          gameState,
+          username,
+          team,
+          token: sessionTokens.issueToken(playerId, roomId),
+          gameState: await getPlayerGameState(roomId, playerId),
         });
       } catch (error) {
         console.error("Error joining room:", error);
@@ -114,19 +281,18 @@ module.exports = function (io, db) {
           return socket.emit("error", { message: "Player not found" });
         }
 
-        // Verify player is the room creator
-        const room = await new Promise((resolve, reject) => {
-          db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, row) => {
-            if (err) reject(err);
-            resolve(row);
-          });
-        });
+        // Verify player is the room host
+        const room = await getRoomById(roomId);
 
         if (!room) {
           console.log(`Room not found with ID: ${roomId}`);
           return socket.emit("error", { message: "Room not found" });
         }
 
+        if (!isRoomHost(room, playerInfo)) {
+          return socket.emit("error", { message: "Only the host can delete the room" });
+        }
+
         // Get all players in the room
         const playersInRoom = [];
         connectedPlayers.forEach((player, socketId) => {
@@ -145,6 +311,8 @@ module.exports = function (io, db) {
         });
 
         // Delete room from database
+        clearHostTimeout(roomId);
+        clearGameTimers(roomId);
         await deleteRoom(roomId);
 
         // Disconnect all players from the room
@@ -178,9 +346,29 @@ module.exports = function (io, db) {
           return socket.emit("error", { message: "Player not found" });
         }
 
-        // Update room status to active
-        console.log("Updating room status to active for room:", roomId);
-        await updateRoomStatus(roomId, "active");
+        const room = await getRoomById(roomId);
+
+        if (!room) {
+          return socket.emit("error", { message: "Room not found" });
+        }
+
+        if (!isRoomHost(room, playerInfo)) {
+          return socket.emit("error", { message: "Only the host can start the game" });
+        }
+
+        if (room.status !== phases.PHASE.LOBBY) {
+          return socket.emit("error", { message: "The game has already started" });
+        }
+
+        // Everyone still connected has to be ready, players who dropped out and spectators don't hold the game up
+        const notReady = (await getRoomPlayers(roomId)).filter((player) => isPlayerConnected(player.player_id) && !player.ready && !teams.isSpectator(player));
+        if (notReady.length > 0) {
+          return socket.emit("error", { message: `Waiting for ${notReady.map((player) => player.username).join(", ")} to be ready` });
+        }
+
+        // Runners get their head start before the hunt begins
+        console.log("Starting head start for room:", roomId);
+        await updateRoomStatus(roomId, phases.PHASE.HEAD_START);
 
         // Generate targets for all runners in the room
         const runners = await getTeamPlayers(roomId, "runner");
@@ -206,7 +394,7 @@ module.exports = function (io, db) {
                   // Notify player of their new target
                   playerSocket.emit("new_target", {
                     target,
-                    gameState: await getGameState(roomId, runner.player_id),
+                    gameState: await getPlayerGameState(roomId, runner.player_id),
                   });
                   break;
                 }
@@ -215,15 +403,12 @@ module.exports = function (io, db) {
           }
         }
 
-        // Get updated game state
-        const gameState = await getGameState(roomId);
-        console.log("Game state after starting:", gameState ? "Retrieved successfully" : "Failed to retrieve");
+        // The server starts the hunt when the head start is over and ends the game when its time runs out
+        schedulePhaseTimers(await getRoomById(roomId));
 
-        // Notify all players in room
+        // Notify all players in room, each with their own view of the game state
         console.log("Notifying all players in room about game start");
-        io.to(roomId).emit("game_started", {
-          gameState,
-        });
+        await broadcastGameState(roomId, "game_started");
       } catch (error) {
         console.error("Error starting game:", error);
         socket.emit("error", { message: "Failed to start game" });
@@ -233,25 +418,42 @@ module.exports = function (io, db) {
     // Handle location updates
     socket.on("location_update", async (data) => {
       try {
-        const { lat, lng } = data;
         const playerInfo = connectedPlayers.get(socket.id);
 
         if (!playerInfo) {
           return socket.emit("error", { message: "Player not found" });
         }
 
+        const fix = locationFix.parseLocationFix(data);
+        if (!fix) {
+          return socket.emit("error", { message: "Invalid location" });
+        }
+        const { lat, lng } = fix;
+
         const { roomId, playerId, username, team } = playerInfo;
 
+        // Spectators are not on the map
+        if (team === teams.SPECTATOR) return;
+
+        // Pings after the game has ended are ignored
+        const room = await getRoomById(roomId);
+        if (!room || room.status === phases.PHASE.ENDED) return;
+
         // Update player location in database
-        await updatePlayerLocation(playerId, lat, lng);
+        await updatePlayerLocation(playerId, lat, lng, fix.accuracy);
+
+        // Before the hunt the position is only kept for target generation, nobody else sees it
+        if (room.status !== phases.PHASE.ACTIVE) return;
 
         // If player is runner, store location history and broadcast to hunters
         if (team === "runner") {
           // Store location in history
-          await storeLocationHistory(playerId, roomId, lat, lng);
+          await storeLocationHistory(playerId, roomId, fix, "runner");
 
           // Get location history for this player
           const locationHistory = await getPlayerLocationHistory(playerId);
+          const runner = await getPlayerById(playerId);
+          const locationRevealed = Boolean(runner) && gameEnd.isFreeRunner(runner) && outOfBounds.isLocationRevealed(room, runner);
 
           // Broadcast runner location to all players in the room
           const locationData = {
@@ -261,17 +463,32 @@ module.exports = function (io, db) {
             location: {
               lat,
               lng,
+              accuracy: fix.accuracy,
             },
             lastPingTime: Date.now(),
+            locationRevealed,
             locationHistory: locationHistory, // Include history
           };
 
-          io.to(roomId).emit("runner_location", locationData);
+          await broadcastLocationUpdate(roomId, locationData);
+
+          // Runners who are out of the game no longer work towards targets or answer to the boundary
+          if (!runner || !gameEnd.isFreeRunner(runner)) return;
+
+          // Every ping from a revealed runner restarts the clock on going quiet, coming back in bounds clears it
+          if (locationRevealed) {
+            scheduleRevealedPingCheck(playerId, config.game.revealedMissedPingTimeout);
+          }
+
+          await checkOutOfBounds(room, runner, lat, lng);
+
+          // Bonus objectives are open to every runner, whatever they are working on
+          await checkObjectiveClaims(room, runner, fix);
 
           // Check for target discovery for runners
           console.log(`Checking target discovery for runner ${playerId} at location ${lat}, ${lng}`);
 
-          const targetResult = await checkTargetDiscovery(roomId, playerId, lat, lng);
+          const targetResult = await checkTargetDiscovery(roomId, playerId, fix);
 
           if (targetResult) {
             console.log(`Target result for ${playerId}:`, targetResult);
@@ -286,59 +503,83 @@ module.exports = function (io, db) {
               console.log(`Player ${playerId} reached target ${targetResult.reachedTarget.targetId}`);
 
               // Notify room of target reached
-              io.to(roomId).emit("target_reached", {
+              await broadcastGameState(roomId, "target_reached", {
                 targetId: targetResult.reachedTarget.targetId,
-                location: targetResult.reachedTarget.location,
                 playerId,
                 username: playerData.username,
-                gameState: await getGameState(roomId),
+                pointsEarned: targetResult.reachedTarget.pointsEarned,
               });
             }
-            // Case 2: Player entered a larger radius, target updated with smaller radius
+            // Case 2: Player reached a checkpoint on their route
+            else if (targetResult.checkpointReached) {
+              console.log(`Player ${playerId} reached checkpoint ${targetResult.checkpointReached.targetId}`);
+
+              // Notify just this player, the rest of the route is theirs alone
+              socket.emit("checkpoint_reached", {
+                ...targetResult.checkpointReached,
+                gameState: await getPlayerGameState(roomId, playerId),
+              });
+            }
+            // Case 3: Player entered a larger radius, target updated with smaller radius
             else if (targetResult.updatedTarget) {
               console.log(`Player ${playerId} entered target radius, updating to smaller radius`);
 
               // Notify just this player about the radius update
               socket.emit("target_radius_update", {
                 targetId: targetResult.updatedTarget.targetId,
-                location: targetResult.updatedTarget.location,
+                zone: targetResult.updatedTarget.zone,
                 radiusLevel: targetResult.updatedTarget.radiusLevel,
                 zoneStatus: targetResult.updatedTarget.zoneStatus,
                 activationTime: targetResult.updatedTarget.activationTime,
-                gameState: await getGameState(roomId, playerId),
+                pointsEarned: targetResult.updatedTarget.pointsEarned,
+                gameState: await getPlayerGameState(roomId, playerId),
               });
             }
-            // Case 3: Zone was activated
+            // Case 4: Zone was activated
             else if (targetResult.zoneActivated) {
               console.log(`Zone ${targetResult.zoneActivated.targetId} activated for player ${playerId}`);
 
               // Notify just this player about the zone activation
               socket.emit("zone_activated", {
                 targetId: targetResult.zoneActivated.targetId,
-                location: targetResult.zoneActivated.location,
+                zone: targetResult.zoneActivated.zone,
                 radiusLevel: targetResult.zoneActivated.radiusLevel,
-                gameState: await getGameState(roomId, playerId),
+                gameState: await getPlayerGameState(roomId, playerId),
+              });
+            }
+            // Case 5: Player is part way through capturing their zone, or left it and lost their progress
+            else if (targetResult.captureProgress) {
+              const dwell = captureDwell.getRoomCaptureDwell(room);
+
+              // Notify just this player so their zone display can show the capture
+              socket.emit("capture_progress", {
+                ...targetResult.captureProgress,
+                mode: dwell.mode,
+                required: dwell.amount,
+                gameState: await getPlayerGameState(roomId, playerId),
               });
             }
-            // Case 4: New target was generated for player
+            // Case 6: Player is in their zone but their position is too vague to capture it
+            else if (targetResult.captureRejected) {
+              socket.emit("capture_rejected", {
+                ...targetResult.captureRejected,
+                message: `Your location is only accurate to ${Math.round(targetResult.captureRejected.accuracy)}m, it must be within ${targetResult.captureRejected.maxAccuracy}m to capture the zone`,
+              });
+            }
+            // Case 7: New target was generated for player
             else if (targetResult.isNew && targetResult.target) {
               console.log(`New target ${targetResult.target.targetId} generated for player ${playerId}`);
 
               // Notify just this player about the new target
               socket.emit("new_target", {
                 target: targetResult.target,
-                gameState: await getGameState(roomId, playerId),
+                gameState: await getPlayerGameState(roomId, playerId),
               });
             }
           }
           // If player has no active targets, generate one
           else if (targetResult === null) {
-            const activeTargets = await new Promise((resolve, reject) => {
-              db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ? AND status = 'active'", [roomId, playerId], (err, rows) => {
-                if (err) reject(err);
-                resolve(rows || []);
-              });
-            });
+            const activeTargets = await getActiveTargets(roomId, playerId);
 
             // If player has no active targets, generate one (but only if they haven't won)
             if (activeTargets.length === 0) {
@@ -357,13 +598,16 @@ module.exports = function (io, db) {
                   // Notify just this player about the new target
                   socket.emit("new_target", {
                     target: newTarget,
-                    gameState: await getGameState(roomId, playerId),
+                    gameState: await getPlayerGameState(roomId, playerId),
                   });
                 }
               }
             }
           }
         } else if (team === "hunter") {
+          // Hunter history is never shared, it is kept for catch assists and the distance covered
+          await storeLocationHistory(playerId, roomId, fix, "hunter");
+
           const locationData = {
             playerId,
             username,
@@ -371,12 +615,13 @@ module.exports = function (io, db) {
             location: {
               lat,
               lng,
+              accuracy: fix.accuracy,
             },
             lastPingTime: Date.now(),
             locationHistory: null,
           };
-          
-          io.to(roomId).emit("runner_location", locationData);
+
+          await broadcastLocationUpdate(roomId, locationData);
         }
       } catch (error) {
         console.error("Error handling location update:", error);
@@ -384,7 +629,7 @@ module.exports = function (io, db) {
       }
     });
 
-    // Handle player caught event
+    // Handle a runner reporting themselves as caught
     socket.on("player_caught", async (data) => {
       try {
         const { caughtPlayerId } = data;
@@ -394,417 +639,2398 @@ module.exports = function (io, db) {
           return socket.emit("error", { message: "Player not found" });
         }
 
-        const { roomId } = playerInfo;
-
-        // Update caught player status
-        await updatePlayerStatus(caughtPlayerId, "caught");
-
-        // Change team to hunter
-        await updatePlayerTeam(caughtPlayerId, "hunter");
+        const { roomId, playerId } = playerInfo;
 
-        // Get player info
-        const caughtPlayer = await getPlayerById(caughtPlayerId);
+        // Runners can only report themselves, hunters must use claim_catch
+        if (caughtPlayerId !== playerId) {
+          return socket.emit("error", { message: "You can only report yourself as caught" });
+        }
 
-        // Notify all players in room
-        io.to(roomId).emit("runner_caught", {
-          caughtPlayerId,
-          username: caughtPlayer.username,
-          timestamp: Date.now(),
-        });
+        const runner = await getPlayerById(playerId);
 
-        // Check if all runners are caught or have reached their target
-        const activeRunners = await getTeamPlayers(roomId, "runner");
+        if (!runner || !gameEnd.isFreeRunner(runner)) {
+          return socket.emit("error", { message: "Only active runners can be caught" });
+        }
 
-        if (activeRunners.length === 0) {
-          // Game over - all runners have been caught or reached their target
-          await updateRoomStatus(roomId, "completed");
+        const room = await getRoomById(roomId);
+        if (!room || room.status !== phases.PHASE.ACTIVE) {
+          return socket.emit("error", { message: "Runners can only be caught during the hunt" });
+        }
 
-          // Get final game state
-          const gameState = await getGameState(roomId);
+        // Record the self-reported catch
+        const now = Date.now();
+        await createCatch({
+          catchId: uuidv4(),
+          roomId,
+          hunterId: null,
+          runnerId: playerId,
+          status: catches.CATCH_STATUS.CONFIRMED,
+          distance: null,
+          claimedAt: now,
+          resolvedAt: now,
+          resolution: catches.CATCH_RESOLUTION.SELF_REPORTED,
+        });
 
-          // Notify all players
-          io.to(roomId).emit("game_over", {
-            reason: "All runners have been caught or reached their targets",
-            gameState,
-          });
-        }
+        await applyCatch(roomId, playerId);
       } catch (error) {
         console.error("Error handling caught player:", error);
       }
     });
 
-    // Handle disconnect
-    socket.on("disconnect", async () => {
-      const playerInfo = connectedPlayers.get(socket.id);
+    // Handle a hunter claiming they have caught a runner
+    socket.on("claim_catch", async (data) => {
+      try {
+        const { runnerId, photoId } = data;
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
 
-      if (playerInfo) {
         const { roomId, playerId } = playerInfo;
 
-        // Remove from connected players
-        connectedPlayers.delete(socket.id);
+        const room = await getRoomById(roomId);
+        if (!room || room.status !== phases.PHASE.ACTIVE) {
+          return socket.emit("error", { message: "Catches can only be claimed during the hunt" });
+        }
 
-        // Notify room
-        io.to(roomId).emit("player_disconnected", {
-          playerId,
-          username: playerInfo.username,
-          timestamp: Date.now(),
+        if (runnerId === playerId) {
+          return socket.emit("error", { message: "You cannot catch yourself" });
+        }
+
+        const hunter = await getPlayerById(playerId);
+        if (!hunter || hunter.team !== "hunter") {
+          return socket.emit("error", { message: "Only hunters can claim catches" });
+        }
+
+        const runner = await getPlayerById(runnerId);
+        if (!runner || runner.room_id !== roomId || !gameEnd.isFreeRunner(runner)) {
+          return socket.emit("error", { message: "That player is not an active runner" });
+        }
+
+        const existingClaim = await getOpenCatchForRunner(runnerId);
+        if (existingClaim) {
+          return socket.emit("error", { message: `A catch on ${runner.username} is already waiting to be resolved` });
+        }
+
+        // Check the last known positions make the catch believable
+        const plausibility = catches.checkCatchPlausibility(hunter, runner);
+        if (!plausibility.plausible) {
+          return socket.emit("error", { message: `Catch rejected: ${plausibility.reason}` });
+        }
+
+        // A photo must have been uploaded by this hunter and not used for another catch
+        let photo = null;
+        if (photoId) {
+          photo = await getPhoto(photoId);
+
+          if (!photo || photo.player_id !== playerId || photo.room_id !== roomId || photo.catch_id) {
+            return socket.emit("error", { message: "Catch photo not found" });
+          }
+        }
+
+        const catchId = uuidv4();
+        const claimedAt = Date.now();
+        const expiresAt = claimedAt + config.game.catchConfirmTimeout;
+
+        await createCatch({
+          catchId,
+          roomId,
+          hunterId: playerId,
+          runnerId,
+          status: catches.CATCH_STATUS.PENDING,
+          distance: plausibility.distance,
+          claimedAt,
         });
-      }
 
-      console.log(`Socket disconnected: ${socket.id}`);
+        if (photo) {
+          await linkPhotoToCatch(photo.photo_id, catchId);
+        }
+
+        scheduleCatchTimeout(catchId, config.game.catchConfirmTimeout);
+
+        const photoUrl = photo ? getPhotoUrl(photo.photo_id) : null;
+
+        // Ask the runner to confirm or dispute
+        emitToPlayer(runnerId, "catch_claimed", {
+          catchId,
+          hunterId: playerId,
+          hunterUsername: hunter.username,
+          photoUrl,
+          expiresAt,
+        });
+
+        // Let the host check the photo actually shows the runner
+        const hostId = await getRoomHostId(roomId);
+        if (photo && hostId && hostId !== playerId) {
+          emitToPlayer(hostId, "catch_photo_submitted", {
+            catchId,
+            hunterId: playerId,
+            hunterUsername: hunter.username,
+            runnerId,
+            runnerUsername: runner.username,
+            photoUrl,
+          });
+        }
+
+        socket.emit("catch_claim_sent", {
+          catchId,
+          runnerId,
+          runnerUsername: runner.username,
+          expiresAt,
+        });
+      } catch (error) {
+        console.error("Error claiming catch:", error);
+        socket.emit("error", { message: "Failed to claim catch" });
+      }
     });
 
-    socket.on("resync_game_state", async (data) => {
+    // Handle a runner confirming or disputing a catch claim
+    socket.on("respond_catch", async (data) => {
       try {
-        const { roomId } = data;
-        console.log(`Fetching game state for room: ${roomId}`);
-
+        const { catchId, confirmed } = data;
         const playerInfo = connectedPlayers.get(socket.id);
+
         if (!playerInfo) {
           return socket.emit("error", { message: "Player not found" });
         }
 
-        // Get game state specific to this player
-        const gameState = await getGameState(roomId, playerInfo.playerId);
-        socket.emit("game_state", gameState);
-      } catch (error) {
-        console.error("Error getting game state:", error);
-        socket.emit("error", { message: "Failed to get game state" });
-      }
-    });
-  });
+        const catchRecord = await getCatch(catchId);
 
-  // Database helper functions
-  async function deleteRoom(roomId) {
-    console.log(`Starting deleteRoom function for roomId: ${roomId}`);
-    return new Promise((resolve, reject) => {
-      // Delete players first due to foreign key constraints
-      console.log(`Deleting players for roomId: ${roomId}`);
-      db.run("DELETE FROM players WHERE room_id = ?", [roomId], function (err) {
-        if (err) {
-          console.error("Error deleting players:", err);
-          return reject(err);
+        if (!catchRecord || catchRecord.runner_id !== playerInfo.playerId) {
+          return socket.emit("error", { message: "Catch claim not found" });
         }
-        console.log(`Successfully deleted players for roomId: ${roomId}`);
 
-        // Delete targets
-        console.log(`Deleting targets for roomId: ${roomId}`);
-        db.run("DELETE FROM targets WHERE room_id = ?", [roomId], function (err) {
-          if (err) {
-            console.error("Error deleting targets:", err);
-            return reject(err);
-          }
-          console.log(`Successfully deleted targets for roomId: ${roomId}`);
-
-          // Delete room
-          console.log(`Deleting room with roomId: ${roomId}`);
-          db.run("DELETE FROM rooms WHERE room_id = ?", [roomId], function (err) {
-            if (err) {
-              console.error("Error deleting room:", err);
-              return reject(err);
-            }
-            console.log(`Successfully deleted room with roomId: ${roomId}`);
-            resolve();
-          });
+        if (catchRecord.status !== catches.CATCH_STATUS.PENDING) {
+          return socket.emit("error", { message: "This catch claim has already been resolved" });
+        }
+
+        clearCatchTimeout(catchId);
+
+        if (confirmed) {
+          await resolveCatch(catchRecord, catches.CATCH_STATUS.CONFIRMED, catches.CATCH_RESOLUTION.RUNNER_CONFIRMED);
+          return;
+        }
+
+        // Disputed, hand it to the host and any referees for a ruling
+        await updateCatch(catchId, {
+          status: catches.CATCH_STATUS.DISPUTED,
+          responded_at: Date.now(),
         });
-      });
-    });
-  }
 
-  async function getRoom(roomName) {
-    return new Promise((resolve, reject) => {
-      db.get("SELECT * FROM rooms WHERE room_name = ?", [roomName], (err, row) => {
-        if (err) reject(err);
-        resolve(row);
-      });
-    });
-  }
+        const hunter = await getPlayerById(catchRecord.hunter_id);
+        const runner = await getPlayerById(catchRecord.runner_id);
+        const hostId = await getRoomHostId(catchRecord.room_id);
+        const photo = await getCatchPhoto(catchId);
+
+        const disputeData = {
+          catchId,
+          hunterId: catchRecord.hunter_id,
+          hunterUsername: hunter ? hunter.username : null,
+          runnerId: catchRecord.runner_id,
+          runnerUsername: runner ? runner.username : null,
+          distance: catchRecord.distance,
+          photoUrl: photo ? getPhotoUrl(photo.photo_id) : null,
+        };
 
-  async function createRoom(roomId, roomName, zoneActivationDelay, centralLat, centralLng, playRadius) {
-    return new Promise((resolve, reject) => {
-      db.run(
-        "INSERT INTO rooms (room_id, room_name, zone_activation_delay, central_lat, central_lng, play_radius, start_time, status) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
-        [roomId, roomName, zoneActivationDelay, centralLat, centralLng, playRadius, Date.now(), "lobby"],
-        function (err) {
-          if (err) reject(err);
-          resolve(this.lastID);
-        },
-      );
-    });
-  }
+        io.to(catchRecord.room_id).emit("catch_disputed", disputeData);
 
-  async function getPlayer(roomId, username) {
-    return new Promise((resolve, reject) => {
-      db.get("SELECT * FROM players WHERE room_id = ? AND username = ?", [roomId, username], (err, row) => {
-        if (err) reject(err);
-        resolve(row);
-      });
-    });
-  }
+        // Spectators can referee alongside the host, as long as they are not the hunter or the runner
+        const referees = (await getTeamPlayers(catchRecord.room_id, teams.SPECTATOR)).map((spectator) => spectator.player_id);
+        if (hostId && !referees.includes(hostId)) {
+          referees.push(hostId);
+        }
 
-  async function getPlayerById(playerId) {
-    return new Promise((resolve, reject) => {
-      db.get("SELECT * FROM players WHERE player_id = ?", [playerId], (err, row) => {
-        if (err) reject(err);
-        resolve(row);
-      });
-    });
-  }
+        const eligibleReferees = referees.filter((refereeId) => !catches.isCatchParty(catchRecord, refereeId));
 
-  async function createPlayer(playerId, roomId, username, team) {
-    return new Promise((resolve, reject) => {
-      db.run("INSERT INTO players (player_id, room_id, username, team, status, last_ping_time) VALUES (?, ?, ?, ?, ?, ?)", [playerId, roomId, username, team, "active", Date.now()], function (err) {
-        if (err) reject(err);
-        resolve(this.lastID);
-      });
-    });
-  }
+        // With nobody else to rule, the runner's word stands
+        if (eligibleReferees.length === 0) {
+          await resolveCatch(catchRecord, catches.CATCH_STATUS.OVERTURNED, catches.CATCH_RESOLUTION.NO_REFEREE);
+          return;
+        }
 
-  async function updatePlayerStatus(playerId, status) {
-    return new Promise((resolve, reject) => {
-      db.run("UPDATE players SET status = ? WHERE player_id = ?", [status, playerId], function (err) {
-        if (err) reject(err);
-        resolve(this.changes);
-      });
+        eligibleReferees.forEach((refereeId) => emitToPlayer(refereeId, "catch_ruling_requested", disputeData));
+      } catch (error) {
+        console.error("Error responding to catch:", error);
+        socket.emit("error", { message: "Failed to respond to catch" });
+      }
     });
-  }
 
-  async function updatePlayerTeam(playerId, team) {
-    return new Promise((resolve, reject) => {
-      db.run("UPDATE players SET team = ? WHERE player_id = ?", [team, playerId], function (err) {
-        if (err) reject(err);
-        resolve(this.changes);
-      });
-    });
-  }
+    // Handle the host or a referee ruling on a disputed catch
+    socket.on("rule_catch", async (data) => {
+      try {
+        const { catchId, upheld } = data;
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const catchRecord = await getCatch(catchId);
+
+        if (!catchRecord || catchRecord.room_id !== playerInfo.roomId) {
+          return socket.emit("error", { message: "Catch claim not found" });
+        }
+
+        const hostId = await getRoomHostId(catchRecord.room_id);
+        const isReferee = playerInfo.team === teams.SPECTATOR;
+        if (hostId !== playerInfo.playerId && !isReferee) {
+          return socket.emit("error", { message: "Only the host or a referee can rule on disputed catches" });
+        }
+
+        if (catches.isCatchParty(catchRecord, playerInfo.playerId)) {
+          return socket.emit("error", { message: "You can't rule on a catch you are part of" });
+        }
+
+        if (catchRecord.status !== catches.CATCH_STATUS.DISPUTED) {
+          return socket.emit("error", { message: "This catch is not waiting for a ruling" });
+        }
+
+        await resolveCatch(catchRecord, upheld ? catches.CATCH_STATUS.UPHELD : catches.CATCH_STATUS.OVERTURNED, isReferee ? catches.CATCH_RESOLUTION.REFEREE_RULING : catches.CATCH_RESOLUTION.HOST_RULING, playerInfo.playerId);
+      } catch (error) {
+        console.error("Error ruling on catch:", error);
+        socket.emit("error", { message: "Failed to rule on catch" });
+      }
+    });
+
+    // Handle the host rejecting a catch because its photo does not show the runner
+    socket.on("reject_catch_photo", async (data) => {
+      try {
+        const { catchId } = data;
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const catchRecord = await getCatch(catchId);
+
+        if (!catchRecord || catchRecord.room_id !== playerInfo.roomId) {
+          return socket.emit("error", { message: "Catch claim not found" });
+        }
+
+        const hostId = await getRoomHostId(catchRecord.room_id);
+        if (hostId !== playerInfo.playerId) {
+          return socket.emit("error", { message: "Only the host can reject catch photos" });
+        }
+
+        const room = await getRoomById(catchRecord.room_id);
+        if (!room || room.status !== phases.PHASE.ACTIVE) {
+          return socket.emit("error", { message: "Catches can only be rejected during an active game" });
+        }
+
+        const photo = await getCatchPhoto(catchId);
+        if (!photo) {
+          return socket.emit("error", { message: "This catch has no photo" });
+        }
+
+        if (catchRecord.status === catches.CATCH_STATUS.OVERTURNED) {
+          return socket.emit("error", { message: "This catch has already been overturned" });
+        }
+
+        clearCatchTimeout(catchId);
+
+        const wasApplied = catches.isCatchApplied(catchRecord.status);
+        await resolveCatch(catchRecord, catches.CATCH_STATUS.OVERTURNED, catches.CATCH_RESOLUTION.PHOTO_REJECTED, playerInfo.playerId);
+
+        // The runner had already been turned into a hunter, put them back in the game and the hunters lose the points
+        if (wasApplied) {
+          await removeCatchPoints(catchId);
+          await restoreRunner(catchRecord.room_id, catchRecord.runner_id);
+        }
+      } catch (error) {
+        console.error("Error rejecting catch photo:", error);
+        socket.emit("error", { message: "Failed to reject catch" });
+      }
+    });
+
+    // Host removes a player from the room
+    socket.on("kick_player", async (data) => {
+      try {
+        const { playerId } = data;
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const { roomId } = playerInfo;
+        const room = await getRoomById(roomId);
+
+        if (!room || !isRoomHost(room, playerInfo)) {
+          return socket.emit("error", { message: "Only the host can remove players" });
+        }
+
+        if (playerId === playerInfo.playerId) {
+          return socket.emit("error", { message: "You cannot remove yourself, delete the room instead" });
+        }
+
+        const player = await getPlayerById(playerId);
+
+        if (!player || player.room_id !== roomId) {
+          return socket.emit("error", { message: "Player not found in this room" });
+        }
+
+        // Tell the player before dropping their sockets from the room
+        emitToPlayer(playerId, "kicked", {
+          roomId,
+          message: "You have been removed from the room by the host",
+        });
+
+        connectedPlayers.forEach((info, socketId) => {
+          if (info.playerId !== playerId) return;
+
+          const playerSocket = io.sockets.sockets.get(socketId);
+          if (playerSocket) {
+            playerSocket.leave(roomId);
+            delete playerSocket.data.session;
+          }
+          connectedPlayers.delete(socketId);
+        });
+
+        await removePlayer(playerId);
+
+        io.to(roomId).emit("player_kicked", {
+          playerId,
+          username: player.username,
+          timestamp: Date.now(),
+        });
+
+        // Removing the last runner ends a running game
+        if (phases.isGameInProgress(room.status)) {
+          await endGameIfNoRunnersLeft(roomId);
+        }
+
+        await broadcastGameState(roomId, "game_state");
+      } catch (error) {
+        console.error("Error kicking player:", error);
+        socket.emit("error", { message: "Failed to remove player" });
+      }
+    });
+
+    // Host changes room settings before the game starts
+    socket.on("update_room_settings", async (data) => {
+      try {
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const { roomId } = playerInfo;
+        const room = await getRoomById(roomId);
+
+        if (!room || !isRoomHost(room, playerInfo)) {
+          return socket.emit("error", { message: "Only the host can change room settings" });
+        }
+
+        if (room.status !== phases.PHASE.LOBBY) {
+          return socket.emit("error", { message: "Settings can only be changed in the lobby" });
+        }
+
+        const changes = {};
+
+        if (data.zoneActivationDelay !== undefined) {
+          const zoneActivationDelay = parseInt(data.zoneActivationDelay);
+          if (!Number.isFinite(zoneActivationDelay) || zoneActivationDelay < 0) {
+            return socket.emit("error", { message: "Zone activation delay must be zero or more seconds" });
+          }
+          changes.zone_activation_delay = zoneActivationDelay;
+        }
+
+        if (data.gameDuration !== undefined) {
+          const gameDuration = gameEnd.parseGameDuration(data.gameDuration);
+          if (!gameDuration) {
+            return socket.emit("error", { message: `Game duration must be between 1 and ${config.game.maxGameDuration} minutes` });
+          }
+          changes.game_duration = gameDuration;
+        }
+
+        if (data.headStartDuration !== undefined) {
+          const headStartDuration = phases.parseHeadStartDuration(data.headStartDuration);
+          if (headStartDuration === null) {
+            return socket.emit("error", { message: `Head start must be between 0 and ${config.game.maxHeadStart} seconds` });
+          }
+          changes.head_start_duration = headStartDuration;
+        }
+
+        if (data.playRadius !== undefined) {
+          const playRadius = parseInt(data.playRadius);
+          if (!Number.isFinite(playRadius) || playRadius <= 0) {
+            return socket.emit("error", { message: "Play radius must be a positive number of meters" });
+          }
+          changes.play_radius = playRadius;
+        }
+
+        if (data.centralLat !== undefined || data.centralLng !== undefined) {
+          const centralLat = parseFloat(data.centralLat);
+          const centralLng = parseFloat(data.centralLng);
+          if (!Number.isFinite(centralLat) || !Number.isFinite(centralLng) || Math.abs(centralLat) > 90 || Math.abs(centralLng) > 180) {
+            return socket.emit("error", { message: "Invalid game location" });
+          }
+          changes.central_lat = centralLat;
+          changes.central_lng = centralLng;
+        }
+
+        // A room with a drawn play area takes its centre and radius from the polygon, null goes back to a circle
+        if (data.playArea !== undefined) {
+          changes.play_area = null;
+          if (data.playArea) {
+            const parsedPlayArea = playArea.parsePlayArea(data.playArea);
+            if (parsedPlayArea.error) {
+              return socket.emit("error", { message: parsedPlayArea.error });
+            }
+            changes.play_area = JSON.stringify(parsedPlayArea.geometry);
+          }
+        }
+
+        const playAreaJson = changes.play_area === undefined ? room.play_area : changes.play_area;
+        if (playAreaJson) {
+          const bounds = playArea.getBoundingCircle(playArea.getPolygon(JSON.parse(playAreaJson)));
+          changes.central_lat = bounds.lat;
+          changes.central_lng = bounds.lng;
+          changes.play_radius = bounds.radius;
+        }
+
+        // A new play radius can rule out the current ladder, so the ladder is always checked against the radius being saved
+        if (data.radiusLevels !== undefined || changes.play_radius !== undefined) {
+          const radiusLadder = zones.parseRadiusLevels(data.radiusLevels === undefined ? zones.getRoomRadiusLevels(room) : data.radiusLevels, changes.play_radius || room.play_radius);
+          if (radiusLadder.error) {
+            return socket.emit("error", { message: radiusLadder.error });
+          }
+          changes.radius_levels = JSON.stringify(radiusLadder.levels);
+        }
+
+        // Distances are checked together, and again when the play radius changes
+        if (data.placementStrategy !== undefined || data.placementMinDistance !== undefined || data.placementMaxDistance !== undefined || changes.play_radius !== undefined) {
+          const placement = targetPlacement.parsePlacementSettings(
+            {
+              strategy: data.placementStrategy === undefined ? room.placement_strategy || undefined : data.placementStrategy,
+              minDistance: data.placementMinDistance === undefined ? room.placement_min_distance : data.placementMinDistance,
+              maxDistance: data.placementMaxDistance === undefined ? room.placement_max_distance : data.placementMaxDistance,
+            },
+            changes.play_radius || room.play_radius,
+          );
+          if (placement.error) {
+            return socket.emit("error", { message: placement.error });
+          }
+          changes.placement_strategy = placement.strategy;
+          changes.placement_min_distance = placement.minDistance;
+          changes.placement_max_distance = placement.maxDistance;
+        }
+
+        if (data.exclusionZones !== undefined || data.allowedArea !== undefined || changes.play_radius !== undefined || changes.central_lat !== undefined) {
+          const current = placementAreas.getRoomPlacementAreas(room);
+          const areas = placementAreas.parsePlacementAreas(
+            {
+              exclusionZones: data.exclusionZones === undefined ? current.exclusionZones : data.exclusionZones,
+              allowedArea: data.allowedArea === undefined ? current.allowedArea : data.allowedArea,
+            },
+            {
+              lat: changes.central_lat === undefined ? room.central_lat : changes.central_lat,
+              lng: changes.central_lng === undefined ? room.central_lng : changes.central_lng,
+              radius: changes.play_radius || room.play_radius,
+            },
+          );
+          if (areas.error) {
+            return socket.emit("error", { message: areas.error });
+          }
+          changes.exclusion_zones = JSON.stringify(areas.exclusionZones);
+          changes.allowed_area = areas.allowedArea ? JSON.stringify(areas.allowedArea) : null;
+        }
+
+        if (data.outOfBoundsPenalty !== undefined) {
+          const outOfBoundsPenalty = outOfBounds.parseOutOfBoundsPenalty(data.outOfBoundsPenalty);
+          if (!outOfBoundsPenalty) {
+            return socket.emit("error", { message: "Unknown out of bounds penalty" });
+          }
+          changes.out_of_bounds_penalty = outOfBoundsPenalty;
+        }
+
+        if (data.outOfBoundsGrace !== undefined) {
+          const outOfBoundsGrace = outOfBounds.parseOutOfBoundsGrace(data.outOfBoundsGrace);
+          if (outOfBoundsGrace === null) {
+            return socket.emit("error", { message: `Out of bounds grace period must be between 0 and ${config.game.maxOutOfBoundsGrace} seconds` });
+          }
+          changes.out_of_bounds_grace = outOfBoundsGrace;
+        }
+
+        // The final boundary has to fit inside the play radius being saved
+        if (data.shrinkStages !== undefined || data.shrinkInterval !== undefined || data.shrinkFinalRadius !== undefined || data.shrinkCenter !== undefined || changes.play_radius !== undefined) {
+          const current = boundary.getRoomShrinkSettings(room);
+          const shrink = boundary.parseShrinkSettings(
+            {
+              stages: data.shrinkStages === undefined ? current.stages : data.shrinkStages,
+              interval: data.shrinkInterval === undefined ? current.interval : data.shrinkInterval,
+              finalRadius: data.shrinkFinalRadius === undefined ? current.finalRadius : data.shrinkFinalRadius,
+              center: data.shrinkCenter === undefined ? current.center : data.shrinkCenter,
+            },
+            changes.play_radius || room.play_radius,
+          );
+          if (shrink.error) {
+            return socket.emit("error", { message: shrink.error });
+          }
+          changes.shrink_stages = shrink.stages;
+          changes.shrink_interval = shrink.interval;
+          changes.shrink_final_radius = shrink.finalRadius;
+          changes.shrink_center = shrink.center;
+        }
+
+        // The amount is read against the mode being saved, so both are checked together
+        if (data.captureDwellMode !== undefined || data.captureDwellAmount !== undefined) {
+          const current = captureDwell.getRoomCaptureDwell(room);
+          const dwell = captureDwell.parseCaptureDwell({
+            mode: data.captureDwellMode === undefined ? current.mode : data.captureDwellMode,
+            amount: data.captureDwellAmount === undefined ? current.amount : data.captureDwellAmount,
+          });
+          if (dwell.error) {
+            return socket.emit("error", { message: dwell.error });
+          }
+          changes.capture_dwell_mode = dwell.mode;
+          changes.capture_dwell_amount = dwell.amount;
+        }
+
+        if (data.checkpointCount !== undefined || data.checkpointOrder !== undefined) {
+          const current = checkpoints.getRoomCheckpoints(room);
+          const route = checkpoints.parseCheckpointSettings({
+            count: data.checkpointCount === undefined ? current.count : data.checkpointCount,
+            order: data.checkpointOrder === undefined ? current.order : data.checkpointOrder,
+          });
+          if (route.error) {
+            return socket.emit("error", { message: route.error });
+          }
+          changes.checkpoint_count = route.count;
+          changes.checkpoint_order = route.order;
+        }
+
+        if (data.objectiveInterval !== undefined || data.objectivePoints !== undefined) {
+          const current = objectives.getRoomObjectives(room);
+          const bonus = objectives.parseObjectiveSettings({
+            interval: data.objectiveInterval === undefined ? current.interval : data.objectiveInterval,
+            points: data.objectivePoints === undefined ? current.points : data.objectivePoints,
+          });
+          if (bonus.error) {
+            return socket.emit("error", { message: bonus.error });
+          }
+          changes.objective_interval = bonus.interval;
+          changes.objective_points = bonus.points;
+        }
+
+        if (data.rated !== undefined) {
+          const { rated, error } = ratings.parseRatedSetting(data.rated);
+          if (error) {
+            return socket.emit("error", { message: error });
+          }
+          changes.rated = rated ? 1 : 0;
+        }
+
+        // Rated games always play on a seed the server picked, so going back to rated replaces any seed the host chose
+        const rated = ratings.isRatedRoom({ ...room, ...changes });
+        if (data.placementSeed !== undefined || (rated && !ratings.isRatedRoom(room))) {
+          const placementSeed = targetPlacement.choosePlacementSeed(data.placementSeed, rated);
+          if (placementSeed.error) {
+            return socket.emit("error", { message: placementSeed.error });
+          }
+          changes.placement_seed = placementSeed.seed;
+        }
+
+        // Every setting that shapes where targets can go has to leave somewhere to put them
+        const placementColumns = ["play_radius", "radius_levels", "central_lat", "play_area", "exclusion_zones", "allowed_area", "placement_seed", "shrink_stages", "shrink_final_radius", "shrink_center"];
+        if (placementColumns.some((column) => changes[column] !== undefined) && !targetPlacement.canPlaceTargets({ ...room, ...changes })) {
+          return socket.emit("error", { message: "There is nowhere left to place targets, make the allowed area bigger or remove some exclusion zones" });
+        }
+
+        if (Object.keys(changes).length === 0) {
+          return socket.emit("error", { message: "No settings to update" });
+        }
+
+        await updateRoom(roomId, changes);
+
+        io.to(roomId).emit("room_settings_updated", {
+          roomId,
+          timestamp: Date.now(),
+        });
+
+        await broadcastGameState(roomId, "game_state");
+      } catch (error) {
+        console.error("Error updating room settings:", error);
+        socket.emit("error", { message: "Failed to update room settings" });
+      }
+    });
+
+    // Host hands the host role to another player
+    socket.on("transfer_host", async (data) => {
+      try {
+        const { playerId } = data;
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const { roomId } = playerInfo;
+        const room = await getRoomById(roomId);
+
+        if (!room || !isRoomHost(room, playerInfo)) {
+          return socket.emit("error", { message: "Only the host can hand over the host role" });
+        }
+
+        const player = await getPlayerById(playerId);
+
+        if (!player || player.room_id !== roomId || playerId === playerInfo.playerId) {
+          return socket.emit("error", { message: "Choose another player in this room" });
+        }
+
+        await transferHost(roomId, playerId, "transferred");
+      } catch (error) {
+        console.error("Error transferring host:", error);
+        socket.emit("error", { message: "Failed to transfer host" });
+      }
+    });
+
+    // Player moves to the other team before the game starts
+    socket.on("switch_team", async (data) => {
+      try {
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const { team } = data;
+        if (!teams.isValidTeam(team)) {
+          return socket.emit("error", { message: "Choose hunter or runner" });
+        }
+
+        if (playerInfo.team === teams.SPECTATOR) {
+          return socket.emit("error", { message: "Spectators can't join a team" });
+        }
+
+        const room = await getRoomById(playerInfo.roomId);
+        if (!room || room.status !== phases.PHASE.LOBBY) {
+          return socket.emit("error", { message: "Teams can only be changed in the lobby" });
+        }
+
+        if (team === playerInfo.team) return;
+
+        await changeLobbyTeam(playerInfo.playerId, team);
+        await broadcastGameState(playerInfo.roomId, "game_state");
+      } catch (error) {
+        console.error("Error switching team:", error);
+        socket.emit("error", { message: "Failed to switch team" });
+      }
+    });
+
+    // Player marks themselves ready, along with the result of their device checks
+    socket.on("set_ready", async (data) => {
+      try {
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const room = await getRoomById(playerInfo.roomId);
+        if (!room || room.status !== phases.PHASE.LOBBY) {
+          return socket.emit("error", { message: "Ready checks only happen in the lobby" });
+        }
+
+        const ready = data.ready === true;
+        const deviceChecks = teams.parseDeviceChecks(data.deviceChecks);
+        const blocker = ready ? teams.getReadyBlocker(deviceChecks) : null;
+
+        // Still store the checks so everyone can see what is holding the player up
+        await updatePlayerReady(playerInfo.playerId, ready && !blocker, deviceChecks);
+        await broadcastGameState(playerInfo.roomId, "game_state");
+
+        if (blocker) {
+          socket.emit("error", { message: blocker });
+        }
+      } catch (error) {
+        console.error("Error setting ready:", error);
+        socket.emit("error", { message: "Failed to update ready status" });
+      }
+    });
+
+    // Host shuffles or evens out the teams
+    socket.on("assign_teams", async (data) => {
+      try {
+        const playerInfo = connectedPlayers.get(socket.id);
+
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        const { roomId } = playerInfo;
+        const room = await getRoomById(roomId);
+
+        if (!room || !isRoomHost(room, playerInfo)) {
+          return socket.emit("error", { message: "Only the host can assign teams" });
+        }
+
+        if (room.status !== phases.PHASE.LOBBY) {
+          return socket.emit("error", { message: "Teams can only be changed in the lobby" });
+        }
+
+        if (!Object.values(teams.TEAM_ASSIGNMENT).includes(data.mode)) {
+          return socket.emit("error", { message: "Unknown team assignment" });
+        }
+
+        const changes = teams.assignTeams(await getRoomPlayers(roomId), data.mode);
+        for (const { playerId, team } of changes) {
+          await changeLobbyTeam(playerId, team);
+        }
+
+        io.to(roomId).emit("teams_assigned", {
+          mode: data.mode,
+          changed: changes.length,
+          timestamp: Date.now(),
+        });
+
+        await broadcastGameState(roomId, "game_state");
+      } catch (error) {
+        console.error("Error assigning teams:", error);
+        socket.emit("error", { message: "Failed to assign teams" });
+      }
+    });
+
+    // Player leaves the room on purpose, a leaving host hands over straight away
+    socket.on("leave_room", async () => {
+      try {
+        const playerInfo = connectedPlayers.get(socket.id);
+        if (!playerInfo) return;
+
+        const { roomId, playerId } = playerInfo;
+        connectedPlayers.delete(socket.id);
+        socket.leave(roomId);
+        delete socket.data.session;
+
+        io.to(roomId).emit("player_disconnected", {
+          playerId,
+          username: playerInfo.username,
+          timestamp: Date.now(),
+        });
+
+        if ((await getRoomHostId(roomId)) === playerId && !isPlayerConnected(playerId)) {
+          await handOverHost(roomId, playerId, "host_left");
+        }
+      } catch (error) {
+        console.error("Error leaving room:", error);
+      }
+    });
+
+    // Handle disconnect
+    socket.on("disconnect", async () => {
+      const playerInfo = connectedPlayers.get(socket.id);
+
+      if (playerInfo) {
+        const { roomId, playerId } = playerInfo;
+
+        // Remove from connected players
+        connectedPlayers.delete(socket.id);
+
+        // Notify room
+        io.to(roomId).emit("player_disconnected", {
+          playerId,
+          username: playerInfo.username,
+          timestamp: Date.now(),
+        });
+
+        // Give a disconnected host time to come back before handing the role on
+        try {
+          if ((await getRoomHostId(roomId)) === playerId && !isPlayerConnected(playerId)) {
+            scheduleHostTimeout(roomId, playerId);
+          }
+        } catch (error) {
+          console.error("Error checking host on disconnect:", error);
+        }
+      }
+
+      console.log(`Socket disconnected: ${socket.id}`);
+    });
+
+    socket.on("resync_game_state", async (data) => {
+      try {
+        const { roomId, token } = data;
+        console.log(`Fetching game state for room: ${roomId}`);
+
+        const playerInfo = connectedPlayers.get(socket.id);
+        if (!playerInfo) {
+          return socket.emit("error", { message: "Player not found" });
+        }
+
+        // The token must belong to the player this socket joined as
+        const session = sessionTokens.verifyToken(token);
+        if (!session || session.playerId !== playerInfo.playerId || session.roomId !== roomId || playerInfo.roomId !== roomId) {
+          return socket.emit("error", { message: "Invalid session" });
+        }
+
+        // Get game state specific to this player
+        const gameState = await getPlayerGameState(roomId, playerInfo.playerId);
+        socket.emit("game_state", gameState);
+      } catch (error) {
+        console.error("Error getting game state:", error);
+        socket.emit("error", { message: "Failed to get game state" });
+      }
+    });
+  });
+
+  // Database helper functions
+  async function deleteRoom(roomId) {
+    console.log(`Starting deleteRoom function for roomId: ${roomId}`);
+    const room = await getRoomById(roomId);
+
+    // Delete dependent rows first due to foreign key constraints, the room itself goes last
+    const tables = ["target_discoveries", "photos", "catches", "objectives", "location_history", "players", "targets", "rooms"];
+
+    for (const table of tables) {
+      await deleteRoomRows(table, roomId);
+    }
+
+    // A deleted game no longer counts towards its season's ratings, the season is replayed in the background
+    if (room && room.status === phases.PHASE.ENDED && ratings.isRatedRoom(room)) {
+      recomputeSeasonRatings(ratings.getSeason(room.end_time));
+    }
+
+    // Remove catch photos from disk
+    await new Promise((resolve) => {
+      photos.removeRoomPhotos(roomId, (err) => {
+        if (err) {
+          console.error("Error deleting catch photos:", err);
+        }
+        resolve();
+      });
+    });
+  }
+
+  async function deleteRoomRows(table, roomId) {
+    console.log(`Deleting ${table} for roomId: ${roomId}`);
+    return new Promise((resolve, reject) => {
+      db.run(`DELETE FROM ${table} WHERE room_id = ?`, [roomId], function (err) {
+        if (err) {
+          console.error(`Error deleting ${table}:`, err);
+          return reject(err);
+        }
+        console.log(`Successfully deleted ${table} for roomId: ${roomId}`);
+        resolve();
+      });
+    });
+  }
+
+  async function createCatch({ catchId, roomId, hunterId, runnerId, status, distance, claimedAt, resolvedAt = null, resolution = null }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "INSERT INTO catches (catch_id, room_id, hunter_id, runner_id, status, distance, claimed_at, resolved_at, resolution) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [catchId, roomId, hunterId, runnerId, status, distance, claimedAt, resolvedAt, resolution],
+        function (err) {
+          if (err) reject(err);
+          resolve(this.lastID);
+        },
+      );
+    });
+  }
+
+  // Add an entry to the points ledger
+  async function recordPoints({ roomId, playerId, team, reason, points, targetId = null, radiusLevel = null, catchId = null, objectiveId = null }) {
+    return new Promise((resolve, reject) => {
+      db.run(
+        "INSERT INTO target_discoveries (room_id, player_id, team, reason, target_id, radius_level, catch_id, objective_id, points_earned, discovery_time) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [roomId, playerId, team, reason, targetId, radiusLevel, catchId, objectiveId, points, Date.now()],
+        function (err) {
+          if (err) reject(err);
+          resolve(this.lastID);
+        },
+      );
+    });
+  }
+
+  // Take the points for a catch back out of the ledger once it has been overturned
+  async function removeCatchPoints(catchId) {
+    return new Promise((resolve, reject) => {
+      db.run("DELETE FROM target_discoveries WHERE catch_id = ?", [catchId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  async function getRoomLedger(roomId) {
+    return new Promise((resolve, reject) => {
+      db.all("SELECT * FROM target_discoveries WHERE room_id = ? ORDER BY discovery_time", [roomId], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  async function getCatch(catchId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM catches WHERE catch_id = ?", [catchId], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  // Get a catch on this runner that is still waiting for the runner or the host
+  async function getOpenCatchForRunner(runnerId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM catches WHERE runner_id = ? AND status IN (?, ?)", [runnerId, catches.CATCH_STATUS.PENDING, catches.CATCH_STATUS.DISPUTED], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  async function updateCatch(catchId, changes) {
+    const columns = Object.keys(changes);
+
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE catches SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE catch_id = ?`, [...columns.map((column) => changes[column]), catchId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  async function getPhoto(photoId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM photos WHERE photo_id = ?", [photoId], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  async function getCatchPhoto(catchId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM photos WHERE catch_id = ?", [catchId], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  async function linkPhotoToCatch(photoId, catchId) {
+    return new Promise((resolve, reject) => {
+      db.run("UPDATE photos SET catch_id = ? WHERE photo_id = ?", [catchId, photoId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  async function getRoomById(roomId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  async function getRoomPlayers(roomId) {
+    return new Promise((resolve, reject) => {
+      db.all("SELECT * FROM players WHERE room_id = ?", [roomId], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  async function updateRoom(roomId, changes) {
+    const columns = Object.keys(changes);
+
+    return new Promise((resolve, reject) => {
+      db.run(`UPDATE rooms SET ${columns.map((column) => `${column} = ?`).join(", ")} WHERE room_id = ?`, [...columns.map((column) => changes[column]), roomId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  // Delete a player along with their targets and location history
+  async function removePlayer(playerId) {
+    for (const table of ["location_history", "targets", "players"]) {
+      await new Promise((resolve, reject) => {
+        db.run(`DELETE FROM ${table} WHERE player_id = ?`, [playerId], (err) => {
+          if (err) reject(err);
+          resolve();
+        });
+      });
+    }
+  }
+
+  async function getRoomByJoinCode(joinCode) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM rooms WHERE join_code = ?", [joinCode], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  // Create a room with a fresh join code, returns the join code
+  async function createRoom(roomId, roomName, zoneActivationDelay, centralLat, centralLng, playRadius, gameDuration, headStartDuration, radiusLevels, placement, areas, outOfBoundsRules, shrink, dwell, route, bonus, rated, passwordHash = null) {
+    for (let attempt = 0; ; attempt++) {
+      const joinCode = joinCodes.generateJoinCode();
+
+      try {
+        await new Promise((resolve, reject) => {
+          db.run(
+            "INSERT INTO rooms (room_id, room_name, zone_activation_delay, central_lat, central_lng, play_radius, game_duration, head_start_duration, radius_levels, placement_strategy, placement_min_distance, placement_max_distance, placement_seed, exclusion_zones, allowed_area, play_area, out_of_bounds_penalty, out_of_bounds_grace, shrink_stages, shrink_interval, shrink_final_radius, shrink_center, capture_dwell_mode, capture_dwell_amount, checkpoint_count, checkpoint_order, objective_interval, objective_points, rated, start_time, status, join_code, password_hash) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+            [roomId, roomName, zoneActivationDelay, centralLat, centralLng, playRadius, gameDuration, headStartDuration, JSON.stringify(radiusLevels), placement.strategy, placement.minDistance, placement.maxDistance, placement.seed, JSON.stringify(areas.exclusionZones), areas.allowedArea ? JSON.stringify(areas.allowedArea) : null, areas.playArea ? JSON.stringify(areas.playArea) : null, outOfBoundsRules.penalty, outOfBoundsRules.grace, shrink.stages, shrink.interval, shrink.finalRadius, shrink.center, dwell.mode, dwell.amount, route.count, route.order, bonus.interval, bonus.points, rated ? 1 : 0, Date.now(), "lobby", joinCode, passwordHash],
+            function (err) {
+              if (err) reject(err);
+              resolve(this.lastID);
+            },
+          );
+        });
+
+        return joinCode;
+      } catch (err) {
+        // Try another code if this one is already taken
+        if (err.code !== "SQLITE_CONSTRAINT" || attempt >= 4) throw err;
+      }
+    }
+  }
+
+  async function getPlayer(roomId, username) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM players WHERE room_id = ? AND username = ?", [roomId, username], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  async function getPlayerById(playerId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM players WHERE player_id = ?", [playerId], (err, row) => {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  async function createPlayer(playerId, roomId, username, team, profileId = null) {
+    return new Promise((resolve, reject) => {
+      db.run("INSERT INTO players (player_id, room_id, username, team, status, last_ping_time, profile_id) VALUES (?, ?, ?, ?, ?, ?, ?)", [playerId, roomId, username, team, "active", Date.now(), profileId], function (err) {
+        if (err) reject(err);
+        resolve(this.lastID);
+      });
+    });
+  }
+
+  // Find the profile a profile token belongs to, returns null if the token is invalid or the profile is gone
+  async function getProfileIdFromToken(profileToken) {
+    const profileId = sessionTokens.verifyProfileToken(profileToken);
+    if (!profileId) return null;
+
+    return new Promise((resolve, reject) => {
+      db.get("SELECT profile_id FROM profiles WHERE profile_id = ?", [profileId], (err, row) => {
+        if (err) reject(err);
+        resolve(row ? row.profile_id : null);
+      });
+    });
+  }
+
+  async function updatePlayerStatus(playerId, status) {
+    return new Promise((resolve, reject) => {
+      db.run("UPDATE players SET status = ? WHERE player_id = ?", [status, playerId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  async function updatePlayerTeam(playerId, team) {
+    return new Promise((resolve, reject) => {
+      db.run("UPDATE players SET team = ? WHERE player_id = ?", [team, playerId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  async function updatePlayerReady(playerId, ready, deviceChecks) {
+    return new Promise((resolve, reject) => {
+      db.run("UPDATE players SET ready = ?, device_checks = ? WHERE player_id = ?", [ready ? 1 : 0, JSON.stringify(deviceChecks), playerId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  // Move a player to another team in the lobby, they have to ready up again
+  async function changeLobbyTeam(playerId, team) {
+    await new Promise((resolve, reject) => {
+      db.run("UPDATE players SET team = ?, ready = 0 WHERE player_id = ?", [team, playerId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+
+    connectedPlayers.forEach((info) => {
+      if (info.playerId === playerId) {
+        info.team = team;
+      }
+    });
+  }
+
+  async function updatePlayerLocation(playerId, lat, lng, accuracy = null) {
+    return new Promise((resolve, reject) => {
+      db.run("UPDATE players SET last_lat = ?, last_lng = ?, last_accuracy = ?, last_ping_time = ? WHERE player_id = ?", [lat, lng, accuracy, Date.now(), playerId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
+  // Store location history point
+  async function storeLocationHistory(playerId, roomId, fix, team) {
+    const { lat, lng } = fix;
+    const timestamp = Date.now();
+
+    // Only store a point if it's significantly different from the last one
+    // or if enough time has passed (at least 10 seconds)
+    const lastPoint = await getLastLocationHistoryPoint(playerId);
+
+    if (lastPoint) {
+      // If less than 10 seconds have passed and location hasn't changed significantly, don't store
+      const timeDiff = timestamp - lastPoint.timestamp;
+      const distanceChanged = geoUtils.calculateDistance(lat, lng, lastPoint.lat, lastPoint.lng);
+
+      if (timeDiff < 10000 && distanceChanged < 5) {
+        return; // Don't store if not enough change
+      }
+    }
+
+    return new Promise((resolve, reject) => {
+      db.run(
+        "INSERT INTO location_history (player_id, room_id, lat, lng, timestamp, accuracy, altitude, speed, heading, device_time, team) VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)",
+        [playerId, roomId, lat, lng, timestamp, fix.accuracy, fix.altitude, fix.speed, fix.heading, fix.deviceTime, team],
+        function (err) {
+          if (err) reject(err);
+          resolve(this.lastID);
+        },
+      );
+    });
+  }
+
+  // Get the last location history point for a player
+  async function getLastLocationHistoryPoint(playerId) {
+    return new Promise((resolve, reject) => {
+      db.get("SELECT * FROM location_history WHERE player_id = ? ORDER BY timestamp DESC LIMIT 1", [playerId], function (err, row) {
+        if (err) reject(err);
+        resolve(row);
+      });
+    });
+  }
+
+  // Get location history for a player (last 30 minutes)
+  async function getPlayerLocationHistory(playerId) {
+    const thirtyMinutesAgo = Date.now() - 30 * 60 * 1000;
+
+    return new Promise((resolve, reject) => {
+      db.all("SELECT lat, lng, accuracy, timestamp FROM location_history WHERE player_id = ? AND timestamp > ? ORDER BY timestamp DESC LIMIT 20", [playerId, thirtyMinutesAgo], function (err, rows) {
+        if (err) reject(err);
+        
+        // Filter out points less than 20 seconds apart and limit to 5
+        const filtered = [];
+        let lastTimestamp = null;
+        
+        for (const row of rows || []) {
+          if (lastTimestamp === null || (lastTimestamp - row.timestamp) >= 20000) {
+            filtered.push(row);
+            lastTimestamp = row.timestamp;
+            
+            if (filtered.length >= 5) break;
+          }
+        }
+        
+        // Reverse to get chronological order
+        resolve(filtered.reverse());
+      });
+    });
+  }
+
+  // Get a room's location history recorded while players were on a team, in time order
+  async function getTeamLocationHistory(roomId, team, since = 0) {
+    return new Promise((resolve, reject) => {
+      db.all("SELECT player_id, lat, lng, timestamp FROM location_history WHERE room_id = ? AND team = ? AND timestamp >= ? ORDER BY timestamp", [roomId, team, since], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  // Get the targets a player is still working on
+  async function getActiveTargets(roomId, playerId) {
+    return new Promise((resolve, reject) => {
+      db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ? AND status = 'active'", [roomId, playerId], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  async function getTeamPlayers(roomId, team, status = null) {
+    return new Promise((resolve, reject) => {
+      let query = "SELECT * FROM players WHERE room_id = ? AND team = ?";
+      let params = [roomId, team];
+
+      if (status) {
+        query += " AND status = ?";
+        params.push(status);
+      }
+
+      db.all(query, params, (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  // Get a room's bonus objectives in the order they spawned, optionally only those with one status
+  async function getRoomObjectiveRows(roomId, status = null) {
+    return new Promise((resolve, reject) => {
+      let query = "SELECT * FROM objectives WHERE room_id = ?";
+      let params = [roomId];
+
+      if (status) {
+        query += " AND status = ?";
+        params.push(status);
+      }
+
+      db.all(query + " ORDER BY number", params, (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+  }
+
+  async function updateRoomStatus(roomId, status) {
+    // Starting a game restarts its clock, anything else records when it stopped
+    const timeColumn = status === phases.PHASE.HEAD_START ? "start_time" : "end_time";
+
+    // Only a game in progress can be completed, so a catch and the clock racing each other complete it once
+    const condition = status === phases.PHASE.ENDED ? " AND status IN ('head_start', 'active')" : "";
+
+    const changes = await new Promise((resolve, reject) => {
+      db.run(`UPDATE rooms SET status = ?, ${timeColumn} = ? WHERE room_id = ?${condition}`, [status, Date.now(), roomId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+
+    // Ratings are rebuilt in the background, the game ends without waiting for its whole season to be replayed
+    if (status === phases.PHASE.ENDED && changes > 0) {
+      const room = await getRoomById(roomId);
+      if (ratings.isRatedRoom(room)) {
+        recomputeSeasonRatings(ratings.getSeason(room.end_time));
+      }
+    }
+
+    return changes;
+  }
+
+  // Replay every rated game of a season into the ratings table, one season at a time. A failure is
+  // logged rather than passed on, ratings can wait for the next game
+  function recomputeSeasonRatings(season) {
+    ratingsRecompute = ratingsRecompute.then(() => replaySeasonRatings(season));
+    return ratingsRecompute;
+  }
+
+  async function replaySeasonRatings(season) {
+    try {
+      const range = ratings.getSeasonRange(season);
+
+      const rooms = await new Promise((resolve, reject) => {
+        db.all("SELECT * FROM rooms WHERE status = ? AND (rated IS NULL OR rated = 1) AND end_time >= ? AND end_time < ? ORDER BY end_time", [phases.PHASE.ENDED, range.start, range.end], (err, rows) => {
+          if (err) reject(err);
+          resolve(rows || []);
+        });
+      });
+
+      const roomIds = rooms.map((room) => room.room_id);
+      const placeholders = roomIds.map(() => "?").join(", ");
+
+      const players = await new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM players WHERE room_id IN (${placeholders})`, roomIds, (err, rows) => {
+          if (err) reject(err);
+          resolve(rows || []);
+        });
+      });
+
+      const ledger = await new Promise((resolve, reject) => {
+        db.all(`SELECT * FROM target_discoveries WHERE room_id IN (${placeholders})`, roomIds, (err, rows) => {
+          if (err) reject(err);
+          resolve(rows || []);
+        });
+      });
+
+      await writeSeasonRatings(season, ratings.rateSeason(rooms, players, ledger));
+
+      console.log(`Ratings for season ${season} recomputed from ${rooms.length} games`);
+    } catch (error) {
+      console.error(`Error recomputing ratings for season ${season}:`, error);
+    }
+  }
+
+  // Swap a season's rows in the ratings table for rebuilt ones. The swap is a single db.exec batch,
+  // which holds the shared connection until it is done, so no other handler's statement can land in
+  // its transaction and nobody reads a season half rebuilt
+  function writeSeasonRatings(season, seasonRatings) {
+    const updatedAt = Date.now();
+    const rows = [...seasonRatings].map(([profileId, { rating, games }]) => `(${[profileId, season, rating, games, updatedAt].map(toSqlLiteral).join(", ")})`);
+
+    const statements = ["BEGIN", `DELETE FROM ratings WHERE season = ${toSqlLiteral(season)}`];
+    if (rows.length > 0) {
+      statements.push(`INSERT INTO ratings (profile_id, season, rating, games, updated_at) VALUES ${rows.join(", ")}`);
+    }
+    statements.push("COMMIT");
 
-  async function updatePlayerLocation(playerId, lat, lng) {
     return new Promise((resolve, reject) => {
-      db.run("UPDATE players SET last_lat = ?, last_lng = ?, last_ping_time = ? WHERE player_id = ?", [lat, lng, Date.now(), playerId], function (err) {
+      db.serialize(() => {
+        db.exec(statements.join(";\n"), (err) => {
+          if (err) reject(err);
+          resolve();
+        });
+
+        // A failed batch stops with its transaction still open, this is queued straight behind it so the
+        // rollback runs before anything else. After a COMMIT there is nothing to roll back and it is a no-op
+        db.run("ROLLBACK", () => {});
+      });
+    });
+  }
+
+  // Write a value as SQL text, for batches run with db.exec, which can't bind parameters
+  function toSqlLiteral(value) {
+    if (value === null || value === undefined) return "NULL";
+    if (typeof value === "number") return String(value);
+    return `'${String(value).replace(/'/g, "''")}'`;
+  }
+
+  // Get the full, unfiltered game state. Never send this to a client directly,
+  // use getPlayerGameState or broadcastGameState instead
+  async function getGameState(roomId) {
+    try {
+      console.log(`Getting game state for room: ${roomId}`);
+
+      // Get room details
+      const room = await new Promise((resolve, reject) => {
+        db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, row) => {
+          if (err) reject(err);
+          resolve(row);
+        });
+      });
+
+      if (!room) {
+        console.error(`Room ${roomId} not found when getting game state`);
+        return null;
+      }
+
+      // Get all players in the room
+      const players = await new Promise((resolve, reject) => {
+        db.all("SELECT * FROM players WHERE room_id = ?", [roomId], (err, rows) => {
+          if (err) reject(err);
+          resolve(rows || []);
+        });
+      });
+
+      // Get location history for all runners
+      const runnerLocationHistory = {};
+      const runnerPlayers = players.filter((player) => player.team === "runner");
+
+      // Get location history for each runner
+      for (const runner of runnerPlayers) {
+        const history = await getPlayerLocationHistory(runner.player_id);
+        if (history && history.length > 0) {
+          runnerLocationHistory[runner.player_id] = {
+            playerId: runner.player_id,
+            username: runner.username,
+            team: "runner",
+            location: {
+              lat: runner.last_lat,
+              lng: runner.last_lng,
+              accuracy: runner.last_accuracy,
+            },
+            lastPingTime: runner.last_ping_time,
+            locationRevealed: gameEnd.isFreeRunner(runner) && outOfBounds.isLocationRevealed(room, runner),
+            locationHistory: history,
+          };
+        }
+      }
+
+      // Get all targets for this room
+      const targets = await new Promise((resolve, reject) => {
+        db.all("SELECT * FROM targets WHERE room_id = ?", [roomId], (err, rows) => {
+          if (err) reject(err);
+          resolve(rows || []);
+        });
+      });
+
+      // Format targets for client (current zone only, never the exact target location)
+      const radiusLevels = zones.getRoomRadiusLevels(room);
+      const formattedTargets = targets.map((target) => zones.formatTarget(target, radiusLevels));
+
+      // Bonus objectives shared by the room, hunters have their exact location removed by the visibility policy
+      const formattedObjectives = (await getRoomObjectiveRows(roomId)).map(objectives.formatObjective);
+
+      // Scores are added up from the points ledger every time
+      const ledger = await getRoomLedger(roomId);
+      const scores = scoring.summarizeScores(ledger);
+
+      // Format players for client
+      const formattedPlayers = players.map((player) => ({
+        playerId: player.player_id,
+        roomId: player.room_id,
+        username: player.username,
+        profileId: player.profile_id || null,
+        team: player.team,
+        status: player.status,
+        location: {
+          lat: player.last_lat,
+          lng: player.last_lng,
+          accuracy: player.last_accuracy,
+        },
+        lastPingTime: player.last_ping_time,
+        connected: isPlayerConnected(player.player_id),
+        ready: Boolean(player.ready),
+        deviceChecks: teams.parseDeviceChecks(player.device_checks ? JSON.parse(player.device_checks) : null),
+        // Only runners still in the game can be out of bounds
+        outOfBoundsGraceEndsAt: gameEnd.isFreeRunner(player) ? outOfBounds.getGraceEndTime(room, player) : null,
+        outOfBoundsPenalized: gameEnd.isFreeRunner(player) && Boolean(player.out_of_bounds_penalized),
+        locationRevealed: gameEnd.isFreeRunner(player) && outOfBounds.isLocationRevealed(room, player),
+        score: scores.players[player.player_id] || 0,
+      }));
+
+      // Construct game state
+      const gameState = {
+        roomId: room.room_id,
+        roomName: room.room_name,
+        joinCode: room.join_code,
+        hasPassword: Boolean(room.password_hash),
+        zoneActivationDelay: room.zone_activation_delay,
+        playRadius: room.play_radius,
+        playArea: room.play_area ? JSON.parse(room.play_area) : null,
+        centralLocation: {
+          lat: room.central_lat,
+          lng: room.central_lng,
+        },
+        startTime: room.start_time,
+        endTime: room.end_time,
+        gameDuration: room.game_duration,
+        headStartDuration: room.head_start_duration || 0,
+        radiusLevels,
+        placementStrategy: targetPlacement.getRoomPlacement(room).strategy,
+        placementMinDistance: room.placement_min_distance,
+        placementMaxDistance: room.placement_max_distance,
+        // The seed would let anyone work out where targets are, so it is only shared once the game is over
+        placementSeed: room.status === phases.PHASE.ENDED ? room.placement_seed : null,
+        ...placementAreas.getRoomPlacementAreas(room),
+        outOfBoundsPenalty: outOfBounds.getRoomOutOfBoundsRules(room).penalty,
+        outOfBoundsGrace: outOfBounds.getRoomOutOfBoundsRules(room).grace,
+        shrinkStages: boundary.getRoomShrinkSettings(room).stages,
+        shrinkInterval: boundary.getRoomShrinkSettings(room).interval,
+        shrinkFinalRadius: boundary.getRoomShrinkSettings(room).finalRadius,
+        shrinkCenter: boundary.getRoomShrinkSettings(room).center,
+        boundary: boundary.getBoundaryState(room),
+        captureDwellMode: captureDwell.getRoomCaptureDwell(room).mode,
+        captureDwellAmount: captureDwell.getRoomCaptureDwell(room).amount,
+        checkpointCount: checkpoints.getRoomCheckpoints(room).count,
+        checkpointOrder: checkpoints.getRoomCheckpoints(room).order,
+        objectiveInterval: objectives.getRoomObjectives(room).interval,
+        objectivePoints: objectives.getRoomObjectives(room).points,
+        rated: ratings.isRatedRoom(room),
+        huntStartsAt: phases.isGameInProgress(room.status) ? phases.getHuntStartTime(room) : null,
+        endsAt: phases.isGameInProgress(room.status) ? gameEnd.getGameEndTime(room) : null,
+        timeRemaining: gameEnd.getTimeRemaining(room),
+        phaseEndsAt: phases.getPhaseEndTime(room, gameEnd.getGameEndTime(room)),
+        startCountdown: config.game.startCountdown,
+        serverTime: Date.now(),
+        status: room.status,
+        hostPlayerId: room.host_player_id,
+        players: formattedPlayers,
+        targets: formattedTargets,
+        objectives: formattedObjectives,
+        teamScores: scores.teams,
+        // The hunters' breakdown is only worked out for the game over screen
+        hunterStats: room.status === phases.PHASE.ENDED ? hunterStats.summarizeHunters(players, ledger, await getTeamLocationHistory(roomId, "hunter")) : null,
+        runnerLocationHistory: runnerLocationHistory,
+      };
+
+      return gameState;
+    } catch (error) {
+      console.error("Error getting game state:", error);
+      return null;
+    }
+  }
+
+  // Emit an event to every connected socket belonging to a player
+  function emitToPlayer(playerId, event, payload) {
+    for (const [socketId, info] of connectedPlayers.entries()) {
+      if (info.playerId !== playerId) continue;
+
+      const playerSocket = io.sockets.sockets.get(socketId);
+      if (playerSocket) {
+        playerSocket.emit(event, payload);
+      }
+    }
+  }
+
+  async function getRoomHostId(roomId) {
+    const room = await getRoomById(roomId);
+    return room ? room.host_player_id : null;
+  }
+
+  function isRoomHost(room, playerInfo) {
+    return Boolean(room.host_player_id) && room.host_player_id === playerInfo.playerId && room.room_id === playerInfo.roomId;
+  }
+
+  function isPlayerConnected(playerId) {
+    for (const info of connectedPlayers.values()) {
+      if (info.playerId === playerId) return true;
+    }
+    return false;
+  }
+
+  // Let a player into a room, the rules every way of joining shares. Only a client holding this room's
+  // session token may reconnect as an existing player, anyone else joins as a new player with the room's
+  // join code. Returns an object with playerId, username, team and rejoined, or with an error for the
+  // client and the HTTP status that goes with it
+  async function admitPlayer(room, session, data) {
+    const roomId = room.room_id;
+    const player = session && session.roomId === roomId ? await getPlayerById(session.playerId) : null;
+
+    if (session && session.roomId === roomId && !player) {
+      // The token is genuine but the player is gone, so the host removed them
+      return { status: 403, error: { message: "You have been removed from this room" } };
+    }
+
+    if (player) {
+      // Update player status only if they haven't won, survived, been caught or been disqualified
+      if (player.status !== "won" && player.status !== "caught" && player.status !== "survived" && player.status !== "disqualified") {
+        await updatePlayerStatus(player.player_id, "lobby");
+      }
+
+      return { playerId: player.player_id, username: player.username, team: player.team, rejoined: true };
+    }
+
+    const { username, team } = data;
+
+    // Room IDs are not secret, new players need the code the host shared
+    if (joinCodes.normalizeJoinCode(data.joinCode) !== room.join_code) {
+      return { status: 404, error: { message: "Room not found" } };
+    }
+
+    if (room.password_hash && !roomPasswords.verifyPassword(data.password, room.password_hash)) {
+      return { status: 403, error: { message: "Incorrect room password", passwordRequired: true } };
+    }
+
+    if (!username) {
+      return { status: 400, error: { message: "Pick a username to join with" } };
+    }
+
+    if (await getPlayer(roomId, username)) {
+      return { status: 409, error: { message: "Username is already taken in this room" } };
+    }
+
+    if (!teams.isValidJoinTeam(team)) {
+      return { status: 400, error: { message: "Join as a hunter, a runner or a spectator" } };
+    }
+
+    // Players with a profile have this game added to their history
+    const profileId = data.profileToken ? await getProfileIdFromToken(data.profileToken) : null;
+    if (data.profileToken && !profileId) {
+      return { status: 400, error: { message: "Your player profile could not be found", profileInvalid: true } };
+    }
+
+    const playerId = uuidv4();
+    await createPlayer(playerId, roomId, username, team, profileId);
+
+    return { playerId, username, team, rejoined: false };
+  }
+
+  // Settle the host and tell the room about a player admitPlayer() let in
+  async function welcomePlayer(roomId, { playerId, username, team }) {
+    // The first player into a room becomes its host
+    const hostId = await claimRoomHost(roomId, playerId);
+
+    if (hostId === playerId) {
+      clearHostTimeout(roomId);
+    } else if (!isPlayerConnected(hostId)) {
+      // The host may have dropped while the server was down, start their grace period now
+      scheduleHostTimeout(roomId, hostId);
+    }
+
+    // Notify room about new player
+    io.to(roomId).emit("player_joined", {
+      playerId,
+      username,
+      team,
+      timestamp: Date.now(),
+    });
+
+    // Broadcast updated game state to all clients in the room
+    await broadcastGameState(roomId, "game_state");
+  }
+
+  // Make a player host if the room has none yet, returns the host's player ID
+  async function claimRoomHost(roomId, playerId) {
+    await new Promise((resolve, reject) => {
+      db.run("UPDATE rooms SET host_player_id = ? WHERE room_id = ? AND host_player_id IS NULL", [playerId, roomId], (err) => {
         if (err) reject(err);
-        resolve(this.changes);
+        resolve();
       });
     });
+
+    return getRoomHostId(roomId);
   }
 
-  // Store location history point
-  async function storeLocationHistory(playerId, roomId, lat, lng) {
-    const timestamp = Date.now();
+  async function transferHost(roomId, playerId, reason) {
+    clearHostTimeout(roomId);
+    await updateRoom(roomId, { host_player_id: playerId });
 
-    // Only store a point if it's significantly different from the last one
-    // or if enough time has passed (at least 10 seconds)
-    const lastPoint = await getLastLocationHistoryPoint(playerId);
+    const newHost = await getPlayerById(playerId);
 
-    if (lastPoint) {
-      // If less than 10 seconds have passed and location hasn't changed significantly, don't store
-      const timeDiff = timestamp - lastPoint.timestamp;
-      const distanceChanged = geoUtils.calculateDistance(lat, lng, lastPoint.lat, lastPoint.lng);
+    io.to(roomId).emit("host_changed", {
+      hostPlayerId: playerId,
+      username: newHost ? newHost.username : null,
+      reason,
+      timestamp: Date.now(),
+    });
 
-      if (timeDiff < 10000 && distanceChanged < 5) {
-        return; // Don't store if not enough change
+    await broadcastGameState(roomId, "game_state");
+  }
+
+  // Pass the host role from an absent host to the longest-standing connected player
+  async function handOverHost(roomId, previousHostId, reason) {
+    const candidates = (await getRoomPlayers(roomId)).filter((player) => player.player_id !== previousHostId && isPlayerConnected(player.player_id));
+
+    if (candidates.length === 0) {
+      // Nobody to hand over to, the host keeps the role until someone joins
+      return;
+    }
+
+    await transferHost(roomId, candidates[0].player_id, reason);
+  }
+
+  function scheduleHostTimeout(roomId, hostId) {
+    if (hostTimers.has(roomId)) return;
+
+    const timer = setTimeout(async () => {
+      hostTimers.delete(roomId);
+
+      try {
+        // The host may have come back or handed over in the meantime
+        if ((await getRoomHostId(roomId)) !== hostId || isPlayerConnected(hostId)) return;
+
+        await handOverHost(roomId, hostId, "host_disconnected");
+      } catch (error) {
+        console.error("Error handing over host:", error);
+      }
+    }, config.game.hostDisconnectTimeout);
+
+    hostTimers.set(roomId, timer);
+  }
+
+  function clearHostTimeout(roomId) {
+    const timer = hostTimers.get(roomId);
+    if (timer) {
+      clearTimeout(timer);
+      hostTimers.delete(roomId);
+    }
+  }
+
+  // Turn a runner into a hunter and end the game if no runners are left
+  async function applyCatch(roomId, runnerId) {
+    // Update caught player status
+    await updatePlayerStatus(runnerId, "caught");
+
+    // Change team to hunter
+    await updatePlayerTeam(runnerId, "hunter");
+
+    // Keep connected socket info in step with the new team
+    connectedPlayers.forEach((info) => {
+      if (info.playerId === runnerId) {
+        info.team = "hunter";
       }
+    });
+
+    // Get player info
+    const caughtPlayer = await getPlayerById(runnerId);
+
+    // Notify all players in room
+    io.to(roomId).emit("runner_caught", {
+      caughtPlayerId: runnerId,
+      username: caughtPlayer.username,
+      timestamp: Date.now(),
+    });
+
+    await endGameIfNoRunnersLeft(roomId);
+  }
+
+  // End the game once all runners are caught or have reached their target, returns true if it ended
+  async function endGameIfNoRunnersLeft(roomId) {
+    const players = await getRoomPlayers(roomId);
+
+    if (players.some(gameEnd.isFreeRunner)) {
+      return false;
     }
 
-    return new Promise((resolve, reject) => {
-      db.run("INSERT INTO location_history (player_id, room_id, lat, lng, timestamp) VALUES (?, ?, ?, ?, ?)", [playerId, roomId, lat, lng, timestamp], function (err) {
+    await endGame(roomId, gameEnd.END_REASON.RUNNERS_FINISHED);
+    return true;
+  }
+
+  // Finish a running game and tell everyone how it ended
+  async function endGame(roomId, endReason) {
+    clearGameTimers(roomId);
+
+    const room = await getRoomById(roomId);
+    if (!room || !phases.isGameInProgress(room.status)) return;
+
+    // Runners still free when time runs out have survived. They are marked before the room is
+    // completed so the ratings recomputed on completion see the final result
+    if (endReason === gameEnd.END_REASON.TIME_EXPIRED) {
+      for (const player of await getRoomPlayers(roomId)) {
+        if (gameEnd.isFreeRunner(player)) {
+          await updatePlayerStatus(player.player_id, "survived");
+        }
+      }
+    }
+
+    // Only the first caller ends the game, a catch and the clock can race each other
+    const ended = (await updateRoomStatus(roomId, phases.PHASE.ENDED)) > 0;
+    if (!ended) return;
+
+    const outcome = gameEnd.getOutcome(await getRoomPlayers(roomId), endReason);
+    console.log(`Game in room ${roomId} ended: ${outcome.reason}`);
+
+    // Notify all players
+    await broadcastGameState(roomId, "game_over", outcome);
+  }
+
+  // Start the clock for a game in progress. The head start ends in the hunt,
+  // the hunt ends the game, and a phase whose time is already up ends straight away
+  function schedulePhaseTimers(room) {
+    if (!room || !phases.isGameInProgress(room.status)) return;
+
+    const gameEndTime = gameEnd.getGameEndTime(room);
+    const phaseEndTime = phases.getPhaseEndTime(room, gameEndTime);
+    if (phaseEndTime === null || gameEndTime === null) return;
+
+    const roomId = room.room_id;
+    clearGameTimers(roomId);
+
+    const broadcastTimeRemaining = () => {
+      io.to(roomId).emit("time_remaining", {
+        phase: room.status,
+        phaseEndsAt: phaseEndTime,
+        endsAt: gameEndTime,
+        timeRemaining: Math.max(0, gameEndTime - Date.now()),
+        serverTime: Date.now(),
+      });
+    };
+
+    const endPhase = () => {
+      const next = room.status === phases.PHASE.HEAD_START ? startHunt(roomId) : endGame(roomId, gameEnd.END_REASON.TIME_EXPIRED);
+      next.catch((error) => {
+        console.error(`Error ending ${room.status} phase:`, error);
+      });
+    };
+
+    const timeout = setTimeout(endPhase, Math.max(0, phaseEndTime - Date.now()));
+    const interval = setInterval(broadcastTimeRemaining, config.game.timeRemainingBroadcastInterval);
+
+    gameTimers.set(roomId, { timeout, interval, boundaryTimeouts: scheduleBoundaryTimers(room, gameEndTime), objectiveTimeouts: scheduleObjectiveTimers(room, gameEndTime) });
+    broadcastTimeRemaining();
+  }
+
+  // Announce each next boundary of a shrinking room and shrink to it on time, returns the timeouts
+  function scheduleBoundaryTimers(room, gameEndTime) {
+    if (room.status !== phases.PHASE.ACTIVE) return [];
+
+    const roomId = room.room_id;
+    const now = Date.now();
+    const timeouts = [];
+
+    const later = (time, action) => {
+      timeouts.push(
+        setTimeout(() => {
+          action().catch((error) => {
+            console.error("Error updating the boundary:", error);
+          });
+          // A millisecond late, timers can fire just before the clock reaches the stage
+        }, time - now + 1),
+      );
+    };
+
+    // Stages that are already past need nothing, the boundary is worked out from the clock
+    for (let stage = 1; stage <= boundary.getStageCount(room); stage++) {
+      const shrinkTime = boundary.getShrinkTime(room, stage);
+      if (shrinkTime <= now || shrinkTime >= gameEndTime) continue;
+
+      const announceTime = boundary.getAnnounceTime(room, stage);
+      if (announceTime > now) {
+        later(announceTime, () => announceBoundary(roomId, stage));
+      }
+      later(shrinkTime, () => shrinkBoundary(roomId, stage));
+    }
+
+    return timeouts;
+  }
+
+  // Spawn each bonus objective of a room on time, returns the timeouts
+  function scheduleObjectiveTimers(room, gameEndTime) {
+    if (room.status !== phases.PHASE.ACTIVE) return [];
+
+    const roomId = room.room_id;
+    const now = Date.now();
+    const timeouts = [];
+
+    for (let number = 1; ; number++) {
+      const spawnTime = objectives.getSpawnTime(room, number);
+      if (spawnTime === null || spawnTime >= gameEndTime) break;
+
+      // Objectives missed while the server was down spawn straight away, spawning is a no-op for ones that already exist
+      const spawn = () => {
+        spawnObjective(roomId, number).catch((error) => {
+          console.error("Error spawning bonus objective:", error);
+        });
+      };
+      timeouts.push(setTimeout(spawn, Math.max(0, spawnTime - now)));
+    }
+
+    return timeouts;
+  }
+
+  // Place a room's next bonus objective and tell everyone about it
+  async function spawnObjective(roomId, number) {
+    const room = await getRoomById(roomId);
+    if (!room || room.status !== phases.PHASE.ACTIVE) return;
+
+    const position = targetPlacement.placeObjective(room, number);
+    if (!position) {
+      console.error(`No valid location for bonus objective ${number} in room ${roomId}`);
+      return;
+    }
+
+    const objectiveId = uuidv4();
+    const spawned = await new Promise((resolve, reject) => {
+      db.run(
+        "INSERT OR IGNORE INTO objectives (objective_id, room_id, number, lat, lng, points_value, status, spawned_at) VALUES (?, ?, ?, ?, ?, ?, ?, ?)",
+        [objectiveId, roomId, number, position.lat, position.lng, objectives.getRoomObjectives(room).points, objectives.OBJECTIVE_STATUS.ACTIVE, Date.now()],
+        function (err) {
+          if (err) reject(err);
+          resolve(this.changes > 0);
+        },
+      );
+    });
+
+    if (!spawned) return;
+
+    console.log(`Bonus objective ${number} spawned in room ${roomId}`);
+    await broadcastGameState(roomId, "objective_spawned", { objectiveId, number, pointsValue: objectives.getRoomObjectives(room).points });
+  }
+
+  // Hand any open objective within reach to the runner, returns the claimed objectives
+  async function checkObjectiveClaims(room, runner, fix) {
+    if (!objectives.getRoomObjectives(room).interval) return [];
+
+    // Vague fixes could put a runner on an objective they never reached
+    if (!locationFix.isAccurateEnoughToCapture(fix)) return [];
+
+    const claimed = [];
+    for (const objective of await getRoomObjectiveRows(room.room_id, objectives.OBJECTIVE_STATUS.ACTIVE)) {
+      if (!objectives.isWithinClaimRadius(objective, fix.lat, fix.lng)) continue;
+
+      // Two runners can ping the same objective at once, only the update that still finds it open wins it
+      const claimedAt = Date.now();
+      const won = await new Promise((resolve, reject) => {
+        db.run("UPDATE objectives SET status = 'claimed', claimed_by = ?, claimed_at = ? WHERE objective_id = ? AND status = 'active'", [runner.player_id, claimedAt, objective.objective_id], function (err) {
+          if (err) reject(err);
+          resolve(this.changes > 0);
+        });
+      });
+
+      if (!won) continue;
+
+      await recordPoints({ roomId: room.room_id, playerId: runner.player_id, team: "runner", reason: scoring.SCORE_REASON.OBJECTIVE, points: objective.points_value, objectiveId: objective.objective_id });
+
+      console.log(`Runner ${runner.player_id} claimed bonus objective ${objective.number} in room ${room.room_id}`);
+      claimed.push(objective);
+      await broadcastGameState(room.room_id, "objective_claimed", {
+        objectiveId: objective.objective_id,
+        number: objective.number,
+        pointsValue: objective.points_value,
+        playerId: runner.player_id,
+        username: runner.username,
+        claimedAt,
+      });
+    }
+
+    return claimed;
+  }
+
+  // Tell everyone where the boundary will shrink to next
+  async function announceBoundary(roomId, stage) {
+    const room = await getRoomById(roomId);
+    if (!room || room.status !== phases.PHASE.ACTIVE) return;
+
+    await broadcastGameState(roomId, "boundary_announced", {
+      stage,
+      boundary: boundary.getBoundaryCircles(room)[stage - 1],
+      shrinksAt: boundary.getShrinkTime(room, stage),
+    });
+  }
+
+  // Shrink the boundary, warning runners it leaves outside
+  async function shrinkBoundary(roomId, stage) {
+    const room = await getRoomById(roomId);
+    if (!room || room.status !== phases.PHASE.ACTIVE) return;
+
+    console.log(`Boundary in room ${roomId} shrank to stage ${stage}`);
+    await broadcastGameState(roomId, "boundary_shrunk", {
+      stage,
+      boundary: boundary.getBoundaryCircles(room)[stage - 1],
+    });
+
+    // Runners caught outside are warned now rather than at their next ping
+    for (const runner of await getTeamPlayers(roomId, "runner")) {
+      if (!gameEnd.isFreeRunner(runner) || runner.last_lat === null || runner.last_lng === null) continue;
+      await checkOutOfBounds(room, runner, runner.last_lat, runner.last_lng);
+    }
+  }
+
+  // End the runners' head start and let the hunters in
+  async function startHunt(roomId) {
+    // Only move on if the game wasn't ended during the head start
+    const started = await new Promise((resolve, reject) => {
+      db.run("UPDATE rooms SET status = 'active' WHERE room_id = ? AND status = 'head_start'", [roomId], function (err) {
         if (err) reject(err);
-        resolve(this.lastID);
+        resolve(this.changes > 0);
+      });
+    });
+
+    if (!started) return;
+
+    console.log(`Hunt started in room ${roomId}`);
+
+    // Runners who had no location when the game started get their target now
+    for (const runner of await getTeamPlayers(roomId, "runner")) {
+      if (!gameEnd.isFreeRunner(runner) || !runner.last_lat || !runner.last_lng) continue;
+
+      const activeTargets = await getActiveTargets(roomId, runner.player_id);
+      if (activeTargets.length === 0) {
+        await generateTargetForPlayer(roomId, runner.player_id, runner.last_lat, runner.last_lng);
+      }
+    }
+
+    schedulePhaseTimers(await getRoomById(roomId));
+    await broadcastGameState(roomId, "phase_changed", { phase: phases.PHASE.ACTIVE });
+  }
+
+  function clearGameTimers(roomId) {
+    const timers = gameTimers.get(roomId);
+    if (timers) {
+      clearTimeout(timers.timeout);
+      clearInterval(timers.interval);
+      timers.boundaryTimeouts.forEach(clearTimeout);
+      timers.objectiveTimeouts.forEach(clearTimeout);
+      gameTimers.delete(roomId);
+    }
+  }
+
+  async function resumeGameTimers() {
+    const rooms = await new Promise((resolve, reject) => {
+      db.all("SELECT * FROM rooms WHERE status IN ('head_start', 'active')", [], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
       });
     });
+
+    rooms.forEach(schedulePhaseTimers);
+  }
+
+  // Undo a catch, turning the player back into a runner
+  async function restoreRunner(roomId, runnerId) {
+    await updatePlayerStatus(runnerId, "active");
+    await updatePlayerTeam(runnerId, "runner");
+
+    // Keep connected socket info in step with the new team
+    connectedPlayers.forEach((info) => {
+      if (info.playerId === runnerId) {
+        info.team = "runner";
+      }
+    });
+
+    const runner = await getPlayerById(runnerId);
+
+    io.to(roomId).emit("runner_restored", {
+      playerId: runnerId,
+      username: runner.username,
+      timestamp: Date.now(),
+    });
+
+    await broadcastGameState(roomId, "game_state");
+  }
+
+  function getPhotoUrl(photoId) {
+    return `/api/photos/${photoId}`;
+  }
+
+  // Record the final outcome of a catch claim and apply it if the runner was caught
+  async function resolveCatch(catchRecord, status, resolution, ruledBy = null) {
+    const now = Date.now();
+    const changes = {
+      status,
+      resolution,
+      resolved_at: now,
+      ruled_by: ruledBy,
+    };
+
+    if (resolution === catches.CATCH_RESOLUTION.RUNNER_CONFIRMED) {
+      changes.responded_at = now;
+    }
+
+    await updateCatch(catchRecord.catch_id, changes);
+
+    io.to(catchRecord.room_id).emit("catch_resolved", {
+      catchId: catchRecord.catch_id,
+      hunterId: catchRecord.hunter_id,
+      runnerId: catchRecord.runner_id,
+      status,
+      resolution,
+      timestamp: now,
+    });
+
+    if (catches.isCatchApplied(status)) {
+      const runner = await getPlayerById(catchRecord.runner_id);
+
+      // The runner may have been caught another way, won or been disqualified in the meantime
+      if (runner && gameEnd.isFreeRunner(runner)) {
+        if (catchRecord.hunter_id) {
+          await recordPoints({ roomId: catchRecord.room_id, playerId: catchRecord.hunter_id, team: "hunter", reason: scoring.SCORE_REASON.CATCH, points: scoring.getCatchPoints(), catchId: catchRecord.catch_id });
+          await awardCatchAssists(catchRecord);
+        }
+        await applyCatch(catchRecord.room_id, catchRecord.runner_id);
+      }
+    }
+  }
+
+  // Give an assist to every other hunter who was close to the runner in the minutes before a catch was claimed
+  async function awardCatchAssists(catchRecord) {
+    const since = catchRecord.claimed_at - config.game.catchAssists.window * 60 * 1000;
+    const runnerHistory = (await getTeamLocationHistory(catchRecord.room_id, "runner", since)).filter((point) => point.player_id === catchRecord.runner_id);
+    const huntersHistory = await getTeamLocationHistory(catchRecord.room_id, "hunter", since);
+
+    for (const hunter of await getTeamPlayers(catchRecord.room_id, "hunter")) {
+      if (hunter.player_id === catchRecord.hunter_id) continue;
+
+      const hunterHistory = huntersHistory.filter((point) => point.player_id === hunter.player_id);
+      if (!hunterStats.isAssist(runnerHistory, hunterHistory, catchRecord.claimed_at)) continue;
+
+      await recordPoints({ roomId: catchRecord.room_id, playerId: hunter.player_id, team: "hunter", reason: scoring.SCORE_REASON.ASSIST, points: scoring.getAssistPoints(), catchId: catchRecord.catch_id });
+    }
+  }
+
+  // Confirm a catch claim automatically if the runner never answers it
+  function scheduleCatchTimeout(catchId, delay) {
+    clearCatchTimeout(catchId);
+
+    const timer = setTimeout(async () => {
+      catchTimers.delete(catchId);
+
+      try {
+        const catchRecord = await getCatch(catchId);
+
+        if (catchRecord && catchRecord.status === catches.CATCH_STATUS.PENDING) {
+          console.log(`Catch ${catchId} was not answered, confirming automatically`);
+          await resolveCatch(catchRecord, catches.CATCH_STATUS.CONFIRMED, catches.CATCH_RESOLUTION.TIMED_OUT);
+        }
+      } catch (error) {
+        console.error("Error auto-confirming catch:", error);
+      }
+    }, Math.max(0, delay));
+
+    catchTimers.set(catchId, timer);
+  }
+
+  function clearCatchTimeout(catchId) {
+    if (catchTimers.has(catchId)) {
+      clearTimeout(catchTimers.get(catchId));
+      catchTimers.delete(catchId);
+    }
+  }
+
+  // Reschedule timeouts for claims that were pending when the server stopped
+  async function resumePendingCatches() {
+    const pendingCatches = await new Promise((resolve, reject) => {
+      db.all("SELECT * FROM catches WHERE status = ?", [catches.CATCH_STATUS.PENDING], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+
+    pendingCatches.forEach((catchRecord) => {
+      scheduleCatchTimeout(catchRecord.catch_id, catchRecord.claimed_at + config.game.catchConfirmTimeout - Date.now());
+    });
+  }
+
+  // Start a runner's grace period when they leave the play area or the current boundary, and end it when they come back
+  async function checkOutOfBounds(room, runner, lat, lng) {
+    const inBounds = boundary.isInBounds(room, lat, lng);
+    const wasOutOfBounds = runner.out_of_bounds_since !== null && runner.out_of_bounds_since !== undefined;
+
+    // Nothing changes until the runner crosses the boundary
+    if (inBounds !== wasOutOfBounds) return;
+
+    const rules = outOfBounds.getRoomOutOfBoundsRules(room);
+    const now = Date.now();
+
+    if (!inBounds) {
+      await updatePlayerOutOfBounds(runner.player_id, now);
+
+      const graceEndsAt = now + rules.grace * 1000;
+      scheduleOutOfBoundsPenalty(runner.player_id, graceEndsAt - now);
+      console.log(`Runner ${runner.player_id} left the play area, penalty ${rules.penalty} in ${rules.grace}s`);
+
+      await broadcastGameState(room.room_id, "runner_out_of_bounds", {
+        playerId: runner.player_id,
+        username: runner.username,
+        penalty: rules.penalty,
+        graceEndsAt,
+        warning: `You are out of bounds! Get back in within ${rules.grace} seconds or ${outOfBounds.describePenalty(rules.penalty)}.`,
+        timestamp: now,
+      });
+      return;
+    }
+
+    clearOutOfBoundsPenalty(runner.player_id);
+    await updatePlayerOutOfBounds(runner.player_id, null);
+    console.log(`Runner ${runner.player_id} is back in the play area`);
+
+    await broadcastGameState(room.room_id, "runner_back_in_bounds", {
+      playerId: runner.player_id,
+      username: runner.username,
+      timestamp: now,
+    });
   }
 
-  // Get the last location history point for a player
-  async function getLastLocationHistoryPoint(playerId) {
+  // Mark when a runner left the play area, or null once they are back, which also clears any penalty for leaving
+  async function updatePlayerOutOfBounds(playerId, since) {
     return new Promise((resolve, reject) => {
-      db.get("SELECT * FROM location_history WHERE player_id = ? ORDER BY timestamp DESC LIMIT 1", [playerId], function (err, row) {
+      db.run("UPDATE players SET out_of_bounds_since = ?, out_of_bounds_penalized = 0 WHERE player_id = ?", [since, playerId], function (err) {
         if (err) reject(err);
-        resolve(row);
+        resolve(this.changes);
       });
     });
   }
 
-  // Get location history for a player (last 30 minutes)
-  async function getPlayerLocationHistory(playerId) {
-    const thirtyMinutesAgo = Date.now() - 30 * 60 * 1000;
+  // Penalise a runner who is still out of bounds after their grace period
+  async function applyOutOfBoundsPenalty(playerId) {
+    const runner = await getPlayerById(playerId);
+    if (!runner || !gameEnd.isFreeRunner(runner)) return;
 
-    return new Promise((resolve, reject) => {
-      db.all("SELECT lat, lng, timestamp FROM location_history WHERE player_id = ? AND timestamp > ? ORDER BY timestamp DESC LIMIT 20", [playerId, thirtyMinutesAgo], function (err, rows) {
+    const room = await getRoomById(runner.room_id);
+    if (!room || room.status !== phases.PHASE.ACTIVE) return;
+
+    // Only the first caller penalises this exit, and only if the runner hasn't come back since
+    const penalized = await new Promise((resolve, reject) => {
+      db.run("UPDATE players SET out_of_bounds_penalized = 1 WHERE player_id = ? AND out_of_bounds_since IS NOT NULL AND out_of_bounds_penalized = 0", [playerId], function (err) {
         if (err) reject(err);
-        
-        // Filter out points less than 20 seconds apart and limit to 5
-        const filtered = [];
-        let lastTimestamp = null;
-        
-        for (const row of rows || []) {
-          if (lastTimestamp === null || (lastTimestamp - row.timestamp) >= 20000) {
-            filtered.push(row);
-            lastTimestamp = row.timestamp;
-            
-            if (filtered.length >= 5) break;
-          }
-        }
-        
-        // Reverse to get chronological order
-        resolve(filtered.reverse());
+        resolve(this.changes > 0);
       });
     });
-  }
 
-  async function getTeamPlayers(roomId, team, status = null) {
-    return new Promise((resolve, reject) => {
-      let query = "SELECT * FROM players WHERE room_id = ? AND team = ?";
-      let params = [roomId, team];
+    if (!penalized) return;
 
-      if (status) {
-        query += " AND status = ?";
-        params.push(status);
-      }
+    const { penalty } = outOfBounds.getRoomOutOfBoundsRules(room);
+    console.log(`Runner ${playerId} stayed out of bounds, applying penalty ${penalty}`);
 
-      db.all(query, params, (err, rows) => {
-        if (err) reject(err);
-        resolve(rows || []);
-      });
+    if (penalty === outOfBounds.OUT_OF_BOUNDS_PENALTY.REVEAL) {
+      scheduleRevealedPingCheck(playerId, config.game.revealedMissedPingTimeout);
+    } else if (penalty === outOfBounds.OUT_OF_BOUNDS_PENALTY.RESET_ZONES) {
+      await resetRunnerZones(room, playerId);
+    } else if (penalty === outOfBounds.OUT_OF_BOUNDS_PENALTY.DISQUALIFY) {
+      await updatePlayerStatus(playerId, "disqualified");
+    }
+
+    await broadcastGameState(room.room_id, "out_of_bounds_penalty", {
+      playerId,
+      username: runner.username,
+      penalty,
+      timestamp: Date.now(),
     });
+
+    if (penalty === outOfBounds.OUT_OF_BOUNDS_PENALTY.DISQUALIFY) {
+      await endGameIfNoRunnersLeft(room.room_id);
+    }
   }
 
-  async function updateRoomStatus(roomId, status) {
+  // Send a runner's active targets back to their first zone, which only activates after the usual delay
+  async function resetRunnerZones(room, playerId) {
+    const firstRadius = zones.getRoomRadiusLevels(room)[0];
+    const activationTime = Date.now() + room.zone_activation_delay * 1000;
+
     return new Promise((resolve, reject) => {
-      db.run("UPDATE rooms SET status = ?, end_time = ? WHERE room_id = ?", [status, Date.now(), roomId], function (err) {
+      db.run("UPDATE targets SET radius_level = ?, zone_status = 'inactive', activation_time = ?, capture_started_at = NULL, capture_pings = 0 WHERE player_id = ? AND status = 'active'", [firstRadius, activationTime, playerId], function (err) {
         if (err) reject(err);
         resolve(this.changes);
       });
     });
   }
 
-  async function getGameState(roomId, requestingPlayerId = null) {
-    try {
-      console.log(`Getting game state for room: ${roomId}`);
+  function scheduleOutOfBoundsPenalty(playerId, delay) {
+    clearOutOfBoundsPenalty(playerId);
 
-      // Get room details
-      const room = await new Promise((resolve, reject) => {
-        db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, row) => {
-          if (err) reject(err);
-          resolve(row);
-        });
-      });
+    const timer = setTimeout(async () => {
+      outOfBoundsTimers.delete(playerId);
 
-      if (!room) {
-        console.error(`Room ${roomId} not found when getting game state`);
-        return null;
+      try {
+        await applyOutOfBoundsPenalty(playerId);
+      } catch (error) {
+        console.error("Error applying out of bounds penalty:", error);
       }
+    }, Math.max(0, delay));
 
-      // Get all players in the room
-      const players = await new Promise((resolve, reject) => {
-        db.all("SELECT * FROM players WHERE room_id = ?", [roomId], (err, rows) => {
-          if (err) reject(err);
-          resolve(rows || []);
-        });
+    outOfBoundsTimers.set(playerId, timer);
+  }
+
+  // A revealed runner shares the same timer slot, their grace period is over
+  function scheduleRevealedPingCheck(playerId, delay) {
+    clearOutOfBoundsPenalty(playerId);
+
+    const timer = setTimeout(async () => {
+      outOfBoundsTimers.delete(playerId);
+
+      try {
+        await disqualifyForMissedPings(playerId);
+      } catch (error) {
+        console.error("Error checking revealed runner pings:", error);
+      }
+    }, Math.max(0, delay));
+
+    outOfBoundsTimers.set(playerId, timer);
+  }
+
+  // Disqualify a revealed runner who has gone quiet, turning off location sharing would otherwise hide them from the hunters
+  async function disqualifyForMissedPings(playerId) {
+    const runner = await getPlayerById(playerId);
+    if (!runner || !gameEnd.isFreeRunner(runner)) return;
+
+    const room = await getRoomById(runner.room_id);
+    if (!room || room.status !== phases.PHASE.ACTIVE || !outOfBounds.isLocationRevealed(room, runner)) return;
+
+    // A ping that arrived as the timer fired keeps the runner in
+    const quietUntil = (runner.last_ping_time || 0) + config.game.revealedMissedPingTimeout;
+    if (quietUntil > Date.now()) {
+      return scheduleRevealedPingCheck(playerId, quietUntil - Date.now());
+    }
+
+    console.log(`Revealed runner ${playerId} stopped pinging, disqualifying`);
+    await updatePlayerStatus(playerId, "disqualified");
+
+    await broadcastGameState(room.room_id, "out_of_bounds_penalty", {
+      playerId,
+      username: runner.username,
+      penalty: outOfBounds.OUT_OF_BOUNDS_PENALTY.DISQUALIFY,
+      missedPings: true,
+      timestamp: Date.now(),
+    });
+
+    await endGameIfNoRunnersLeft(room.room_id);
+  }
+
+  function clearOutOfBoundsPenalty(playerId) {
+    if (outOfBoundsTimers.has(playerId)) {
+      clearTimeout(outOfBoundsTimers.get(playerId));
+      outOfBoundsTimers.delete(playerId);
+    }
+  }
+
+  // Reschedule penalties for runners who were out of bounds when the server stopped
+  async function resumeOutOfBoundsTimers() {
+    const rooms = await new Promise((resolve, reject) => {
+      db.all("SELECT * FROM rooms WHERE status = 'active'", [], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
       });
+    });
 
-      // Get location history for all runners
-      const runnerLocationHistory = {};
-      const runnerPlayers = players.filter((player) => player.team === "runner");
+    for (const room of rooms) {
+      for (const runner of await getRoomPlayers(room.room_id)) {
+        if (runner.out_of_bounds_since === null || !gameEnd.isFreeRunner(runner)) continue;
 
-      // Get location history for each runner
-      for (const runner of runnerPlayers) {
-        const history = await getPlayerLocationHistory(runner.player_id);
-        if (history && history.length > 0) {
-          runnerLocationHistory[runner.player_id] = {
-            playerId: runner.player_id,
-            username: runner.username,
-            team: "runner",
-            location: {
-              lat: runner.last_lat,
-              lng: runner.last_lng,
-            },
-            lastPingTime: runner.last_ping_time,
-            locationHistory: history,
-          };
+        if (outOfBounds.isLocationRevealed(room, runner)) {
+          scheduleRevealedPingCheck(runner.player_id, (runner.last_ping_time || 0) + config.game.revealedMissedPingTimeout - Date.now());
+        } else if (!runner.out_of_bounds_penalized) {
+          scheduleOutOfBoundsPenalty(runner.player_id, outOfBounds.getGraceEndTime(room, runner) - Date.now());
         }
       }
+    }
+  }
 
-      // Get all targets for this room
-      let targets;
+  // Get a single player's projection of the game state
+  async function getPlayerGameState(roomId, playerId) {
+    const gameState = await getGameState(roomId);
+    if (!gameState) return null;
 
-      if (requestingPlayerId) {
-        // If a player ID is provided, only get their targets
-        targets = await new Promise((resolve, reject) => {
-          db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ?", [roomId, requestingPlayerId], (err, rows) => {
-            if (err) reject(err);
-            resolve(rows || []);
-          });
-        });
-      } else {
-        // Get all targets
-        targets = await new Promise((resolve, reject) => {
-          db.all("SELECT * FROM targets WHERE room_id = ?", [roomId], (err, rows) => {
-            if (err) reject(err);
-            resolve(rows || []);
-          });
-        });
-      }
+    const viewer = gameState.players.find((player) => player.playerId === playerId) || null;
+    return visibility.projectGameState(gameState, viewer);
+  }
 
-      // Format targets for client
-      const formattedTargets = targets.map((target) => ({
-        targetId: target.target_id,
-        playerId: target.player_id,
-        location: {
-          lat: target.lat,
-          lng: target.lng,
-        },
-        radiusLevel: target.radius_level,
-        status: target.status,
-        zoneStatus: target.zone_status || "inactive",
-        activationTime: target.activation_time,
-        reachedBy: target.player_id,
-        reachedAt: target.reached_at,
-      }));
+  // Emit an event to every connected player in a room with their own projection of the game state
+  async function broadcastGameState(roomId, event, payload = {}) {
+    const gameState = await getGameState(roomId);
+    if (!gameState) return;
 
-      // Format players for client
-      const formattedPlayers = players.map((player) => ({
-        playerId: player.player_id,
-        roomId: player.room_id,
-        username: player.username,
-        team: player.team,
-        status: player.status,
-        location: {
-          lat: player.last_lat,
-          lng: player.last_lng,
-        },
-        lastPingTime: player.last_ping_time,
-      }));
+    for (const [socketId, info] of connectedPlayers.entries()) {
+      if (info.roomId !== roomId) continue;
 
-      // Construct game state
-      const gameState = {
-        roomId: room.room_id,
-        roomName: room.room_name,
-        zoneActivationDelay: room.zone_activation_delay,
-        playRadius: room.play_radius,
-        centralLocation: {
-          lat: room.central_lat,
-          lng: room.central_lng,
-        },
-        startTime: room.start_time,
-        endTime: room.end_time,
-        status: room.status,
-        players: formattedPlayers,
-        targets: formattedTargets,
-        runnerLocationHistory: runnerLocationHistory,
-      };
+      const playerSocket = io.sockets.sockets.get(socketId);
+      if (!playerSocket) continue;
 
-      return gameState;
-    } catch (error) {
-      console.error("Error getting game state:", error);
-      return null;
+      const viewer = gameState.players.find((player) => player.playerId === info.playerId) || null;
+      const playerGameState = visibility.projectGameState(gameState, viewer);
+
+      // game_state carries the bare state, other events send it alongside their own payload
+      playerSocket.emit(event, event === "game_state" ? playerGameState : { ...payload, gameState: playerGameState });
+    }
+  }
+
+  // Emit a location ping to every connected player in a room who is allowed to see it
+  async function broadcastLocationUpdate(roomId, locationData) {
+    const room = await getRoomById(roomId);
+    if (!room) return;
+
+    const players = await getRoomPlayers(roomId);
+
+    for (const [socketId, info] of connectedPlayers.entries()) {
+      if (info.roomId !== roomId) continue;
+
+      const playerSocket = io.sockets.sockets.get(socketId);
+      if (!playerSocket) continue;
+
+      const player = players.find((p) => p.player_id === info.playerId);
+      const viewer = player ? { playerId: player.player_id, team: player.team, status: player.status } : null;
+      const payload = visibility.projectLocationUpdate(locationData, viewer, room.status);
+
+      if (payload) {
+        playerSocket.emit("runner_location", payload);
+      }
     }
   }
 
-  async function checkTargetDiscovery(roomId, playerId, lat, lng) {
+  async function checkTargetDiscovery(roomId, playerId, fix) {
+    const { lat, lng } = fix;
     console.log(`Checking target discovery for room ${roomId}, player ${playerId}`);
 
     // Get player's active targets
     const targets = await new Promise((resolve, reject) => {
-      db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ? AND status = 'active'", [roomId, playerId], (err, rows) => {
+      db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ? AND status = 'active' ORDER BY sequence", [roomId, playerId], (err, rows) => {
         if (err) reject(err);
         resolve(rows || []);
       });
@@ -826,11 +3052,12 @@ module.exports = function (io, db) {
       return null;
     }
 
+    // The room's ladder decides how the zones narrow
+    const room = await getRoomById(roomId);
+    const allRadiusLevels = zones.getRoomRadiusLevels(room);
+
     // Check if player is in range of any of their targets
     for (const target of targets) {
-      // Get all possible radius levels from config
-      const allRadiusLevels = config.game.targetRadiusLevels;
-
       // Check if player is within any of the nested target circles
       const isInTargetArea = geoUtils.isPlayerInNestedTargetArea(lat, lng, target.lat, target.lng, target.radius_level, allRadiusLevels);
 
@@ -855,10 +3082,7 @@ module.exports = function (io, db) {
         return {
           zoneActivated: {
             targetId: target.target_id,
-            location: {
-              lat: target.lat,
-              lng: target.lng,
-            },
+            zone: zones.getCurrentZone(target, allRadiusLevels),
             radiusLevel: target.radius_level,
           },
         };
@@ -868,8 +3092,32 @@ module.exports = function (io, db) {
       if (isInTargetArea && isZoneActive) {
         console.log(`Player is in range of target ${target.target_id} (current radius: ${target.radius_level}m)`);
 
-        // If smallest radius (125m), mark as reached
-        if (target.radius_level === config.game.targetRadiusLevels[config.game.targetRadiusLevels.length - 1]) {
+        // A fix this vague could be anywhere around the zone, so it neither captures it nor counts towards a capture
+        if (!locationFix.isAccurateEnoughToCapture(fix)) {
+          return {
+            captureRejected: {
+              targetId: target.target_id,
+              accuracy: fix.accuracy,
+              maxAccuracy: config.game.maxCaptureAccuracy,
+            },
+          };
+        }
+
+        // Rooms with a dwell requirement only capture once the runner has stayed in the zone long enough
+        const capture = captureDwell.addCapturePing(room, target, currentTime);
+        if (!capture.complete) {
+          await updateTargetCapture(target.target_id, capture.startedAt, capture.pings);
+          return {
+            captureProgress: {
+              targetId: target.target_id,
+              progress: capture.progress,
+              startedAt: capture.startedAt,
+            },
+          };
+        }
+
+        // If smallest radius, mark as reached
+        if (target.radius_level === allRadiusLevels[allRadiusLevels.length - 1]) {
           console.log(`Target reached - smallest radius (${target.radius_level}m)`);
 
           // Update target as reached
@@ -880,34 +3128,41 @@ module.exports = function (io, db) {
             });
           });
 
+          const isCheckpoint = target.kind === checkpoints.TARGET_KIND.CHECKPOINT;
+          const pointsEarned = scoring.getReachPoints();
+          await recordPoints({
+            roomId,
+            playerId,
+            team: "runner",
+            reason: isCheckpoint ? scoring.SCORE_REASON.CHECKPOINT : scoring.SCORE_REASON.TARGET,
+            points: pointsEarned,
+            targetId: target.target_id,
+            radiusLevel: target.radius_level,
+          });
+
+          // A checkpoint only opens up the rest of the route, the runner wins at their final target
+          if (isCheckpoint) {
+            const nextTarget = await activateNextRouteTarget(room, playerId);
+            return {
+              checkpointReached: {
+                targetId: target.target_id,
+                sequence: target.sequence,
+                pointsEarned,
+                nextTargetId: nextTarget ? nextTarget.target_id : null,
+              },
+            };
+          }
+
           // Update player status to indicate they've won
           await updatePlayerStatus(playerId, "won");
 
           // Get player info
           const player = await getPlayerById(playerId);
 
-          // Check if all runners have either been caught or reached their target
-          const activeRunners = await new Promise((resolve, reject) => {
-            db.all("SELECT * FROM players WHERE room_id = ? AND team = 'runner'", [roomId], (err, rows) => {
-              if (err) reject(err);
-              resolve(rows || []);
-            });
-          });
-
-          // If no active runners left, game is over
-          if (activeRunners.length === 0) {
-            // Game over - update room status
-            await updateRoomStatus(roomId, "completed");
+          // If no free runners are left the game is over, otherwise just announce this win
+          const gameEnded = await endGameIfNoRunnersLeft(roomId);
 
-            // Get final game state
-            const gameState = await getGameState(roomId);
-
-            // Notify all players of game completion
-            io.to(roomId).emit("game_over", {
-              reason: "All runners have either been caught or reached their targets",
-              gameState,
-            });
-          } else {
+          if (!gameEnded) {
             // Just notify about this runner's victory
             io.to(roomId).emit("runner_won", {
               playerId,
@@ -921,10 +3176,8 @@ module.exports = function (io, db) {
           return {
             reachedTarget: {
               targetId: target.target_id,
-              location: {
-                lat: target.lat,
-                lng: target.lng,
-              },
+              zone: zones.getCurrentZone(target, allRadiusLevels),
+              pointsEarned,
             },
           };
         }
@@ -933,7 +3186,7 @@ module.exports = function (io, db) {
           console.log(`Creating smaller radius target for ${target.target_id}`);
 
           // Find the current radius level index
-          const currentRadiusIndex = config.game.targetRadiusLevels.indexOf(target.radius_level);
+          const currentRadiusIndex = allRadiusLevels.indexOf(target.radius_level);
 
           // If not found (shouldn't happen), use default next radius
           if (currentRadiusIndex === -1) {
@@ -942,47 +3195,87 @@ module.exports = function (io, db) {
           }
 
           // Get next smaller radius
-          const newRadiusLevel = config.game.targetRadiusLevels[currentRadiusIndex + 1];
+          const newRadiusLevel = allRadiusLevels[currentRadiusIndex + 1];
           console.log(`New radius level: ${newRadiusLevel}m (was ${target.radius_level}m)`);
 
           // Calculate activation time for the new zone
-          const room = await new Promise((resolve, reject) => {
-            db.get("SELECT * FROM rooms WHERE room_id = ?", [roomId], (err, row) => {
-              if (err) reject(err);
-              resolve(row);
-            });
-          });
-
           const activationTime = Date.now() + room.zone_activation_delay * 1000;
 
           // Update target with smaller radius and inactive status
           await new Promise((resolve, reject) => {
-            db.run("UPDATE targets SET radius_level = ?, zone_status = 'inactive', activation_time = ? WHERE target_id = ?", [newRadiusLevel, activationTime, target.target_id], function (err) {
+            db.run("UPDATE targets SET radius_level = ?, zone_status = 'inactive', activation_time = ?, capture_started_at = NULL, capture_pings = 0 WHERE target_id = ?", [newRadiusLevel, activationTime, target.target_id], function (err) {
               if (err) reject(err);
               resolve(this.changes);
             });
           });
 
+          const pointsEarned = scoring.getZonePoints();
+          await recordPoints({ roomId, playerId, team: "runner", reason: scoring.SCORE_REASON.ZONE, points: pointsEarned, targetId: target.target_id, radiusLevel: target.radius_level });
+
           // Return updated target with new radius
           return {
             updatedTarget: {
               targetId: target.target_id,
-              location: {
-                lat: target.lat,
-                lng: target.lng,
-              },
+              zone: zones.getCurrentZone({ ...target, radius_level: newRadiusLevel }, allRadiusLevels),
               radiusLevel: newRadiusLevel,
               zoneStatus: "inactive",
               activationTime: activationTime,
+              pointsEarned,
             },
           };
         }
       }
+      // Leaving the zone starts a capture in progress over
+      else if (target.capture_started_at) {
+        await updateTargetCapture(target.target_id, null, 0);
+        return {
+          captureProgress: {
+            targetId: target.target_id,
+            progress: 0,
+            startedAt: null,
+          },
+        };
+      }
     }
 
     return null;
   }
 
+  // Open up the next target on a runner's route once no checkpoint is left active, starting at its first zone
+  async function activateNextRouteTarget(room, playerId) {
+    const targets = await new Promise((resolve, reject) => {
+      db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ?", [room.room_id, playerId], (err, rows) => {
+        if (err) reject(err);
+        resolve(rows || []);
+      });
+    });
+
+    const nextTarget = checkpoints.getNextRouteTarget(targets);
+    if (!nextTarget) return null;
+
+    const firstRadius = zones.getRoomRadiusLevels(room)[0];
+    const activationTime = Date.now() + room.zone_activation_delay * 1000;
+
+    await new Promise((resolve, reject) => {
+      db.run("UPDATE targets SET status = 'active', radius_level = ?, zone_status = 'inactive', activation_time = ? WHERE target_id = ?", [firstRadius, activationTime, nextTarget.target_id], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+
+    return nextTarget;
+  }
+
+  // Record how far a runner is with capturing their zone, null and 0 when no capture is in progress
+  async function updateTargetCapture(targetId, startedAt, pings) {
+    return new Promise((resolve, reject) => {
+      db.run("UPDATE targets SET capture_started_at = ?, capture_pings = ? WHERE target_id = ?", [startedAt, pings, targetId], function (err) {
+        if (err) reject(err);
+        resolve(this.changes);
+      });
+    });
+  }
+
   async function generateTargetForPlayer(roomId, playerId, playerLat, playerLng) {
     console.log(`Generating target for player ${playerId} in room ${roomId}`);
 
@@ -1008,7 +3301,7 @@ module.exports = function (io, db) {
 
     // Check if there are already active targets for this player
     const existingTargets = await new Promise((resolve, reject) => {
-      db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ? AND status != 'reached'", [roomId, playerId], (err, rows) => {
+      db.all("SELECT * FROM targets WHERE room_id = ? AND player_id = ? AND status != 'reached' ORDER BY sequence", [roomId, playerId], (err, rows) => {
         if (err) reject(err);
         resolve(rows || []);
       });
@@ -1017,55 +3310,79 @@ module.exports = function (io, db) {
     // If player already has a target, don't generate more
     if (existingTargets.length > 0) {
       console.log(`Player ${playerId} already has a target`);
-      return existingTargets[0];
+      const current = existingTargets.find((target) => target.status === "active") || existingTargets[0];
+      return zones.formatTarget(current, zones.getRoomRadiusLevels(room));
     }
 
-    // Generate a new target position - biased away from player and toward center
-    // if player is near boundary
-    let targetLat, targetLng;
+    const route = checkpoints.planRoute(room);
 
-    // Maximum play area radius in meters
-    const maxRadius = room.play_radius || config.game.defaultPlayAreaRadius;
+    // Place the targets with the room's strategy, numbered so the room's seed places them the same way again.
+    // The numbers are reserved in one statement, so runners getting targets at the same moment never share one
+    const targetCount = await new Promise((resolve, reject) => {
+      db.get("UPDATE rooms SET targets_placed = COALESCE(targets_placed, 0) + ? WHERE room_id = ? RETURNING targets_placed", [route.length, roomId], (err, row) => {
+        if (err) reject(err);
+        resolve(row ? row.targets_placed - route.length : 0);
+      });
+    });
 
-    // Generate a random position within the play area
-    const angle = Math.random() * 360; // 0-360 degrees
-    const distance = Math.random() * maxRadius; // 0-maxRadius
+    const radiusLevels = zones.getRoomRadiusLevels(room);
+    const initialRadius = radiusLevels[0]; // Largest radius
+    const activationTime = Date.now() + room.zone_activation_delay * 1000; // Convert to milliseconds
 
-    const targetPos = geoUtils.calculateDestination(room.central_lat, room.central_lng, angle, distance);
+    // Each leg of a checkpoint route is measured from the end of the one before, the first from the runner
+    let from = playerLat == null || playerLng == null ? null : { lat: playerLat, lng: playerLng };
+    const rows = [];
 
-    targetLat = targetPos.lat;
-    targetLng = targetPos.lng;
+    for (const [index, step] of route.entries()) {
+      const targetPosition = targetPlacement.placeTarget(room, from, targetCount + index, activationTime);
 
-    // Create target with initial radius
-    const targetId = uuidv4();
-    const initialRadius = config.game.targetRadiusLevels[0]; // Largest radius
-    const activationTime = Date.now() + room.zone_activation_delay * 1000; // Convert to milliseconds
+      if (!targetPosition) {
+        console.error(`No valid target location for player ${playerId} in room ${roomId}`);
+        return null;
+      }
 
-    await new Promise((resolve, reject) => {
-      db.run(
-        `INSERT INTO targets 
-        (target_id, room_id, player_id, lat, lng, radius_level, status, zone_status, activation_time)
-        VALUES (?, ?, ?, ?, ?, ?, 'active', 'inactive', ?)`,
-        [targetId, roomId, playerId, targetLat, targetLng, initialRadius, activationTime],
-        function (err) {
-          if (err) reject(err);
-          resolve(this.lastID);
-        },
-      );
-    });
+      rows.push({
+        target_id: uuidv4(),
+        room_id: roomId,
+        player_id: playerId,
+        lat: targetPosition.lat,
+        lng: targetPosition.lng,
+        radius_level: initialRadius,
+        points_value: zones.getTargetPoints(radiusLevels),
+        status: step.status,
+        zone_status: "inactive",
+        // Pending targets start their clock when they become active
+        activation_time: step.status === "active" ? activationTime : null,
+        kind: step.kind,
+        sequence: step.sequence,
+      });
+      from = targetPosition;
+    }
+
+    for (const row of rows) {
+      await new Promise((resolve, reject) => {
+        db.run(
+          `INSERT INTO targets 
+          (target_id, room_id, player_id, lat, lng, radius_level, points_value, status, zone_status, activation_time, kind, sequence)
+          VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+          [row.target_id, row.room_id, row.player_id, row.lat, row.lng, row.radius_level, row.points_value, row.status, row.zone_status, row.activation_time, row.kind, row.sequence],
+          function (err) {
+            if (err) reject(err);
+            resolve(this.lastID);
+          },
+        );
+      });
+    }
 
-    console.log(`Created new target ${targetId} for player ${playerId} at ${targetLat}, ${targetLng}`);
+    console.log(`Created ${rows.length} new targets for player ${playerId}`);
 
-    // Return the created target
-    return {
-      targetId,
-      location: {
-        lat: targetLat,
-        lng: targetLng,
-      },
-      radiusLevel: initialRadius,
-      zoneStatus: "inactive",
-      activationTime: activationTime,
-    };
+    // Return the first target to work on (current zone only, never the exact target location)
+    return zones.formatTarget(rows.find((row) => row.status === "active"), radiusLevels);
   }
+  // Game services the REST routes share with the socket handlers
+  return {
+    getPlayerGameState,
+    admitPlayer,
+    welcomePlayer,
+  };
 };
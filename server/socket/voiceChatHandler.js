@@ -23,6 +23,11 @@ module.exports = function(io, socket, connectedPlayers) {
       
       const { roomId, playerId, username, team } = playerInfo;
       
+      // Spectators listen to every channel but never talk, so they can't tip off either team
+      if (team === 'spectator') {
+        return socket.emit('error', { message: 'Spectators can only listen to voice chat' });
+      }
+      
       console.log(`Voice transmission started by ${username} (${playerId}) in room ${roomId}`);
       
       // Broadcast to all players in room (including sender for UI feedback)
@@ -56,6 +61,10 @@ module.exports = function(io, socket, connectedPlayers) {
       
       const { roomId, playerId, username, team } = playerInfo;
       
+      if (team === 'spectator') {
+        return;
+      }
+      
       // Validate audio data exists and has content
       if (!data || !data.audioData) {
         console.error('Voice audio chunk: Missing audio data');
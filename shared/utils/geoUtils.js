@@ -128,6 +128,85 @@ function isPointInCircle(pointLat, pointLng, circleLat, circleLng, radius) {
   return distance <= radius;
 }
 
+/**
+ * Check if point is within polygon
+ * @param {number} pointLat - Point latitude in degrees
+ * @param {number} pointLng - Point longitude in degrees
+ * @param {Array} polygon - Array of objects with lat and lng properties, the last point joins back to the first
+ * @returns {boolean} True if point is within polygon
+ */
+function isPointInPolygon(pointLat, pointLng, polygon) {
+  let inside = false;
+
+  // Cast a ray east from the point and count how many edges it crosses
+  for (let i = 0, j = polygon.length - 1; i < polygon.length; j = i++) {
+    const a = polygon[i];
+    const b = polygon[j];
+    const crosses = a.lat > pointLat !== b.lat > pointLat && pointLng < ((b.lng - a.lng) * (pointLat - a.lat)) / (b.lat - a.lat) + a.lng;
+    if (crosses) {
+      inside = !inside;
+    }
+  }
+
+  return inside;
+}
+
+/**
+ * Calculate shortest distance from a point to a polygon's outline
+ * @param {number} pointLat - Point latitude in degrees
+ * @param {number} pointLng - Point longitude in degrees
+ * @param {Array} polygon - Array of objects with lat and lng properties
+ * @returns {number} Distance in meters
+ */
+function calculateDistanceToPolygonEdge(pointLat, pointLng, polygon) {
+  // Flatten the polygon onto a plane in meters around the point, accurate enough at game scale
+  const metersPerDegree = (EARTH_RADIUS * Math.PI) / 180;
+  const lngScale = Math.cos((pointLat * Math.PI) / 180);
+  const vertices = polygon.map((vertex) => ({
+    x: (vertex.lng - pointLng) * lngScale * metersPerDegree,
+    y: (vertex.lat - pointLat) * metersPerDegree,
+  }));
+
+  let shortest = Infinity;
+  for (let i = 0, j = vertices.length - 1; i < vertices.length; j = i++) {
+    const a = vertices[j];
+    const b = vertices[i];
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const lengthSquared = dx * dx + dy * dy;
+
+    // Closest point on the edge to the origin, clamped to the ends of the edge
+    const t = lengthSquared === 0 ? 0 : Math.max(0, Math.min(1, -(a.x * dx + a.y * dy) / lengthSquared));
+    shortest = Math.min(shortest, Math.hypot(a.x + t * dx, a.y + t * dy));
+  }
+
+  return shortest;
+}
+
+/**
+ * Check if circle lies completely within polygon
+ * @param {number} circleLat - Circle center latitude in degrees
+ * @param {number} circleLng - Circle center longitude in degrees
+ * @param {number} radius - Circle radius in meters
+ * @param {Array} polygon - Array of objects with lat and lng properties
+ * @returns {boolean} True if no part of the circle is outside the polygon
+ */
+function isCircleInPolygon(circleLat, circleLng, radius, polygon) {
+  return isPointInPolygon(circleLat, circleLng, polygon) && calculateDistanceToPolygonEdge(circleLat, circleLng, polygon) >= radius;
+}
+
+/**
+ * Check if circle and polygon overlap at all
+ * @param {number} circleLat - Circle center latitude in degrees
+ * @param {number} circleLng - Circle center longitude in degrees
+ * @param {number} radius - Circle radius in meters
+ * @param {Array} polygon - Array of objects with lat and lng properties
+ * @returns {boolean} True if any part of the circle is inside the polygon
+ */
+function doesCircleIntersectPolygon(circleLat, circleLng, radius, polygon) {
+  return isPointInPolygon(circleLat, circleLng, polygon) || calculateDistanceToPolygonEdge(circleLat, circleLng, polygon) < radius;
+}
+
 /**
  * Calculate bearing between two points
  * @param {number} lat1 - Latitude of first point in degrees
@@ -282,6 +361,10 @@ if (typeof module !== "undefined" && module.exports) {
     generateRandomOffset,
     generateTargets,
     isPointInCircle,
+    isPointInPolygon,
+    calculateDistanceToPolygonEdge,
+    isCircleInPolygon,
+    doesCircleIntersectPolygon,
     calculateBearing,
     calculateDestination,
     calculateInternallyTangentCirclePosition,
@@ -296,6 +379,10 @@ if (typeof module !== "undefined" && module.exports) {
     generateRandomOffset,
     generateTargets,
     isPointInCircle,
+    isPointInPolygon,
+    calculateDistanceToPolygonEdge,
+    isCircleInPolygon,
+    doesCircleIntersectPolygon,
     calculateBearing,
     calculateDestination,
     calculateInternallyTangentCirclePosition,
@@ -0,0 +1,116 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const boundary = require("../server/game/boundary");
+const targetPlacement = require("../server/game/targetPlacement");
+const { createSeededRandom } = require("../server/game/seededRandom");
+
+const minute = 60 * 1000;
+const startTime = 1_800_000_000_000;
+const room = {
+  room_id: "room-1",
+  status: "active",
+  central_lat: 51.5,
+  central_lng: -0.12,
+  play_radius: 3000,
+  placement_seed: "seed-1",
+  start_time: startTime,
+  head_start_duration: 0,
+  game_duration: 60,
+  shrink_stages: 4,
+  shrink_interval: 10,
+  shrink_final_radius: 500,
+  shrink_center: "random",
+};
+
+test("a boundary that never shrinks needs no other settings", () => {
+  assert.deepEqual(boundary.parseShrinkSettings({}, 3000), { stages: 0, interval: null, finalRadius: null, center: "center" });
+  assert.deepEqual(boundary.parseShrinkSettings({ stages: 3, interval: 15, finalRadius: 400 }, 3000), { stages: 3, interval: 15, finalRadius: 400, center: "center" });
+  assert.ok(boundary.parseShrinkSettings({ stages: 11, interval: 15, finalRadius: 400 }, 3000).error);
+  assert.ok(boundary.parseShrinkSettings({ stages: 3, interval: 0, finalRadius: 400 }, 3000).error);
+  assert.ok(boundary.parseShrinkSettings({ stages: 3, interval: 15, finalRadius: 3000 }, 3000).error);
+  assert.ok(boundary.parseShrinkSettings({ stages: 3, interval: 15, finalRadius: 400, center: "north" }, 3000).error);
+});
+
+test("stages due once the game is over never happen", () => {
+  assert.equal(boundary.getStageCount(room), 4);
+  assert.equal(boundary.getStageCount({ ...room, game_duration: 30 }), 2);
+  assert.equal(boundary.getStageCount({ ...room, game_duration: 35 }), 3);
+  assert.equal(boundary.getStageCount({ ...room, game_duration: null }), 4);
+  assert.equal(boundary.getStageCount({ ...room, shrink_stages: 0 }), 0);
+  assert.equal(boundary.getBoundaryCircles({ ...room, game_duration: 30 }).length, 2);
+});
+
+test("each boundary lies inside the one before it and ends at the final radius", () => {
+  const circles = boundary.getBoundaryCircles(room);
+  let previous = { lat: room.central_lat, lng: room.central_lng, radius: room.play_radius };
+
+  assert.deepEqual(
+    circles.map((circle) => circle.radius),
+    [2375, 1750, 1125, 500],
+  );
+  circles.forEach((circle) => {
+    assert.ok(geoUtils.calculateDistance(previous.lat, previous.lng, circle.lat, circle.lng) + circle.radius <= previous.radius + 1);
+    previous = circle;
+  });
+  assert.deepEqual(boundary.getBoundaryCircles({ ...room }), circles);
+});
+
+test("a boundary cut short by the end of the game still shrinks at the same pace", () => {
+  const short = boundary.getBoundaryCircles({ ...room, game_duration: 30, shrink_center: "center" });
+
+  assert.deepEqual(
+    short.map((circle) => circle.radius),
+    [2375, 1750],
+  );
+});
+
+test("the boundary shrinks every interval once the hunt is on", () => {
+  assert.equal(boundary.getBoundaryStage(room, startTime + 9 * minute), 0);
+  assert.equal(boundary.getBoundaryStage(room, startTime + 10 * minute), 1);
+  assert.equal(boundary.getBoundaryStage(room, startTime + 59 * minute), 4);
+  assert.equal(boundary.getBoundaryStage({ ...room, status: "lobby" }, startTime + 20 * minute), 0);
+  assert.equal(boundary.getBoundaryAt(room, startTime + 5 * minute), null);
+  assert.deepEqual(boundary.getBoundaryAt(room, startTime + 25 * minute), boundary.getBoundaryCircles(room)[1]);
+});
+
+test("the next boundary is only announced shortly before it applies", () => {
+  const circles = boundary.getBoundaryCircles(room);
+  const early = boundary.getBoundaryState(room, startTime + 5 * minute);
+  const announced = boundary.getBoundaryState(room, startTime + 9 * minute);
+
+  assert.deepEqual(early, { stage: 0, stages: 4, current: null, next: null, nextShrinksAt: startTime + 10 * minute });
+  assert.deepEqual(announced.next, circles[0]);
+  assert.equal(boundary.getBoundaryState(room, startTime + 45 * minute).nextShrinksAt, null);
+  assert.equal(boundary.getBoundaryState({ ...room, shrink_stages: 0 }), null);
+});
+
+test("runners outside the current boundary are out of bounds", () => {
+  const now = startTime + 45 * minute;
+  const final = boundary.getBoundaryAt(room, now);
+  const outside = geoUtils.calculateDestination(final.lat, final.lng, 0, final.radius + 50);
+
+  assert.equal(boundary.isInBounds(room, final.lat, final.lng, now), true);
+  assert.equal(boundary.isInBounds(room, outside.lat, outside.lng, now), false);
+  assert.equal(boundary.isInBounds(room, outside.lat, outside.lng, startTime), true);
+});
+
+test("targets are placed inside the boundary in effect when they can be reached", () => {
+  const reachableAt = startTime + 45 * minute;
+  const final = boundary.getBoundaryAt(room, reachableAt);
+
+  for (let number = 0; number < 10; number++) {
+    const point = targetPlacement.placeTarget(room, null, number, reachableAt);
+    assert.ok(geoUtils.isPointInCircle(point.lat, point.lng, final.lat, final.lng, final.radius));
+  }
+});
+
+test("seeded random sources repeat for the same seed", () => {
+  const first = createSeededRandom("seed");
+  const second = createSeededRandom("seed");
+  const values = [first(), first(), first()];
+
+  assert.deepEqual([second(), second(), second()], values);
+  assert.ok(values.every((value) => value >= 0 && value < 1));
+  assert.notEqual(createSeededRandom("other")(), values[0]);
+});
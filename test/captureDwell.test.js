@@ -0,0 +1,50 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const captureDwell = require("../server/game/captureDwell");
+
+const now = 1_800_000_000_000;
+
+test("zone captures are instant unless the host asks for a wait", () => {
+  assert.deepEqual(captureDwell.parseCaptureDwell({}), { mode: "none", amount: 0 });
+  assert.deepEqual(captureDwell.parseCaptureDwell({ mode: "none", amount: 30 }), { mode: "none", amount: 0 });
+  assert.deepEqual(captureDwell.parseCaptureDwell({ mode: "seconds", amount: 30 }), { mode: "seconds", amount: 30 });
+  assert.deepEqual(captureDwell.parseCaptureDwell({ mode: "pings", amount: "3" }), { mode: "pings", amount: 3 });
+});
+
+test("capture waits must be a whole amount within the limit", () => {
+  assert.ok(captureDwell.parseCaptureDwell({ mode: "minutes", amount: 1 }).error);
+  assert.ok(captureDwell.parseCaptureDwell({ mode: "seconds", amount: 0 }).error);
+  assert.ok(captureDwell.parseCaptureDwell({ mode: "seconds", amount: 301 }).error);
+  assert.ok(captureDwell.parseCaptureDwell({ mode: "pings", amount: 21 }).error);
+  assert.ok(captureDwell.parseCaptureDwell({ mode: "pings", amount: 1.5 }).error);
+});
+
+test("rooms without a wait capture on the first ping", () => {
+  const room = { capture_dwell_mode: null, capture_dwell_amount: 10 };
+
+  assert.deepEqual(captureDwell.getRoomCaptureDwell(room), { mode: "none", amount: 0 });
+  assert.equal(captureDwell.addCapturePing(room, {}, now).complete, true);
+});
+
+test("a seconds wait counts from the first ping inside the zone", () => {
+  const room = { capture_dwell_mode: "seconds", capture_dwell_amount: 30 };
+  const first = captureDwell.addCapturePing(room, { capture_started_at: null, capture_pings: 0 }, now);
+  const early = captureDwell.addCapturePing(room, { capture_started_at: first.startedAt, capture_pings: first.pings }, now + 29_000);
+  const done = captureDwell.addCapturePing(room, { capture_started_at: first.startedAt, capture_pings: early.pings }, now + 30_000);
+
+  assert.deepEqual(first, { startedAt: now, pings: 1, progress: 0, complete: false });
+  assert.deepEqual(early, { startedAt: now, pings: 2, progress: 29, complete: false });
+  assert.equal(done.complete, true);
+});
+
+test("a pings wait counts pings in a row", () => {
+  const room = { capture_dwell_mode: "pings", capture_dwell_amount: 3 };
+
+  assert.equal(captureDwell.addCapturePing(room, { capture_started_at: now, capture_pings: 1 }, now).complete, false);
+  assert.deepEqual(captureDwell.addCapturePing(room, { capture_started_at: now, capture_pings: 2 }, now + 20_000), {
+    startedAt: now,
+    pings: 3,
+    progress: 3,
+    complete: true,
+  });
+});
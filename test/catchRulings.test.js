@@ -0,0 +1,63 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./support/server");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+// Start a hunt with no head start between the hunting host and a runner standing next to them, watched by an optional spectator
+async function startHunt(roomName, { withSpectator = false } = {}) {
+  const room = await server.createRoom(roomName, { headStartDuration: 0 });
+
+  let spectator = null;
+  if (withSpectator) {
+    spectator = await server.connect();
+    spectator.emit("join_room", { joinCode: room.joinCode, username: "referee", team: "spectator" });
+    await waitFor(spectator, "join_success");
+  }
+
+  await server.startHunt(room);
+  return { ...room, spectator };
+}
+
+// The host claims the runner and the runner disputes it
+async function claimAndDispute({ host, player, playerJoin }) {
+  host.emit("claim_catch", { runnerId: playerJoin.playerId });
+  const { catchId } = await waitFor(host, "catch_claim_sent");
+
+  player.emit("respond_catch", { catchId, confirmed: false });
+  return catchId;
+}
+
+test("a host can't rule on a catch they claimed, a spectator can", async () => {
+  const room = await startHunt("Own Catch", { withSpectator: true });
+  const rulingRequested = waitFor(room.spectator, "catch_ruling_requested");
+
+  const catchId = await claimAndDispute(room);
+  assert.equal((await rulingRequested).catchId, catchId);
+
+  room.host.emit("rule_catch", { catchId, upheld: true });
+  assert.equal((await waitFor(room.host, "error")).message, "You can't rule on a catch you are part of");
+
+  room.spectator.emit("rule_catch", { catchId, upheld: true });
+  const resolved = await waitFor(room.host, "catch_resolved");
+  assert.equal(resolved.status, "upheld");
+  assert.equal(resolved.resolution, "referee_ruling");
+});
+
+test("a dispute with nobody else to rule on it is overturned", async () => {
+  const room = await startHunt("No Referee");
+  const resolved = waitFor(room.host, "catch_resolved");
+
+  const catchId = await claimAndDispute(room);
+
+  const { catchId: resolvedId, status, resolution } = await resolved;
+  assert.equal(resolvedId, catchId);
+  assert.equal(status, "overturned");
+  assert.equal(resolution, "no_referee");
+});
@@ -0,0 +1,57 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../server/config/default");
+const catches = require("../server/game/catches");
+
+const now = 1_800_000_000_000;
+const metersNorth = (meters) => 51.5 + meters / 111320;
+
+const hunter = { username: "hunter", last_lat: 51.5, last_lng: -0.12, last_ping_time: now - 5000 };
+const runner = { username: "runner", last_lat: metersNorth(50), last_lng: -0.12, last_ping_time: now - 5000 };
+
+test("a hunter close to the runner can claim the catch", () => {
+  const result = catches.checkCatchPlausibility(hunter, runner, now);
+
+  assert.equal(result.plausible, true);
+  assert.ok(Math.abs(result.distance - 50) < 1);
+});
+
+test("a hunter too far from the runner can't claim the catch", () => {
+  const result = catches.checkCatchPlausibility(hunter, { ...runner, last_lat: metersNorth(config.game.catchMaxDistance + 50) }, now);
+
+  assert.equal(result.plausible, false);
+  assert.match(result.reason, /runner was last seen \d+m away/);
+});
+
+test("claims need both positions", () => {
+  assert.equal(catches.checkCatchPlausibility({ ...hunter, last_lat: null }, runner, now).reason, "Your location is unknown");
+  assert.equal(catches.checkCatchPlausibility(hunter, { ...runner, last_lng: null }, now).reason, "runner's location is unknown");
+});
+
+test("claims from out of date positions are rejected", () => {
+  const stale = now - config.game.catchMaxLocationAge - 1;
+
+  assert.match(catches.checkCatchPlausibility({ ...hunter, last_ping_time: stale }, runner, now).reason, /^Your location is out of date/);
+  assert.equal(catches.checkCatchPlausibility(hunter, { ...runner, last_ping_time: stale }, now).reason, "runner's location is out of date");
+  assert.equal(catches.checkCatchPlausibility(hunter, { ...runner, last_ping_time: null }, now).plausible, false);
+});
+
+test("positions from the last location update are fresh enough", () => {
+  const result = catches.checkCatchPlausibility({ ...hunter, last_ping_time: now - config.game.locationUpdateInterval }, runner, now);
+
+  assert.equal(result.plausible, true);
+});
+
+test("only confirmed and upheld catches move the runner to the hunters", () => {
+  const applied = Object.values(catches.CATCH_STATUS).filter((status) => catches.isCatchApplied(status));
+
+  assert.deepEqual(applied.sort(), [catches.CATCH_STATUS.CONFIRMED, catches.CATCH_STATUS.UPHELD].sort());
+});
+
+test("the hunter and the runner can't rule on their own catch", () => {
+  const catchRecord = { hunter_id: "hunter", runner_id: "runner" };
+
+  assert.equal(catches.isCatchParty(catchRecord, "hunter"), true);
+  assert.equal(catches.isCatchParty(catchRecord, "runner"), true);
+  assert.equal(catches.isCatchParty(catchRecord, "referee"), false);
+});
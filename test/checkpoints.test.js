@@ -0,0 +1,42 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const checkpoints = require("../server/game/checkpoints");
+
+test("rooms have no checkpoints unless the host adds some", () => {
+  assert.deepEqual(checkpoints.parseCheckpointSettings({}), { count: 0, order: "ordered" });
+  assert.deepEqual(checkpoints.parseCheckpointSettings({ count: "3", order: "unordered" }), { count: 3, order: "unordered" });
+  assert.ok(checkpoints.parseCheckpointSettings({ count: 11 }).error);
+  assert.ok(checkpoints.parseCheckpointSettings({ count: -1 }).error);
+  assert.ok(checkpoints.parseCheckpointSettings({ count: 2, order: "random" }).error);
+  assert.deepEqual(checkpoints.getRoomCheckpoints({}), { count: 0, order: "ordered" });
+});
+
+test("a route without checkpoints is just the final target", () => {
+  assert.deepEqual(checkpoints.planRoute({}), [{ kind: "final", sequence: 0, status: "active" }]);
+});
+
+test("ordered routes start with only the first checkpoint active", () => {
+  assert.deepEqual(checkpoints.planRoute({ checkpoint_count: 2, checkpoint_order: "ordered" }), [
+    { kind: "checkpoint", sequence: 0, status: "active" },
+    { kind: "checkpoint", sequence: 1, status: "pending" },
+    { kind: "final", sequence: 2, status: "pending" },
+  ]);
+});
+
+test("unordered routes start with every checkpoint active", () => {
+  const route = checkpoints.planRoute({ checkpoint_count: 2, checkpoint_order: "unordered" });
+
+  assert.deepEqual(
+    route.map((target) => target.status),
+    ["active", "active", "pending"],
+  );
+});
+
+test("the next target waits until no checkpoint is active", () => {
+  const final = { target_id: "final", sequence: 2, status: "pending" };
+
+  assert.equal(checkpoints.getNextRouteTarget([{ sequence: 0, status: "reached" }, { sequence: 1, status: "active" }, final]), null);
+  assert.equal(checkpoints.getNextRouteTarget([final, { target_id: "second", sequence: 1, status: "pending" }, { sequence: 0, status: "reached" }]).target_id, "second");
+  assert.equal(checkpoints.getNextRouteTarget([{ sequence: 0, status: "reached" }, { sequence: 1, status: "reached" }, final]), final);
+  assert.equal(checkpoints.getNextRouteTarget([{ sequence: 0, status: "reached" }]), null);
+});
@@ -0,0 +1,65 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../server/config/default");
+const gameEnd = require("../server/game/gameEnd");
+
+const startTime = 1_800_000_000_000;
+const room = { status: "active", start_time: startTime, head_start_duration: 0, game_duration: 30 };
+
+test("game durations are whole minutes up to the maximum", () => {
+  assert.equal(gameEnd.parseGameDuration("45"), 45);
+  assert.equal(gameEnd.parseGameDuration(0), null);
+  assert.equal(gameEnd.parseGameDuration("soon"), null);
+  assert.equal(gameEnd.parseGameDuration(config.game.maxGameDuration + 1), null);
+});
+
+test("a game ends its duration after it started", () => {
+  assert.equal(gameEnd.getGameEndTime(room), startTime + 30 * 60 * 1000);
+  assert.equal(gameEnd.getGameEndTime({ ...room, start_time: null }), null);
+});
+
+test("the time remaining counts down to zero while the game runs", () => {
+  assert.equal(gameEnd.getTimeRemaining(room, startTime + 10 * 60 * 1000), 20 * 60 * 1000);
+  assert.equal(gameEnd.getTimeRemaining(room, startTime + 40 * 60 * 1000), 0);
+  assert.equal(gameEnd.getTimeRemaining({ ...room, status: "completed" }, startTime), null);
+});
+
+test("only runners still in play are free", () => {
+  assert.equal(gameEnd.isFreeRunner({ team: "runner", status: "active" }), true);
+  assert.equal(gameEnd.isFreeRunner({ team: "hunter", status: "active" }), false);
+
+  for (const status of ["caught", "disqualified", "won", "survived"]) {
+    assert.equal(gameEnd.isFreeRunner({ team: "runner", status }), false);
+  }
+});
+
+test("the hunters win when every runner is caught", () => {
+  const outcome = gameEnd.getOutcome(
+    [
+      { player_id: "h1", team: "hunter", status: "active" },
+      { player_id: "r1", team: "hunter", status: "caught" },
+    ],
+    gameEnd.END_REASON.ALL_CAUGHT,
+  );
+
+  assert.equal(outcome.endReason, gameEnd.END_REASON.ALL_CAUGHT);
+  assert.equal(outcome.winningTeam, "hunter");
+  assert.deepEqual(outcome.winnerIds, []);
+});
+
+test("runners who reach their target or survive the clock win", () => {
+  const players = [
+    { player_id: "h1", team: "hunter", status: "active" },
+    { player_id: "r1", team: "runner", status: "won" },
+    { player_id: "r2", team: "runner", status: "survived" },
+  ];
+
+  const finished = gameEnd.getOutcome(players.slice(0, 2), gameEnd.END_REASON.ALL_CAUGHT);
+  assert.equal(finished.endReason, gameEnd.END_REASON.RUNNERS_FINISHED);
+  assert.deepEqual(finished.winnerIds, ["r1"]);
+
+  const expired = gameEnd.getOutcome(players, gameEnd.END_REASON.TIME_EXPIRED);
+  assert.equal(expired.endReason, gameEnd.END_REASON.TIME_EXPIRED);
+  assert.equal(expired.winningTeam, "runner");
+  assert.deepEqual(expired.winnerIds, ["r1", "r2"]);
+});
@@ -0,0 +1,58 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./support/server");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+// Ask for a player's game state over their socket
+async function getSocketState(socket, join) {
+  socket.emit("resync_game_state", { roomId: join.roomId, token: join.token });
+  return withoutClock(await waitFor(socket, "game_state"));
+}
+
+// Drop the server clock, which moves on between two requests
+function withoutClock({ serverTime, ...gameState }) {
+  return gameState;
+}
+
+test("the REST game state is the same projection the player's socket gets", async () => {
+  const { host, hostJoin, player, playerJoin } = await server.createRoom("Same State");
+
+  // The runner's position is kept in the lobby, but only they may see it
+  player.emit("location_update", { lat: 51.501, lng: -0.121 });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  const runnerState = await server.request("GET", `/rooms/${playerJoin.roomId}/state`, { token: playerJoin.token });
+  assert.equal(runnerState.status, 200);
+  assert.deepEqual(withoutClock(runnerState.body), await getSocketState(player, playerJoin));
+  assert.deepEqual(runnerState.body.players.find((p) => p.playerId === playerJoin.playerId).location, { lat: 51.501, lng: -0.121, accuracy: null });
+
+  const hunterState = await server.request("GET", `/rooms/${hostJoin.roomId}/state`, { token: hostJoin.token });
+  assert.deepEqual(withoutClock(hunterState.body), await getSocketState(host, hostJoin));
+  assert.equal(hunterState.body.players.find((p) => p.playerId === playerJoin.playerId).location, null);
+});
+
+test("the REST game state hides every location and target without a session", async () => {
+  const { player, playerJoin } = await server.createRoom("No Session");
+
+  player.emit("location_update", { lat: 51.501, lng: -0.121 });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+
+  const { status, body } = await server.request("GET", `/rooms/${playerJoin.roomId}/state`);
+  assert.equal(status, 200);
+  assert.ok(body.players.every((p) => p.location === null));
+  assert.deepEqual(body.targets, []);
+});
+
+test("the REST game state of a missing room is not found", async () => {
+  const { status, body } = await server.request("GET", "/rooms/missing/state");
+
+  assert.equal(status, 404);
+  assert.equal(body.error, "Room not found");
+});
@@ -0,0 +1,85 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./support/server");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+test("the first player into a room becomes its host", async () => {
+  const { hostJoin, playerJoin } = await server.createRoom("First In");
+
+  assert.equal(hostJoin.gameState.hostPlayerId, hostJoin.playerId);
+  assert.equal(playerJoin.gameState.hostPlayerId, hostJoin.playerId);
+});
+
+test("only the host can start, change, or delete the room", async () => {
+  const { player, playerJoin } = await server.createRoom("Host Only");
+
+  player.emit("start_game", { roomId: playerJoin.roomId });
+  assert.equal((await waitFor(player, "error")).message, "Only the host can start the game");
+
+  player.emit("update_room_settings", { gameDuration: 10 });
+  assert.equal((await waitFor(player, "error")).message, "Only the host can change room settings");
+
+  player.emit("delete_room", { roomId: playerJoin.roomId });
+  assert.equal((await waitFor(player, "error")).message, "Only the host can delete the room");
+});
+
+test("only the host can remove players", async () => {
+  const { host, hostJoin, player, playerJoin } = await server.createRoom("Kicking");
+
+  player.emit("kick_player", { playerId: hostJoin.playerId });
+  assert.equal((await waitFor(player, "error")).message, "Only the host can remove players");
+
+  host.emit("kick_player", { playerId: playerJoin.playerId });
+  const kicked = await waitFor(player, "kicked");
+  assert.equal(kicked.roomId, playerJoin.roomId);
+});
+
+test("a host who hands over the role loses it", async () => {
+  const { host, hostJoin, playerJoin } = await server.createRoom("Handover");
+
+  host.emit("transfer_host", { playerId: playerJoin.playerId });
+  const change = await waitFor(host, "host_changed");
+  assert.equal(change.hostPlayerId, playerJoin.playerId);
+  assert.equal(change.reason, "transferred");
+
+  host.emit("start_game", { roomId: hostJoin.roomId });
+  assert.equal((await waitFor(host, "error")).message, "Only the host can start the game");
+});
+
+test("a rated room never plays on a seed the host chose", async () => {
+  const { host } = await server.createRoom("Rated Seed");
+
+  host.emit("update_room_settings", { placementSeed: "known" });
+  assert.equal((await waitFor(host, "error")).message, "Only casual games can use a chosen placement seed");
+
+  host.emit("update_room_settings", { rated: false, placementSeed: "known" });
+  assert.equal((await waitFor(host, "game_state")).rated, false);
+
+  const seeded = await server.connect();
+  seeded.emit("create_room", { roomName: "Seeded", username: "host", team: "hunter", centralLat: 51.5, centralLng: -0.12, playRadius: 1000, placementSeed: "known" });
+  assert.equal((await waitFor(seeded, "error")).message, "Only casual games can use a chosen placement seed");
+
+  const room = { roomName: "Seeded", centralLat: 51.5, centralLng: -0.12, placementSeed: "known" };
+  assert.equal((await server.request("POST", "/rooms", { body: room })).status, 400);
+  assert.equal((await server.request("POST", "/rooms", { body: { ...room, rated: false } })).status, 201);
+});
+
+test("deleting a room removes its location history", async () => {
+  const room = await server.createRoom("Deleted", { headStartDuration: 0 });
+  await server.startHunt(room);
+
+  room.player.emit("location_update", { lat: 51.501, lng: -0.12 });
+  await new Promise((resolve) => setTimeout(resolve, 200));
+  assert.ok((await server.query("SELECT * FROM location_history WHERE room_id = ?", [room.hostJoin.roomId])).length > 0);
+
+  room.host.emit("delete_room", { roomId: room.hostJoin.roomId });
+  await waitFor(room.host, "delete_success");
+  assert.deepEqual(await server.query("SELECT * FROM location_history WHERE room_id = ?", [room.hostJoin.roomId]), []);
+});
@@ -0,0 +1,61 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const hunterStats = require("../server/game/hunterStats");
+const scoring = require("../server/game/scoring");
+
+const minute = 60 * 1000;
+const catchTime = 1_800_000_000_000;
+const start = { lat: 51.5, lng: -0.12 };
+
+function pointAt(distance, timestamp) {
+  return { ...geoUtils.calculateDestination(start.lat, start.lng, 90, distance), timestamp };
+}
+
+const runnerHistory = [pointAt(0, catchTime - 4 * minute), pointAt(0, catchTime - 2 * minute), pointAt(0, catchTime)];
+
+test("a hunter close to the runner shortly before the catch earns an assist", () => {
+  assert.equal(hunterStats.isAssist(runnerHistory, [pointAt(150, catchTime - 2 * minute)], catchTime), true);
+});
+
+test("a hunter too far away or too early earns no assist", () => {
+  assert.equal(hunterStats.isAssist(runnerHistory, [pointAt(250, catchTime - 2 * minute)], catchTime), false);
+  assert.equal(hunterStats.isAssist([pointAt(0, catchTime - 6 * minute), ...runnerHistory], [pointAt(50, catchTime - 6 * minute)], catchTime), false);
+});
+
+test("hunter pings are only compared with runner pings close in time", () => {
+  assert.equal(hunterStats.isAssist([pointAt(0, catchTime)], [pointAt(50, catchTime - 4 * minute)], catchTime), false);
+});
+
+test("distance covered adds up every leg", () => {
+  assert.equal(hunterStats.getDistanceCovered([pointAt(0), pointAt(300), pointAt(100)]), 500);
+  assert.equal(hunterStats.getDistanceCovered([pointAt(0)]), 0);
+  assert.equal(hunterStats.getDistanceCovered([]), 0);
+});
+
+test("hunters earn more for a catch than for an assist", () => {
+  assert.ok(scoring.getCatchPoints() > scoring.getAssistPoints());
+  assert.ok(scoring.getAssistPoints() > 0);
+});
+
+test("the hunter breakdown includes caught runners, most points first", () => {
+  const players = [
+    { player_id: "h1", username: "Ana", team: "hunter" },
+    { player_id: "r1", username: "Ben", team: "hunter", status: "caught" },
+    { player_id: "r2", username: "Cat", team: "runner" },
+  ];
+  const ledger = [
+    { player_id: "h1", team: "hunter", reason: "assist", points_earned: 2 },
+    { player_id: "r1", team: "runner", reason: "target", points_earned: 6 },
+    { player_id: "r1", team: "hunter", reason: "catch", points_earned: 5 },
+  ];
+  const history = [
+    { player_id: "h1", ...pointAt(0) },
+    { player_id: "h1", ...pointAt(400) },
+  ];
+
+  assert.deepEqual(hunterStats.summarizeHunters(players, ledger, history), [
+    { playerId: "r1", username: "Ben", catches: 1, assists: 0, distance: 0, points: 5 },
+    { playerId: "h1", username: "Ana", catches: 0, assists: 1, distance: 400, points: 2 },
+  ]);
+});
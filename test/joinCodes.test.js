@@ -0,0 +1,32 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../server/config/default");
+const joinCodes = require("../server/game/joinCodes");
+
+test("join codes are the configured length and easy to read out", () => {
+  for (let i = 0; i < 200; i++) {
+    const code = joinCodes.generateJoinCode();
+
+    assert.equal(code.length, config.security.joinCodeLength);
+    assert.match(code, /^[A-Z2-9]+$/);
+    assert.doesNotMatch(code, /[01OIL]/);
+  }
+});
+
+test("join codes vary from room to room", () => {
+  const codes = new Set(Array.from({ length: 50 }, () => joinCodes.generateJoinCode()));
+
+  assert.ok(codes.size > 45);
+});
+
+test("typed join codes ignore case, spaces and dashes", () => {
+  assert.equal(joinCodes.normalizeJoinCode(" ab3-d7k "), "AB3D7K");
+  assert.equal(joinCodes.normalizeJoinCode("ab3 d7k"), "AB3D7K");
+});
+
+test("anything that can't be a join code is turned away", () => {
+  assert.equal(joinCodes.normalizeJoinCode(undefined), null);
+  assert.equal(joinCodes.normalizeJoinCode(123456), null);
+  assert.equal(joinCodes.normalizeJoinCode(" - "), null);
+  assert.equal(joinCodes.normalizeJoinCode("A".repeat(17)), null);
+});
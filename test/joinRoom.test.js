@@ -0,0 +1,79 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./support/server");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+// Try to join a room over a new socket, resolves with join_success or error, whichever comes first
+async function tryJoin(data, token) {
+  const socket = await server.connect(token);
+  socket.emit("join_room", data);
+  return Promise.race([waitFor(socket, "join_success"), waitFor(socket, "error")]);
+}
+
+test("join_room checks the password, the username and the profile token", async () => {
+  const { joinCode } = await server.createRoom("Socket Rules", { password: "secret" });
+
+  const noPassword = await tryJoin({ joinCode, username: "new", team: "runner" });
+  assert.equal(noPassword.message, "Incorrect room password");
+  assert.equal(noPassword.passwordRequired, true);
+
+  const taken = await tryJoin({ joinCode, username: "player", team: "runner", password: "secret" });
+  assert.equal(taken.message, "Username is already taken in this room");
+
+  const badProfile = await tryJoin({ joinCode, username: "new", team: "runner", password: "secret", profileToken: "not-a-token" });
+  assert.equal(badProfile.profileInvalid, true);
+
+  const joined = await tryJoin({ joinCode, username: "new", team: "runner", password: "secret" });
+  assert.equal(joined.username, "new");
+  assert.ok(joined.token);
+});
+
+test("join_room reconnects a player by their session token and turns away removed players", async () => {
+  const { host, playerJoin } = await server.createRoom("Reconnecting");
+
+  const rejoined = await tryJoin({}, playerJoin.token);
+  assert.equal(rejoined.playerId, playerJoin.playerId);
+
+  host.emit("kick_player", { playerId: playerJoin.playerId });
+  await waitFor(host, "game_state");
+
+  const removed = await tryJoin({}, playerJoin.token);
+  assert.equal(removed.message, "You have been removed from this room");
+});
+
+test("the REST join follows the same rules as join_room", async () => {
+  const { joinCode, host, hostJoin } = await server.createRoom("REST Rules", { password: "secret" });
+  const join = (body, token) => server.request("POST", `/rooms/${hostJoin.roomId}/join`, { body, token });
+
+  // Knowing the room ID is not enough to get in
+  const noCode = await join({ username: "new", team: "runner", password: "secret" });
+  assert.equal(noCode.status, 404);
+
+  const noPassword = await join({ joinCode, username: "new", team: "runner" });
+  assert.equal(noPassword.status, 403);
+  assert.equal(noPassword.body.passwordRequired, true);
+
+  const taken = await join({ joinCode, username: "player", team: "runner", password: "secret" });
+  assert.equal(taken.status, 409);
+
+  const badProfile = await join({ joinCode, username: "new", team: "runner", password: "secret", profileToken: "not-a-token" });
+  assert.equal(badProfile.status, 400);
+  assert.equal(badProfile.body.profileInvalid, true);
+
+  // The room hears about players who join over REST
+  const announced = waitFor(host, "player_joined");
+  const joined = await join({ joinCode, username: "new", team: "runner", password: "secret" });
+  assert.equal(joined.status, 201);
+  assert.equal((await announced).playerId, joined.body.playerId);
+
+  const rejoined = await join({}, joined.body.token);
+  assert.equal(rejoined.status, 200);
+  assert.equal(rejoined.body.playerId, joined.body.playerId);
+});
@@ -0,0 +1,35 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const locationFix = require("../server/game/locationFix");
+
+test("a full fix keeps everything the device reported", () => {
+  assert.deepEqual(locationFix.parseLocationFix({ lat: "51.5", lng: -0.12, accuracy: 8, altitude: -3, speed: 1.4, heading: 270, deviceTime: 1800000000000.6 }), {
+    lat: 51.5,
+    lng: -0.12,
+    accuracy: 8,
+    altitude: -3,
+    speed: 1.4,
+    heading: 270,
+    deviceTime: 1800000000001,
+  });
+});
+
+test("missing or nonsensical extras are stored as null", () => {
+  const fix = locationFix.parseLocationFix({ lat: 51.5, lng: -0.12, accuracy: -1, altitude: "", speed: "fast", heading: NaN, deviceTime: -5 });
+
+  assert.deepEqual(fix, { lat: 51.5, lng: -0.12, accuracy: null, altitude: null, speed: null, heading: null, deviceTime: null });
+  assert.equal(locationFix.parseLocationFix({ lat: 51.5, lng: -0.12, heading: 361 }).heading, null);
+});
+
+test("a ping without a valid position is refused", () => {
+  assert.equal(locationFix.parseLocationFix({ lat: 91, lng: 0 }), null);
+  assert.equal(locationFix.parseLocationFix({ lat: 51.5 }), null);
+  assert.equal(locationFix.parseLocationFix(null), null);
+  assert.equal(locationFix.parseLocationFix({ lat: null, lng: null }), null);
+});
+
+test("only fixes accurate enough can capture a zone", () => {
+  assert.equal(locationFix.isAccurateEnoughToCapture({ accuracy: 50 }), true);
+  assert.equal(locationFix.isAccurateEnoughToCapture({ accuracy: 51 }), false);
+  assert.equal(locationFix.isAccurateEnoughToCapture({ accuracy: null }), true);
+});
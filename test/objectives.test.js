@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const objectives = require("../server/game/objectives");
+const targetPlacement = require("../server/game/targetPlacement");
+const visibility = require("../server/game/visibility");
+
+const minute = 60 * 1000;
+const startTime = 1_800_000_000_000;
+const objective = {
+  objective_id: "o1",
+  number: 1,
+  status: "active",
+  points_value: 5,
+  lat: 51.5,
+  lng: -0.12,
+  spawned_at: startTime,
+  claimed_by: null,
+  claimed_at: null,
+};
+
+test("rooms have no bonus objectives unless the host sets an interval", () => {
+  assert.deepEqual(objectives.parseObjectiveSettings({}), { interval: 0, points: 5 });
+  assert.deepEqual(objectives.parseObjectiveSettings({ interval: "15", points: 20 }), { interval: 15, points: 20 });
+  assert.ok(objectives.parseObjectiveSettings({ interval: -1 }).error);
+  assert.ok(objectives.parseObjectiveSettings({ interval: 10, points: 0 }).error);
+  assert.ok(objectives.parseObjectiveSettings({ interval: 10, points: 101 }).error);
+  assert.deepEqual(objectives.getRoomObjectives({}), { interval: 0, points: 5 });
+});
+
+test("objectives spawn every interval of the hunt", () => {
+  const room = { start_time: startTime, head_start_duration: 300, objective_interval: 10 };
+
+  assert.equal(objectives.getSpawnTime(room, 1), startTime + 15 * minute);
+  assert.equal(objectives.getSpawnTime(room, 3), startTime + 35 * minute);
+  assert.equal(objectives.getSpawnTime({ ...room, objective_interval: 0 }, 1), null);
+  assert.equal(objectives.getSpawnTime({ ...room, start_time: null }, 1), null);
+});
+
+test("runners claim an objective from within the claim radius", () => {
+  const near = geoUtils.calculateDestination(objective.lat, objective.lng, 0, 25);
+  const far = geoUtils.calculateDestination(objective.lat, objective.lng, 0, 40);
+
+  assert.equal(objectives.isWithinClaimRadius(objective, near.lat, near.lng), true);
+  assert.equal(objectives.isWithinClaimRadius(objective, far.lat, far.lng), false);
+});
+
+test("the hint area holds the objective without being centred on it", () => {
+  const area = objectives.getHintArea(objective);
+
+  assert.equal(area.radius, 250);
+  assert.ok(geoUtils.calculateDistance(area.lat, area.lng, objective.lat, objective.lng) + 30 <= area.radius + 1);
+  assert.notDeepEqual({ lat: area.lat, lng: area.lng }, { lat: objective.lat, lng: objective.lng });
+});
+
+test("hunters only see the area around an objective until the game ends", () => {
+  const formatted = objectives.formatObjective(objective);
+  const state = { status: "active", players: [], targets: [], objectives: [formatted] };
+
+  assert.equal(visibility.projectGameState(state, { playerId: "h1", team: "hunter" }).objectives[0].location, null);
+  assert.deepEqual(visibility.projectGameState(state, { playerId: "h1", team: "hunter" }).objectives[0].area, formatted.area);
+  assert.deepEqual(visibility.projectGameState(state, { playerId: "r1", team: "runner" }).objectives[0].location, { lat: 51.5, lng: -0.12 });
+  assert.equal(visibility.canSeeObjectiveLocation({ team: "spectator" }, "active"), true);
+  assert.equal(visibility.canSeeObjectiveLocation({ team: "hunter" }, "completed"), true);
+  assert.equal(visibility.canSeeObjectiveLocation(null, "active"), false);
+});
+
+test("the same seed places the same objectives in the play area", () => {
+  const room = { room_id: "room-1", central_lat: 51.5, central_lng: -0.12, play_radius: 2000, placement_seed: "seed-1" };
+  const first = targetPlacement.placeObjective(room, 1);
+
+  assert.deepEqual(targetPlacement.placeObjective({ ...room }, 1), first);
+  assert.notDeepEqual(targetPlacement.placeObjective(room, 2), first);
+  assert.ok(geoUtils.calculateDistance(room.central_lat, room.central_lng, first.lat, first.lng) <= room.play_radius);
+});
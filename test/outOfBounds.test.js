@@ -0,0 +1,47 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const outOfBounds = require("../server/game/outOfBounds");
+const visibility = require("../server/game/visibility");
+
+const room = { out_of_bounds_penalty: "reveal", out_of_bounds_grace: 90 };
+
+test("hosts pick a known penalty and a grace period within the limit", () => {
+  assert.equal(outOfBounds.parseOutOfBoundsPenalty("reset_zones"), "reset_zones");
+  assert.equal(outOfBounds.parseOutOfBoundsPenalty("warn"), null);
+  assert.equal(outOfBounds.parseOutOfBoundsGrace("120"), 120);
+  assert.equal(outOfBounds.parseOutOfBoundsGrace(0), 0);
+  assert.equal(outOfBounds.parseOutOfBoundsGrace(-5), null);
+  assert.equal(outOfBounds.parseOutOfBoundsGrace(31 * 60), null);
+  assert.equal(outOfBounds.parseOutOfBoundsGrace("soon"), null);
+});
+
+test("rooms without their own rules reveal runners after a minute", () => {
+  assert.deepEqual(outOfBounds.getRoomOutOfBoundsRules({}), { penalty: "reveal", grace: 60 });
+  assert.deepEqual(outOfBounds.getRoomOutOfBoundsRules({ out_of_bounds_penalty: "disqualify", out_of_bounds_grace: 0 }), { penalty: "disqualify", grace: 0 });
+});
+
+test("the grace period runs from when the runner left", () => {
+  assert.equal(outOfBounds.getGraceEndTime(room, { out_of_bounds_since: 1000 }), 91000);
+  assert.equal(outOfBounds.getGraceEndTime(room, { out_of_bounds_since: null }), null);
+});
+
+test("only a penalized runner in a reveal room has their location revealed", () => {
+  assert.equal(outOfBounds.isLocationRevealed(room, { out_of_bounds_penalized: 1 }), true);
+  assert.equal(outOfBounds.isLocationRevealed(room, { out_of_bounds_penalized: 0 }), false);
+  assert.equal(outOfBounds.isLocationRevealed({ ...room, out_of_bounds_penalty: "reset_zones" }, { out_of_bounds_penalized: 1 }), false);
+});
+
+test("hunters see a revealed runner even during the head start", () => {
+  const hunter = { playerId: "h1", team: "hunter" };
+  const runner = { playerId: "r1", team: "runner", locationRevealed: true };
+  const teammate = { playerId: "r2", team: "runner" };
+
+  assert.equal(visibility.canSeePlayerLocation(hunter, runner, "head_start"), true);
+  assert.equal(visibility.canSeeLocationHistory(hunter, runner, "head_start"), true);
+  assert.equal(visibility.canSeePlayerLocation(hunter, { ...runner, locationRevealed: false }, "head_start"), false);
+  assert.equal(visibility.canSeePlayerLocation(teammate, runner, "head_start"), false);
+});
+
+test("warnings name the penalty that is coming", () => {
+  assert.equal(outOfBounds.describePenalty("disqualify"), "you will be disqualified");
+});
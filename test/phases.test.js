@@ -0,0 +1,48 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const config = require("../server/config/default");
+const phases = require("../server/game/phases");
+const gameEnd = require("../server/game/gameEnd");
+const visibility = require("../server/game/visibility");
+
+const startTime = 1_800_000_000_000;
+const room = { status: phases.PHASE.HEAD_START, start_time: startTime, head_start_duration: 120, game_duration: 30 };
+
+test("head starts are whole seconds up to the maximum, and may be skipped", () => {
+  assert.equal(phases.parseHeadStartDuration("90"), 90);
+  assert.equal(phases.parseHeadStartDuration(0), 0);
+  assert.equal(phases.parseHeadStartDuration(-1), null);
+  assert.equal(phases.parseHeadStartDuration(config.game.maxHeadStart + 1), null);
+});
+
+test("the game is in progress from the head start until it ends", () => {
+  assert.equal(phases.isGameInProgress(phases.PHASE.LOBBY), false);
+  assert.equal(phases.isGameInProgress(phases.PHASE.HEAD_START), true);
+  assert.equal(phases.isGameInProgress(phases.PHASE.ACTIVE), true);
+  assert.equal(phases.isGameInProgress(phases.PHASE.ENDED), false);
+});
+
+test("the hunt starts once the head start is over", () => {
+  assert.equal(phases.getHuntStartTime(room), startTime + 120 * 1000);
+  assert.equal(phases.getHuntStartTime({ ...room, start_time: null }), null);
+});
+
+test("the game duration counts from the start of the hunt", () => {
+  assert.equal(gameEnd.getGameEndTime(room), startTime + 120 * 1000 + 30 * 60 * 1000);
+});
+
+test("each phase ends when the next one is due", () => {
+  const gameEndTime = gameEnd.getGameEndTime(room);
+
+  assert.equal(phases.getPhaseEndTime(room, gameEndTime), phases.getHuntStartTime(room));
+  assert.equal(phases.getPhaseEndTime({ ...room, status: phases.PHASE.ACTIVE }, gameEndTime), gameEndTime);
+  assert.equal(phases.getPhaseEndTime({ ...room, status: phases.PHASE.LOBBY }, gameEndTime), null);
+});
+
+test("hunters see nothing of the runners during the head start", () => {
+  const hunter = { playerId: "h1", team: "hunter" };
+  const runner = { playerId: "r1", team: "runner" };
+
+  assert.equal(visibility.canSeePlayerLocation(hunter, runner, phases.PHASE.HEAD_START), false);
+  assert.equal(visibility.canSeePlayerLocation(hunter, runner, phases.PHASE.ACTIVE), true);
+});
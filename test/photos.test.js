@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep test photos out of the real upload directory
+process.env.CATCH_PHOTO_DIR = fs.mkdtempSync(path.join(os.tmpdir(), "catch-photos-"));
+test.after(() => fs.rmSync(process.env.CATCH_PHOTO_DIR, { recursive: true, force: true }));
+
+const photos = require("../server/game/photos");
+
+test("only jpeg, png and webp photos are stored", () => {
+  assert.equal(photos.isSupportedPhotoType("image/jpeg"), true);
+  assert.equal(photos.isSupportedPhotoType("image/png"), true);
+  assert.equal(photos.isSupportedPhotoType("image/webp"), true);
+  assert.equal(photos.isSupportedPhotoType("image/gif"), false);
+  assert.equal(photos.isSupportedPhotoType("toString"), false);
+});
+
+test("photo paths can't escape the room's photo directory", () => {
+  const safe = photos.getPhotoPath("room", "player", "photo", "image/png");
+  const escaped = photos.getPhotoPath("../../room", "../player", "../../photo", "image/png");
+
+  assert.equal(path.basename(safe), "photo.png");
+  assert.equal(escaped, safe);
+});
+
+test("a room's photos are saved and removed together", async () => {
+  const roomId = "room";
+  const data = Buffer.from("not really a jpeg");
+
+  const filePath = await new Promise((resolve, reject) => {
+    photos.savePhoto(roomId, "player", "photo", "image/jpeg", data, (err, savedPath) => (err ? reject(err) : resolve(savedPath)));
+  });
+
+  assert.equal(filePath, photos.getPhotoPath(roomId, "player", "photo", "image/jpeg"));
+  assert.deepEqual(fs.readFileSync(filePath), data);
+
+  await new Promise((resolve, reject) => {
+    photos.removeRoomPhotos(roomId, (err) => (err ? reject(err) : resolve()));
+  });
+
+  assert.equal(fs.existsSync(path.join(process.env.CATCH_PHOTO_DIR, roomId)), false);
+});
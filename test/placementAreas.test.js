@@ -0,0 +1,71 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const placementAreas = require("../server/game/placementAreas");
+
+const center = { lat: 51.5, lng: -0.12 };
+const playArea = { ...center, radius: 3000 };
+const radiusLevels = [400, 200, 100];
+
+function squareAround(point, halfSide) {
+  return [45, 135, 225, 315].map((bearing) => geoUtils.calculateDestination(point.lat, point.lng, bearing, halfSide * Math.SQRT2));
+}
+
+test("points inside a polygon are told apart from points outside it", () => {
+  const square = squareAround(center, 1000);
+
+  assert.equal(geoUtils.isPointInPolygon(center.lat, center.lng, square), true);
+  const outside = geoUtils.calculateDestination(center.lat, center.lng, 0, 1500);
+  assert.equal(geoUtils.isPointInPolygon(outside.lat, outside.lng, square), false);
+  assert.ok(Math.abs(geoUtils.calculateDistanceToPolygonEdge(center.lat, center.lng, square) - 1000) < 5);
+});
+
+test("circles are checked against a polygon's edges, not just its points", () => {
+  const square = squareAround(center, 1000);
+
+  assert.equal(geoUtils.isCircleInPolygon(center.lat, center.lng, 900, square), true);
+  assert.equal(geoUtils.isCircleInPolygon(center.lat, center.lng, 1100, square), false);
+
+  const nearby = geoUtils.calculateDestination(center.lat, center.lng, 90, 1200);
+  assert.equal(geoUtils.doesCircleIntersectPolygon(nearby.lat, nearby.lng, 300, square), true);
+  assert.equal(geoUtils.doesCircleIntersectPolygon(nearby.lat, nearby.lng, 100, square), false);
+});
+
+test("placement areas need real polygons", () => {
+  const square = squareAround(center, 500);
+
+  assert.deepEqual(placementAreas.parsePlacementAreas({}, playArea), { exclusionZones: [], allowedArea: null });
+  assert.deepEqual(placementAreas.parsePlacementAreas({ exclusionZones: [square] }, playArea).exclusionZones, [square]);
+  assert.ok(placementAreas.parsePlacementAreas({ exclusionZones: [square.slice(0, 2)] }, playArea).error);
+  assert.ok(placementAreas.parsePlacementAreas({ exclusionZones: [[...square.slice(0, 3), { lat: 91, lng: 0 }]] }, playArea).error);
+  assert.ok(placementAreas.parsePlacementAreas({ allowedArea: [{ lat: "a", lng: 0 }, ...square] }, playArea).error);
+});
+
+test("the allowed area must overlap the play area", () => {
+  const farAway = squareAround(geoUtils.calculateDestination(center.lat, center.lng, 0, 20000), 500);
+
+  assert.ok(placementAreas.parsePlacementAreas({ allowedArea: farAway }, playArea).error);
+  assert.ok(placementAreas.parsePlacementAreas({ allowedArea: squareAround(center, 1000) }, playArea).allowedArea);
+});
+
+test("targets keep their last zone clear of exclusion zones", () => {
+  const areas = { exclusionZones: [squareAround(center, 500)], allowedArea: null };
+  const near = geoUtils.calculateDestination(center.lat, center.lng, 90, 550);
+  const clear = geoUtils.calculateDestination(center.lat, center.lng, 90, 700);
+
+  assert.equal(placementAreas.isValidTargetLocation(areas, center, radiusLevels), false);
+  assert.equal(placementAreas.isValidTargetLocation(areas, near, radiusLevels), false);
+  assert.equal(placementAreas.isValidTargetLocation(areas, clear, radiusLevels), true);
+});
+
+test("targets keep every zone inside the allowed area", () => {
+  const areas = { exclusionZones: [], allowedArea: squareAround(center, 1000) };
+  const edge = geoUtils.calculateDestination(center.lat, center.lng, 90, 900);
+
+  assert.equal(placementAreas.isValidTargetLocation(areas, center, radiusLevels), true);
+  assert.equal(placementAreas.isValidTargetLocation(areas, edge, radiusLevels), false);
+});
+
+test("rooms without placement areas allow targets anywhere", () => {
+  assert.deepEqual(placementAreas.getRoomPlacementAreas({ exclusion_zones: null, allowed_area: null }), { exclusionZones: [], allowedArea: null });
+});
@@ -0,0 +1,75 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const playArea = require("../server/game/playArea");
+const { createSeededRandom } = require("../server/game/seededRandom");
+
+// A triangle in central London, as [lng, lat] GeoJSON positions
+const triangle = [
+  [-0.13, 51.49],
+  [-0.1, 51.49],
+  [-0.115, 51.51],
+];
+const polygonRoom = {
+  central_lat: 51.5,
+  central_lng: -0.115,
+  play_radius: 1500,
+  play_area: JSON.stringify({ type: "Polygon", coordinates: [[...triangle, triangle[0]]] }),
+};
+const circleRoom = { central_lat: 51.5, central_lng: -0.115, play_radius: 1000, play_area: null };
+
+test("play areas are closed GeoJSON polygons", () => {
+  const { geometry } = playArea.parsePlayArea({ type: "Feature", geometry: { type: "Polygon", coordinates: [triangle] } });
+
+  assert.deepEqual(geometry, { type: "Polygon", coordinates: [[...triangle, triangle[0]]] });
+  assert.deepEqual(playArea.getPolygon(geometry), [
+    { lat: 51.49, lng: -0.13 },
+    { lat: 51.49, lng: -0.1 },
+    { lat: 51.51, lng: -0.115 },
+  ]);
+});
+
+test("play areas that aren't simple polygons are refused", () => {
+  assert.ok(playArea.parsePlayArea({ type: "Point", coordinates: [0, 0] }).error);
+  assert.ok(playArea.parsePlayArea({ type: "Polygon", coordinates: [triangle, triangle] }).error);
+  assert.ok(playArea.parsePlayArea({ type: "Polygon", coordinates: [triangle.slice(0, 2)] }).error);
+  assert.ok(playArea.parsePlayArea({ type: "Polygon", coordinates: [[...triangle, [200, 51.5]]] }).error);
+  assert.ok(playArea.parsePlayArea(null).error);
+});
+
+test("the bounding circle holds every corner of the polygon", () => {
+  const polygon = playArea.getRoomPolygon(polygonRoom);
+  const circle = playArea.getBoundingCircle(polygon);
+
+  assert.equal(Number.isInteger(circle.radius), true);
+  polygon.forEach((point) => {
+    assert.ok(geoUtils.isPointInCircle(point.lat, point.lng, circle.lat, circle.lng, circle.radius));
+  });
+});
+
+test("polygon rooms only count points inside the polygon", () => {
+  assert.equal(playArea.isInPlayArea(polygonRoom, 51.495, -0.115), true);
+  // Inside the bounding circle, but beside the triangle's tip
+  assert.equal(playArea.isInPlayArea(polygonRoom, 51.508, -0.125), false);
+});
+
+test("circular rooms count points within the play radius", () => {
+  const inside = geoUtils.calculateDestination(circleRoom.central_lat, circleRoom.central_lng, 45, 900);
+  const outside = geoUtils.calculateDestination(circleRoom.central_lat, circleRoom.central_lng, 45, 1100);
+
+  assert.equal(playArea.getRoomPolygon(circleRoom), null);
+  assert.equal(playArea.isInPlayArea(circleRoom, inside.lat, inside.lng), true);
+  assert.equal(playArea.isInPlayArea(circleRoom, outside.lat, outside.lng), false);
+});
+
+test("sampling covers the play area", () => {
+  const random = createSeededRandom("play-area");
+
+  for (let i = 0; i < 50; i++) {
+    const point = playArea.samplePlayArea(circleRoom, random);
+    assert.equal(playArea.isInPlayArea(circleRoom, point.lat, point.lng), true);
+
+    const boxed = playArea.samplePlayArea(polygonRoom, random);
+    assert.ok(boxed.lat >= 51.49 && boxed.lat <= 51.51 && boxed.lng >= -0.13 && boxed.lng <= -0.1);
+  }
+});
@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const profiles = require("../server/game/profiles");
+
+const minute = 60 * 1000;
+const startTime = 1_800_000_000_000;
+
+function game(fields) {
+  return { room_name: "Park", start_time: startTime, head_start_duration: 0, end_time: startTime + 60 * minute, ...fields };
+}
+
+test("profile names are trimmed and limited in length", () => {
+  assert.deepEqual(profiles.parseDisplayName("  Ana "), { displayName: "Ana" });
+  assert.ok(profiles.parseDisplayName("   ").error);
+  assert.ok(profiles.parseDisplayName("x".repeat(100)).error);
+  assert.ok(profiles.parseDisplayName(7).error);
+});
+
+test("caught runners still count as having started as runners", () => {
+  assert.equal(profiles.startedAsRunner({ team: "runner", status: "active" }), true);
+  assert.equal(profiles.startedAsRunner({ team: "hunter", status: "caught" }), true);
+  assert.equal(profiles.startedAsRunner({ team: "hunter", status: "active" }), false);
+});
+
+test("lifetime stats add up every game the profile played", () => {
+  const games = [
+    game({ room_id: "a", player_id: "p1", team: "runner", status: "survived", end_time: startTime + 60 * minute }),
+    game({ room_id: "b", player_id: "p2", team: "hunter", status: "caught", end_time: startTime + 90 * minute }),
+    game({ room_id: "c", player_id: "p3", team: "hunter", status: "active", end_time: startTime + 30 * minute }),
+    game({ room_id: "d", player_id: "p4", team: "spectator", status: "active" }),
+  ];
+  const ledger = [
+    { player_id: "p1", reason: "target", points_earned: 6 },
+    { player_id: "p2", reason: "zone", points_earned: 1 },
+    { player_id: "p3", reason: "catch", points_earned: 5 },
+    { player_id: "p3", reason: "assist", points_earned: 2 },
+    { player_id: "p4", reason: "catch", points_earned: 5 },
+  ];
+  const runnerCatches = [{ runner_id: "p2", claimed_at: startTime + 20 * minute, resolved_at: startTime + 21 * minute }];
+  const history = [
+    { player_id: "p3", lat: 51.5, lng: -0.12 },
+    { player_id: "p3", lat: 51.501, lng: -0.12 },
+  ];
+
+  const { stats, recentGames } = profiles.summarizeProfile(games, ledger, runnerCatches, history);
+
+  assert.deepEqual(stats, {
+    gamesPlayed: 3,
+    gamesAsRunner: 2,
+    gamesAsHunter: 1,
+    winsAsRunner: 1,
+    timesCaught: 1,
+    catchesAsHunter: 1,
+    assistsAsHunter: 1,
+    // One runner lasted the whole hour, the other was caught after 21 minutes
+    averageSurvivalTime: Math.round((3600 + 21 * 60) / 2),
+    distance: 111,
+    points: 14,
+  });
+  assert.deepEqual(
+    recentGames.map((recent) => [recent.roomId, recent.team, recent.points]),
+    [
+      ["b", "runner", 1],
+      ["a", "runner", 6],
+      ["c", "hunter", 7],
+    ],
+  );
+});
+
+test("disqualified runners don't count towards the average survival time", () => {
+  const games = [game({ room_id: "a", player_id: "p1", team: "runner", status: "disqualified" })];
+
+  assert.equal(profiles.summarizeProfile(games, [], [], []).stats.averageSurvivalTime, null);
+});
+
+test("a profile without games has empty stats", () => {
+  const { stats, recentGames } = profiles.summarizeProfile([], [], [], []);
+
+  assert.equal(stats.gamesPlayed, 0);
+  assert.equal(stats.averageSurvivalTime, null);
+  assert.deepEqual(recentGames, []);
+});
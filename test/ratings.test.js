@@ -0,0 +1,82 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const ratings = require("../server/game/ratings");
+const gameEnd = require("../server/game/gameEnd");
+
+const runnerWins = {
+  room: { room_id: "a" },
+  players: [
+    { room_id: "a", player_id: "a-r", profile_id: "ana", team: "runner", status: "survived" },
+    { room_id: "a", player_id: "a-h", profile_id: "ben", team: "hunter", status: "active" },
+  ],
+  ledger: [{ room_id: "a", player_id: "a-r", points_earned: 6 }],
+};
+
+test("games are rated unless the host marks them casual", () => {
+  assert.deepEqual(ratings.parseRatedSetting(undefined), { rated: true });
+  assert.deepEqual(ratings.parseRatedSetting(false), { rated: false });
+  assert.ok(ratings.parseRatedSetting("no").error);
+  assert.equal(ratings.isRatedRoom({ rated: null }), true);
+  assert.equal(ratings.isRatedRoom({ rated: 0 }), false);
+});
+
+test("friend group names are trimmed and limited in length", () => {
+  assert.deepEqual(ratings.parseGroupName(" Friday crew "), { name: "Friday crew" });
+  assert.ok(ratings.parseGroupName("").error);
+  assert.ok(ratings.parseGroupName("x".repeat(200)).error);
+});
+
+test("seasons are runs of calendar months", () => {
+  assert.equal(ratings.getSeason(Date.UTC(2026, 0, 1)), "2026-S1");
+  assert.equal(ratings.getSeason(Date.UTC(2026, 9, 19)), "2026-S4");
+  assert.deepEqual(ratings.getSeasonRange("2026-S4"), { start: Date.UTC(2026, 9, 1), end: Date.UTC(2027, 0, 1) });
+  assert.equal(ratings.getSeasonRange("2026-S5"), null);
+  assert.equal(ratings.getSeasonRange("last season"), null);
+});
+
+test("the winning side gains what the losing side drops", () => {
+  const season = ratings.rateSeason([runnerWins.room], runnerWins.players, runnerWins.ledger);
+
+  assert.deepEqual(season.get("ana"), { rating: 1516, games: 1 });
+  assert.deepEqual(season.get("ben"), { rating: 1484, games: 1 });
+});
+
+test("caught runners are rated with the runners", () => {
+  const players = [
+    { room_id: "a", player_id: "a-r", profile_id: "ana", team: "hunter", status: "caught" },
+    { room_id: "a", player_id: "a-h", profile_id: "ben", team: "hunter", status: "active" },
+  ];
+  const season = ratings.rateSeason([{ room_id: "a" }], players, []);
+
+  assert.ok(season.get("ana").rating < 1500);
+  assert.ok(season.get("ben").rating > 1500);
+});
+
+test("games are replayed in order, each starting from the last", () => {
+  const rematch = {
+    room: { room_id: "b" },
+    players: runnerWins.players.map((player) => ({ ...player, room_id: "b", player_id: player.player_id.replace("a-", "b-") })),
+    ledger: [{ room_id: "b", player_id: "b-r", points_earned: 6 }],
+  };
+  const season = ratings.rateSeason([runnerWins.room, rematch.room], [...runnerWins.players, ...rematch.players], [...runnerWins.ledger, ...rematch.ledger]);
+
+  // Beating a weaker side for the second time is worth a little less
+  assert.equal(season.get("ana").games, 2);
+  assert.ok(season.get("ana").rating > 1516 && season.get("ana").rating < 1532);
+});
+
+test("spectators, players without a profile and one sided games leave ratings alone", () => {
+  const players = [...runnerWins.players, { room_id: "a", player_id: "a-s", profile_id: "cat", team: "spectator", status: "active" }, { room_id: "a", player_id: "a-x", profile_id: null, team: "hunter", status: "active" }];
+  const season = ratings.rateSeason([runnerWins.room], players, runnerWins.ledger);
+
+  assert.equal(season.has("cat"), false);
+  assert.equal(season.size, 2);
+  assert.equal(ratings.rateSeason([runnerWins.room], [runnerWins.players[0]], runnerWins.ledger).size, 0);
+});
+
+test("only runners who won or survived count as winners", () => {
+  assert.equal(gameEnd.hasRunnerWon({ team: "runner", status: "won" }), true);
+  assert.equal(gameEnd.hasRunnerWon({ team: "runner", status: "survived" }), true);
+  assert.equal(gameEnd.hasRunnerWon({ team: "runner", status: "disqualified" }), false);
+  assert.equal(gameEnd.hasRunnerWon({ team: "hunter", status: "caught" }), false);
+});
@@ -0,0 +1,59 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const { startServer, waitFor } = require("./support/server");
+
+let server;
+
+test.before(async () => {
+  server = await startServer();
+});
+
+test.after(() => server.stop());
+
+// Ratings are rebuilt in the background, so poll the leaderboard until it shows what the test expects
+async function waitForLeaderboard(check) {
+  for (let attempt = 0; attempt < 50; attempt++) {
+    const { body } = await server.request("GET", "/leaderboard");
+    if (check(body.entries)) return body.entries;
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+  throw new Error("Timed out waiting for the leaderboard");
+}
+
+// Join a room as a player with a new profile
+async function joinWithProfile(joinCode, username, team) {
+  const profile = await server.request("POST", "/profiles", { body: { displayName: username } });
+
+  const socket = await server.connect();
+  socket.emit("join_room", { joinCode, username, team, profileToken: profile.body.token });
+  return { socket, join: await waitFor(socket, "join_success"), profileId: profile.body.profileId };
+}
+
+test("a rated game that ends is rated, and deleting it takes it back off the leaderboard", async () => {
+  const creator = await server.connect();
+  creator.emit("create_room", { roomName: "Rated", username: "hunter", team: "hunter", centralLat: 51.5, centralLng: -0.12, playRadius: 1000, headStartDuration: 0 });
+  const { joinCode } = await waitFor(creator, "room_created");
+
+  const hunter = await joinWithProfile(joinCode, "hunter", "hunter");
+  const runner = await joinWithProfile(joinCode, "runner", "runner");
+  await server.startHunt({ host: hunter.socket, hostJoin: hunter.join, player: runner.socket });
+
+  // The last runner being caught ends the game
+  const gameOver = waitFor(hunter.socket, "game_over");
+  runner.socket.emit("player_caught", { caughtPlayerId: runner.join.playerId });
+  await gameOver;
+
+  const entries = await waitForLeaderboard((rows) => rows.length === 2);
+  assert.deepEqual(
+    entries.map((entry) => [entry.profileId, entry.games]),
+    [
+      [hunter.profileId, 1],
+      [runner.profileId, 1],
+    ],
+  );
+  assert.ok(entries[0].rating > entries[1].rating);
+
+  hunter.socket.emit("delete_room", { roomId: hunter.join.roomId });
+  await waitFor(hunter.socket, "delete_success");
+  assert.deepEqual(await waitForLeaderboard((rows) => rows.length === 0), []);
+});
@@ -0,0 +1,26 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const roomPasswords = require("../server/auth/roomPasswords");
+
+test("the right password matches its stored hash", () => {
+  const stored = roomPasswords.hashPassword("open sesame");
+
+  assert.equal(roomPasswords.verifyPassword("open sesame", stored), true);
+  assert.equal(roomPasswords.verifyPassword("open sesame!", stored), false);
+});
+
+test("passwords are never stored in plain text and are salted", () => {
+  const first = roomPasswords.hashPassword("open sesame");
+  const second = roomPasswords.hashPassword("open sesame");
+
+  assert.ok(!first.includes("open sesame"));
+  assert.notEqual(first, second);
+});
+
+test("missing passwords and malformed hashes never match", () => {
+  const stored = roomPasswords.hashPassword("open sesame");
+
+  assert.equal(roomPasswords.verifyPassword(undefined, stored), false);
+  assert.equal(roomPasswords.verifyPassword("open sesame", null), false);
+  assert.equal(roomPasswords.verifyPassword("open sesame", "not-a-hash"), false);
+});
@@ -0,0 +1,39 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const scoring = require("../server/game/scoring");
+const zones = require("../server/game/zones");
+
+test("working through every zone adds up to the target's points", () => {
+  const radiusLevels = [2000, 1000, 500, 250, 125];
+  const earned = scoring.getZonePoints() * (radiusLevels.length - 1) + scoring.getReachPoints();
+
+  assert.equal(earned, zones.getTargetPoints(radiusLevels));
+  assert.equal(scoring.getReachPoints(), zones.getTargetPoints([2000]));
+});
+
+test("scores are added up per player and per team", () => {
+  const ledger = [
+    { player_id: "r1", team: "runner", reason: "zone", points_earned: 1 },
+    { player_id: "r1", team: "runner", reason: "target", points_earned: 2 },
+    { player_id: "r2", team: "runner", reason: "objective", points_earned: 5 },
+    { player_id: "h1", team: "hunter", reason: "catch", points_earned: 10 },
+  ];
+
+  assert.deepEqual(scoring.summarizeScores(ledger), {
+    players: { r1: 3, r2: 5, h1: 10 },
+    teams: { runner: 8, hunter: 10 },
+  });
+});
+
+test("a caught runner's points stay with the runners", () => {
+  const ledger = [
+    { player_id: "r1", team: "runner", reason: "zone", points_earned: 4 },
+    { player_id: "r1", team: "hunter", reason: "assist", points_earned: 3 },
+  ];
+
+  assert.deepEqual(scoring.summarizeScores(ledger), { players: { r1: 7 }, teams: { runner: 4, hunter: 3 } });
+});
+
+test("an empty ledger scores nothing", () => {
+  assert.deepEqual(scoring.summarizeScores([]), { players: {}, teams: { runner: 0, hunter: 0 } });
+});
@@ -0,0 +1,45 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+// Sign with a fixed secret rather than creating one on disk
+process.env.SESSION_SECRET = "test-secret";
+
+const sessionTokens = require("../server/auth/sessionTokens");
+
+test("a session token proves who the player is and which room they are in", () => {
+  const token = sessionTokens.issueToken("player-1", "room-1");
+
+  assert.deepEqual(sessionTokens.verifyToken(token), { playerId: "player-1", roomId: "room-1" });
+});
+
+test("tokens with a changed payload are rejected", () => {
+  const [, signature] = sessionTokens.issueToken("player-1", "room-1").split(".");
+  const forgedPayload = Buffer.from(JSON.stringify({ playerId: "player-2", roomId: "room-1" })).toString("base64url");
+
+  assert.equal(sessionTokens.verifyToken(`${forgedPayload}.${signature}`), null);
+});
+
+test("tokens with a changed signature are rejected", () => {
+  const token = sessionTokens.issueToken("player-1", "room-1");
+  const tampered = token.slice(0, -1) + (token.endsWith("A") ? "B" : "A");
+
+  assert.equal(sessionTokens.verifyToken(tampered), null);
+});
+
+test("anything that isn't a token is rejected", () => {
+  for (const value of [undefined, null, 42, "", "abc", "a.b.c", "a."]) {
+    assert.equal(sessionTokens.verifyToken(value), null);
+  }
+});
+
+test("a profile token proves which profile a device holds", () => {
+  const token = sessionTokens.issueProfileToken("profile-1");
+
+  assert.equal(sessionTokens.verifyProfileToken(token), "profile-1");
+  assert.equal(sessionTokens.verifyProfileToken(token.slice(0, -1) + (token.endsWith("A") ? "B" : "A")), null);
+});
+
+test("session and profile tokens can't stand in for each other", () => {
+  assert.equal(sessionTokens.verifyProfileToken(sessionTokens.issueToken("player-1", "room-1")), null);
+  assert.equal(sessionTokens.verifyToken(sessionTokens.issueProfileToken("profile-1")), null);
+});
@@ -0,0 +1,41 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const teams = require("../server/game/teams");
+const visibility = require("../server/game/visibility");
+
+const spectator = { playerId: "s1", team: teams.SPECTATOR, status: "active" };
+const runner = { playerId: "r1", team: "runner", status: "active" };
+
+test("players can join as spectators but not switch to it as a team", () => {
+  assert.equal(teams.isValidJoinTeam(teams.SPECTATOR), true);
+  assert.equal(teams.isValidTeam(teams.SPECTATOR), false);
+  assert.equal(teams.isSpectator(spectator), true);
+  assert.equal(teams.isSpectator(runner), false);
+  assert.equal(teams.isSpectator(null), false);
+});
+
+test("team assignment leaves spectators out", () => {
+  const players = [
+    { player_id: "s1", team: teams.SPECTATOR },
+    { player_id: "h1", team: "hunter" },
+    { player_id: "h2", team: "hunter" },
+    { player_id: "h3", team: "hunter" },
+  ];
+
+  for (const mode of Object.values(teams.TEAM_ASSIGNMENT)) {
+    assert.ok(teams.assignTeams(players, mode).every((move) => move.playerId !== "s1"));
+  }
+});
+
+test("spectators follow every runner from the start of the game", () => {
+  assert.equal(visibility.canSeePlayerLocation(spectator, runner, "lobby"), false);
+  assert.equal(visibility.canSeePlayerLocation(spectator, runner, "head_start"), true);
+  assert.equal(visibility.canSeeLocationHistory(spectator, runner, "head_start"), true);
+});
+
+test("spectators see every runner's current zone", () => {
+  const target = { targetId: "t1", playerId: "r1" };
+
+  assert.equal(visibility.canSeeTarget(spectator, target, "active"), true);
+  assert.equal(visibility.canSeeTarget({ playerId: "h1", team: "hunter" }, target, "active"), false);
+});
@@ -0,0 +1,123 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { spawn } = require("child_process");
+const sqlite3 = require("sqlite3");
+const { io } = require("socket.io-client");
+
+// Game rules live in the socket handlers and routes, so handler tests play against a real server with a throwaway database
+
+/**
+ * Wait for the next event of a kind on a socket
+ * @param {Object} socket - Socket.IO client socket
+ * @param {string} event - Event name
+ * @returns {Promise<*>} The event's data, rejects after 5 seconds
+ */
+function waitFor(socket, event) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error(`Timed out waiting for ${event}`)), 5000);
+    socket.once(event, (data) => {
+      clearTimeout(timer);
+      resolve(data);
+    });
+  });
+}
+
+/**
+ * Start a server on a random port with its own database and photo directory
+ * @returns {Promise<Object>} Object with connect(), createRoom(), startHunt(), request(), query() and stop()
+ */
+async function startServer() {
+  const dataDir = fs.mkdtempSync(path.join(os.tmpdir(), "hunted-server-"));
+  const port = 20000 + Math.floor(Math.random() * 20000);
+  const url = `http://localhost:${port}`;
+  const databasePath = path.join(dataDir, "hunted.db");
+  const sockets = [];
+
+  const server = spawn(process.execPath, ["server/server.js"], {
+    cwd: path.join(__dirname, "../.."),
+    env: { ...process.env, PORT: String(port), DATABASE_PATH: databasePath, SESSION_SECRET: "test-secret", CATCH_PHOTO_DIR: path.join(dataDir, "photos") },
+    stdio: ["ignore", "pipe", "ignore"],
+  });
+
+  let output = "";
+  await new Promise((resolve, reject) => {
+    server.stdout.on("data", (chunk) => {
+      output += chunk;
+      if (output.includes("Server running") && output.includes("Connected to SQLite database")) resolve();
+    });
+    server.on("exit", (code) => reject(new Error(`Server exited with code ${code}`)));
+  });
+
+  // Connect a new client, optionally reconnecting with a session token
+  async function connect(token) {
+    const socket = io(url, { transports: ["websocket"], forceNew: true, auth: token ? { token } : {} });
+    sockets.push(socket);
+    await waitFor(socket, "connect");
+    return socket;
+  }
+
+  // Create a room with a host and a second player, both connected
+  async function createRoom(roomName, settings = {}) {
+    const host = await connect();
+    host.emit("create_room", { roomName, username: "host", team: "hunter", centralLat: 51.5, centralLng: -0.12, playRadius: 1000, ...settings });
+    const { joinCode } = await waitFor(host, "room_created");
+
+    host.emit("join_room", { joinCode, username: "host", team: "hunter", password: settings.password });
+    const hostJoin = await waitFor(host, "join_success");
+
+    const player = await connect();
+    player.emit("join_room", { joinCode, username: "player", team: "runner", password: settings.password });
+    const playerJoin = await waitFor(player, "join_success");
+
+    return { joinCode, host, hostJoin, player, playerJoin };
+  }
+
+  // Start the hunt of a room from createRoom() with no head start, with the host and the player standing together
+  async function startHunt({ host, hostJoin, player }) {
+    for (const socket of [host, player]) {
+      socket.emit("location_update", { lat: 51.5, lng: -0.12 });
+      socket.emit("set_ready", { ready: true, deviceChecks: { gps: true } });
+    }
+    await new Promise((resolve) => setTimeout(resolve, 300));
+
+    const huntStarted = waitFor(host, "phase_changed");
+    host.emit("start_game", { roomId: hostJoin.roomId });
+    await huntStarted;
+  }
+
+  // Call a REST route, with the session or profile token as a bearer token
+  async function request(method, route, { body, token } = {}) {
+    const headers = {};
+    if (body) headers["Content-Type"] = "application/json";
+    if (token) headers.Authorization = `Bearer ${token}`;
+
+    const response = await fetch(`${url}/api${route}`, { method, headers, body: body ? JSON.stringify(body) : undefined });
+    return { status: response.status, body: await response.json() };
+  }
+
+  // Read rows straight from the server's database
+  function query(sql, params = []) {
+    return new Promise((resolve, reject) => {
+      const db = new sqlite3.Database(databasePath, sqlite3.OPEN_READONLY);
+      db.all(sql, params, (err, rows) => {
+        db.close();
+        if (err) reject(err);
+        resolve(rows);
+      });
+    });
+  }
+
+  function stop() {
+    sockets.forEach((socket) => socket.close());
+    server.kill();
+    fs.rmSync(dataDir, { recursive: true, force: true });
+  }
+
+  return { connect, createRoom, startHunt, request, query, stop };
+}
+
+module.exports = {
+  startServer,
+  waitFor,
+};
@@ -0,0 +1,94 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const targetPlacement = require("../server/game/targetPlacement");
+
+const room = {
+  room_id: "room-1",
+  central_lat: 51.5,
+  central_lng: -0.12,
+  play_radius: 3000,
+  placement_seed: "seed-1",
+  placement_strategy: "uniform",
+};
+const runner = { lat: 51.5, lng: -0.12 };
+
+test("placement seeds must be short and plain", () => {
+  assert.equal(targetPlacement.parsePlacementSeed("  friday-game_2 "), "friday-game_2");
+  assert.equal(targetPlacement.parsePlacementSeed("has spaces"), null);
+  assert.equal(targetPlacement.parsePlacementSeed("x".repeat(65)), null);
+  assert.equal(targetPlacement.parsePlacementSeed(42), null);
+  assert.match(targetPlacement.generatePlacementSeed(), /^[0-9a-f]{16}$/);
+});
+
+test("only casual games can choose their placement seed", () => {
+  assert.deepEqual(targetPlacement.choosePlacementSeed("friday-game", false), { seed: "friday-game" });
+  assert.equal(targetPlacement.choosePlacementSeed("friday-game", true).error, "Only casual games can use a chosen placement seed");
+  assert.ok(targetPlacement.choosePlacementSeed("has spaces", false).error);
+  assert.match(targetPlacement.choosePlacementSeed(undefined, true).seed, /^[0-9a-f]{16}$/);
+});
+
+test("placement settings default to uniform and check their distances", () => {
+  assert.deepEqual(targetPlacement.parsePlacementSettings({}, 3000), { strategy: "uniform", minDistance: 200, maxDistance: null });
+  assert.deepEqual(targetPlacement.parsePlacementSettings({ strategy: "distance_band", minDistance: 500, maxDistance: 1500 }, 3000), {
+    strategy: "distance_band",
+    minDistance: 500,
+    maxDistance: 1500,
+  });
+  assert.ok(targetPlacement.parsePlacementSettings({ strategy: "nearest" }, 3000).error);
+  assert.ok(targetPlacement.parsePlacementSettings({ minDistance: -1 }, 3000).error);
+  assert.ok(targetPlacement.parsePlacementSettings({ minDistance: 500, maxDistance: 500 }, 3000).error);
+  assert.ok(targetPlacement.parsePlacementSettings({ minDistance: 6000 }, 3000).error);
+});
+
+test("the same seed and order of play place the same targets", () => {
+  const first = [0, 1, 2].map((number) => targetPlacement.placeTarget(room, runner, number));
+  const again = [0, 1, 2].map((number) => targetPlacement.placeTarget({ ...room }, runner, number));
+
+  assert.deepEqual(first, again);
+  assert.notDeepEqual(first[0], first[1]);
+  assert.notDeepEqual(targetPlacement.placeTarget({ ...room, placement_seed: "seed-2" }, runner, 0), first[0]);
+});
+
+test("uniform targets land in the play area", () => {
+  for (let number = 0; number < 20; number++) {
+    const point = targetPlacement.placeTarget(room, runner, number);
+    assert.ok(geoUtils.calculateDistance(room.central_lat, room.central_lng, point.lat, point.lng) <= room.play_radius);
+  }
+});
+
+test("distance band targets land between the minimum and maximum distance", () => {
+  const banded = { ...room, placement_strategy: "distance_band", placement_min_distance: 800, placement_max_distance: 1200 };
+
+  for (let number = 0; number < 20; number++) {
+    const point = targetPlacement.placeTarget(banded, runner, number);
+    const distance = geoUtils.calculateDistance(runner.lat, runner.lng, point.lat, point.lng);
+    assert.ok(distance >= 799 && distance <= 1201, `target ${number} is ${distance}m away`);
+  }
+});
+
+test("equal distance targets are the same trip for every runner", () => {
+  const equal = { ...room, placement_strategy: "equal_distance", placement_min_distance: 500, placement_max_distance: 2000 };
+  const trip = targetPlacement.getEqualTripDistance(equal);
+  const runners = [runner, geoUtils.calculateDestination(runner.lat, runner.lng, 90, 400)];
+
+  runners.forEach((position, index) => {
+    const point = targetPlacement.placeTarget(equal, position, index);
+    assert.ok(Math.abs(geoUtils.calculateDistance(position.lat, position.lng, point.lat, point.lng) - trip) <= 1);
+  });
+});
+
+test("targets for a runner without a position are placed uniformly", () => {
+  const banded = { ...room, placement_strategy: "distance_band", placement_min_distance: 800, placement_max_distance: 1200 };
+
+  assert.deepEqual(targetPlacement.placeTarget(banded, null, 3), targetPlacement.placeTarget(room, null, 3));
+});
+
+test("an exclusion zone over the whole play area leaves nowhere to place targets", () => {
+  assert.equal(targetPlacement.canPlaceTargets(room), true);
+  assert.equal(targetPlacement.canPlaceTargets({ ...room, exclusion_zones: JSON.stringify([squareAround(room, 5000)]) }), false);
+});
+
+function squareAround(center, halfSide) {
+  return [45, 135, 225, 315].map((bearing) => geoUtils.calculateDestination(center.central_lat, center.central_lng, bearing, halfSide * Math.SQRT2));
+}
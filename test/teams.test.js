@@ -0,0 +1,51 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const teams = require("../server/game/teams");
+
+const lobby = (hunters, runners) => [...Array.from({ length: hunters }, (_, i) => ({ player_id: `h${i}`, team: "hunter" })), ...Array.from({ length: runners }, (_, i) => ({ player_id: `r${i}`, team: "runner" }))];
+
+// Apply the moves assignTeams asks for and count each side
+function countTeams(players, moves) {
+  const teamOf = new Map(players.map((player) => [player.player_id, player.team]));
+  moves.forEach(({ playerId, team }) => teamOf.set(playerId, team));
+
+  const counts = { hunter: 0, runner: 0 };
+  teamOf.forEach((team) => counts[team]++);
+  return counts;
+}
+
+test("players can only pick the hunter or runner team", () => {
+  assert.equal(teams.isValidTeam("hunter"), true);
+  assert.equal(teams.isValidTeam("runner"), true);
+  assert.equal(teams.isValidTeam("referee"), false);
+});
+
+test("device checks only pass when the client reports them as done", () => {
+  assert.deepEqual(teams.parseDeviceChecks({ gps: true, mic: "yes" }), { gps: true, mic: false });
+  assert.deepEqual(teams.parseDeviceChecks(null), { gps: false, mic: false });
+});
+
+test("players need a location, but not a microphone, to be ready", () => {
+  assert.match(teams.getReadyBlocker({ gps: false, mic: true }), /location/);
+  assert.equal(teams.getReadyBlocker({ gps: true, mic: false }), null);
+});
+
+test("random teams split the lobby in half, with any odd player running", () => {
+  const players = lobby(5, 0);
+  const counts = countTeams(players, teams.assignTeams(players, teams.TEAM_ASSIGNMENT.RANDOM));
+
+  assert.deepEqual(counts, { hunter: 2, runner: 3 });
+});
+
+test("balanced teams move as few players as possible", () => {
+  const players = lobby(1, 6);
+  const moves = teams.assignTeams(players, teams.TEAM_ASSIGNMENT.BALANCED);
+
+  assert.equal(moves.length, 2);
+  assert.ok(moves.every((move) => move.team === "hunter" && move.playerId.startsWith("r")));
+  assert.deepEqual(countTeams(players, moves), { hunter: 3, runner: 4 });
+});
+
+test("teams that are already balanced stay as they are", () => {
+  assert.deepEqual(teams.assignTeams(lobby(3, 3), teams.TEAM_ASSIGNMENT.BALANCED), []);
+});
@@ -0,0 +1,77 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const visibility = require("../server/game/visibility");
+
+const hunter = { playerId: "h1", team: "hunter", status: "active" };
+const runner = { playerId: "r1", team: "runner", status: "active" };
+const otherRunner = { playerId: "r2", team: "runner", status: "active" };
+
+function buildGameState(status) {
+  const location = (lat) => ({ lat, lng: -0.12, accuracy: 10 });
+
+  return {
+    status,
+    players: [
+      { ...hunter, location: location(51.5) },
+      { ...runner, location: location(51.51) },
+      { ...otherRunner, location: location(51.52) },
+    ],
+    targets: [
+      { targetId: "t1", playerId: "r1", zone: { lat: 51.5, lng: -0.1, radius: 500 } },
+      { targetId: "t2", playerId: "r2", zone: { lat: 51.6, lng: -0.1, radius: 500 } },
+    ],
+    runnerLocationHistory: {
+      r1: { playerId: "r1", team: "runner", location: location(51.51), locationHistory: [location(51.505), location(51.51)] },
+    },
+  };
+}
+
+test("unidentified clients see no locations or targets", () => {
+  const state = visibility.projectGameState(buildGameState("active"), null);
+
+  assert.ok(state.players.every((player) => player.location === null));
+  assert.deepEqual(state.targets, []);
+  assert.deepEqual(state.runnerLocationHistory, {});
+});
+
+test("players always see their own location", () => {
+  assert.equal(visibility.canSeePlayerLocation(runner, runner, "lobby"), true);
+  assert.equal(visibility.canSeePlayerLocation(hunter, runner, "lobby"), false);
+});
+
+test("hunters see runner locations and trails once the hunt is on", () => {
+  const state = visibility.projectGameState(buildGameState("active"), hunter);
+
+  assert.ok(state.players.every((player) => player.location !== null));
+  assert.equal(state.runnerLocationHistory.r1.locationHistory.length, 2);
+});
+
+test("runners only see the latest ping of other runners", () => {
+  const state = visibility.projectGameState(buildGameState("active"), otherRunner);
+
+  assert.deepEqual(state.runnerLocationHistory.r1.locationHistory, []);
+  assert.deepEqual(state.runnerLocationHistory.r1.location, buildGameState("active").runnerLocationHistory.r1.location);
+});
+
+test("targets are private to the runner working on them", () => {
+  assert.deepEqual(
+    visibility.projectGameState(buildGameState("active"), runner).targets.map((target) => target.targetId),
+    ["t1"],
+  );
+  assert.deepEqual(visibility.projectGameState(buildGameState("active"), hunter).targets, []);
+});
+
+test("everything is shown once the game is over", () => {
+  const state = visibility.projectGameState(buildGameState("completed"), hunter);
+
+  assert.equal(state.targets.length, 2);
+  assert.ok(state.players.every((player) => player.location !== null));
+});
+
+test("location pings are only sent to viewers who may see them", () => {
+  const ping = { playerId: "r1", team: "runner", location: { lat: 51.5, lng: -0.12 }, locationHistory: [{ lat: 51.5, lng: -0.12 }] };
+
+  assert.equal(visibility.projectLocationUpdate(ping, null, "active"), null);
+  assert.equal(visibility.projectLocationUpdate(ping, hunter, "active"), ping);
+  assert.deepEqual(visibility.projectLocationUpdate(ping, otherRunner, "active").locationHistory, []);
+});
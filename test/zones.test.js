@@ -0,0 +1,76 @@
+const test = require("node:test");
+const assert = require("node:assert/strict");
+const geoUtils = require("../shared/utils/geoUtils");
+const zones = require("../server/game/zones");
+const config = require("../server/config/default");
+
+const radiusLevels = [2000, 1000, 500, 250, 125];
+const target = {
+  target_id: "t1",
+  player_id: "p1",
+  lat: 51.5,
+  lng: -0.12,
+  radius_level: 500,
+  status: "active",
+  zone_status: "active",
+  points_value: 6,
+};
+
+test("the current zone contains the target without being centred on it", () => {
+  const zone = zones.getCurrentZone(target, radiusLevels);
+
+  assert.equal(zone.radius, 500);
+  assert.ok(geoUtils.calculateDistance(zone.lat, zone.lng, target.lat, target.lng) <= zone.radius);
+  assert.notDeepEqual({ lat: zone.lat, lng: zone.lng }, { lat: target.lat, lng: target.lng });
+});
+
+test("each zone lies inside the one before it", () => {
+  const outer = zones.getCurrentZone({ ...target, radius_level: 1000 }, radiusLevels);
+  const inner = zones.getCurrentZone(target, radiusLevels);
+
+  assert.ok(geoUtils.calculateDistance(outer.lat, outer.lng, inner.lat, inner.lng) + inner.radius <= outer.radius + 1);
+});
+
+test("the same target always shows the same zone", () => {
+  assert.deepEqual(zones.getCurrentZone(target, radiusLevels), zones.getCurrentZone({ ...target }, radiusLevels));
+});
+
+test("a radius outside the ladder has no zone", () => {
+  assert.equal(zones.getCurrentZone({ ...target, radius_level: 300 }, radiusLevels), null);
+});
+
+test("formatted targets never carry the exact location", () => {
+  const formatted = zones.formatTarget(target, radiusLevels);
+
+  assert.equal(formatted.lat, undefined);
+  assert.equal(formatted.lng, undefined);
+  assert.deepEqual(formatted.zone, zones.getCurrentZone(target, radiusLevels));
+  assert.equal(formatted.targetId, "t1");
+  assert.equal(formatted.radiusLevel, 500);
+});
+
+test("targets are worth more the more zones they have", () => {
+  assert.ok(zones.getTargetPoints(radiusLevels) > zones.getTargetPoints([2000]));
+});
+
+test("hosts can pick a radius ladder by preset name", () => {
+  for (const [name, levels] of Object.entries(config.game.radiusLadderPresets)) {
+    assert.deepEqual(zones.parseRadiusLevels(name, 5000), { levels });
+  }
+  assert.ok(zones.parseRadiusLevels("tiny", 5000).error);
+});
+
+test("custom radius ladders must shrink and fit the play area", () => {
+  assert.deepEqual(zones.parseRadiusLevels([1500, 600, 100], 5000), { levels: [1500, 600, 100] });
+  assert.ok(zones.parseRadiusLevels([], 5000).error);
+  assert.ok(zones.parseRadiusLevels([1000, 1000], 5000).error);
+  assert.ok(zones.parseRadiusLevels([1000, 500.5], 5000).error);
+  assert.ok(zones.parseRadiusLevels([1000, config.game.minZoneRadius - 1], 5000).error);
+  assert.ok(zones.parseRadiusLevels([12000, 500], 5000).error);
+  assert.ok(zones.parseRadiusLevels([8000, 5000], 5000).error);
+});
+
+test("rooms without their own ladder use the default one", () => {
+  assert.deepEqual(zones.getRoomRadiusLevels({ radius_levels: null }), config.game.targetRadiusLevels);
+  assert.deepEqual(zones.getRoomRadiusLevels({ radius_levels: "[800,200]" }), [800, 200]);
+});